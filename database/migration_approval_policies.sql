@@ -0,0 +1,41 @@
+-- Migration: Maker-checker approval policies for deposits and withdrawals
+-- A policy requires N distinct admins to approve deposit requests / withdrawals
+-- at or above a USD amount, optionally only for one method or client country.
+-- Every approval is recorded in approval_steps; the balance is only moved once
+-- the last required admin approves.
+
+CREATE TABLE IF NOT EXISTS approval_policies (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('deposit', 'withdrawal')),
+    min_amount_usd DECIMAL(18, 2) NOT NULL DEFAULT 0 CHECK (min_amount_usd >= 0),
+    method VARCHAR(50), -- NULL = any; withdrawals.method or manual_payment_gateways.type
+    country VARCHAR(100), -- NULL = any; matched case-insensitively against users.country
+    required_approvals INTEGER NOT NULL DEFAULT 2 CHECK (required_approvals BETWEEN 1 AND 5),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_policies_lookup ON approval_policies(request_type, is_active);
+
+CREATE TABLE IF NOT EXISTS approval_steps (
+    id SERIAL PRIMARY KEY,
+    request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('deposit', 'withdrawal')),
+    request_id INTEGER NOT NULL, -- deposit_requests.id or withdrawals.id
+    step INTEGER NOT NULL,
+    admin_id INTEGER NOT NULL REFERENCES admin(id),
+    policy_id INTEGER REFERENCES approval_policies(id) ON DELETE SET NULL,
+    required_approvals INTEGER NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    -- An admin can approve a request only once, so the chain always has distinct admins
+    UNIQUE (request_type, request_id, admin_id),
+    UNIQUE (request_type, request_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_steps_request ON approval_steps(request_type, request_id);
+
+COMMENT ON TABLE approval_policies IS 'Maker-checker rules: requests matching a policy need required_approvals distinct admins';
+COMMENT ON TABLE approval_steps IS 'Approval chain of deposit requests and withdrawals, one row per approving admin';
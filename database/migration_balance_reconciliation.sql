@@ -0,0 +1,42 @@
+-- Migration: MT5 balance reconciliation
+-- A reconciliation run pulls the balance of every real MT5 account from the
+-- MT5 server and compares it with the balance the CRM expects from approved
+-- deposits, withdrawals and internal transfers plus realized trading P/L.
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (triggered_by IN ('schedule', 'admin')),
+    triggered_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    tolerance DECIMAL(18, 8) NOT NULL DEFAULT 0.01,
+    accounts_checked INTEGER NOT NULL DEFAULT 0,
+    mismatches INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+    account_number VARCHAR(50) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    currency VARCHAR(10),
+    mt5_balance DECIMAL(18, 8),       -- balance reported by the MT5 server
+    crm_balance DECIMAL(18, 8),       -- trading_accounts.balance before this run refreshed it
+    net_funding DECIMAL(18, 8),       -- approved deposits - withdrawals +/- transfers
+    realized_pnl DECIMAL(18, 8),      -- closed trades profit, commission and swap
+    expected_balance DECIMAL(18, 8),  -- net_funding + realized_pnl
+    difference DECIMAL(18, 8),        -- mt5_balance - expected_balance
+    status VARCHAR(20) NOT NULL CHECK (status IN ('matched', 'mismatch', 'error')),
+    error TEXT,
+    checked_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run ON reconciliation_items(run_id, status);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_account ON reconciliation_items(account_number);
+
+COMMENT ON TABLE reconciliation_runs IS 'Daily comparison of MT5 server balances with CRM records';
+COMMENT ON COLUMN reconciliation_items.difference IS 'Positive: MT5 holds more than the CRM expects';
@@ -0,0 +1,19 @@
+-- Migration: Recover client transfer requests stuck in processing
+-- A request moves to processing before its internal transfer runs, so a crash
+-- in between leaves it there with no internal_transfer_id. The internal
+-- transfer now carries the id of the request it executes; the
+-- recover-stuck-transfers job settles stale processing requests from that row
+-- (completed -> completed, failed / compensated -> failed) and re-runs the
+-- ones that never got a row.
+
+ALTER TABLE internal_transfers
+    ADD COLUMN IF NOT EXISTS client_transfer_request_id INTEGER REFERENCES client_transfer_requests(id) ON DELETE SET NULL;
+
+-- One internal transfer per request, so a re-run can not move the funds twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_internal_transfers_client_transfer_request
+    ON internal_transfers(client_transfer_request_id) WHERE client_transfer_request_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_client_transfer_requests_processing
+    ON client_transfer_requests(updated_at) WHERE status = 'processing';
+
+COMMENT ON COLUMN internal_transfers.client_transfer_request_id IS 'Client transfer request this transfer executes (NULL for other transfers)';
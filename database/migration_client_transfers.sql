@@ -0,0 +1,47 @@
+-- Migration: Client-to-client wallet transfers
+-- A client sends money from one of their wallets to another client's wallet
+-- (found by wallet number or email). Each request is confirmed with an emailed
+-- OTP; requests above the approval threshold wait for an admin before the
+-- transfer saga moves the funds. The executed transfer is a regular
+-- wallet -> wallet row in internal_transfers with to_user_id set.
+
+CREATE TABLE IF NOT EXISTS client_transfer_requests (
+    id SERIAL PRIMARY KEY,
+    sender_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipient_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    from_wallet VARCHAR(50) NOT NULL, -- sender wallet_number
+    to_wallet VARCHAR(50) NOT NULL,   -- recipient wallet_number
+    amount DECIMAL(18, 8) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(10) NOT NULL,    -- currency of the sender wallet
+    amount_usd DECIMAL(18, 8) NOT NULL, -- USD equivalent used for the daily limit and approval threshold
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_otp'
+        CHECK (status IN ('pending_otp', 'pending_approval', 'processing', 'completed', 'failed', 'rejected', 'expired')),
+    otp_hash VARCHAR(64),
+    otp_expires_at TIMESTAMP,
+    otp_attempts INTEGER NOT NULL DEFAULT 0,
+    confirmed_at TIMESTAMP,
+    requires_approval BOOLEAN NOT NULL DEFAULT FALSE,
+    reviewed_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    rejection_reason TEXT,
+    internal_transfer_id INTEGER REFERENCES internal_transfers(id) ON DELETE SET NULL,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (sender_user_id <> recipient_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_transfer_requests_sender ON client_transfer_requests(sender_user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_client_transfer_requests_recipient ON client_transfer_requests(recipient_user_id);
+CREATE INDEX IF NOT EXISTS idx_client_transfer_requests_status ON client_transfer_requests(status);
+
+-- Recipient of a wallet -> wallet transfer between two clients (NULL for own-account transfers)
+ALTER TABLE internal_transfers
+    ADD COLUMN IF NOT EXISTS to_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_internal_transfers_to_user_id ON internal_transfers(to_user_id) WHERE to_user_id IS NOT NULL;
+
+COMMENT ON TABLE client_transfer_requests IS 'Client-to-client wallet transfer requests: OTP confirmation, optional admin approval, then an internal_transfers saga';
+COMMENT ON COLUMN client_transfer_requests.otp_hash IS 'SHA-256 of the emailed OTP; cleared once confirmed';
+COMMENT ON COLUMN internal_transfers.to_user_id IS 'Owner of the destination wallet when it differs from user_id';
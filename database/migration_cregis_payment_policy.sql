@@ -0,0 +1,38 @@
+-- Migration: Partial and over-payment handling for auto gateway deposits
+-- Each gateway decides what gets credited when the received amount differs
+-- from the order amount; the deposit keeps both amounts and the difference.
+
+ALTER TABLE auto_gateway
+    ADD COLUMN IF NOT EXISTS overpayment_policy VARCHAR(20) NOT NULL DEFAULT 'credit_received',
+    ADD COLUMN IF NOT EXISTS underpayment_policy VARCHAR(20) NOT NULL DEFAULT 'review';
+
+ALTER TABLE auto_gateway DROP CONSTRAINT IF EXISTS auto_gateway_overpayment_policy_check;
+ALTER TABLE auto_gateway ADD CONSTRAINT auto_gateway_overpayment_policy_check
+    CHECK (overpayment_policy IN ('credit_received', 'credit_order'));
+
+ALTER TABLE auto_gateway DROP CONSTRAINT IF EXISTS auto_gateway_underpayment_policy_check;
+ALTER TABLE auto_gateway ADD CONSTRAINT auto_gateway_underpayment_policy_check
+    CHECK (underpayment_policy IN ('review', 'credit_received'));
+
+ALTER TABLE deposit_requests
+    ADD COLUMN IF NOT EXISTS received_amount DECIMAL(18, 8),
+    ADD COLUMN IF NOT EXISTS credited_amount DECIMAL(18, 8),
+    ADD COLUMN IF NOT EXISTS amount_difference DECIMAL(18, 8), -- received_amount - amount
+    ADD COLUMN IF NOT EXISTS review_status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+ALTER TABLE deposit_requests DROP CONSTRAINT IF EXISTS deposit_requests_review_status_check;
+ALTER TABLE deposit_requests ADD CONSTRAINT deposit_requests_review_status_check
+    CHECK (review_status IS NULL OR review_status IN ('pending_review', 'resolved'));
+
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_review_status ON deposit_requests(review_status);
+
+-- Deposits credited before this migration were credited with the order amount
+UPDATE deposit_requests
+SET credited_amount = amount
+WHERE credited_at IS NOT NULL
+  AND credited_amount IS NULL;
+
+COMMENT ON COLUMN auto_gateway.overpayment_policy IS 'credit_received: credit what was paid; credit_order: credit only the order amount';
+COMMENT ON COLUMN auto_gateway.underpayment_policy IS 'review: hold partial payments for admin review; credit_received: credit what was paid';
+COMMENT ON COLUMN deposit_requests.review_status IS 'pending_review when a partial payment awaits an admin decision';
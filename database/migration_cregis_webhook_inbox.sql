@@ -0,0 +1,35 @@
+-- Migration: Idempotent Cregis webhook processing
+-- Every webhook is recorded in an inbox keyed by its event id, and the
+-- deposit records when (and how) its funds were credited so retried
+-- webhooks and status polls never credit twice.
+
+CREATE TABLE IF NOT EXISTS cregis_webhook_events (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(255) NOT NULL UNIQUE, -- Cregis event id, or cregis_id:event_type:status when absent
+    cregis_id VARCHAR(255),
+    order_id VARCHAR(255),
+    event_name VARCHAR(100),
+    event_type VARCHAR(100),
+    status VARCHAR(50),
+    deposit_request_id INTEGER REFERENCES deposit_requests(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    received_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cregis_webhook_events_order_id ON cregis_webhook_events(order_id);
+CREATE INDEX IF NOT EXISTS idx_cregis_webhook_events_deposit ON cregis_webhook_events(deposit_request_id);
+
+ALTER TABLE deposit_requests
+    ADD COLUMN IF NOT EXISTS credited_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS credit_reference VARCHAR(255); -- MT5 deal / wallet the funds went to
+
+-- Approved Cregis deposits from before this migration were already credited
+UPDATE deposit_requests
+SET credited_at = updated_at, credit_reference = 'legacy'
+WHERE cregis_order_id IS NOT NULL
+  AND status = 'approved'
+  AND credited_at IS NULL;
+
+COMMENT ON TABLE cregis_webhook_events IS 'Inbox of received Cregis webhooks; a duplicate event_id is acknowledged without reprocessing';
+COMMENT ON COLUMN deposit_requests.credited_at IS 'When the deposit amount was credited to the MT5 account or wallet';
@@ -0,0 +1,22 @@
+-- Migration: Deposit proof hashing and risk queue
+-- Uploaded deposit proofs get a content hash (SHA-256) and, for images, a
+-- perceptual hash (64-bit dHash) so re-uploaded or re-encoded screenshots can
+-- be matched across all users. Transaction hashes are compared in a
+-- normalized form. Matches are stored as risk flags with a risk score that
+-- orders the admin review queue.
+
+ALTER TABLE deposit_requests
+    ADD COLUMN IF NOT EXISTS proof_sha256 CHAR(64),
+    ADD COLUMN IF NOT EXISTS proof_phash CHAR(16), -- hex of the 64-bit dHash; NULL for PDFs
+    ADD COLUMN IF NOT EXISTS normalized_tx_hash VARCHAR(255)
+        GENERATED ALWAYS AS (NULLIF(REGEXP_REPLACE(LOWER(TRIM(transaction_hash)), '^0x|\s+', '', 'g'), '')) STORED,
+    ADD COLUMN IF NOT EXISTS risk_score INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS risk_flags JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS risk_checked_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_proof_sha256 ON deposit_requests(proof_sha256) WHERE proof_sha256 IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_normalized_tx_hash ON deposit_requests(normalized_tx_hash) WHERE normalized_tx_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_risk_queue ON deposit_requests(risk_score DESC, created_at) WHERE status = 'pending';
+
+COMMENT ON COLUMN deposit_requests.proof_phash IS 'Perceptual hash of the proof image; a small Hamming distance means a visually similar proof';
+COMMENT ON COLUMN deposit_requests.risk_flags IS 'Array of { type, score, matchedDepositId, matchedUserId, sameUser, ... } found by the risk check';
@@ -0,0 +1,20 @@
+-- Migration: Reconcile pending gateway deposits before expiring them
+-- The cancel-expired-deposits job asks the gateway for the real status of each
+-- pending deposit past its payment window instead of cancelling it blindly:
+-- paid ones are credited, underpaid ones go to review and only those the
+-- gateway confirms unpaid are cancelled. Every decision is kept on the order.
+
+ALTER TABLE cregis_transactions
+    ADD COLUMN IF NOT EXISTS reconciliation_decision VARCHAR(30),
+    ADD COLUMN IF NOT EXISTS reconciliation_note TEXT,
+    ADD COLUMN IF NOT EXISTS reconciliation_checks INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_reconciled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS reconciliation_log JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_cregis_transactions_reconciliation_decision
+    ON cregis_transactions(reconciliation_decision)
+    WHERE reconciliation_decision IS NOT NULL;
+
+COMMENT ON COLUMN cregis_transactions.reconciliation_decision IS 'Latest expiry-job decision: credited, review, kept_pending, cancelled, check_failed, credit_failed, escalated';
+COMMENT ON COLUMN cregis_transactions.reconciliation_checks IS 'Number of gateway status checks made by the expiry job';
+COMMENT ON COLUMN cregis_transactions.reconciliation_log IS 'Expiry-job decisions in order: [{ at, decision, gatewayStatus, note }]; repeated identical decisions are only counted';
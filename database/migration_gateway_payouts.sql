@@ -0,0 +1,40 @@
+-- Migration: Automatic crypto payouts through a payment gateway
+-- Approved USDT TRC20 withdrawals can be paid by the gateway (Cregis) instead
+-- of a payout batch. Each withdrawal has at most one active gateway payout;
+-- the payout is resubmitted under a new reference after the gateway refuses
+-- or fails it, and escalated to an admin once its attempts run out or its
+-- outcome is unknown. A paid payout fills withdrawals.external_transaction_id
+-- with the on-chain hash.
+
+CREATE TABLE IF NOT EXISTS gateway_payouts (
+    id SERIAL PRIMARY KEY,
+    withdrawal_id INTEGER NOT NULL REFERENCES withdrawals(id) ON DELETE RESTRICT,
+    gateway VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'submitting', 'pending', 'retry_scheduled', 'paid', 'escalated', 'cancelled')),
+    reference VARCHAR(100) UNIQUE, -- sent to the gateway, new for every submission
+    gateway_payout_id VARCHAR(255),
+    gateway_status VARCHAR(50),
+    amount DECIMAL(18, 2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(10) NOT NULL DEFAULT 'USDT',
+    address VARCHAR(255) NOT NULL,
+    network VARCHAR(20) NOT NULL DEFAULT 'TRC20',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_retry_at TIMESTAMP,
+    transaction_hash VARCHAR(255),
+    submitted_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gateway_payouts_active_withdrawal
+    ON gateway_payouts(withdrawal_id) WHERE status <> 'cancelled';
+CREATE INDEX IF NOT EXISTS idx_gateway_payouts_status ON gateway_payouts(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_gateway_payouts_gateway_payout_id ON gateway_payouts(gateway, gateway_payout_id);
+
+COMMENT ON TABLE gateway_payouts IS 'Withdrawals paid out through a payment gateway: queued -> submitting -> pending -> paid, with retry_scheduled / escalated on failure and cancelled to hand the withdrawal back to payout batches';
+COMMENT ON COLUMN gateway_payouts.reference IS 'Reference of the latest submission (third_party_id at Cregis)';
+COMMENT ON COLUMN gateway_payouts.attempts IS 'Submissions made so far';
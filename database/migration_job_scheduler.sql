@@ -0,0 +1,45 @@
+-- Migration: Postgres-backed job scheduler
+-- Background jobs (deposit expiry, IB commission sync, ...) are scheduled with
+-- cron expressions. One instance at a time holds the scheduler advisory lock
+-- and runs due jobs; every run is recorded, and a failed run is retried with
+-- exponential backoff up to max_attempts. Rows are created by the server on
+-- startup; admins can change the schedule or disable a job.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    cron_expression VARCHAR(100) NOT NULL, -- five fields, UTC
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts BETWEEN 1 AND 10),
+    retry_backoff_seconds INTEGER NOT NULL DEFAULT 60 CHECK (retry_backoff_seconds > 0),
+    next_run_at TIMESTAMPTZ, -- NULL runs at the next scheduler tick
+    retry_at TIMESTAMPTZ,
+    retry_attempt INTEGER,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(20),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'retry', 'manual')),
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'succeeded', 'failed', 'abandoned')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    result JSONB,
+    error TEXT,
+    instance_id VARCHAR(255),
+    triggered_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status);
+
+COMMENT ON TABLE scheduled_jobs IS 'Background jobs run by the scheduler (services/scheduler.service.js)';
+COMMENT ON COLUMN scheduled_jobs.retry_at IS 'When a failed run is retried; cleared by the next successful or scheduled run';
+COMMENT ON TABLE job_runs IS 'Run history of scheduled jobs; running rows whose job lock is free are marked abandoned';
@@ -0,0 +1,121 @@
+-- Migration: Double-entry ledger
+-- Every money movement (deposits, withdrawals, wallet <-> MT5 transfers,
+-- IB commissions and IB withdrawals) is recorded as an immutable, balanced
+-- journal entry. Wallet, IB and MT5 balances are reconciled against it.
+
+-- Ledger accounts: one per wallet / MT5 login / IB balance plus system accounts
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(100) NOT NULL UNIQUE, -- e.g. wallet:12, mt5:500123, ib:7, system:client_funds
+    name VARCHAR(255) NOT NULL,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('asset', 'liability', 'equity', 'revenue', 'expense')),
+    owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('wallet', 'mt5', 'ib', 'system')),
+    owner_ref VARCHAR(100), -- wallet id, MT5 login or ib_requests id
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_owner ON ledger_accounts(owner_type, owner_ref);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+
+-- Journal entries: one per business transaction
+CREATE TABLE IF NOT EXISTS ledger_journal (
+    id SERIAL PRIMARY KEY,
+    entry_type VARCHAR(50) NOT NULL, -- deposit, withdrawal, transfer, ib_commission, ib_withdrawal, bonus, opening_balance
+    reference_type VARCHAR(50), -- deposit_request, withdrawal, internal_transfer, ib_withdrawal, ...
+    reference_id VARCHAR(100),
+    description TEXT,
+    currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+    created_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_entry_type ON ledger_journal(entry_type);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_reference ON ledger_journal(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_created_at ON ledger_journal(created_at DESC);
+
+-- Postings: the debit/credit lines of a journal entry
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id SERIAL PRIMARY KEY,
+    journal_id INTEGER NOT NULL REFERENCES ledger_journal(id) ON DELETE RESTRICT,
+    account_id INTEGER NOT NULL REFERENCES ledger_accounts(id) ON DELETE RESTRICT,
+    side VARCHAR(6) NOT NULL CHECK (side IN ('debit', 'credit')),
+    amount DECIMAL(18, 8) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal_id ON ledger_postings(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+-- Journal entries and postings are append-only
+CREATE OR REPLACE FUNCTION ledger_prevent_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger records are immutable (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_journal_immutable ON ledger_journal;
+CREATE TRIGGER ledger_journal_immutable
+    BEFORE UPDATE OR DELETE ON ledger_journal
+    FOR EACH ROW EXECUTE FUNCTION ledger_prevent_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_immutable ON ledger_postings;
+CREATE TRIGGER ledger_postings_immutable
+    BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW EXECUTE FUNCTION ledger_prevent_mutation();
+
+-- Debits must equal credits for every journal entry (checked at commit)
+CREATE OR REPLACE FUNCTION ledger_check_journal_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    total_debit DECIMAL(18, 8);
+    total_credit DECIMAL(18, 8);
+BEGIN
+    SELECT
+        COALESCE(SUM(amount) FILTER (WHERE side = 'debit'), 0),
+        COALESCE(SUM(amount) FILTER (WHERE side = 'credit'), 0)
+    INTO total_debit, total_credit
+    FROM ledger_postings
+    WHERE journal_id = NEW.journal_id;
+
+    IF total_debit <> total_credit THEN
+        RAISE EXCEPTION 'Ledger journal % is not balanced (debit %, credit %)',
+            NEW.journal_id, total_debit, total_credit;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+    AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION ledger_check_journal_balanced();
+
+-- Balance per ledger account, signed by its normal side
+-- (assets/expenses grow with debits, liabilities/equity/revenue with credits)
+CREATE OR REPLACE VIEW ledger_account_balances AS
+SELECT
+    la.id AS account_id,
+    la.code,
+    la.name,
+    la.account_type,
+    la.owner_type,
+    la.owner_ref,
+    la.user_id,
+    la.currency,
+    CASE WHEN la.account_type IN ('asset', 'expense')
+        THEN COALESCE(SUM(CASE WHEN lp.side = 'debit' THEN lp.amount ELSE -lp.amount END), 0)
+        ELSE COALESCE(SUM(CASE WHEN lp.side = 'credit' THEN lp.amount ELSE -lp.amount END), 0)
+    END AS balance,
+    COUNT(lp.id) AS postings_count
+FROM ledger_accounts la
+LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+GROUP BY la.id;
+
+COMMENT ON TABLE ledger_accounts IS 'Chart of accounts for the double-entry ledger';
+COMMENT ON TABLE ledger_journal IS 'Immutable journal entries, one per money movement';
+COMMENT ON TABLE ledger_postings IS 'Immutable debit/credit lines; each journal entry must balance';
@@ -0,0 +1,47 @@
+-- Migration: MT5 operation outbox
+-- Balance changes the CRM owes an MT5 account (approved deposits, refunds of
+-- released withdrawals, admin credits and bonuses) are written here in the
+-- same transaction as the business change and applied by a worker, so a
+-- bridge outage delays the MT5 side instead of losing it. Failed calls are
+-- retried with backoff; calls whose outcome is unknown, and operations out of
+-- attempts, are escalated to an admin who retries, marks them applied or
+-- cancels them. A dedupe key stops the same business change from being
+-- queued twice.
+
+CREATE TABLE IF NOT EXISTS mt5_operations (
+    id BIGSERIAL PRIMARY KEY,
+    operation VARCHAR(30) NOT NULL
+        CHECK (operation IN ('add_balance', 'deduct_balance', 'add_credit', 'deduct_credit', 'add_bonus', 'deduct_bonus')),
+    login BIGINT NOT NULL,
+    amount DECIMAL(18, 2) NOT NULL CHECK (amount > 0),
+    comment TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'succeeded', 'escalated', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8 CHECK (max_attempts > 0),
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    mt5_error_code VARCHAR(50),
+    mt5_deal_id VARCHAR(64),
+    mt5_response JSONB,
+    reference_type VARCHAR(50),
+    reference_id VARCHAR(100),
+    dedupe_key VARCHAR(200) UNIQUE,
+    resolution_note TEXT,
+    created_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    resolved_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mt5_operations_due ON mt5_operations(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_mt5_operations_status ON mt5_operations(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mt5_operations_login ON mt5_operations(login, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mt5_operations_reference ON mt5_operations(reference_type, reference_id);
+
+COMMENT ON TABLE mt5_operations IS 'Outbox of MT5 balance/credit/bonus changes: pending -> processing -> succeeded, escalated on unknown outcome or exhausted attempts, cancelled by an admin';
+COMMENT ON COLUMN mt5_operations.status IS 'processing rows are claimed by a worker; one left processing after a crash is escalated because MT5 may have applied it';
+COMMENT ON COLUMN mt5_operations.mt5_deal_id IS 'Deal id MT5 booked the change under';
+COMMENT ON COLUMN mt5_operations.dedupe_key IS 'e.g. deposit_request:42:add_balance; queuing the same key again returns the existing operation';
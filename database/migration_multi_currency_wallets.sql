@@ -0,0 +1,51 @@
+-- Migration: Multi-currency wallets and FX conversion on transfers
+-- A user can hold one wallet per currency (the original wallet stays the
+-- primary one). Transfers between accounts in different currencies are
+-- converted with the admin-managed fx_rates table and the rate used is
+-- stored on the transfer.
+
+-- One wallet per user and currency instead of one wallet per user
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_user_id_key;
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_user_id_currency_key;
+ALTER TABLE wallets ADD CONSTRAINT wallets_user_id_currency_key UNIQUE (user_id, currency);
+
+ALTER TABLE wallets
+    ADD COLUMN IF NOT EXISTS is_primary BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Existing wallets become the primary wallet of their user
+UPDATE wallets w
+SET is_primary = TRUE
+WHERE w.id = (SELECT MIN(id) FROM wallets WHERE user_id = w.user_id)
+  AND NOT EXISTS (SELECT 1 FROM wallets p WHERE p.user_id = w.user_id AND p.is_primary);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_one_primary_per_user ON wallets(user_id) WHERE is_primary;
+
+-- Conversion rates: 1 base_currency = rate quote_currency (mid rate).
+-- The markup is taken from the client on every conversion in either direction.
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id SERIAL PRIMARY KEY,
+    base_currency VARCHAR(10) NOT NULL,
+    quote_currency VARCHAR(10) NOT NULL,
+    rate DECIMAL(20, 10) NOT NULL CHECK (rate > 0),
+    markup_percent DECIMAL(6, 4) NOT NULL DEFAULT 0 CHECK (markup_percent >= 0 AND markup_percent < 100),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (base_currency, quote_currency),
+    CHECK (base_currency <> quote_currency)
+);
+
+-- Rate snapshot of converted transfers; amount/currency stay the source side
+ALTER TABLE internal_transfers
+    ADD COLUMN IF NOT EXISTS to_amount DECIMAL(18, 8),
+    ADD COLUMN IF NOT EXISTS to_currency VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS fx_rate_id INTEGER REFERENCES fx_rates(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS fx_mid_rate DECIMAL(20, 10),
+    ADD COLUMN IF NOT EXISTS fx_markup_percent DECIMAL(6, 4),
+    ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(20, 10), -- rate applied after markup
+    ADD COLUMN IF NOT EXISTS fx_quoted_at TIMESTAMP;
+
+COMMENT ON COLUMN wallets.is_primary IS 'Default wallet of the user (deposits, IB payouts, legacy single-wallet callers)';
+COMMENT ON TABLE fx_rates IS 'Admin-managed conversion rates used for transfers between accounts in different currencies';
+COMMENT ON COLUMN internal_transfers.to_amount IS 'Amount credited to the destination in to_currency (NULL when no conversion happened)';
@@ -0,0 +1,37 @@
+-- Migration: Payment gateway adapters
+-- Automatic gateways are reached through adapters (services/gateways), so the
+-- order/inbox tables written for Cregis now hold orders of any adapter. The
+-- cregis_* names are kept; the new gateway columns say which adapter a row
+-- belongs to. Existing rows are Cregis rows.
+
+ALTER TABLE deposit_requests
+    ADD COLUMN IF NOT EXISTS payment_gateway VARCHAR(50);
+
+UPDATE deposit_requests
+SET payment_gateway = 'cregis'
+WHERE cregis_order_id IS NOT NULL
+  AND payment_gateway IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_deposit_requests_payment_gateway_order
+    ON deposit_requests(payment_gateway, cregis_order_id);
+
+-- Payment ids are only unique within one gateway
+ALTER TABLE cregis_transactions
+    ADD COLUMN IF NOT EXISTS gateway VARCHAR(50) NOT NULL DEFAULT 'cregis';
+
+ALTER TABLE cregis_transactions DROP CONSTRAINT IF EXISTS cregis_transactions_cregis_order_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cregis_transactions_gateway_payment
+    ON cregis_transactions(gateway, cregis_order_id);
+
+ALTER TABLE cregis_webhook_events
+    ADD COLUMN IF NOT EXISTS gateway VARCHAR(50) NOT NULL DEFAULT 'cregis';
+
+ALTER TABLE cregis_webhook_events DROP CONSTRAINT IF EXISTS cregis_webhook_events_event_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cregis_webhook_events_gateway_event
+    ON cregis_webhook_events(gateway, event_id);
+
+COMMENT ON COLUMN deposit_requests.payment_gateway IS 'Adapter key of the automatic gateway (cregis, ...); NULL for manual deposits';
+COMMENT ON COLUMN deposit_requests.cregis_order_id IS 'Merchant order ID sent to the automatic payment gateway';
+COMMENT ON COLUMN deposit_requests.cregis_status IS 'Raw payment status reported by the automatic payment gateway';
+COMMENT ON COLUMN cregis_transactions.gateway IS 'Adapter key; cregis_order_id holds the payment id issued by this gateway';
+COMMENT ON COLUMN cregis_webhook_events.gateway IS 'Adapter key; event_id is unique per gateway';
@@ -0,0 +1,66 @@
+-- Migration: Payout batches for approved withdrawals
+-- Approved but unpaid client and IB withdrawals are grouped per payout method
+-- into a batch, exported as a bulk payment file (bank CSV/XLSX, TRC20
+-- address/amount list) and settled by importing the bank / wallet settlement
+-- file, which fills external_transaction_id and marks each withdrawal paid.
+
+-- paid_at marks the money as sent; approved withdrawals with paid_at NULL are unpaid
+ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+
+ALTER TABLE ib_withdrawals
+    ADD COLUMN IF NOT EXISTS external_transaction_id VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
+
+-- Approvals before batches existed were paid by hand
+UPDATE withdrawals SET paid_at = COALESCE(approved_at, updated_at)
+WHERE status = 'approved' AND paid_at IS NULL AND external_transaction_id IS NOT NULL;
+UPDATE ib_withdrawals SET paid_at = COALESCE(approved_at, updated_at)
+WHERE status = 'approved' AND paid_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id SERIAL PRIMARY KEY,
+    method VARCHAR(20) NOT NULL CHECK (method IN ('bank_transfer', 'usdt_trc20')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'exported', 'partially_settled', 'settled', 'cancelled')),
+    item_count INTEGER NOT NULL DEFAULT 0,
+    total_amount DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    created_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    exported_at TIMESTAMP,
+    settled_at TIMESTAMP,
+    settlement_file_name VARCHAR(255),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    reference VARCHAR(50) UNIQUE, -- payment reference written to the payout file and matched on import
+    withdrawal_id INTEGER REFERENCES withdrawals(id) ON DELETE RESTRICT,
+    ib_withdrawal_id INTEGER REFERENCES ib_withdrawals(id) ON DELETE RESTRICT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    amount DECIMAL(18, 2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+    beneficiary JSONB NOT NULL, -- destination as exported
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'cancelled')),
+    external_transaction_id VARCHAR(255),
+    failure_reason TEXT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK ((withdrawal_id IS NULL) <> (ib_withdrawal_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch_id ON payout_batch_items(batch_id);
+
+-- A withdrawal is in at most one batch unless a previous payout failed or was cancelled
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_batch_items_active_withdrawal
+    ON payout_batch_items(withdrawal_id) WHERE withdrawal_id IS NOT NULL AND status IN ('pending', 'paid');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_batch_items_active_ib_withdrawal
+    ON payout_batch_items(ib_withdrawal_id) WHERE ib_withdrawal_id IS NOT NULL AND status IN ('pending', 'paid');
+
+COMMENT ON TABLE payout_batches IS 'Bulk payouts of approved withdrawals: open -> exported -> partially_settled / settled, or cancelled before anything is paid';
+COMMENT ON COLUMN payout_batch_items.beneficiary IS 'Payout destination copied when the batch was created';
+COMMENT ON COLUMN withdrawals.paid_at IS 'When the payout was sent; NULL for approved withdrawals still waiting for a payout batch';
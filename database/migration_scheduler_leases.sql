@@ -0,0 +1,18 @@
+-- Migration: Lease rows for the job scheduler
+-- Scheduler leadership and running jobs were guarded by session advisory
+-- locks, which kept a pool connection checked out per lock for as long as it
+-- was held. They are now leases: a row per key with its holder and an expiry
+-- the holder keeps pushing forward while it works. A lease whose expiry has
+-- passed can be taken over, so a crashed instance releases its leases after
+-- at most one lease period.
+
+CREATE TABLE IF NOT EXISTS scheduler_leases (
+    key VARCHAR(150) PRIMARY KEY,   -- 'scheduler:leader' or 'scheduler:job:<name>'
+    holder VARCHAR(255) NOT NULL,   -- instance id, plus a run token for job leases
+    acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+COMMENT ON TABLE scheduler_leases IS 'Leader and per-job leases of the job scheduler (services/scheduler.service.js)';
+COMMENT ON COLUMN scheduler_leases.expires_at IS 'Renewed by the holder while it works; past it anyone may take the lease';
+COMMENT ON TABLE job_runs IS 'Run history of scheduled jobs; running rows without a live job lease are marked abandoned';
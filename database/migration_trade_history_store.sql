@@ -0,0 +1,53 @@
+-- Migration: Local trade history store
+-- Closed trades (deals) and open positions of MT5 accounts are copied from
+-- the bridge into trades by the sync-mt5-trades job, so reports, IB
+-- commissions and reconciliation read Postgres instead of paging through the
+-- bridge on every request. Each account keeps a high-watermark (close time of
+-- its newest stored deal); a sync only asks for deals from shortly before it
+-- and pages through the result, resuming from the saved page when one run is
+-- not enough for a long history. Open positions are replaced on every sync.
+
+CREATE TABLE IF NOT EXISTS trades (
+    id BIGSERIAL PRIMARY KEY,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('deal', 'position')),
+    ticket BIGINT NOT NULL,
+    login BIGINT NOT NULL,
+    position_id BIGINT,
+    symbol VARCHAR(50),
+    side VARCHAR(20),
+    volume DECIMAL(18, 4) NOT NULL DEFAULT 0,
+    price_open DECIMAL(20, 8),
+    price_close DECIMAL(20, 8),
+    profit DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    commission DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    swap DECIMAL(18, 2) NOT NULL DEFAULT 0,
+    open_time TIMESTAMPTZ,
+    close_time TIMESTAMPTZ,
+    comment TEXT,
+    raw JSONB,
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (kind, ticket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trades_login_close ON trades(login, close_time DESC) WHERE kind = 'deal';
+CREATE INDEX IF NOT EXISTS idx_trades_synced ON trades(synced_at) WHERE kind = 'deal';
+CREATE INDEX IF NOT EXISTS idx_trades_login_kind ON trades(login, kind);
+
+CREATE TABLE IF NOT EXISTS trade_sync_state (
+    login BIGINT PRIMARY KEY,
+    watermark TIMESTAMPTZ, -- close time of the newest stored deal
+    cursor_from TIMESTAMPTZ, -- set while a paged sync is unfinished
+    cursor_page INTEGER,
+    deals_synced BIGINT NOT NULL DEFAULT 0,
+    open_positions INTEGER NOT NULL DEFAULT 0,
+    last_synced_at TIMESTAMPTZ,
+    last_full_sync_at TIMESTAMPTZ,
+    last_error TEXT,
+    last_error_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE trades IS 'MT5 closed trades (kind deal) and open positions (kind position) per login, keyed by ticket; synced from the bridge';
+COMMENT ON COLUMN trades.raw IS 'Entry as returned by the bridge';
+COMMENT ON TABLE trade_sync_state IS 'Per-account progress of the MT5 trade sync (services/tradeSync.service.js)';
+COMMENT ON COLUMN trade_sync_state.cursor_page IS 'Next page to fetch from cursor_from when the previous run stopped at its page limit';
@@ -0,0 +1,33 @@
+-- Migration: Transaction limits engine
+-- Admin-managed limit rules for deposits, withdrawals and transfers, scoped by
+-- KYC tier, client country and deposit gateway, over a single transaction,
+-- a rolling day / week / month or the client's lifetime. Usage is computed
+-- from the actual requests (deposit_requests, withdrawals, internal_transfers),
+-- not from current balances.
+
+CREATE TABLE IF NOT EXISTS transaction_limit_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    operation VARCHAR(20) NOT NULL CHECK (operation IN ('deposit', 'withdrawal', 'transfer')),
+    kyc_tier VARCHAR(20) CHECK (kyc_tier IN ('unverified', 'verified')), -- NULL = any tier
+    country VARCHAR(100), -- NULL = any; matched case-insensitively against users.country
+    gateway_id INTEGER REFERENCES manual_payment_gateways(id) ON DELETE CASCADE, -- NULL = any; deposits only
+    period VARCHAR(20) NOT NULL CHECK (period IN ('transaction', 'day', 'week', 'month', 'lifetime')),
+    max_amount_usd DECIMAL(18, 2) CHECK (max_amount_usd >= 0),
+    max_count INTEGER CHECK (max_count >= 0), -- not used for period = 'transaction'
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (max_amount_usd IS NOT NULL OR max_count IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_limit_rules_operation ON transaction_limit_rules(operation, is_active);
+
+-- Replaces the hard-coded USD 2000 cap for clients without approved KYC
+INSERT INTO transaction_limit_rules (name, operation, kyc_tier, period, max_amount_usd)
+SELECT 'Unverified client deposits', 'deposit', 'unverified', 'lifetime', 2000
+WHERE NOT EXISTS (SELECT 1 FROM transaction_limit_rules);
+
+COMMENT ON TABLE transaction_limit_rules IS 'Deposit / withdrawal / transfer limits; every matching active rule must pass';
+COMMENT ON COLUMN transaction_limit_rules.period IS 'transaction = single request; day / week / month are rolling 24h / 7 / 30 days';
@@ -0,0 +1,27 @@
+-- Migration: Transfer saga for wallet <-> MT5 transfers
+-- internal_transfers becomes the persisted state of each transfer:
+--   initiated -> wallet_held -> mt5_applied -> completed
+-- with compensated / failed as the unhappy terminal states. The recovery job
+-- resumes or unwinds rows left in a non-terminal state after a crash.
+
+ALTER TABLE internal_transfers DROP CONSTRAINT IF EXISTS internal_transfers_status_check;
+ALTER TABLE internal_transfers ADD CONSTRAINT internal_transfers_status_check
+    CHECK (status IN ('pending', 'initiated', 'wallet_held', 'mt5_applied', 'completed', 'compensated', 'failed'));
+
+ALTER TABLE internal_transfers
+    ADD COLUMN IF NOT EXISTS initiated_by_admin INTEGER REFERENCES admin(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS mt5_debit_done BOOLEAN NOT NULL DEFAULT FALSE,  -- source MT5 account deducted
+    ADD COLUMN IF NOT EXISTS mt5_credit_done BOOLEAN NOT NULL DEFAULT FALSE, -- destination MT5 account credited
+    ADD COLUMN IF NOT EXISTS mt5_call_started_at TIMESTAMP, -- set while an MT5 call is in flight
+    ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_error TEXT,
+    ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE, -- outcome of an MT5 call is unknown
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+
+-- Recovery job scans non-terminal rows
+CREATE INDEX IF NOT EXISTS idx_internal_transfers_in_flight
+    ON internal_transfers(updated_at)
+    WHERE status IN ('initiated', 'wallet_held', 'mt5_applied');
+
+COMMENT ON COLUMN internal_transfers.mt5_call_started_at IS 'Set before calling MT5 and cleared once the result is recorded; a stale value means the call outcome is unknown';
+COMMENT ON COLUMN internal_transfers.needs_review IS 'Transfer could not be resumed automatically and must be checked against MT5 by an admin';
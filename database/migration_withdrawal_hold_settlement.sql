@@ -0,0 +1,16 @@
+-- Migration: Settle MT5 withdrawal reservations with an unknown outcome
+-- When the MT5 deduction of a withdrawal request times out or gets a 5xx, the
+-- request stays pending with hold_status = 'placing'. The
+-- settle-withdrawal-holds job looks the deduction up in the account's MT5 deal
+-- history (by its "Withdrawal #<id> reserved" comment): found -> held, absent ->
+-- failed. Rows it can not settle in time are flagged for an admin.
+
+ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS hold_error TEXT,
+    ADD COLUMN IF NOT EXISTS hold_checked_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_placing ON withdrawals(updated_at) WHERE hold_status = 'placing';
+
+COMMENT ON COLUMN withdrawals.hold_error IS 'Last error of the MT5 reservation or of settling it';
+COMMENT ON COLUMN withdrawals.needs_review IS 'Reservation outcome could not be settled automatically; check the MT5 account before resolving';
@@ -0,0 +1,25 @@
+-- Migration: Reserve withdrawal funds at request time
+-- MT5-sourced withdrawals are deducted on MT5 when requested; wallet-sourced
+-- withdrawals move the amount from balance to held_balance. The hold is
+-- released on reject/cancel and finalized on approve.
+
+ALTER TABLE wallets
+    ADD COLUMN IF NOT EXISTS held_balance DECIMAL(18, 8) NOT NULL DEFAULT 0;
+
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_held_balance_check;
+ALTER TABLE wallets ADD CONSTRAINT wallets_held_balance_check CHECK (held_balance >= 0);
+
+ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS wallet_id INTEGER REFERENCES wallets(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS hold_status VARCHAR(20), -- NULL for requests made before holds existed
+    ADD COLUMN IF NOT EXISTS held_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+
+ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_hold_status_check;
+ALTER TABLE withdrawals ADD CONSTRAINT withdrawals_hold_status_check
+    CHECK (hold_status IS NULL OR hold_status IN ('placing', 'held', 'releasing', 'released', 'finalized'));
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_hold_status ON withdrawals(hold_status);
+
+COMMENT ON COLUMN wallets.held_balance IS 'Funds reserved by pending withdrawals (not included in balance)';
+COMMENT ON COLUMN withdrawals.hold_status IS 'placing, held, releasing, released, finalized; placing/releasing left behind means an MT5 call outcome must be checked';
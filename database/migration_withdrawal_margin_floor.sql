@@ -0,0 +1,13 @@
+-- Migration: Margin-level floor for MT5 withdrawals and transfers
+-- Withdrawals and transfers out of an MT5 account are validated against live
+-- free margin (minus credit/bonus). A group can additionally require the
+-- account's margin level to stay at or above a floor after the money leaves.
+
+ALTER TABLE mt5_groups
+    ADD COLUMN IF NOT EXISTS withdrawal_margin_level_floor DECIMAL(10, 2);
+
+ALTER TABLE mt5_groups DROP CONSTRAINT IF EXISTS check_withdrawal_margin_level_floor;
+ALTER TABLE mt5_groups ADD CONSTRAINT check_withdrawal_margin_level_floor
+    CHECK (withdrawal_margin_level_floor IS NULL OR withdrawal_margin_level_floor >= 0);
+
+COMMENT ON COLUMN mt5_groups.withdrawal_margin_level_floor IS 'Minimum margin level (%) an account with open positions must keep after a withdrawal or transfer; NULL = free margin check only';
@@ -0,0 +1,41 @@
+-- Migration: Client withdrawals go to approved payment details only
+-- A withdrawal references an admin-approved payment_details row and keeps an
+-- immutable copy of the payout destination as it was when requested, so later
+-- edits of the payment detail never change where a withdrawal is paid.
+-- Destinations added or changed recently are blocked for a cooling-off period
+-- (WITHDRAWAL_DESTINATION_COOLDOWN_HOURS) to slow down account takeovers.
+
+ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS payment_detail_id INTEGER REFERENCES payment_details(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS payout_snapshot JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_payment_detail_id ON withdrawals(payment_detail_id);
+
+-- Once written, the snapshot can not be changed or removed
+CREATE OR REPLACE FUNCTION prevent_payout_snapshot_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.payout_snapshot IS NOT NULL AND NEW.payout_snapshot IS DISTINCT FROM OLD.payout_snapshot THEN
+        RAISE EXCEPTION 'withdrawals.payout_snapshot is immutable (withdrawal %)', OLD.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS withdrawals_payout_snapshot_immutable ON withdrawals;
+CREATE TRIGGER withdrawals_payout_snapshot_immutable
+    BEFORE UPDATE OF payout_snapshot ON withdrawals
+    FOR EACH ROW EXECUTE FUNCTION prevent_payout_snapshot_change();
+
+-- When the destination itself was last set (created or edited), unlike
+-- updated_at which also moves on admin review
+ALTER TABLE payment_details
+    ADD COLUMN IF NOT EXISTS details_changed_at TIMESTAMPTZ;
+
+UPDATE payment_details SET details_changed_at = created_at WHERE details_changed_at IS NULL;
+
+ALTER TABLE payment_details ALTER COLUMN details_changed_at SET DEFAULT NOW();
+ALTER TABLE payment_details ALTER COLUMN details_changed_at SET NOT NULL;
+
+COMMENT ON COLUMN withdrawals.payout_snapshot IS 'Immutable copy of the approved payment detail the withdrawal is paid to';
+COMMENT ON COLUMN payment_details.details_changed_at IS 'Creation or last edit of the payout destination; starts the withdrawal cooling-off period';
@@ -23,8 +23,22 @@ import ibRequestsRoutes from './routes/ibRequests.js';
 import ibRoutes from './routes/ib.js';
 import ibWithdrawalsRoutes from './routes/ibWithdrawals.js';
 import ibWithdrawalAdminRoutes from './routes/ibWithdrawalAdmin.js';
+import ledgerAdminRoutes from './routes/ledgerAdmin.js';
+import fxRatesAdminRoutes from './routes/fxRatesAdmin.js';
+import reconciliationAdminRoutes from './routes/reconciliationAdmin.js';
+import clientTransfersAdminRoutes from './routes/clientTransfersAdmin.js';
+import payoutBatchesAdminRoutes from './routes/payoutBatchesAdmin.js';
+import approvalPoliciesAdminRoutes from './routes/approvalPoliciesAdmin.js';
+import limitsRoutes from './routes/limits.js';
+import limitRulesAdminRoutes from './routes/limitRulesAdmin.js';
+import depositRiskAdminRoutes from './routes/depositRiskAdmin.js';
+import gatewayPayoutsAdminRoutes from './routes/gatewayPayoutsAdmin.js';
+import jobsAdminRoutes from './routes/jobsAdmin.js';
+import mt5OperationsAdminRoutes from './routes/mt5OperationsAdmin.js';
 import pool from './config/database.js';
-import { syncAllCommissions } from './services/ib_commission.service.js';
+import { startScheduler } from './services/scheduler.service.js';
+import { getMt5CircuitState } from './services/mt5/client.js';
+import './services/scheduledJobs.js';
 
 dotenv.config();
 
@@ -132,61 +146,14 @@ const ensureWithdrawalsTable = async () => {
   }
 };
 
-// Scheduled job to cancel expired deposits (runs every 5 minutes)
-const cancelExpiredDeposits = async () => {
-  try {
-    // Test connection first - if it fails, skip this run
-    await pool.query('SELECT 1');
-
-    // Find pending deposits with cregis_order_id that are older than 60 minutes
-    const result = await pool.query(
-      `UPDATE deposit_requests 
-       SET status = 'cancelled', 
-           cregis_status = 'expired',
-           updated_at = NOW()
-       WHERE status = 'pending' 
-         AND cregis_order_id IS NOT NULL
-         AND created_at < NOW() - INTERVAL '60 minutes'
-       RETURNING id, cregis_order_id`
-    );
-
-    if (result.rows.length > 0) {
-      console.log(`✅ Cancelled ${result.rows.length} expired deposit(s):`,
-        result.rows.map(r => `#${r.id} (${r.cregis_order_id})`).join(', '));
-
-      // Also update cregis_transactions if they exist
-      for (const row of result.rows) {
-        try {
-          await pool.query(
-            `UPDATE cregis_transactions 
-             SET cregis_status = 'expired', updated_at = NOW()
-             WHERE deposit_request_id = $1`,
-            [row.id]
-          );
-        } catch (err) {
-          // Ignore errors updating cregis_transactions (table might not exist)
-          console.warn(`⚠️  Could not update cregis_transactions for deposit #${row.id}:`, err.message);
-        }
-      }
-    }
-  } catch (error) {
-    // Don't log connection errors as errors - they're expected during startup
-    if (error.message && error.message.includes('Connection terminated')) {
-      console.warn('⚠️  Database not ready yet, skipping expired deposits check');
-    } else {
-      console.error('❌ Error cancelling expired deposits:', error.message);
-    }
-  }
-};
-
 // Initialize database connection and tables (non-blocking)
 (async () => {
   try {
     const connected = await testDatabaseConnection();
     if (connected) {
       await ensureWithdrawalsTable();
-      // Only run cancelExpiredDeposits after connection is established
-      cancelExpiredDeposits();
+      // Background jobs only start once the database is reachable
+      await startScheduler();
     } else {
       // Retry connection in background
       console.log('🔄 Will retry database connection in background...');
@@ -194,8 +161,9 @@ const cancelExpiredDeposits = async () => {
         const retryConnected = await testDatabaseConnection(10, 5000);
         if (retryConnected) {
           await ensureWithdrawalsTable();
-          cancelExpiredDeposits();
         }
+        // Started either way: the scheduler retries the database on every tick
+        await startScheduler();
       }, 10000); // Retry after 10 seconds
     }
   } catch (error) {
@@ -204,13 +172,6 @@ const cancelExpiredDeposits = async () => {
   }
 })();
 
-// Run every 5 minutes (will skip if database is not ready)
-setInterval(cancelExpiredDeposits, 5 * 60 * 1000); // Every 5 minutes
-
-// Run IB Commission Sync every 15 minutes
-syncAllCommissions(); // Initial run
-setInterval(syncAllCommissions, 15 * 60 * 1000);
-
 // Middleware
 // CORS: fully open for all origins (including https://portal.solitairemarkets.com)
 // The request Origin will be reflected back in Access-Control-Allow-Origin.
@@ -219,7 +180,8 @@ app.use(cors({
   origin: true,        // reflect request origin
   credentials: true,    // allow cookies/authorization headers
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -235,7 +197,8 @@ app.get('/api/health', async (req, res) => {
     res.json({
       status: 'ok',
       message: 'Server is running',
-      database: 'connected'
+      database: 'connected',
+      mt5Circuit: getMt5CircuitState().state
     });
   } catch (error) {
     // Still return 200 but indicate DB is not connected
@@ -243,6 +206,7 @@ app.get('/api/health', async (req, res) => {
       status: 'ok',
       message: 'Server is running',
       database: 'disconnected',
+      mt5Circuit: getMt5CircuitState().state,
       warning: 'Database connection pending'
     });
   }
@@ -282,6 +246,18 @@ app.use('/api/ib-requests', ibRequestsRoutes);
 app.use('/api/ib', ibRoutes);
 app.use('/api/ib-withdrawals', ibWithdrawalsRoutes);
 app.use('/api/admin/ib-withdrawals', ibWithdrawalAdminRoutes);
+app.use('/api/admin/ledger', ledgerAdminRoutes);
+app.use('/api/admin/fx-rates', fxRatesAdminRoutes);
+app.use('/api/admin/reconciliation', reconciliationAdminRoutes);
+app.use('/api/admin/client-transfers', clientTransfersAdminRoutes);
+app.use('/api/admin/payout-batches', payoutBatchesAdminRoutes);
+app.use('/api/admin/approval-policies', approvalPoliciesAdminRoutes);
+app.use('/api/limits', limitsRoutes);
+app.use('/api/admin/limit-rules', limitRulesAdminRoutes);
+app.use('/api/admin/deposit-risk', depositRiskAdminRoutes);
+app.use('/api/admin/gateway-payouts', gatewayPayoutsAdminRoutes);
+app.use('/api/admin/jobs', jobsAdminRoutes);
+app.use('/api/admin/mt5-operations', mt5OperationsAdminRoutes);
 
 // Debug: Log registered routes
 console.log('✅ Routes registered:');
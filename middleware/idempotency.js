@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import pool from '../config/database.js';
+
+const KEY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted keys so the same body always hashes the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function requestFingerprint(req) {
+  const file = req.file ? { name: req.file.originalname, size: req.file.size } : null;
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}\n${stableStringify(file)}`)
+    .digest('hex');
+}
+
+// Drop an uploaded file that belongs to a request we are not going to process
+function discardUpload(req) {
+  if (req.file?.path) {
+    fs.unlink(req.file.path, () => {});
+  }
+}
+
+/**
+ * Honour the Idempotency-Key header on money-moving endpoints.
+ * The first request with a key is processed and its JSON response stored;
+ * retries with the same key and body get the stored response replayed,
+ * the same key with a different body is rejected.
+ * Must run after authenticate/authenticateAdmin (keys are scoped per user/admin)
+ * and after any body parser (e.g. multer) so the body can be fingerprinted.
+ * Requests without the header are processed as before.
+ */
+export function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    discardUpload(req);
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const scope = req.admin
+    ? `admin:${req.admin.adminId || req.admin.id}`
+    : `user:${req.user?.id}`;
+  const path = `${req.baseUrl}${req.path}`;
+  const requestHash = requestFingerprint(req);
+
+  (async () => {
+    // Expired keys can be reused
+    await pool.query(
+      'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND expires_at < NOW()',
+      [scope, key]
+    );
+
+    const inserted = await pool.query(
+      `INSERT INTO idempotency_keys (scope, idempotency_key, method, path, request_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' hours')::interval)
+       ON CONFLICT (scope, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [scope, key, req.method, path, requestHash, String(KEY_TTL_HOURS)]
+    );
+
+    if (inserted.rows.length === 0) {
+      const existing = await pool.query(
+        'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+        [scope, key]
+      );
+      const record = existing.rows[0];
+      discardUpload(req);
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'The previous request with this Idempotency-Key failed, please retry'
+        });
+      }
+      if (record.request_hash !== requestHash || record.path !== path) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+      if (record.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    const recordId = inserted.rows[0].id;
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = function (data) {
+      responseBody = data;
+      return originalJson(data);
+    };
+
+    // A client that disconnects early leaves the key in_progress (retries get 409), never re-run
+    res.on('finish', () => {
+      // Server errors and non-JSON responses are not stored so the client can retry
+      const store = responseBody !== undefined && res.statusCode < 500;
+      const query = store
+        ? pool.query(
+          `UPDATE idempotency_keys
+           SET status = 'completed', response_status = $2, response_body = $3, completed_at = NOW()
+           WHERE id = $1`,
+          [recordId, res.statusCode, JSON.stringify(responseBody)]
+        )
+        : pool.query('DELETE FROM idempotency_keys WHERE id = $1', [recordId]);
+      query.catch(error => console.error('Failed to save idempotency key:', error.message));
+    });
+
+    next();
+  })().catch(error => {
+    console.error('Idempotency middleware error:', error);
+    discardUpload(req);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  });
+}
@@ -1,11 +1,16 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { comparePassword, encryptPassword, generateRandomPassword } from '../utils/helpers.js';
 import * as mt5Service from '../services/mt5.service.js';
+import { getWithdrawableBreakdown } from '../services/mt5Funds.service.js';
+import { getAccountLiveState, getUserAccountsOverview } from '../services/mt5Live.service.js';
+import { executeTransfer } from '../services/transferSaga.service.js';
+import { evaluateLimits } from '../services/limits.service.js';
 import dotenv from 'dotenv';
 import { logUserAction } from '../services/logging.service.js';
-import { sendMT5AccountCreatedEmail } from '../services/templateEmail.service.js';
+import { sendMT5AccountCreatedEmail, sendInternalTransferEmail } from '../services/templateEmail.service.js';
 
 dotenv.config();
 
@@ -109,6 +114,90 @@ router.get('/groups', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/accounts/overview
+ * Open positions, equity, margin, free margin and margin level of every real
+ * MT5 account of the user, with totals per currency. Live figures are cached
+ * for a few seconds (services/mt5Live.service.js).
+ */
+router.get('/overview', authenticate, async (req, res) => {
+  try {
+    const overview = await getUserAccountsOverview(req.user.id);
+
+    // Nothing to show when the bridge answered for none of the accounts
+    if (overview.accounts.length > 0 && overview.failedAccounts === overview.accounts.length) {
+      const retryable = overview.accounts.some(account => account.retryable);
+      return res.status(retryable ? 503 : 500).json({
+        success: false,
+        error: 'Failed to fetch live account data from MT5'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: overview
+    });
+  } catch (error) {
+    console.error('Get accounts overview error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch accounts overview'
+    });
+  }
+});
+
+/**
+ * GET /api/accounts/:accountNumber/positions
+ * Open positions and live funds of one MT5 account, cached for a few seconds
+ */
+router.get('/:accountNumber/positions', authenticate, async (req, res) => {
+  try {
+    const { accountNumber } = req.params;
+
+    if (Number.isNaN(parseInt(accountNumber, 10))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account number'
+      });
+    }
+
+    const accountCheck = await pool.query(
+      'SELECT id FROM trading_accounts WHERE account_number = $1 AND user_id = $2 AND platform = \'MT5\'',
+      [accountNumber, req.user.id]
+    );
+
+    if (accountCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found or does not belong to you'
+      });
+    }
+
+    try {
+      const state = await getAccountLiveState(accountNumber);
+      res.json({
+        success: true,
+        data: {
+          accountNumber,
+          ...state
+        }
+      });
+    } catch (mt5Error) {
+      console.error('MT5 API error:', mt5Error);
+      res.status(mt5Error.retryable ? 503 : 500).json({
+        success: false,
+        error: mt5Error.message || 'Failed to fetch positions from MT5'
+      });
+    }
+  } catch (error) {
+    console.error('Get account positions error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch account positions'
+    });
+  }
+});
+
 /**
  * GET /api/accounts/:accountNumber/balance
  * Get real-time balance data from MT5 API for a specific account
@@ -142,58 +231,51 @@ router.get('/:accountNumber/balance', authenticate, async (req, res) => {
         });
       }
 
-      const profileResult = await mt5Service.getClientProfile(login);
+      const snapshot = await mt5Service.getAccountSnapshot(login);
+      const mt5Data = snapshot.raw;
 
-      if (profileResult.success && profileResult.data) {
-        // Handle different response structures (Data or direct properties)
-        const mt5Data = profileResult.data.Data || profileResult.data;
-
-        // Log for debugging
-        // console.log(`MT5 Balance Fetch for ${accountNumber}:`, JSON.stringify(mt5Data));
-
-        // Update balance in database
-        await pool.query(
-          `UPDATE trading_accounts 
-           SET balance = $1, equity = $2, credit = $3, free_margin = $4, margin = $5, leverage = $6, updated_at = NOW()
-           WHERE account_number = $7 AND user_id = $8`,
-          [
-            parseFloat(mt5Data.Balance || 0),
-            parseFloat(mt5Data.Equity || 0),
-            parseFloat(mt5Data.Credit || 0),
-            parseFloat(mt5Data.MarginFree || 0),
-            parseFloat(mt5Data.Margin || 0),
-            parseInt(mt5Data.Leverage || 2000),
-            accountNumber,
-            userId
-          ]
-        );
+      // Update balance in database
+      await pool.query(
+        `UPDATE trading_accounts 
+         SET balance = $1, equity = $2, credit = $3, free_margin = $4, margin = $5, leverage = $6, updated_at = NOW()
+         WHERE account_number = $7 AND user_id = $8`,
+        [
+          snapshot.balance ?? 0,
+          snapshot.equity,
+          snapshot.credit,
+          snapshot.freeMargin,
+          snapshot.margin,
+          snapshot.leverage || 2000,
+          accountNumber,
+          userId
+        ]
+      );
 
-        res.json({
-          success: true,
-          data: {
-            // Include all raw data from MT5
-            ...mt5Data,
-
-            // Normalized fields for frontend
-            leverage: mt5Data.Leverage || 2000,
-            equity: parseFloat(mt5Data.Equity || 0),
-            balance: parseFloat(mt5Data.Balance || 0),
-            margin: parseFloat(mt5Data.Margin || 0),
-            credit: parseFloat(mt5Data.Credit || 0),
-            marginFree: parseFloat(mt5Data.MarginFree || 0),
-            profit: parseFloat(mt5Data.Profit || 0),
-            floating: parseFloat(mt5Data.Floating || 0),
-            // Potential deposit/withdrawal fields (guesses based on common MT5 APIs)
-            totalDeposit: parseFloat(mt5Data.Deposit || mt5Data.TotalDeposit || 0),
-            totalWithdrawal: parseFloat(mt5Data.Withdrawal || mt5Data.TotalWithdrawal || 0)
-          }
-        });
-      } else {
-        throw new Error(profileResult.data?.Message || 'Failed to fetch client profile');
-      }
+      res.json({
+        success: true,
+        data: {
+          // Include all raw data from MT5
+          ...mt5Data,
+
+          // Normalized fields for frontend
+          leverage: snapshot.leverage || 2000,
+          equity: snapshot.equity,
+          balance: snapshot.balance ?? 0,
+          margin: snapshot.margin,
+          credit: snapshot.credit,
+          marginFree: snapshot.freeMargin,
+          marginLevel: snapshot.marginLevel,
+          profit: parseFloat(mt5Data.Profit || 0),
+          floating: parseFloat(mt5Data.Floating || 0),
+          // Potential deposit/withdrawal fields (guesses based on common MT5 APIs)
+          totalDeposit: parseFloat(mt5Data.Deposit || mt5Data.TotalDeposit || 0),
+          totalWithdrawal: parseFloat(mt5Data.Withdrawal || mt5Data.TotalWithdrawal || 0)
+        }
+      });
     } catch (mt5Error) {
       console.error('MT5 API error:', mt5Error);
-      res.status(500).json({
+      // The bridge being down or slow is not the client's fault: let them retry
+      res.status(mt5Error.retryable ? 503 : 500).json({
         success: false,
         error: mt5Error.message || 'Failed to fetch balance from MT5'
       });
@@ -751,6 +833,158 @@ router.post('/create', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/accounts/transfer
+ * Move funds directly between two of the user's own MT5 accounts
+ * Body: fromAccount, toAccount, amount (in the source account's currency)
+ */
+router.post('/transfer', authenticate, idempotency, async (req, res, next) => {
+  try {
+    const { fromAccount, toAccount, amount } = req.body;
+    const numericAmount = Number(amount);
+
+    if (!fromAccount || !toAccount || !numericAmount || numericAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source account, destination account and positive amount are required'
+      });
+    }
+    if (String(fromAccount) === String(toAccount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination accounts must differ'
+      });
+    }
+
+    // Both accounts must be live MT5 accounts of this user
+    const accRes = await pool.query(
+      `SELECT account_number, account_status
+       FROM trading_accounts
+       WHERE user_id = $1 AND account_number = ANY($2) AND platform = 'MT5' AND COALESCE(is_demo, FALSE) = FALSE`,
+      [req.user.id, [String(fromAccount), String(toAccount)]]
+    );
+    if (accRes.rows.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trading account not found for this user'
+      });
+    }
+    if (accRes.rows.some(row => row.account_status && row.account_status !== 'active')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both trading accounts must be active'
+      });
+    }
+
+    const login = parseInt(fromAccount, 10);
+    if (Number.isNaN(login) || Number.isNaN(parseInt(toAccount, 10))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid MT5 account number'
+      });
+    }
+
+    // Live free margin (minus credit), not the cached balance: open positions may be using it
+    let breakdown;
+    try {
+      breakdown = await getWithdrawableBreakdown(login);
+    } catch (mt5Error) {
+      console.error('Withdrawable amount check failed:', mt5Error.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to verify your MT5 balance right now. Please try again shortly.'
+      });
+    }
+    if (numericAmount > breakdown.withdrawable) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient free margin. Available to transfer: ${breakdown.currency} ${breakdown.withdrawable.toFixed(2)}`,
+        data: breakdown
+      });
+    }
+
+    const limitCheck = await evaluateLimits({
+      userId: req.user.id,
+      operation: 'transfer',
+      amount: numericAmount,
+      currency: breakdown.currency
+    });
+    if (!limitCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: limitCheck.message,
+        limit: limitCheck.blockedBy
+      });
+    }
+
+    // MT5 debit -> MT5 credit -> completed, source re-credited if the credit fails
+    const { transfer } = await executeTransfer({
+      userId: req.user.id,
+      from: { type: 'mt5', account: String(fromAccount) },
+      to: { type: 'mt5', account: String(toAccount) },
+      amount: numericAmount,
+      reference: 'Internal transfer: MT5 → MT5'
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer between accounts successful',
+      data: {
+        transferId: transfer.id,
+        fromAccount: transfer.from_account,
+        toAccount: transfer.to_account,
+        amount: Number(transfer.amount),
+        currency: transfer.currency,
+        // Set when the two accounts' groups use different currencies
+        convertedAmount: transfer.to_amount !== null ? Number(transfer.to_amount) : null,
+        convertedCurrency: transfer.to_currency,
+        fxRate: transfer.fx_rate !== null ? Number(transfer.fx_rate) : null
+      }
+    });
+
+    setImmediate(async () => {
+      try {
+        await logUserAction({
+          userId: req.user.id,
+          userEmail: req.user.email,
+          actionType: 'mt5_internal_transfer',
+          actionCategory: 'mt5',
+          targetType: 'internal_transfer',
+          targetId: transfer.id,
+          targetIdentifier: `${transfer.from_account} → ${transfer.to_account}`,
+          description: `Transferred ${Number(transfer.amount)} ${transfer.currency} from MT5 ${transfer.from_account} to MT5 ${transfer.to_account}`,
+          req,
+          res,
+          beforeData: null,
+          afterData: transfer
+        });
+
+        const userResult = await pool.query('SELECT email, first_name, last_name FROM users WHERE id = $1', [req.user.id]);
+        if (userResult.rows.length > 0) {
+          const user = userResult.rows[0];
+          const userName = `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Valued Customer';
+          await sendInternalTransferEmail(
+            user.email,
+            userName,
+            transfer.from_account,
+            transfer.to_account,
+            `${numericAmount} ${transfer.currency}`,
+            new Date().toLocaleDateString()
+          );
+        }
+      } catch (notifyError) {
+        console.error('Failed to log/send MT5 transfer notification:', notifyError);
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('MT5 to MT5 transfer error:', error);
+    next(error);
+  }
+});
+
 /**
  * PUT /api/accounts/:accountNumber/password
  * Change MT5 account password
@@ -1,7 +1,16 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { adjustWalletBalance, createWalletForUser } from '../services/wallet.service.js';
+import { SYSTEM_ACCOUNTS, mt5Account, recordEntry, recordEntrySafe } from '../services/ledger.service.js';
+import { executeTransfer } from '../services/transferSaga.service.js';
+import { finalizeWithdrawal, releaseWithdrawalHold } from '../services/withdrawalHold.service.js';
+import { isGatewayPayoutEligible, startWithdrawalPayout } from '../services/gatewayPayout.service.js';
+import { recordApproval, getApprovalStatuses } from '../services/approvalPolicy.service.js';
+import { findCreditedTxHash } from '../services/depositRisk.service.js';
 import * as mt5Service from '../services/mt5.service.js';
+import { dispatchMt5Operation, enqueueMt5Operation } from '../services/mt5Outbox.service.js';
+import { getMt5Metrics } from '../services/mt5/client.js';
+import { toList } from '../services/mt5/normalize.js';
 import { hashPassword, comparePassword, generateRandomPassword, encryptPassword } from '../utils/helpers.js';
 import { validateLogin } from '../middleware/validate.js';
 import jwt from 'jsonwebtoken';
@@ -30,6 +39,7 @@ import {
 import { logAdminAction } from '../services/logging.service.js';
 import { captureResponseData, logAdminActionMiddleware } from '../middleware/logging.middleware.js';
 import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -1841,7 +1851,7 @@ router.get('/users/with-balance', authenticateAdmin, async (req, res, next) => {
 
     // Fetch balance for each account and sum per user
     const items = [];
-    const { getClientProfile } = await import('../services/mt5.service.js');
+    const { getAccountSnapshot } = await import('../services/mt5.service.js');
 
     for (const userRow of usersWithAccountsResult.rows) {
       const userId = userRow.id;
@@ -1855,14 +1865,14 @@ router.get('/users/with-balance', authenticateAdmin, async (req, res, next) => {
       // Fetch balance for each account
       for (const account of accounts) {
         try {
-          const profileResult = await getClientProfile(account.accountId);
-          if (profileResult.success && profileResult.data?.Success && profileResult.data?.Data) {
-            const balance = parseFloat(profileResult.data.Data.Balance || 0);
+          const snapshot = await getAccountSnapshot(account.accountId);
+          if (snapshot.balance !== null) {
+            const balance = snapshot.balance;
             if (balance > 0) {
               totalBalance += balance;
               mt5Accounts.push({
                 accountId: account.accountId,
-                group: profileResult.data.Data.Group || null,
+                group: snapshot.group,
                 createdAt: null // We don't have this in the response
               });
             }
@@ -2536,7 +2546,7 @@ router.delete('/users/:id', authenticateAdmin, async (req, res, next) => {
 
     // Check wallet balance
     const walletCheck = await pool.query(
-      'SELECT balance FROM wallets WHERE user_id = $1',
+      'SELECT balance FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
       [userId]
     );
 
@@ -2641,7 +2651,7 @@ router.get('/users/:id', authenticateAdmin, async (req, res, next) => {
     let walletBalance = 0;
     try {
       const walletResult = await pool.query(
-        'SELECT balance FROM wallets WHERE user_id = $1',
+        'SELECT balance FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
         [userId]
       );
       if (walletResult.rows.length > 0) {
@@ -3879,6 +3889,7 @@ router.get('/group-management', authenticateAdmin, async (req, res, next) => {
         maximum_deposit,
         minimum_withdrawal,
         maximum_withdrawal,
+        withdrawal_margin_level_floor,
         is_active,
         updated_at AS synced_at,
         created_at
@@ -3925,12 +3936,7 @@ router.post(
       const existingCols = new Set(colsRes.rows.map((r) => r.column_name));
 
       const mt5 = await mt5Service.getGroups();
-      const raw = mt5?.data;
-      const list = Array.isArray(raw?.Data)
-        ? raw.Data
-        : Array.isArray(raw)
-          ? raw
-          : [];
+      const list = toList(mt5?.data);
 
       let created = 0;
       let updated = 0;
@@ -4181,7 +4187,7 @@ router.delete(
 
 /**
  * PUT /api/admin/group-management/:id/limits
- * Update deposit and withdrawal limits for a group
+ * Update deposit and withdrawal limits (and the withdrawal margin-level floor) for a group
  */
 router.put(
   '/group-management/:id/limits',
@@ -4197,7 +4203,8 @@ router.put(
         minimum_deposit,
         maximum_deposit,
         minimum_withdrawal,
-        maximum_withdrawal
+        maximum_withdrawal,
+        withdrawal_margin_level_floor
       } = req.body;
 
       // Validate all values are non-negative
@@ -4213,6 +4220,9 @@ router.put(
       if (maximum_withdrawal !== undefined && maximum_withdrawal !== null && maximum_withdrawal < 0) {
         return res.status(400).json({ ok: false, error: 'Maximum withdrawal must be >= 0' });
       }
+      if (withdrawal_margin_level_floor !== undefined && withdrawal_margin_level_floor !== null && withdrawal_margin_level_floor < 0) {
+        return res.status(400).json({ ok: false, error: 'Withdrawal margin level floor must be >= 0' });
+      }
 
       // Validate min < max (when max is not null)
       if (minimum_deposit !== undefined && maximum_deposit !== undefined && maximum_deposit !== null) {
@@ -4247,6 +4257,10 @@ router.put(
         updates.push(`maximum_withdrawal = $${paramIndex++}`);
         values.push(maximum_withdrawal);
       }
+      if (withdrawal_margin_level_floor !== undefined) {
+        updates.push(`withdrawal_margin_level_floor = $${paramIndex++}`);
+        values.push(withdrawal_margin_level_floor);
+      }
 
       if (updates.length === 0) {
         return res.status(400).json({ ok: false, error: 'No limit fields to update' });
@@ -4257,7 +4271,7 @@ router.put(
         UPDATE mt5_groups
         SET ${updates.join(', ')}, updated_at = NOW()
         WHERE id = $${paramIndex}
-        RETURNING id, minimum_deposit, maximum_deposit, minimum_withdrawal, maximum_withdrawal
+        RETURNING id, minimum_deposit, maximum_deposit, minimum_withdrawal, maximum_withdrawal, withdrawal_margin_level_floor
       `;
 
       const result = await pool.query(updateQuery, values);
@@ -4600,6 +4614,18 @@ router.post(
   }
 );
 
+/**
+ * GET /api/admin/mt5/metrics
+ * MT5 bridge health as seen by this instance: circuit breaker state and
+ * per-operation request counts and latency since the process started
+ */
+router.get('/mt5/metrics', authenticateAdmin, async (req, res) => {
+  res.json({
+    ok: true,
+    metrics: getMt5Metrics()
+  });
+});
+
 /**
  * GET /api/admin/mt5/groups
  * Get all MT5 groups from MT5 API
@@ -4617,11 +4643,11 @@ router.get('/mt5/groups', authenticateAdmin, async (req, res) => {
     }
 
     // Transform MT5 groups data to match expected format
-    const groups = Array.isArray(result.data) ? result.data.map(group => ({
+    const groups = toList(result.data).map(group => ({
       id: group.Group || group.name,
       name: group.Group || group.name,
       status: 'active' // All groups from MT5 are considered active
-    })) : [];
+    }));
 
     res.json({
       ok: true,
@@ -5204,7 +5230,7 @@ router.get('/mt5/proxy/:accountId/getClientBalance', authenticateAdmin, async (r
  * POST /api/admin/mt5/deposit
  * Add balance to MT5 account
  */
-router.post('/mt5/deposit', authenticateAdmin, async (req, res, next) => {
+router.post('/mt5/deposit', authenticateAdmin, idempotency, async (req, res, next) => {
   try {
     const { mt5_login, amount, comment } = req.body;
 
@@ -5231,16 +5257,15 @@ router.post('/mt5/deposit', authenticateAdmin, async (req, res, next) => {
       });
     }
 
-    const result = await mt5Service.addBalance(
-      login,
-      balance,
-      comment || `Deposit by admin ${req.admin.email}`
-    );
-
-    // Create deposit_request record in database (audit trail)
+    // Deposit record, ledger entry and the queued MT5 credit commit together
+    let deposit = null;
+    let user = null;
+    let queuedOperation;
+    const client = await pool.connect();
     try {
-      // Get user info and account details
-      const accountResult = await pool.query(
+      await client.query('BEGIN');
+
+      const accountResult = await client.query(
         `SELECT u.id, u.email, u.first_name, u.last_name, ta.currency 
          FROM trading_accounts ta
          INNER JOIN users u ON ta.user_id = u.id
@@ -5250,23 +5275,34 @@ router.post('/mt5/deposit', authenticateAdmin, async (req, res, next) => {
       );
 
       if (accountResult.rows.length > 0) {
-        const user = accountResult.rows[0];
+        user = accountResult.rows[0];
         const userCurrency = user.currency || 'USD';
         const adminNotes = `Admin Direct Deposit by ${req.admin.email}. ${comment || ''}`.trim();
 
-        // Insert into deposit_requests
-        const depositResult = await pool.query(
+        // deposit_requests row is the audit trail
+        const depositResult = await client.query(
           `INSERT INTO deposit_requests 
            (user_id, gateway_id, amount, currency, deposit_to_type, mt5_account_id, status, admin_notes, created_at, updated_at)
            VALUES ($1, NULL, $2, $3, 'mt5', $4, 'approved', $5, NOW(), NOW())
            RETURNING id`,
           [user.id, balance, userCurrency, mt5_login.toString(), adminNotes]
         );
-
-        console.log(`Admin deposit record created: #${depositResult.rows[0].id} for user ${user.email}`);
+        deposit = depositResult.rows[0];
+
+        await recordEntry({
+          entryType: 'deposit',
+          debit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+          credit: mt5Account(login, { userId: user.id, currency: userCurrency }),
+          amount: balance,
+          currency: userCurrency,
+          referenceType: 'deposit_request',
+          referenceId: deposit.id,
+          description: adminNotes,
+          createdByAdmin: req.admin?.adminId || null
+        }, client);
 
         // Update trading_accounts balance in DB to keep it synced
-        await pool.query(
+        await client.query(
           `UPDATE trading_accounts 
            SET balance = COALESCE(balance, 0) + $1, 
                equity = COALESCE(equity, 0) + $1,
@@ -5274,29 +5310,60 @@ router.post('/mt5/deposit', authenticateAdmin, async (req, res, next) => {
            WHERE account_number = $2 AND platform = 'MT5'`,
           [balance, mt5_login.toString()]
         );
-
-        // Send email notification (non-blocking)
-        const userName = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email;
-        const { sendDepositApprovedEmail } = await import('../services/templateEmail.service.js');
-        sendDepositApprovedEmail(
-          user.email,
-          userName,
-          mt5_login.toString(),
-          `$${balance.toFixed(2)}`,
-          new Date().toLocaleDateString()
-        ).catch(err => console.error('Failed to send deposit email:', err));
       } else {
         console.warn(`Could not find user/account for recording admin deposit: ${mt5_login}`);
       }
-    } catch (recordError) {
-      console.error('Failed to record admin deposit in database:', recordError);
-      // We don't fail the request since MT5 action already succeeded
+
+      queuedOperation = await enqueueMt5Operation({
+        operation: 'add_balance',
+        login,
+        amount: balance,
+        comment: comment || `Deposit by admin ${req.admin.email}`,
+        referenceType: deposit ? 'deposit_request' : null,
+        referenceId: deposit ? deposit.id : null,
+        adminId: req.admin?.adminId || null
+      }, client);
+
+      if (deposit) {
+        await client.query(
+          'UPDATE deposit_requests SET credited_at = NOW(), credited_amount = $1, credit_reference = $2 WHERE id = $3',
+          [balance, `mt5:${login}:op:${queuedOperation.id}`, deposit.id]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (deposit) {
+      console.log(`Admin deposit record created: #${deposit.id} for user ${user.email}`);
+    }
+
+    const mt5Operation = await dispatchMt5Operation(queuedOperation.id) || queuedOperation;
+
+    if (user) {
+      // Send email notification (non-blocking)
+      const userName = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email;
+      const { sendDepositApprovedEmail } = await import('../services/templateEmail.service.js');
+      sendDepositApprovedEmail(
+        user.email,
+        userName,
+        mt5_login.toString(),
+        `$${balance.toFixed(2)}`,
+        new Date().toLocaleDateString()
+      ).catch(err => console.error('Failed to send deposit email:', err));
     }
 
     res.json({
       success: true,
-      message: 'Deposit successful',
-      data: result.data
+      message: mt5Operation.status === 'succeeded'
+        ? 'Deposit successful'
+        : 'Deposit recorded; the MT5 balance will be updated once MT5 accepts it',
+      data: mt5Operation
     });
   } catch (error) {
     console.error('MT5 deposit error:', error);
@@ -5312,7 +5379,7 @@ router.post('/mt5/deposit', authenticateAdmin, async (req, res, next) => {
  * POST /api/admin/mt5/withdraw
  * Deduct balance from MT5 account
  */
-router.post('/mt5/withdraw', authenticateAdmin, async (req, res, next) => {
+router.post('/mt5/withdraw', authenticateAdmin, idempotency, async (req, res, next) => {
   try {
     const { mt5_login, amount, comment } = req.body;
 
@@ -5375,6 +5442,18 @@ router.post('/mt5/withdraw', authenticateAdmin, async (req, res, next) => {
 
         console.log(`Admin withdrawal record created: #${withdrawalResult.rows[0].id} for user ${user.email}`);
 
+        await recordEntrySafe({
+          entryType: 'withdrawal',
+          debit: mt5Account(login, { userId: user.id, currency: userCurrency }),
+          credit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+          amount: balance,
+          currency: userCurrency,
+          referenceType: 'withdrawal',
+          referenceId: withdrawalResult.rows[0].id,
+          description: adminComment,
+          createdByAdmin: req.admin?.adminId || null
+        });
+
         // Update trading_accounts balance in DB to keep it synced
         await pool.query(
           `UPDATE trading_accounts 
@@ -5502,7 +5581,7 @@ router.post('/mt5/account/:accountId/disable', authenticateAdmin, async (req, re
  * POST /api/admin/mt5/credit
  * Add credit/bonus to MT5 account (alias for deposit)
  */
-router.post('/mt5/credit', authenticateAdmin, async (req, res, next) => {
+router.post('/mt5/credit', authenticateAdmin, idempotency, async (req, res, next) => {
   try {
     const { mt5_login, amount, currency, status, comment, operation_type } = req.body;
 
@@ -5529,11 +5608,37 @@ router.post('/mt5/credit', authenticateAdmin, async (req, res, next) => {
       });
     }
 
-    const result = await mt5Service.addBalance(
-      login,
-      balance,
-      comment || `Credit by admin ${req.admin.email}`
-    );
+    // Ledger entry and the queued MT5 credit commit together
+    let queuedOperation;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      queuedOperation = await enqueueMt5Operation({
+        operation: 'add_balance',
+        login,
+        amount: balance,
+        comment: comment || `Credit by admin ${req.admin.email}`,
+        adminId: req.admin?.adminId || null
+      }, client);
+      await recordEntry({
+        entryType: 'bonus',
+        debit: SYSTEM_ACCOUNTS.BONUS_EXPENSE,
+        credit: mt5Account(login),
+        amount: balance,
+        referenceType: 'mt5_login',
+        referenceId: login,
+        description: comment || `Credit by admin ${req.admin.email}`,
+        createdByAdmin: req.admin?.adminId || null
+      }, client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const mt5Operation = await dispatchMt5Operation(queuedOperation.id) || queuedOperation;
 
     // Send bonus email notification using template
     try {
@@ -5567,8 +5672,10 @@ router.post('/mt5/credit', authenticateAdmin, async (req, res, next) => {
 
     res.json({
       success: true,
-      message: 'Credit added successfully',
-      data: result.data
+      message: mt5Operation.status === 'succeeded'
+        ? 'Credit added successfully'
+        : 'Credit recorded; the MT5 balance will be updated once MT5 accepts it',
+      data: mt5Operation
     });
   } catch (error) {
     console.error('MT5 credit error:', error);
@@ -5668,35 +5775,43 @@ router.post('/deposits/cash-deposit', authenticateAdmin, requireAdminFeaturePerm
 
     const deposit = depositResult.rows[0];
 
-    // Add balance to MT5 account
-    try {
-      const mt5Service = await import('../services/mt5.service.js');
-      await mt5Service.addBalance(
-        mt5Login,
-        depositAmount,
-        `Cash Deposit #${deposit.id} - ${comment || 'Local depositor'}`
-      );
-
-      // Update trading_accounts balance
-      await client.query(
-        `UPDATE trading_accounts 
-         SET balance = COALESCE(balance, 0) + $1, 
-             equity = COALESCE(equity, 0) + $1,
-             updated_at = NOW()
-         WHERE account_number = $2`,
-        [depositAmount, mt5_account_id]
-      );
-    } catch (mt5Error) {
-      await client.query('ROLLBACK');
-      console.error('Error adding MT5 balance:', mt5Error);
-      return res.status(500).json({
-        ok: false,
-        error: `Failed to add balance to MT5 account: ${mt5Error.message}`
-      });
-    }
+    await recordEntry({
+      entryType: 'deposit',
+      debit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+      credit: mt5Account(mt5Login, { userId: user.id, currency: account.currency || currency }),
+      amount: depositAmount,
+      currency,
+      referenceType: 'deposit_request',
+      referenceId: deposit.id,
+      description: `Cash Deposit #${deposit.id}`,
+      createdByAdmin: adminId || null
+    }, client);
+
+    // The MT5 credit is queued with the deposit and applied after the commit
+    const queuedOperation = await enqueueMt5Operation({
+      operation: 'add_balance',
+      login: mt5Login,
+      amount: depositAmount,
+      comment: `Cash Deposit #${deposit.id} - ${comment || 'Local depositor'}`,
+      referenceType: 'deposit_request',
+      referenceId: deposit.id,
+      adminId: adminId || null
+    }, client);
+
+    // Update trading_accounts balance
+    await client.query(
+      `UPDATE trading_accounts 
+       SET balance = COALESCE(balance, 0) + $1, 
+           equity = COALESCE(equity, 0) + $1,
+           updated_at = NOW()
+       WHERE account_number = $2`,
+      [depositAmount, mt5_account_id]
+    );
 
     await client.query('COMMIT');
 
+    const mt5Operation = await dispatchMt5Operation(queuedOperation.id) || queuedOperation;
+
     // Get user details for email
     const userName = `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Valued Customer';
 
@@ -5740,7 +5855,9 @@ router.post('/deposits/cash-deposit', authenticateAdmin, requireAdminFeaturePerm
 
     res.json({
       ok: true,
-      message: 'Cash deposit created successfully',
+      message: mt5Operation.status === 'succeeded'
+        ? 'Cash deposit created successfully'
+        : 'Cash deposit created; the MT5 balance will be updated once MT5 accepts it',
       deposit: {
         id: deposit.id,
         amount: deposit.amount,
@@ -5748,7 +5865,8 @@ router.post('/deposits/cash-deposit', authenticateAdmin, requireAdminFeaturePerm
         status: deposit.status,
         mt5_account_id: deposit.mt5_account_id,
         created_at: deposit.created_at
-      }
+      },
+      mt5Operation
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -5799,6 +5917,17 @@ router.post('/mt5/credit/deduct', authenticateAdmin, async (req, res, next) => {
       comment || `Credit deduction by admin ${req.admin.email}`
     );
 
+    await recordEntrySafe({
+      entryType: 'bonus',
+      debit: mt5Account(login),
+      credit: SYSTEM_ACCOUNTS.BONUS_EXPENSE,
+      amount: balance,
+      referenceType: 'mt5_login',
+      referenceId: login,
+      description: comment || `Credit deduction by admin ${req.admin.email}`,
+      createdByAdmin: req.admin?.adminId || null
+    });
+
     // Send bonus deduction email notification using template
     try {
       // Get user info from trading account
@@ -5869,11 +5998,14 @@ router.post('/mt5/real-credit/add', authenticateAdmin, async (req, res, next) =>
       });
     }
 
-    const result = await mt5Service.addCredit(
+    const queuedOperation = await enqueueMt5Operation({
+      operation: 'add_credit',
       login,
-      balance,
-      comment || `Credit addition by admin ${req.admin.email}`
-    );
+      amount: balance,
+      comment: comment || `Credit addition by admin ${req.admin.email}`,
+      adminId: req.admin?.adminId || null
+    });
+    const mt5Operation = await dispatchMt5Operation(queuedOperation.id) || queuedOperation;
 
     // Email notification
     try {
@@ -5905,8 +6037,10 @@ router.post('/mt5/real-credit/add', authenticateAdmin, async (req, res, next) =>
 
     res.json({
       success: true,
-      message: 'Credit added successfully',
-      data: result.data
+      message: mt5Operation.status === 'succeeded'
+        ? 'Credit added successfully'
+        : 'Credit queued; it will be applied in MT5 once MT5 accepts it',
+      data: mt5Operation
     });
   } catch (error) {
     console.error('MT5 real-credit add error:', error);
@@ -7173,11 +7307,19 @@ router.get('/deposits', authenticateAdmin, requireAdminFeaturePermission('deposi
         dr.wallet_number,
         dr.status,
         dr.admin_notes,
+        dr.received_amount,
+        dr.credited_amount,
+        dr.amount_difference,
+        dr.review_status,
+        dr.review_reason,
+        dr.risk_score,
+        dr.risk_flags,
         dr.created_at as "createdAt",
         dr.updated_at as "updatedAt",
         u.email,
         u.first_name,
         u.last_name,
+        u.country,
         mg.name as gateway_name,
         mg.type as gateway_type
       FROM deposit_requests dr
@@ -7193,6 +7335,11 @@ router.get('/deposits', authenticateAdmin, requireAdminFeaturePermission('deposi
       params.push(status);
     }
 
+    // ?review=pending lists partial payments waiting for an admin decision
+    if (req.query.review === 'pending') {
+      conditions.push(`dr.review_status = 'pending_review'`);
+    }
+
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(' AND ')}`;
     }
@@ -7212,6 +7359,11 @@ router.get('/deposits', authenticateAdmin, requireAdminFeaturePermission('deposi
     const total = parseInt(countResult.rows[0].count);
     const totalSum = parseFloat(countResult.rows[0].total_sum || 0);
 
+    const approvalStatuses = await getApprovalStatuses(
+      'deposit',
+      result.rows.map(row => ({ ...row, method: row.gateway_type }))
+    );
+
     const items = result.rows.map(row => {
       // Ensure wallet_id is properly converted to integer or null
       const walletId = row.wallet_id ? parseInt(row.wallet_id) : null;
@@ -7247,6 +7399,15 @@ router.get('/deposits', authenticateAdmin, requireAdminFeaturePermission('deposi
         walletId: walletId,
         walletNumber: row.wallet_number || null, // Now comes directly from deposit_requests table
         status: row.status,
+        receivedAmount: row.received_amount !== null ? parseFloat(row.received_amount) : null,
+        creditedAmount: row.credited_amount !== null ? parseFloat(row.credited_amount) : null,
+        amountDifference: row.amount_difference !== null ? parseFloat(row.amount_difference) : null,
+        reviewStatus: row.review_status,
+        reviewReason: row.review_reason,
+        // Reused proof / transaction hash warnings, see GET /api/admin/deposit-risk/:id
+        riskScore: row.risk_score || 0,
+        riskFlags: row.risk_flags || [],
+        ...approvalStatuses.get(row.id),
         rejectionReason: row.status === 'rejected' ? row.admin_notes : null,
         approvedAt: row.status === 'approved' ? row.updated_at : null,
         rejectedAt: row.status === 'rejected' ? row.updated_at : null,
@@ -7274,19 +7435,115 @@ router.get('/deposits', authenticateAdmin, requireAdminFeaturePermission('deposi
 
 /**
  * POST /api/admin/deposits/:id/approve
- * Approve a deposit request
+ * Approve a deposit request. When an approval policy requires more than one
+ * admin, the approval is recorded and the balance is only credited by the
+ * last required admin (responds 202 until then). Responds 409 when another
+ * credited deposit used the same transaction hash.
+ * Body: amount (partial payments under review), comment (optional),
+ * allowDuplicateTxHash (true to credit despite a reused transaction hash)
  */
 router.post('/deposits/:id/approve', authenticateAdmin, requireAdminFeaturePermission('deposits', 'edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query(
-      `UPDATE deposit_requests 
-       SET status = 'approved', updated_at = NOW()
-       WHERE id = $1 AND status = 'pending'
-       RETURNING *`,
-      [id]
-    );
+    // A transaction hash already behind a credited deposit is refused unless the
+    // admin overrides it (allowDuplicateTxHash). Checked before the approval step
+    // is recorded, so a refused approval leaves no step behind.
+    const allowDuplicateTxHash = req.body?.allowDuplicateTxHash === true;
+    const duplicateResponse = (duplicate) => res.status(409).json({
+      ok: false,
+      error: `Transaction hash already credited on deposit #${duplicate.id}; resend with allowDuplicateTxHash: true to approve anyway`,
+      duplicateDepositId: duplicate.id
+    });
+    if (!allowDuplicateTxHash) {
+      const hashResult = await pool.query('SELECT normalized_tx_hash FROM deposit_requests WHERE id = $1', [id]);
+      const normalizedTxHash = hashResult.rows[0]?.normalized_tx_hash;
+      const duplicate = normalizedTxHash ? await findCreditedTxHash(normalizedTxHash) : null;
+      if (duplicate) {
+        return duplicateResponse(duplicate);
+      }
+    }
+
+    let approval;
+    try {
+      approval = await recordApproval({
+        requestType: 'deposit',
+        requestId: parseInt(id),
+        adminId: req.admin?.adminId || req.admin?.id,
+        comment: req.body?.comment || null
+      });
+    } catch (error) {
+      if (error.status && error.status < 500) {
+        return res.status(error.status).json({ ok: false, error: error.message });
+      }
+      throw error;
+    }
+
+    if (!approval.complete) {
+      res.status(202).json({
+        ok: true,
+        pendingApproval: true,
+        message: `Approval ${approval.approvals} of ${approval.requiredApprovals} recorded; another admin must approve before the deposit is credited`,
+        approvals: approval.approvals,
+        requiredApprovals: approval.requiredApprovals,
+        approvalChain: approval.chain
+      });
+
+      setImmediate(async () => {
+        await logAdminAction({
+          adminId: req.admin?.adminId || req.admin?.id,
+          adminEmail: req.admin?.email,
+          actionType: 'deposit_approval_step',
+          actionCategory: 'deposit_management',
+          targetType: 'deposit',
+          targetId: parseInt(id),
+          targetIdentifier: `Deposit #${id}`,
+          description: `Recorded approval ${approval.approvals} of ${approval.requiredApprovals} for deposit #${id}${approval.policy ? ` (policy: ${approval.policy.name})` : ''}`,
+          req,
+          res,
+          afterData: { approvalChain: approval.chain }
+        });
+      });
+      return;
+    }
+
+    // Checked again with the hash locked until the status change commits, so two
+    // final approvals of the same hash can not both pass.
+    let result;
+    let duplicateOf = null;
+    const approveClient = await pool.connect();
+    try {
+      await approveClient.query('BEGIN');
+      const hashResult = await approveClient.query(
+        'SELECT normalized_tx_hash FROM deposit_requests WHERE id = $1',
+        [id]
+      );
+      const normalizedTxHash = hashResult.rows[0]?.normalized_tx_hash;
+      if (normalizedTxHash) {
+        await approveClient.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`deposit_tx_hash:${normalizedTxHash}`]);
+        duplicateOf = await findCreditedTxHash(normalizedTxHash, approveClient);
+      }
+
+      if (duplicateOf && !allowDuplicateTxHash) {
+        await approveClient.query('ROLLBACK');
+        return duplicateResponse(duplicateOf);
+      }
+
+      // Already-credited deposits (e.g. paid through Cregis) are never credited again
+      result = await approveClient.query(
+        `UPDATE deposit_requests 
+         SET status = 'approved', updated_at = NOW()
+         WHERE id = $1 AND status = 'pending' AND credited_at IS NULL
+         RETURNING *`,
+        [id]
+      );
+      await approveClient.query('COMMIT');
+    } catch (error) {
+      await approveClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      approveClient.release();
+    }
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -7297,54 +7554,98 @@ router.post('/deposits/:id/approve', authenticateAdmin, requireAdminFeaturePermi
 
     const deposit = result.rows[0];
 
+    // Partial payments under review credit what was received unless the admin sets the amount
+    let creditAmount = parseFloat(deposit.amount);
+    if (deposit.review_status === 'pending_review') {
+      const requestedAmount = parseFloat(req.body?.amount);
+      creditAmount = Number.isNaN(requestedAmount)
+        ? parseFloat(deposit.received_amount ?? deposit.amount)
+        : requestedAmount;
+      if (!(creditAmount > 0)) {
+        await pool.query(
+          `UPDATE deposit_requests SET status = 'pending', updated_at = NOW() WHERE id = $1`,
+          [id]
+        );
+        return res.status(400).json({
+          ok: false,
+          error: 'A positive amount is required to approve this deposit'
+        });
+      }
+    }
+
     // Add balance based on deposit destination
-    // Only handle MT5 deposits for now - wallet deposits will be handled later
+    let mt5Operation = null;
     try {
       if (deposit.deposit_to_type === 'mt5' && deposit.mt5_account_id) {
-        // Add to MT5 account using /Users/{login}/AddClientBalance API
-        const mt5Service = await import('../services/mt5.service.js');
         const login = parseInt(deposit.mt5_account_id, 10);
 
         if (Number.isNaN(login)) {
           throw new Error(`Invalid MT5 account ID: ${deposit.mt5_account_id}`);
         }
 
-        console.log(`Adding balance to MT5 account ${login}: ${deposit.amount} ${deposit.currency || 'USD'}`);
-
-        await mt5Service.addBalance(
-          login,
-          parseFloat(deposit.amount),
-          `Deposit #${deposit.id} approved`
-        );
+        // The MT5 credit is queued together with the ledger entry and credited_at,
+        // then applied right after the commit (or by the outbox worker)
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          mt5Operation = await enqueueMt5Operation({
+            operation: 'add_balance',
+            login,
+            amount: creditAmount,
+            comment: `Deposit #${deposit.id} approved`,
+            referenceType: 'deposit_request',
+            referenceId: deposit.id,
+            adminId: req.admin?.adminId || null
+          }, client);
+          await recordEntry({
+            entryType: 'deposit',
+            debit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+            credit: mt5Account(login, { userId: deposit.user_id }),
+            amount: creditAmount,
+            currency: deposit.currency || 'USD',
+            referenceType: 'deposit_request',
+            referenceId: deposit.id,
+            description: `Deposit #${deposit.id} approved`,
+            createdByAdmin: req.admin?.adminId || null
+          }, client);
+          await client.query(
+            `UPDATE deposit_requests
+             SET credited_at = NOW(), credited_amount = $1, credit_reference = $2,
+                 review_status = CASE WHEN review_status = 'pending_review' THEN 'resolved' ELSE review_status END
+             WHERE id = $3`,
+            [creditAmount, `mt5:${login}:op:${mt5Operation.id}`, id]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
 
-        console.log(`Successfully added balance to MT5 account ${login}`);
+        console.log(`Queued MT5 credit #${mt5Operation.id} for account ${login}: ${creditAmount} ${deposit.currency || 'USD'}`);
       } else if (deposit.deposit_to_type === 'wallet') {
         // Add balance to wallet
         if (!deposit.wallet_id) {
-          // If wallet_id is not set, fetch it from user_id
-          const walletResult = await pool.query(
-            'SELECT id FROM wallets WHERE user_id = $1 LIMIT 1',
-            [deposit.user_id]
-          );
-
-          if (walletResult.rows.length === 0) {
-            throw new Error(`No wallet found for user ${deposit.user_id}`);
-          }
-
-          deposit.wallet_id = walletResult.rows[0].id;
+          // If wallet_id is not set, use the user's wallet in the deposit currency, opening it if needed
+          const wallet = await createWalletForUser(deposit.user_id, pool, deposit.currency || 'USD');
+          deposit.wallet_id = wallet.id;
         }
 
-        console.log(`Adding balance to wallet ${deposit.wallet_id}: ${deposit.amount} ${deposit.currency || 'USD'}`);
+        console.log(`Adding balance to wallet ${deposit.wallet_id}: ${creditAmount} ${deposit.currency || 'USD'}`);
 
         await adjustWalletBalance(
           {
             walletId: deposit.wallet_id,
-            amount: parseFloat(deposit.amount),
+            amount: creditAmount,
             type: 'deposit',
             source: 'wallet',
             target: 'wallet',
             currency: deposit.currency || 'USD',
-            reference: `Deposit #${deposit.id} approved`
+            reference: `Deposit #${deposit.id} approved`,
+            referenceType: 'deposit_request',
+            referenceId: deposit.id,
+            createdByAdmin: req.admin?.adminId || null
           }
         );
 
@@ -7365,6 +7666,20 @@ router.post('/deposits/:id/approve', authenticateAdmin, requireAdminFeaturePermi
       });
     }
 
+    if (mt5Operation) {
+      mt5Operation = await dispatchMt5Operation(mt5Operation.id) || mt5Operation;
+    } else {
+      // Record the credit outside the rollback above so it can never be undone after the balance moved
+      await pool.query(
+        `UPDATE deposit_requests
+         SET credited_at = NOW(), credited_amount = $1,
+             credit_reference = $2,
+             review_status = CASE WHEN review_status = 'pending_review' THEN 'resolved' ELSE review_status END
+         WHERE id = $3`,
+        [creditAmount, `wallet:${deposit.wallet_id}`, id]
+      );
+    }
+
     // Get user email and name for logging and email
     const userResult = await pool.query('SELECT email, first_name, last_name FROM users WHERE id = $1', [deposit.user_id]);
     const userEmail = userResult.rows[0]?.email || null;
@@ -7389,7 +7704,13 @@ router.post('/deposits/:id/approve', authenticateAdmin, requireAdminFeaturePermi
 
     res.json({
       ok: true,
-      message: 'Deposit approved successfully'
+      message: mt5Operation && mt5Operation.status !== 'succeeded'
+        ? 'Deposit approved; the MT5 balance will be updated once MT5 accepts it'
+        : 'Deposit approved successfully',
+      approvals: approval.approvals,
+      requiredApprovals: approval.requiredApprovals,
+      approvalChain: approval.chain,
+      mt5Operation
     });
 
     // Send deposit approved email (non-blocking)
@@ -7423,7 +7744,7 @@ router.post('/deposits/:id/approve', authenticateAdmin, requireAdminFeaturePermi
         targetType: 'deposit',
         targetId: parseInt(id),
         targetIdentifier: `Deposit #${id}`,
-        description: `Approved deposit #${id} of $${deposit.amount} for user: ${userEmail || deposit.user_id}`,
+        description: `Approved deposit #${id} of $${deposit.amount} for user: ${userEmail || deposit.user_id}${duplicateOf ? ` (transaction hash already credited on deposit #${duplicateOf.id}, approved with override)` : ''}`,
         req,
         res,
         beforeData,
@@ -7545,10 +7866,10 @@ router.post('/deposits/:id/reject', authenticateAdmin, requireAdminFeaturePermis
  * ============================================
  */
 
-router.post('/mt5/transfer', authenticateAdmin, async (req, res) => {
+router.post('/mt5/transfer', authenticateAdmin, idempotency, async (req, res) => {
   try {
     const { from, to, amount, comment } = req.body;
-    const adminId = req.admin.id;
+    const adminId = req.admin?.adminId || req.admin?.id || null;
 
     const numericAmount = Number(amount);
     if (!from || !to || !numericAmount || numericAmount <= 0) {
@@ -7574,79 +7895,42 @@ router.post('/mt5/transfer', authenticateAdmin, async (req, res) => {
       });
     }
 
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
-      // Handle wallet side using wallet.service helper
-      async function applyWalletChange(walletId, direction, mt5Login, reference) {
-        const type = direction === 'out' ? 'transfer_out' : 'transfer_in';
-        const source = direction === 'out' ? 'wallet' : 'mt5';
-        const target = direction === 'out' ? 'mt5' : 'wallet';
-        await adjustWalletBalance(
-          {
-            walletId,
-            amount: numericAmount,
-            type,
-            source,
-            target,
-            mt5AccountNumber: mt5Login ? String(mt5Login) : null,
-            reference
-          },
-          client
-        );
-      }
-
-      // Resolve wallet/mt5 records
-      let fromWalletId = null;
-      let toWalletId = null;
-      let fromMt5Login = null;
-      let toMt5Login = null;
-
-      if (fromType === 'wallet') {
-        const w = await client.query(
-          'SELECT id, wallet_number FROM wallets WHERE id = $1',
-          [fromRef]
+    // Resolve each side to a wallet_number / MT5 login and its owner
+    async function resolveSide(type, ref, label) {
+      if (type === 'wallet') {
+        const w = await pool.query(
+          'SELECT id, user_id, wallet_number, currency FROM wallets WHERE id = $1',
+          [ref]
         );
-        if (w.rows.length === 0) throw new Error('From wallet not found');
-        fromWalletId = w.rows[0].id;
-      }
-      if (toType === 'wallet') {
-        const w = await client.query(
-          'SELECT id, wallet_number FROM wallets WHERE id = $1',
-          [toRef]
-        );
-        if (w.rows.length === 0) throw new Error('To wallet not found');
-        toWalletId = w.rows[0].id;
-      }
-      if (fromType === 'mt5') {
-        fromMt5Login = parseInt(fromRef, 10);
-        if (Number.isNaN(fromMt5Login)) throw new Error('Invalid from MT5 login');
-      }
-      if (toType === 'mt5') {
-        toMt5Login = parseInt(toRef, 10);
-        if (Number.isNaN(toMt5Login)) throw new Error('Invalid to MT5 login');
+        if (w.rows.length === 0) throw new Error(`${label} wallet not found`);
+        return { type, account: w.rows[0].wallet_number, userId: w.rows[0].user_id, currency: w.rows[0].currency };
       }
+      const login = parseInt(ref, 10);
+      if (Number.isNaN(login)) throw new Error(`Invalid ${label.toLowerCase()} MT5 login`);
+      const ta = await pool.query(
+        'SELECT user_id, currency FROM trading_accounts WHERE account_number = $1',
+        [String(login)]
+      );
+      if (ta.rows.length === 0) throw new Error(`${label} MT5 account not found`);
+      return { type, account: String(login), userId: ta.rows[0].user_id, currency: ta.rows[0].currency };
+    }
 
+    try {
+      const fromSide = await resolveSide(fromType, fromRef, 'From');
+      const toSide = await resolveSide(toType, toRef, 'To');
       const refComment = comment || `Admin transfer ${from} → ${to}`;
 
-      // Apply MT5 changes
-      if (fromMt5Login) {
-        await mt5Service.deductBalance(fromMt5Login, numericAmount, refComment);
-      }
-      if (toMt5Login) {
-        await mt5Service.addBalance(toMt5Login, numericAmount, refComment);
-      }
-
-      // Apply wallet changes
-      if (fromWalletId) {
-        await applyWalletChange(fromWalletId, 'out', toMt5Login || fromMt5Login, refComment);
-      }
-      if (toWalletId) {
-        await applyWalletChange(toWalletId, 'in', fromMt5Login || toMt5Login, refComment);
-      }
+      // Source debit -> destination credit -> completed, compensated if a later leg fails
+      const { transfer } = await executeTransfer({
+        userId: fromSide.userId,
+        from: { type: fromSide.type, account: fromSide.account },
+        to: { type: toSide.type, account: toSide.account },
+        amount: numericAmount,
+        reference: refComment,
+        adminId
+      });
 
-      await client.query(
+      await pool.query(
         `INSERT INTO admin_transfers_mt5
          (admin_id, from_type, from_ref, to_type, to_ref, amount, currency, comment)
          VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
@@ -7657,26 +7941,21 @@ router.post('/mt5/transfer', authenticateAdmin, async (req, res) => {
           toType,
           toRef,
           numericAmount,
-          'USD',
+          transfer.currency,
           refComment
         ]
       );
 
-      await client.query('COMMIT');
-
       res.json({
         success: true,
         message: 'Transfer completed'
       });
     } catch (err) {
-      await client.query('ROLLBACK');
       console.error('Admin mt5 transfer error:', err);
-      res.status(500).json({
+      res.status(err.status || 500).json({
         success: false,
         message: err.message || 'Transfer failed'
       });
-    } finally {
-      client.release();
     }
   } catch (error) {
     console.error('Admin mt5 transfer outer error:', error);
@@ -7722,6 +8001,20 @@ router.get('/mt5/transfers', authenticateAdmin, async (req, res) => {
  * ============================================
  */
 
+const OVERPAYMENT_POLICIES = ['credit_received', 'credit_order'];
+const UNDERPAYMENT_POLICIES = ['review', 'credit_received'];
+
+// Returns an error message for an unknown partial/over-payment policy
+const validatePaymentPolicies = (overpaymentPolicy, underpaymentPolicy) => {
+  if (overpaymentPolicy !== undefined && !OVERPAYMENT_POLICIES.includes(overpaymentPolicy)) {
+    return `overpayment_policy must be one of: ${OVERPAYMENT_POLICIES.join(', ')}`;
+  }
+  if (underpaymentPolicy !== undefined && !UNDERPAYMENT_POLICIES.includes(underpaymentPolicy)) {
+    return `underpayment_policy must be one of: ${UNDERPAYMENT_POLICIES.join(', ')}`;
+  }
+  return null;
+};
+
 /**
  * GET /api/admin/payment-gateways
  * Get all automatic payment gateways
@@ -7739,6 +8032,8 @@ router.get('/payment-gateways', authenticateAdmin, async (req, res, next) => {
         project_id,
         gateway_url,
         webhook_secret,
+        overpayment_policy,
+        underpayment_policy,
         description,
         is_active,
         display_order,
@@ -7773,6 +8068,8 @@ router.post('/payment-gateways', authenticateAdmin, async (req, res, next) => {
       project_id,
       gateway_url,
       webhook_secret,
+      overpayment_policy = 'credit_received',
+      underpayment_policy = 'review',
       description,
       is_active = true,
       display_order = 0
@@ -7786,11 +8083,20 @@ router.post('/payment-gateways', authenticateAdmin, async (req, res, next) => {
       });
     }
 
+    const policyError = validatePaymentPolicies(overpayment_policy, underpayment_policy);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError
+      });
+    }
+
     const result = await pool.query(
       `INSERT INTO auto_gateway 
         (wallet_name, gateway_type, deposit_wallet_address, api_key, secret_key, 
-         project_id, gateway_url, webhook_secret, description, is_active, display_order)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         project_id, gateway_url, webhook_secret, description, is_active, display_order,
+         overpayment_policy, underpayment_policy)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *`,
       [
         wallet_name,
@@ -7803,7 +8109,9 @@ router.post('/payment-gateways', authenticateAdmin, async (req, res, next) => {
         webhook_secret || null,
         description || null,
         is_active,
-        display_order
+        display_order,
+        overpayment_policy,
+        underpayment_policy
       ]
     );
 
@@ -7833,11 +8141,21 @@ router.put('/payment-gateways/:id', authenticateAdmin, async (req, res, next) =>
       project_id,
       gateway_url,
       webhook_secret,
+      overpayment_policy,
+      underpayment_policy,
       description,
       is_active,
       display_order
     } = req.body;
 
+    const policyError = validatePaymentPolicies(overpayment_policy, underpayment_policy);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError
+      });
+    }
+
     // Check if gateway exists
     const checkResult = await pool.query(
       'SELECT id FROM auto_gateway WHERE id = $1',
@@ -7888,6 +8206,14 @@ router.put('/payment-gateways/:id', authenticateAdmin, async (req, res, next) =>
       updateFields.push(`webhook_secret = $${paramIndex++}`);
       updateValues.push(webhook_secret);
     }
+    if (overpayment_policy !== undefined) {
+      updateFields.push(`overpayment_policy = $${paramIndex++}`);
+      updateValues.push(overpayment_policy);
+    }
+    if (underpayment_policy !== undefined) {
+      updateFields.push(`underpayment_policy = $${paramIndex++}`);
+      updateValues.push(underpayment_policy);
+    }
     if (description !== undefined) {
       updateFields.push(`description = $${paramIndex++}`);
       updateValues.push(description);
@@ -7973,7 +8299,8 @@ router.get('/withdrawals', authenticateAdmin, requireAdminFeaturePermission('wit
         json_build_object(
           'id', u.id,
           'email', u.email,
-          'name', COALESCE(u.first_name || ' ' || u.last_name, u.email)
+          'name', COALESCE(u.first_name || ' ' || u.last_name, u.email),
+          'country', u.country
         ) as "User"
       FROM withdrawals w
       LEFT JOIN users u ON w.user_id = u.id
@@ -7990,9 +8317,14 @@ router.get('/withdrawals', authenticateAdmin, requireAdminFeaturePermission('wit
 
     const result = await pool.query(query, params);
 
+    const approvalStatuses = await getApprovalStatuses(
+      'withdrawal',
+      result.rows.map(row => ({ ...row, country: row.User?.country }))
+    );
+
     res.json({
       ok: true,
-      items: result.rows,
+      items: result.rows.map(row => ({ ...row, ...approvalStatuses.get(row.id) })),
       total: result.rows.length
     });
   } catch (error) {
@@ -8006,19 +8338,19 @@ router.get('/withdrawals', authenticateAdmin, requireAdminFeaturePermission('wit
 
 /**
  * POST /api/admin/withdrawals/:id/approve
- * Approve a withdrawal request
+ * Approve a withdrawal request. With externalTransactionId it is recorded as
+ * paid; without, it stays approved-but-unpaid until a payout batch settles it.
+ * When an approval policy requires more than one admin, the approval is
+ * recorded and the withdrawal is only finalized by the last required admin
+ * (responds 202 until then).
+ * Body: externalTransactionId (optional), comment (optional)
  */
 router.post('/withdrawals/:id/approve', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { externalTransactionId } = req.body;
-
-    if (!externalTransactionId || !externalTransactionId.trim()) {
-      return res.status(400).json({
-        ok: false,
-        error: 'External transaction ID is required'
-      });
-    }
+    const externalTransactionId = typeof req.body.externalTransactionId === 'string'
+      ? req.body.externalTransactionId.trim()
+      : '';
 
     // Get withdrawal details
     const withdrawalResult = await pool.query(
@@ -8042,32 +8374,78 @@ router.post('/withdrawals/:id/approve', authenticateAdmin, requireAdminFeaturePe
       });
     }
 
-    // Deduct balance from MT5 account
+    let approval;
     try {
-      await mt5Service.deductBalance(
-        parseInt(withdrawal.mt5_account_id),
-        withdrawal.amount,
-        `Withdrawal approved - TX: ${externalTransactionId.substring(0, 20)}`
-      );
+      approval = await recordApproval({
+        requestType: 'withdrawal',
+        requestId: withdrawal.id,
+        adminId: req.admin?.adminId || req.admin?.id,
+        comment: req.body?.comment || null
+      });
     } catch (error) {
-      console.error('Failed to deduct MT5 balance:', error);
-      return res.status(500).json({
+      if (error.status && error.status < 500) {
+        return res.status(error.status).json({ ok: false, error: error.message });
+      }
+      throw error;
+    }
+
+    if (!approval.complete) {
+      res.status(202).json({
+        ok: true,
+        pendingApproval: true,
+        message: `Approval ${approval.approvals} of ${approval.requiredApprovals} recorded; another admin must approve before the withdrawal is processed`,
+        approvals: approval.approvals,
+        requiredApprovals: approval.requiredApprovals,
+        approvalChain: approval.chain
+      });
+
+      setImmediate(async () => {
+        await logAdminAction({
+          adminId: req.admin?.adminId || req.admin?.id,
+          adminEmail: req.admin?.email,
+          actionType: 'withdrawal_approval_step',
+          actionCategory: 'withdrawal_management',
+          targetType: 'withdrawal',
+          targetId: parseInt(id),
+          targetIdentifier: `Withdrawal #${id}`,
+          description: `Recorded approval ${approval.approvals} of ${approval.requiredApprovals} for withdrawal #${id}${approval.policy ? ` (policy: ${approval.policy.name})` : ''}`,
+          req,
+          res,
+          afterData: { approvalChain: approval.chain }
+        });
+      });
+      return;
+    }
+
+    // Finalize the hold (or deduct now for requests made before holds existed)
+    try {
+      await finalizeWithdrawal(withdrawal.id, {
+        fields: externalTransactionId
+          ? { external_transaction_id: externalTransactionId, paid_at: new Date(), approved_by: req.admin.id }
+          : { approved_by: req.admin.id },
+        adminId: req.admin?.adminId || null,
+        comment: externalTransactionId
+          ? `Withdrawal approved - TX: ${externalTransactionId.substring(0, 20)}`
+          : `Withdrawal #${withdrawal.id} approved`
+      });
+    } catch (error) {
+      console.error('Failed to finalize withdrawal:', error);
+      return res.status(error.status || 500).json({
         ok: false,
-        error: 'Failed to deduct balance from MT5 account: ' + error.message
+        error: error.status ? error.message : 'Failed to deduct withdrawal balance: ' + error.message
       });
     }
 
-    // Update withdrawal status
-    await pool.query(
-      `UPDATE withdrawals 
-       SET status = 'approved', 
-           external_transaction_id = $1,
-           approved_by = $2,
-           approved_at = NOW(),
-           updated_at = NOW()
-       WHERE id = $3`,
-      [externalTransactionId.trim(), req.admin.id, id]
-    );
+    // USDT TRC20 withdrawals are paid through the payout gateway when one is configured;
+    // a submission problem leaves the payout retrying or escalated, never the approval undone
+    let payout = null;
+    if (!externalTransactionId && isGatewayPayoutEligible(withdrawal)) {
+      try {
+        payout = await startWithdrawalPayout(withdrawal.id, { adminId: req.admin?.adminId || req.admin?.id || null });
+      } catch (error) {
+        console.error(`Failed to start gateway payout for withdrawal #${withdrawal.id}:`, error.message);
+      }
+    }
 
     // Log activity
     await pool.query(
@@ -8080,7 +8458,7 @@ router.post('/withdrawals/:id/approve', authenticateAdmin, requireAdminFeaturePe
           amount: withdrawal.amount,
           userId: withdrawal.user_id,
           mt5AccountId: withdrawal.mt5_account_id,
-          externalTransactionId: externalTransactionId.trim()
+          externalTransactionId: externalTransactionId || null
         })
       ]
     ).catch(err => console.error('Failed to log activity:', err));
@@ -8101,7 +8479,11 @@ router.post('/withdrawals/:id/approve', authenticateAdmin, requireAdminFeaturePe
 
     res.json({
       ok: true,
-      message: 'Withdrawal approved successfully'
+      message: 'Withdrawal approved successfully',
+      approvals: approval.approvals,
+      requiredApprovals: approval.requiredApprovals,
+      approvalChain: approval.chain,
+      payout
     });
 
     // Send withdrawal approved email (non-blocking)
@@ -8135,7 +8517,7 @@ router.post('/withdrawals/:id/approve', authenticateAdmin, requireAdminFeaturePe
         targetType: 'withdrawal',
         targetId: parseInt(id),
         targetIdentifier: `Withdrawal #${id}`,
-        description: `Approved withdrawal #${id} of $${withdrawal.amount} for user: ${userEmail || withdrawal.user_id}. External TX: ${externalTransactionId.trim()}`,
+        description: `Approved withdrawal #${id} of $${withdrawal.amount} for user: ${userEmail || withdrawal.user_id}. ${externalTransactionId ? `External TX: ${externalTransactionId}` : payout ? `Gateway payout #${payout.id} ${payout.status}` : 'Awaiting payout batch'}`,
         req,
         res,
         beforeData: withdrawal,
@@ -8182,17 +8564,31 @@ router.post('/withdrawals/:id/reject', authenticateAdmin, requireAdminFeaturePer
       });
     }
 
-    // Update withdrawal status
-    await pool.query(
-      `UPDATE withdrawals 
-       SET status = 'rejected', 
-           rejection_reason = $1,
-           rejected_by = $2,
-           rejected_at = NOW(),
-           updated_at = NOW()
-       WHERE id = $3`,
-      [reason || 'No reason provided', req.admin.id, id]
-    );
+    // Return the reserved funds and mark as rejected
+    let rejected;
+    try {
+      rejected = await releaseWithdrawalHold(withdrawal.id, {
+        status: 'rejected',
+        fields: {
+          rejection_reason: reason || 'No reason provided',
+          rejected_by: req.admin.id,
+          rejected_at: new Date()
+        },
+        adminId: req.admin?.adminId || null
+      });
+    } catch (error) {
+      console.error('Failed to release withdrawal hold:', error);
+      return res.status(500).json({
+        ok: false,
+        error: 'Failed to return reserved funds: ' + error.message
+      });
+    }
+    if (!rejected) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Withdrawal funds are being processed; try again shortly'
+      });
+    }
 
     // Log activity
     await pool.query(
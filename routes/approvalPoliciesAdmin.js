@@ -0,0 +1,157 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    listApprovalPolicies,
+    createApprovalPolicy,
+    updateApprovalPolicy,
+    deleteApprovalPolicy,
+    resolveApprovalPolicy,
+    REQUEST_TYPES
+} from '../services/approvalPolicy.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+function sendError(res, error, label) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+function logPolicyAction(req, res, { actionType, policy, description, beforeData = null, afterData = null }) {
+    setImmediate(async () => {
+        await logAdminAction({
+            adminId: req.admin?.adminId || req.admin?.id,
+            adminEmail: req.admin?.email,
+            actionType,
+            actionCategory: 'approval_policy_management',
+            targetType: 'approval_policy',
+            targetId: policy.id,
+            targetIdentifier: policy.name,
+            description,
+            req,
+            res,
+            beforeData,
+            afterData
+        });
+    });
+}
+
+/**
+ * GET /api/admin/approval-policies
+ * All maker-checker policies for deposits and withdrawals
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('approval-policies', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listApprovalPolicies()
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/approval-policies');
+    }
+});
+
+/**
+ * GET /api/admin/approval-policies/preview
+ * Approvals a request would need under the active policies
+ * Query: requestType, amount, currency, method, country
+ */
+router.get('/preview', authenticateAdmin, requireAdminFeaturePermission('approval-policies', 'view'), async (req, res) => {
+    try {
+        const { requestType, amount, currency = 'USD', method = null, country = null } = req.query;
+        if (!REQUEST_TYPES.includes(requestType) || !(Number(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'requestType and a positive amount are required'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await resolveApprovalPolicy({ requestType, amount: Number(amount), currency, method, country })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/approval-policies/preview');
+    }
+});
+
+/**
+ * POST /api/admin/approval-policies
+ * Body: name, requestType (deposit|withdrawal), minAmountUsd, method, country, requiredApprovals, isActive
+ */
+router.post('/', authenticateAdmin, requireAdminFeaturePermission('approval-policies', 'add'), async (req, res) => {
+    try {
+        const policy = await createApprovalPolicy(req.body, req.admin?.adminId || req.admin?.id || null);
+
+        res.status(201).json({
+            success: true,
+            data: policy
+        });
+
+        logPolicyAction(req, res, {
+            actionType: 'approval_policy_create',
+            policy,
+            description: `Created ${policy.requestType} approval policy "${policy.name}": ${policy.requiredApprovals} approvals from $${policy.minAmountUsd}`,
+            afterData: policy
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/approval-policies');
+    }
+});
+
+/**
+ * PUT /api/admin/approval-policies/:id
+ * Body: any of the POST fields
+ */
+router.put('/:id', authenticateAdmin, requireAdminFeaturePermission('approval-policies', 'edit'), async (req, res) => {
+    try {
+        const policy = await updateApprovalPolicy(parseInt(req.params.id), req.body);
+
+        res.json({
+            success: true,
+            data: policy
+        });
+
+        logPolicyAction(req, res, {
+            actionType: 'approval_policy_update',
+            policy,
+            description: `Updated approval policy "${policy.name}"`,
+            afterData: policy
+        });
+    } catch (error) {
+        sendError(res, error, 'PUT /api/admin/approval-policies/:id');
+    }
+});
+
+/**
+ * DELETE /api/admin/approval-policies/:id
+ * Approval chains already recorded keep their required count
+ */
+router.delete('/:id', authenticateAdmin, requireAdminFeaturePermission('approval-policies', 'delete'), async (req, res) => {
+    try {
+        const policy = await deleteApprovalPolicy(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            message: 'Approval policy deleted'
+        });
+
+        logPolicyAction(req, res, {
+            actionType: 'approval_policy_delete',
+            policy,
+            description: `Deleted approval policy "${policy.name}"`,
+            beforeData: policy
+        });
+    } catch (error) {
+        sendError(res, error, 'DELETE /api/admin/approval-policies/:id');
+    }
+});
+
+export default router;
@@ -1284,7 +1284,7 @@ router.get('/profile', authenticate, async (req, res) => {
 
     // Get wallet balance
     const walletResult = await pool.query(
-      'SELECT balance, currency FROM wallets WHERE user_id = $1 LIMIT 1',
+      'SELECT balance, currency FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
       [userId]
     );
     const wallet = walletResult.rows[0] || null;
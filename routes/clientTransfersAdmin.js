@@ -0,0 +1,136 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    listClientTransfers,
+    approveClientTransfer,
+    rejectClientTransfer,
+    formatClientTransfer,
+    CLIENT_TRANSFER_LIMITS
+} from '../services/clientTransfer.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+const REQUEST_STATUSES = ['pending_otp', 'pending_approval', 'processing', 'completed', 'failed', 'rejected', 'expired'];
+
+/**
+ * GET /api/admin/client-transfers
+ * Client-to-client transfer requests, newest first
+ * Query: status, limit, offset
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('client-transfers', 'view'), async (req, res) => {
+    try {
+        const status = REQUEST_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listClientTransfers({ status, limit, offset });
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                limits: CLIENT_TRANSFER_LIMITS
+            }
+        });
+    } catch (error) {
+        console.error('GET /api/admin/client-transfers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/client-transfers/:id/approve
+ * Approve a transfer above the approval threshold and move the funds
+ */
+router.post('/:id/approve', authenticateAdmin, requireAdminFeaturePermission('client-transfers', 'edit'), async (req, res) => {
+    const requestId = parseInt(req.params.id);
+    const adminId = req.admin?.adminId || req.admin?.id || null;
+
+    try {
+        const { request, transfer } = await approveClientTransfer({ requestId, adminId });
+
+        res.json({
+            success: true,
+            message: 'Transfer approved and completed',
+            data: {
+                ...formatClientTransfer(request),
+                transferId: transfer.id
+            }
+        });
+
+        setImmediate(async () => {
+            await logAdminAction({
+                adminId,
+                adminEmail: req.admin?.email,
+                actionType: 'client_transfer_approve',
+                actionCategory: 'transfer_management',
+                targetType: 'client_transfer',
+                targetId: request.id,
+                targetIdentifier: `${request.from_wallet} → ${request.to_wallet}`,
+                description: `Approved client transfer #${request.id} of ${Number(request.amount)} ${request.currency}`,
+                req,
+                res,
+                afterData: formatClientTransfer(request)
+            });
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('POST /api/admin/client-transfers/:id/approve error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/client-transfers/:id/reject
+ * Body: reason (optional)
+ */
+router.post('/:id/reject', authenticateAdmin, requireAdminFeaturePermission('client-transfers', 'edit'), async (req, res) => {
+    const requestId = parseInt(req.params.id);
+    const adminId = req.admin?.adminId || req.admin?.id || null;
+
+    try {
+        const request = await rejectClientTransfer({ requestId, adminId, reason: req.body?.reason || null });
+
+        res.json({
+            success: true,
+            message: 'Transfer rejected',
+            data: formatClientTransfer(request)
+        });
+
+        setImmediate(async () => {
+            await logAdminAction({
+                adminId,
+                adminEmail: req.admin?.email,
+                actionType: 'client_transfer_reject',
+                actionCategory: 'transfer_management',
+                targetType: 'client_transfer',
+                targetId: request.id,
+                targetIdentifier: `${request.from_wallet} → ${request.to_wallet}`,
+                description: `Rejected client transfer #${request.id}${request.rejection_reason ? `: ${request.rejection_reason}` : ''}`,
+                req,
+                res,
+                afterData: formatClientTransfer(request)
+            });
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('POST /api/admin/client-transfers/:id/reject error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,80 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import { listRiskQueue, getDepositRiskDetail, assessDepositRisk } from '../services/depositRisk.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/deposit-risk
+ * Deposit review queue, highest risk first
+ * Query: minScore (default 0), status (default pending, or 'all'), limit, offset
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('deposits', 'view'), async (req, res) => {
+    try {
+        const minScore = parseInt(req.query.minScore) || 0;
+        const status = req.query.status || 'pending';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        res.json({
+            success: true,
+            data: await listRiskQueue({ minScore, status, limit, offset })
+        });
+    } catch (error) {
+        console.error('GET /api/admin/deposit-risk error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/deposit-risk/:id
+ * Risk flags of a deposit with the deposits whose proof or transaction hash it matched
+ */
+router.get('/:id', authenticateAdmin, requireAdminFeaturePermission('deposits', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getDepositRiskDetail(parseInt(req.params.id))
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('GET /api/admin/deposit-risk/:id error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/deposit-risk/:id/recheck
+ * Recompute the flags, hashing the proof first if it predates proof hashing
+ */
+router.post('/:id/recheck', authenticateAdmin, requireAdminFeaturePermission('deposits', 'edit'), async (req, res) => {
+    try {
+        const depositId = parseInt(req.params.id);
+        await assessDepositRisk(depositId);
+
+        res.json({
+            success: true,
+            data: await getDepositRiskDetail(depositId)
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('POST /api/admin/deposit-risk/:id/recheck error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+export default router;
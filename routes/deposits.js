@@ -1,15 +1,23 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { sendDepositRequestEmail, sendDepositCancelledEmail } from '../services/templateEmail.service.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import * as cregisService from '../services/cregis.service.js';
-import * as mt5Service from '../services/mt5.service.js';
 import { logUserAction } from '../services/logging.service.js';
+import {
+  createGatewayDeposit,
+  getGatewayPaymentId,
+  processGatewayWebhookEvent,
+  syncGatewayDepositStatus
+} from '../services/gatewayDeposit.service.js';
+import { getGatewayAdapter } from '../services/gateways/index.js';
+import { evaluateLimits } from '../services/limits.service.js';
+import { assessDepositRisk, findCreditedTxHash, hashProofFile } from '../services/depositRisk.service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -141,7 +149,7 @@ router.get('/gateways', authenticate, async (req, res) => {
  * POST /api/deposits/request
  * Create a new deposit request
  */
-router.post('/request', authenticate, proofUpload.single('proof'), async (req, res) => {
+router.post('/request', authenticate, proofUpload.single('proof'), idempotency, async (req, res) => {
   try {
     const userId = req.user.id;
     const {
@@ -196,61 +204,22 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
       });
     }
 
-    // Check KYC verification status
-    const kycResult = await pool.query(
-      `SELECT status 
-       FROM kyc_verifications 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 1`,
-      [userId]
-    );
-
-    const kycStatus = kycResult.rows[0]?.status?.toLowerCase() || 'unverified';
-    const isKycVerified = kycStatus === 'approved';
-
-    // If KYC is not verified, limit deposit to $2000 USD
-    if (!isKycVerified) {
-      const MAX_UNVERIFIED_DEPOSIT = 2000;
-
-      // Check total deposits (wallet + MT5) for unverified users
-      let totalDeposits = 0;
-
-      // Get wallet balance
-      const walletResult = await pool.query(
-        'SELECT balance FROM wallets WHERE user_id = $1 LIMIT 1',
-        [userId]
-      );
-      if (walletResult.rows.length > 0) {
-        totalDeposits += parseFloat(walletResult.rows[0].balance || 0);
-      }
-
-      // Get total MT5 account balances
-      const mt5Result = await pool.query(
-        'SELECT SUM(balance) as total_balance FROM trading_accounts WHERE user_id = $1 AND platform = \'MT5\' AND is_demo = FALSE',
-        [userId]
-      );
-      if (mt5Result.rows.length > 0 && mt5Result.rows[0].total_balance) {
-        totalDeposits += parseFloat(mt5Result.rows[0].total_balance || 0);
-      }
-
-      // Check if this deposit would exceed the limit
-      const totalAfterDeposit = totalDeposits + depositAmount;
-      if (totalAfterDeposit > MAX_UNVERIFIED_DEPOSIT) {
-        const maxAllowedDeposit = Math.max(0, MAX_UNVERIFIED_DEPOSIT - totalDeposits);
-        return res.status(400).json({
-          success: false,
-          error: `KYC verification required. Maximum deposit limit for unverified accounts is ${currency} ${MAX_UNVERIFIED_DEPOSIT}. You can deposit up to ${currency} ${maxAllowedDeposit.toFixed(2)} more. Please complete KYC verification to remove this limit.`
-        });
-      }
+    // Deposit limits (KYC tier, country, gateway, rolling periods)
+    const limitCheck = await evaluateLimits({ userId, operation: 'deposit', amount: depositAmount, currency, gatewayId: gateway_id });
+    if (!limitCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: limitCheck.message,
+        limit: limitCheck.blockedBy
+      });
+    }
 
-      // Also check single deposit amount
-      if (depositAmount > MAX_UNVERIFIED_DEPOSIT) {
-        return res.status(400).json({
-          success: false,
-          error: `KYC verification required. Maximum single deposit for unverified accounts is ${currency} ${MAX_UNVERIFIED_DEPOSIT}. Please complete KYC verification to remove this limit.`
-        });
-      }
+    // A transaction hash can fund only one deposit, whoever submitted it
+    if (await findCreditedTxHash(transaction_hash)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This transaction has already been used for a completed deposit'
+      });
     }
 
     // Validate deposit limits if depositing to MT5 account
@@ -341,6 +310,8 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
     }
 
     const proofPath = req.file ? `/uploads/deposit-proofs/${req.file.filename}` : null;
+    // Content + perceptual hash, matched against other proofs by the risk check
+    const proofHashes = req.file ? await hashProofFile(req.file.path) : { sha256: null, phash: null };
 
     const depositToType = deposit_to === 'mt5' ? 'mt5' : 'wallet';
     let mt5AccountId = null;
@@ -388,7 +359,7 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
       } else {
         // Fetch wallet by user_id
         const walletResult = await pool.query(
-          'SELECT id, wallet_number FROM wallets WHERE user_id = $1 LIMIT 1',
+          'SELECT id, wallet_number FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
           [userId]
         );
         if (walletResult.rows.length > 0) {
@@ -425,8 +396,9 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
     const result = await pool.query(
       `INSERT INTO deposit_requests 
         (user_id, gateway_id, amount, currency, converted_amount, converted_currency, 
-         transaction_hash, proof_path, deposit_to_type, mt5_account_id, wallet_id, wallet_number, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'pending')
+         transaction_hash, proof_path, deposit_to_type, mt5_account_id, wallet_id, wallet_number, status,
+         proof_sha256, proof_phash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'pending', $13, $14)
       RETURNING *`,
       [
         userId,
@@ -440,7 +412,9 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
         depositToType,
         mt5AccountId || null,
         walletId || null,
-        walletNumber || null
+        walletNumber || null,
+        proofHashes.sha256,
+        proofHashes.phash
       ]
     );
 
@@ -467,6 +441,15 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
 
     res.json(responseData);
 
+    // Flag reused proofs / transaction hashes for the admin review queue
+    setImmediate(async () => {
+      try {
+        await assessDepositRisk(deposit.id);
+      } catch (riskError) {
+        console.error(`Deposit #${deposit.id} risk check failed:`, riskError);
+      }
+    });
+
     // Log user action and send email
     setImmediate(async () => {
       await logUserAction({
@@ -513,11 +496,12 @@ router.post('/request', authenticate, proofUpload.single('proof'), async (req, r
 });
 
 /**
- * POST /api/deposits/cregis/create
- * Create a Cregis payment order for deposit
+ * POST /api/deposits/:gateway/create
+ * Create a payment order at an automatic gateway (cregis, ...) for a deposit
  */
-router.post('/cregis/create', authenticate, async (req, res) => {
+router.post('/:gateway/create', authenticate, async (req, res) => {
   try {
+    const adapter = getGatewayAdapter(req.params.gateway);
     const userId = req.user.id;
     const {
       amount,
@@ -537,61 +521,14 @@ router.post('/cregis/create', authenticate, async (req, res) => {
 
     const depositAmount = parseFloat(amount);
 
-    // Check KYC verification status
-    const kycResult = await pool.query(
-      `SELECT status 
-       FROM kyc_verifications 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 1`,
-      [userId]
-    );
-
-    const kycStatus = kycResult.rows[0]?.status?.toLowerCase() || 'unverified';
-    const isKycVerified = kycStatus === 'approved';
-
-    // If KYC is not verified, limit deposit to $2000 USD
-    if (!isKycVerified) {
-      const MAX_UNVERIFIED_DEPOSIT = 2000;
-
-      // Check total deposits (wallet + MT5) for unverified users
-      let totalDeposits = 0;
-
-      // Get wallet balance
-      const walletResult = await pool.query(
-        'SELECT balance FROM wallets WHERE user_id = $1 LIMIT 1',
-        [userId]
-      );
-      if (walletResult.rows.length > 0) {
-        totalDeposits += parseFloat(walletResult.rows[0].balance || 0);
-      }
-
-      // Get total MT5 account balances
-      const mt5Result = await pool.query(
-        'SELECT SUM(balance) as total_balance FROM trading_accounts WHERE user_id = $1 AND platform = \'MT5\' AND is_demo = FALSE',
-        [userId]
-      );
-      if (mt5Result.rows.length > 0 && mt5Result.rows[0].total_balance) {
-        totalDeposits += parseFloat(mt5Result.rows[0].total_balance || 0);
-      }
-
-      // Check if this deposit would exceed the limit
-      const totalAfterDeposit = totalDeposits + depositAmount;
-      if (totalAfterDeposit > MAX_UNVERIFIED_DEPOSIT) {
-        const maxAllowedDeposit = Math.max(0, MAX_UNVERIFIED_DEPOSIT - totalDeposits);
-        return res.status(400).json({
-          success: false,
-          error: `KYC verification required. Maximum deposit limit for unverified accounts is USD ${MAX_UNVERIFIED_DEPOSIT}. You can deposit up to USD ${maxAllowedDeposit.toFixed(2)} more. Please complete KYC verification to remove this limit.`
-        });
-      }
-
-      // Also check single deposit amount
-      if (depositAmount > MAX_UNVERIFIED_DEPOSIT) {
-        return res.status(400).json({
-          success: false,
-          error: `KYC verification required. Maximum single deposit for unverified accounts is USD ${MAX_UNVERIFIED_DEPOSIT}. Please complete KYC verification to remove this limit.`
-        });
-      }
+    // Deposit limits (KYC tier, country, rolling periods)
+    const limitCheck = await evaluateLimits({ userId, operation: 'deposit', amount: depositAmount, currency });
+    if (!limitCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: limitCheck.message,
+        limit: limitCheck.blockedBy
+      });
     }
 
     if (deposit_to === 'mt5' && !mt5_account_id) {
@@ -601,7 +538,6 @@ router.post('/cregis/create', authenticate, async (req, res) => {
       });
     }
 
-    // Create deposit request first
     const depositToType = deposit_to === 'mt5' ? 'mt5' : 'wallet';
     let mt5AccountId = null;
     let walletId = null;
@@ -645,7 +581,7 @@ router.post('/cregis/create', authenticate, async (req, res) => {
         }
       } else {
         const walletResult = await pool.query(
-          'SELECT id, wallet_number FROM wallets WHERE user_id = $1 LIMIT 1',
+          'SELECT id, wallet_number FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
           [userId]
         );
         if (walletResult.rows.length > 0) {
@@ -655,143 +591,54 @@ router.post('/cregis/create', authenticate, async (req, res) => {
       }
     }
 
-    // Insert deposit request
-    const depositResult = await pool.query(
-      `INSERT INTO deposit_requests 
-        (user_id, gateway_id, amount, currency, deposit_to_type, mt5_account_id, wallet_id, wallet_number, status)
-      VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, 'pending')
-      RETURNING *`,
-      [
-        userId,
-        parseFloat(amount),
-        currency,
-        depositToType,
-        mt5AccountId || null,
-        walletId || null,
-        walletNumber || null
-      ]
-    );
-
-    const depositRequest = depositResult.rows[0];
-
-    // Generate order ID and create Cregis payment
-    const orderId = cregisService.generateOrderId(depositRequest.id);
-
-    console.log('Creating Cregis payment for deposit:', {
-      depositId: depositRequest.id,
-      orderId,
-      amount: parseFloat(amount),
-      currency
-    });
-
     // Get user info for payer details
     const userResult = await pool.query(
       'SELECT id, email, first_name, last_name FROM users WHERE id = $1',
       [userId]
     );
-    const user = userResult.rows[0];
-
-    // Fetch Cregis gateway configuration from database
-    const gatewayResult = await pool.query(
-      `SELECT project_id, api_key, gateway_url, webhook_secret, secret_key
-       FROM auto_gateway
-       WHERE gateway_type = 'Cryptocurrency' 
-         AND is_active = TRUE
-         AND project_id IS NOT NULL
-         AND api_key IS NOT NULL
-         AND gateway_url IS NOT NULL
-       ORDER BY display_order ASC, created_at DESC
-       LIMIT 1`
-    );
-
-    const gatewayConfig = gatewayResult.rows.length > 0 ? gatewayResult.rows[0] : null;
+    const user = userResult.rows[0] || { id: userId };
 
-    if (!gatewayConfig) {
-      console.warn('No active Cregis gateway found in database, using environment variables as fallback');
-    }
+    const gatewayConfig = await adapter.getConfig();
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
 
-    const cregisResult = await cregisService.createPayment({
-      orderId,
-      amount: parseFloat(amount),
+    const { deposit, payment } = await createGatewayDeposit(adapter, {
+      user,
+      amount: depositAmount,
       currency,
-      payerId: String(userId),
-      payerName: user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : null,
-      payerEmail: user?.email || null,
-      callbackUrl: `${getBaseUrl()}/api/deposits/cregis/webhook`,
-      successUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/user/deposits/cregis-usdt-trc20`,
-      cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/user/deposits`,
-      validTime: 60, // 60 minutes
-      gatewayConfig // Pass gateway config from database
-    });
-
-    console.log('Cregis payment result:', cregisResult);
-
-    if (!cregisResult.success) {
-      // Update deposit request status to rejected
-      await pool.query(
-        'UPDATE deposit_requests SET status = $1 WHERE id = $2',
-        ['rejected', depositRequest.id]
-      );
-
-      console.error('Cregis payment creation failed:', cregisResult.error);
-      return res.status(500).json({
-        success: false,
-        error: cregisResult.error || 'Failed to create payment order'
-      });
-    }
-
-    const cregisData = cregisResult.data;
-
-    // Update deposit request with Cregis order ID and cregis_id
-    await pool.query(
-      `UPDATE deposit_requests 
-       SET cregis_order_id = $1, cregis_status = $2 
-       WHERE id = $3`,
-      [orderId, cregisData.status, depositRequest.id]
-    );
-
-    // Store Cregis transaction (use cregisId as cregis_order_id for queries)
-    await pool.query(
-      `INSERT INTO cregis_transactions 
-        (deposit_request_id, cregis_order_id, cregis_status, amount, currency, payment_url, qr_code_url, expires_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      ON CONFLICT (cregis_order_id) DO UPDATE SET
-        cregis_status = $3,
-        payment_url = $6,
-        qr_code_url = $7,
-        expires_at = $8,
-        updated_at = NOW()`,
-      [
-        depositRequest.id,
-        cregisData.cregisId, // Store cregis_id for status queries
-        cregisData.status,
-        cregisData.amount,
-        cregisData.currency,
-        cregisData.paymentUrl || cregisData.checkoutUrl,
-        cregisData.qrCodeUrl,
-        cregisData.expiresAt
-      ]
-    );
+      depositToType,
+      mt5AccountId,
+      walletId,
+      walletNumber,
+      urls: {
+        callbackUrl: `${getBaseUrl()}/api/deposits/${adapter.key}/webhook`,
+        successUrl: `${frontendUrl}${adapter.successPath}`,
+        cancelUrl: `${frontendUrl}/user/deposits`
+      },
+      validTime: 60 // 60 minutes
+    }, gatewayConfig);
 
     res.json({
       success: true,
       data: {
-        depositId: depositRequest.id,
-        cregisId: cregisData.cregisId,
-        orderId,
-        checkoutUrl: cregisData.checkoutUrl,
-        paymentUrl: cregisData.checkoutUrl, // Alias for compatibility
-        qrCodeUrl: cregisData.qrCodeUrl,
-        paymentAddress: cregisData.paymentAddress,
-        amount: cregisData.amount,
-        currency: cregisData.currency,
-        expiresAt: cregisData.expiresAt,
-        status: cregisData.status,
-        paymentInfo: cregisData.paymentInfo
+        ...payment.details,
+        depositId: deposit.id,
+        gateway: adapter.key,
+        paymentId: payment.paymentId,
+        orderId: payment.orderId,
+        paymentUrl: payment.paymentUrl,
+        qrCodeUrl: payment.qrCodeUrl,
+        paymentAddress: payment.paymentAddress,
+        amount: payment.amount,
+        currency: payment.currency,
+        expiresAt: payment.expiresAt,
+        status: payment.status
       }
     });
   } catch (error) {
-    console.error('Create Cregis payment error:', error);
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`Create ${req.params.gateway} payment error:`, error);
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to create payment order'
@@ -802,7 +649,7 @@ router.post('/cregis/create', authenticate, async (req, res) => {
 /**
  * GET /api/deposits/my
  * Get all deposits for the logged in user
- * MUST be before /cregis/status/:depositId to avoid route conflicts
+ * MUST be before /:gateway/status/:depositId to avoid route conflicts
  */
 router.get('/my', authenticate, async (req, res, next) => {
   try {
@@ -813,7 +660,8 @@ router.get('/my', authenticate, async (req, res, next) => {
     let query = `
       SELECT 
         id, amount, currency, deposit_to_type, mt5_account_id, wallet_id,
-        status, gateway_id, created_at, updated_at
+        status, gateway_id, received_amount, credited_amount, amount_difference,
+        review_status, created_at, updated_at
       FROM deposit_requests
       WHERE user_id = $1
     `;
@@ -849,20 +697,22 @@ router.get('/my', authenticate, async (req, res, next) => {
 });
 
 /**
- * GET /api/deposits/cregis/status/:depositId
- * Check payment status for a Cregis deposit
+ * GET /api/deposits/:gateway/status/:depositId
+ * Check payment status of an automatic gateway deposit
  */
-router.get('/cregis/status/:depositId', authenticate, async (req, res) => {
+router.get('/:gateway/status/:depositId', authenticate, async (req, res) => {
   try {
+    const adapter = getGatewayAdapter(req.params.gateway);
     const userId = req.user.id;
     const { depositId } = req.params;
 
     // Verify deposit belongs to user
     const depositCheck = await pool.query(
-      `SELECT id, cregis_order_id, cregis_status, status, deposit_to_type, mt5_account_id, amount, currency
+      `SELECT id, cregis_order_id, cregis_status, status, deposit_to_type, mt5_account_id, amount, currency,
+              received_amount, credited_amount, amount_difference, review_status
        FROM deposit_requests 
-       WHERE id = $1 AND user_id = $2`,
-      [depositId, userId]
+       WHERE id = $1 AND user_id = $2 AND payment_gateway = $3`,
+      [depositId, userId, adapter.key]
     );
 
     if (depositCheck.rows.length === 0) {
@@ -873,103 +723,58 @@ router.get('/cregis/status/:depositId', authenticate, async (req, res) => {
     }
 
     const deposit = depositCheck.rows[0];
+    const paymentId = await getGatewayPaymentId(adapter, deposit.id);
 
-    // Get cregis_id from cregis_transactions table
-    const cregisTransaction = await pool.query(
-      'SELECT cregis_order_id FROM cregis_transactions WHERE deposit_request_id = $1 LIMIT 1',
-      [deposit.id]
-    );
-
-    if (cregisTransaction.rows.length === 0 || !cregisTransaction.rows[0].cregis_order_id) {
+    if (!paymentId) {
       return res.status(400).json({
         success: false,
-        error: 'No Cregis transaction found for this deposit'
+        error: `No ${adapter.name} transaction found for this deposit`
       });
     }
 
-    const cregisId = cregisTransaction.rows[0].cregis_order_id; // This is actually cregis_id
-
-    // Fetch Cregis gateway configuration from database
-    const gatewayResult = await pool.query(
-      `SELECT project_id, api_key, gateway_url, webhook_secret, secret_key
-       FROM auto_gateway
-       WHERE gateway_type = 'Cryptocurrency' 
-         AND is_active = TRUE
-         AND project_id IS NOT NULL
-         AND api_key IS NOT NULL
-         AND gateway_url IS NOT NULL
-       ORDER BY display_order ASC, created_at DESC
-       LIMIT 1`
-    );
-
-    const gatewayConfig = gatewayResult.rows.length > 0 ? gatewayResult.rows[0] : null;
-
-    // Check status from Cregis API using cregis_id
-    const statusResult = await cregisService.checkPaymentStatus(cregisId, gatewayConfig);
+    const gatewayConfig = await adapter.getConfig();
+    const statusData = await adapter.checkStatus(paymentId, gatewayConfig);
 
-    if (!statusResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: statusResult.error || 'Failed to check payment status'
-      });
-    }
+    let depositStatus = deposit.status;
+    let amounts = deposit;
 
-    const cregisStatus = statusResult.data.status;
-    const depositStatus = cregisService.mapCregisStatusToDepositStatus(cregisStatus);
-
-    // Update deposit request if status changed
-    if (cregisStatus !== deposit.cregis_status) {
-      await pool.query(
-        `UPDATE deposit_requests 
-         SET cregis_status = $1, status = $2, updated_at = NOW()
-         WHERE id = $3`,
-        [cregisStatus, depositStatus, deposit.id]
+    // Update deposit request if status changed (credits the deposit once when paid)
+    if (statusData.status !== deposit.cregis_status) {
+      await syncGatewayDepositStatus(adapter, deposit.id, { ...statusData, paymentId }, gatewayConfig);
+      const updated = await pool.query(
+        `SELECT status, received_amount, credited_amount, amount_difference, review_status
+         FROM deposit_requests WHERE id = $1`,
+        [deposit.id]
       );
-
-      // Update cregis_transactions
-      await pool.query(
-        `UPDATE cregis_transactions 
-         SET cregis_status = $1, updated_at = NOW()
-         WHERE cregis_order_id = $2`,
-        [cregisStatus, cregisId]
-      );
-
-      // If payment is paid/paid_over and deposit is for MT5, add balance
-      if ((cregisStatus === 'paid' || cregisStatus === 'paid_over')
-        && deposit.deposit_to_type === 'mt5'
-        && deposit.mt5_account_id
-        && deposit.status !== 'approved') {
-        try {
-          const login = parseInt(deposit.mt5_account_id, 10);
-          if (!Number.isNaN(login)) {
-            await mt5Service.addBalance(
-              login,
-              parseFloat(deposit.amount),
-              `Cregis deposit #${deposit.id}`
-            );
-            console.log(`Added balance to MT5 account ${login} for Cregis deposit #${deposit.id}`);
-          }
-        } catch (mt5Error) {
-          console.error('Error adding MT5 balance:', mt5Error);
-          // Don't fail the request, just log the error
-        }
-      }
+      amounts = updated.rows[0] || deposit;
+      depositStatus = amounts.status || depositStatus;
     }
 
     res.json({
       success: true,
       data: {
         depositId: deposit.id,
-        cregisStatus,
+        gateway: adapter.key,
+        gatewayStatus: statusData.status,
+        // Kept for clients written against the Cregis-only endpoint
+        cregisStatus: statusData.status,
+        paymentStatus: adapter.mapStatus(statusData.status),
         depositStatus,
-        amount: statusResult.data.amount || deposit.amount,
-        currency: statusResult.data.currency || deposit.currency,
-        transactionHash: statusResult.data.transactionHash,
-        paidAt: statusResult.data.paidAt
+        amount: deposit.amount,
+        currency: deposit.currency,
+        receivedAmount: amounts.received_amount,
+        creditedAmount: amounts.credited_amount,
+        amountDifference: amounts.amount_difference,
+        underReview: amounts.review_status === 'pending_review',
+        transactionHash: statusData.transactionHash,
+        paidAt: statusData.paidAt
       }
     });
   } catch (error) {
-    console.error('Check Cregis payment status error:', error);
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`Check ${req.params.gateway} payment status error:`, error);
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to check payment status'
@@ -978,88 +783,39 @@ router.get('/cregis/status/:depositId', authenticate, async (req, res) => {
 });
 
 /**
- * POST /api/deposits/cregis/webhook
- * Handle Cregis webhook callbacks (public endpoint, no auth)
+ * POST /api/deposits/:gateway/webhook
+ * Payment callbacks from an automatic gateway (public endpoint, no auth;
+ * the adapter verifies the signature)
  */
-router.post('/cregis/webhook', express.json(), async (req, res) => {
+router.post('/:gateway/webhook', express.json(), async (req, res) => {
   try {
-    const payload = req.body;
-    const signature = req.headers['x-cregis-signature'] || req.headers['x-signature'] || null;
-
-    console.log('Cregis webhook received:', JSON.stringify(payload, null, 2));
+    const adapter = getGatewayAdapter(req.params.gateway);
 
-    const webhookResult = await cregisService.handleWebhook(payload, signature);
+    console.log(`${adapter.name} webhook received:`, JSON.stringify(req.body, null, 2));
 
-    if (!webhookResult.success) {
-      console.error('Webhook processing failed:', webhookResult.error);
-      return res.status(400).json({
-        success: false,
-        error: webhookResult.error
-      });
-    }
+    const gatewayConfig = await adapter.getConfig();
+    const event = await adapter.verifyWebhook({ body: req.body, headers: req.headers }, gatewayConfig);
 
-    const { cregisId, orderId, status, transactionHash } = webhookResult.data;
+    // Inbox insert, status updates and crediting commit together; a redelivered
+    // event is acknowledged without being applied again
+    const result = await processGatewayWebhookEvent(adapter, event, gatewayConfig);
 
-    // Find deposit request by order_id (merchant order ID)
-    const depositCheck = await pool.query(
-      `SELECT id, user_id, deposit_to_type, mt5_account_id, amount, currency, status
-       FROM deposit_requests 
-       WHERE cregis_order_id = $1`,
-      [orderId]
-    );
-
-    if (depositCheck.rows.length === 0) {
-      console.error('Deposit not found for Cregis order ID:', orderId);
-      return res.status(404).json({
-        success: false,
-        error: 'Deposit not found'
-      });
+    if (result.duplicate) {
+      console.log(`Duplicate ${adapter.name} webhook event ignored:`, event.eventId);
+    } else if (!result.found) {
+      console.error(`Deposit not found for ${adapter.name} order ID:`, event.orderId);
     }
 
-    const deposit = depositCheck.rows[0];
-    const depositStatus = cregisService.mapCregisStatusToDepositStatus(status);
-
-    // Update deposit request
-    await pool.query(
-      `UPDATE deposit_requests 
-       SET cregis_status = $1, status = $2, updated_at = NOW()
-       WHERE id = $3`,
-      [status, depositStatus, deposit.id]
-    );
-
-    // Update cregis_transactions using cregis_id
-    await pool.query(
-      `UPDATE cregis_transactions 
-       SET cregis_status = $1, webhook_data = $2, updated_at = NOW()
-       WHERE cregis_order_id = $3`,
-      [status, JSON.stringify(payload), cregisId]
-    );
-
-    // If payment is paid/paid_over and deposit is for MT5, add balance
-    if ((status === 'paid' || status === 'paid_over')
-      && deposit.deposit_to_type === 'mt5'
-      && deposit.mt5_account_id
-      && deposit.status !== 'approved') {
-      try {
-        const login = parseInt(deposit.mt5_account_id, 10);
-        if (!Number.isNaN(login)) {
-          await mt5Service.addBalance(
-            login,
-            parseFloat(deposit.amount),
-            `Cregis deposit #${deposit.id}`
-          );
-          console.log(`Added balance to MT5 account ${login} for Cregis deposit #${deposit.id} via webhook`);
-        }
-      } catch (mt5Error) {
-        console.error('Error adding MT5 balance from webhook:', mt5Error);
-        // Don't fail the webhook, just log the error
-      }
+    if (typeof adapter.webhookAck === 'string') {
+      return res.status(200).send(adapter.webhookAck);
     }
-
-    // Return "success" string as required by Cregis
-    res.status(200).send('success');
+    res.status(200).json(adapter.webhookAck);
   } catch (error) {
-    console.error('Cregis webhook error:', error);
+    if (error.status && error.status < 500) {
+      console.error(`${req.params.gateway} webhook rejected:`, error.message);
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`${req.params.gateway} webhook error:`, error);
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to process webhook'
@@ -0,0 +1,116 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import { listFxRates, upsertFxRate, quoteConversion } from '../services/fx.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/fx-rates
+ * List conversion rates used for transfers between currencies
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('fx-rates', 'view'), async (req, res) => {
+    try {
+        const rates = await listFxRates();
+        res.json({
+            success: true,
+            data: rates.map(row => ({
+                ...row,
+                rate: Number(row.rate),
+                markup_percent: Number(row.markup_percent)
+            }))
+        });
+    } catch (error) {
+        console.error('GET /api/admin/fx-rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/fx-rates
+ * Create or update the rate of a currency pair
+ * Body: baseCurrency, quoteCurrency, rate (1 base = rate quote), markupPercent, isActive
+ */
+router.put('/', authenticateAdmin, requireAdminFeaturePermission('fx-rates', 'edit'), async (req, res) => {
+    try {
+        const { baseCurrency, quoteCurrency, rate, markupPercent = 0, isActive = true } = req.body;
+        const adminId = req.admin?.adminId || req.admin?.id || null;
+
+        if (!baseCurrency || !quoteCurrency || rate === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'baseCurrency, quoteCurrency and rate are required'
+            });
+        }
+
+        const saved = await upsertFxRate({ baseCurrency, quoteCurrency, rate, markupPercent, isActive, adminId });
+
+        res.json({
+            success: true,
+            data: saved
+        });
+
+        setImmediate(async () => {
+            await logAdminAction({
+                adminId,
+                adminEmail: req.admin?.email,
+                actionType: 'fx_rate_update',
+                actionCategory: 'settings',
+                targetType: 'fx_rate',
+                targetId: saved.id,
+                targetIdentifier: `${saved.base_currency}/${saved.quote_currency}`,
+                description: `Set ${saved.base_currency}/${saved.quote_currency} rate to ${saved.rate} (markup ${saved.markup_percent}%)`,
+                req,
+                res,
+                afterData: saved
+            });
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('PUT /api/admin/fx-rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/fx-rates/quote
+ * Preview a conversion with the current rates
+ * Query: from, to, amount
+ */
+router.get('/quote', authenticateAdmin, requireAdminFeaturePermission('fx-rates', 'view'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const amount = Number(req.query.amount);
+        if (!from || !to || !amount || amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'from, to and a positive amount are required'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await quoteConversion(amount, from, to)
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('GET /api/admin/fx-rates/quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,207 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    GATEWAY_PAYOUT_STATUSES,
+    listGatewayPayouts,
+    getGatewayPayout,
+    startWithdrawalPayout,
+    submitGatewayPayout,
+    checkGatewayPayout,
+    markGatewayPayoutPaid,
+    cancelGatewayPayout
+} from '../services/gatewayPayout.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+function sendError(res, error, label) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+function logPayoutAction(req, res, { actionType, payout, description }) {
+    setImmediate(async () => {
+        await logAdminAction({
+            adminId: req.admin?.adminId || req.admin?.id,
+            adminEmail: req.admin?.email,
+            actionType,
+            actionCategory: 'withdrawal_management',
+            targetType: 'gateway_payout',
+            targetId: payout.id,
+            targetIdentifier: `Gateway payout #${payout.id} (withdrawal #${payout.withdrawalId})`,
+            description,
+            req,
+            res,
+            afterData: payout
+        });
+    });
+}
+
+/**
+ * GET /api/admin/gateway-payouts
+ * Withdrawals paid through the payout gateway
+ * Query: status (queued|submitting|pending|retry_scheduled|paid|escalated|cancelled), limit, offset
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'view'), async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        if (status && !GATEWAY_PAYOUT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${GATEWAY_PAYOUT_STATUSES.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await listGatewayPayouts({
+                status,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                offset: parseInt(req.query.offset) || 0
+            })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/gateway-payouts');
+    }
+});
+
+/**
+ * GET /api/admin/gateway-payouts/:id
+ */
+router.get('/:id', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getGatewayPayout(parseInt(req.params.id))
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/gateway-payouts/:id');
+    }
+});
+
+/**
+ * POST /api/admin/gateway-payouts
+ * Pay an approved USDT TRC20 withdrawal through the gateway, e.g. one approved
+ * before gateway payouts were enabled or whose earlier payout was cancelled
+ * Body: withdrawalId
+ */
+router.post('/', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const withdrawalId = parseInt(req.body.withdrawalId);
+        if (Number.isNaN(withdrawalId)) {
+            return res.status(400).json({ success: false, message: 'withdrawalId is required' });
+        }
+
+        const payout = await startWithdrawalPayout(withdrawalId, { adminId: req.admin?.adminId || req.admin?.id || null });
+
+        res.status(201).json({
+            success: true,
+            data: payout
+        });
+
+        logPayoutAction(req, res, {
+            actionType: 'gateway_payout_create',
+            payout,
+            description: `Started gateway payout of withdrawal #${withdrawalId} (${payout.status})`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/gateway-payouts');
+    }
+});
+
+/**
+ * POST /api/admin/gateway-payouts/:id/retry
+ * Submit a scheduled or escalated payout now under a new reference.
+ * For a payout escalated with an unknown outcome, check the gateway first:
+ * if the earlier submission went out, this pays the withdrawal twice.
+ */
+router.post('/:id/retry', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const payout = await submitGatewayPayout(parseInt(req.params.id), { manual: true });
+
+        res.json({
+            success: true,
+            data: payout
+        });
+
+        logPayoutAction(req, res, {
+            actionType: 'gateway_payout_retry',
+            payout,
+            description: `Retried gateway payout #${payout.id} (attempt ${payout.attempts}, now ${payout.status})`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/gateway-payouts/:id/retry');
+    }
+});
+
+/**
+ * POST /api/admin/gateway-payouts/:id/check
+ * Fetch the payout status from the gateway now
+ */
+router.post('/:id/check', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await checkGatewayPayout(parseInt(req.params.id))
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/gateway-payouts/:id/check');
+    }
+});
+
+/**
+ * POST /api/admin/gateway-payouts/:id/mark-paid
+ * Record an escalated payout as paid after confirming it at the gateway
+ * Body: transactionHash
+ */
+router.post('/:id/mark-paid', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const payout = await markGatewayPayoutPaid(parseInt(req.params.id), req.body.transactionHash);
+
+        res.json({
+            success: true,
+            data: payout
+        });
+
+        logPayoutAction(req, res, {
+            actionType: 'gateway_payout_mark_paid',
+            payout,
+            description: `Marked gateway payout #${payout.id} paid - TX: ${payout.transactionHash}`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/gateway-payouts/:id/mark-paid');
+    }
+});
+
+/**
+ * POST /api/admin/gateway-payouts/:id/cancel
+ * Stop paying through the gateway; the withdrawal can then go into a payout batch
+ * Body: reason (optional)
+ */
+router.post('/:id/cancel', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const payout = await cancelGatewayPayout(parseInt(req.params.id), req.body?.reason || null);
+
+        res.json({
+            success: true,
+            data: payout
+        });
+
+        logPayoutAction(req, res, {
+            actionType: 'gateway_payout_cancel',
+            payout,
+            description: `Cancelled gateway payout #${payout.id}${req.body?.reason ? `: ${req.body.reason}` : ''}`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/gateway-payouts/:id/cancel');
+    }
+});
+
+export default router;
@@ -98,7 +98,7 @@ router.get('/dashboard', authenticate, ensureIB, async (req, res) => {
 
         // 3. Get Wallet Balances (Available/Pending)
         const walletResult = await pool.query(
-            'SELECT balance, currency FROM wallets WHERE user_id = $1',
+            'SELECT balance, currency FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
             [userId]
         );
 
@@ -482,7 +482,7 @@ router.get('/commission/summary', authenticate, ensureIB, async (req, res) => {
 
         // Get wallet balances
         const walletResult = await pool.query(
-            'SELECT balance, currency FROM wallets WHERE user_id = $1',
+            'SELECT balance, currency FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1',
             [userId]
         );
 
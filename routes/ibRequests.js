@@ -7,6 +7,7 @@ import {
   sendIBLockedEmail, 
   sendIBUnlockedEmail 
 } from '../services/templateEmail.service.js';
+import { SYSTEM_ACCOUNTS, ibAccount, recordEntry } from '../services/ledger.service.js';
 
 const router = express.Router();
 
@@ -3903,6 +3904,18 @@ router.post('/commission-distribution/:id/distribute', authenticateAdmin, async
       [amount, ibRequestId]
     );
 
+    // 4. Ledger entry (same transaction)
+    await recordEntry({
+      entryType: 'ib_commission',
+      debit: SYSTEM_ACCOUNTS.IB_COMMISSION_EXPENSE,
+      credit: ibAccount(ibRequestId, { userId: ibCheck.rows[0].user_id }),
+      amount: parseFloat(amount),
+      referenceType: 'ib_distribution',
+      referenceId: ibRequestId,
+      description: notes || 'Commission Distribution',
+      createdByAdmin: adminId
+    }, client);
+
     await client.query('COMMIT');
     res.json({ success: true, message: 'Commission distributed successfully' });
   } catch (error) {
@@ -5,6 +5,7 @@ import {
   sendIBWithdrawalApprovedEmail, 
   sendIBWithdrawalRejectedEmail 
 } from '../services/templateEmail.service.js';
+import { SYSTEM_ACCOUNTS, ibAccount, recordEntry } from '../services/ledger.service.js';
 
 const router = express.Router();
 
@@ -89,6 +90,17 @@ router.patch('/:id/approve', authenticateAdmin, async (req, res) => {
             [amount, ibResult.rows[0].id]
         );
 
+        await recordEntry({
+            entryType: 'ib_withdrawal',
+            debit: ibAccount(ibResult.rows[0].id, { userId: user_id }),
+            credit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+            amount: parseFloat(amount),
+            referenceType: 'ib_withdrawal',
+            referenceId: withdrawalId,
+            description: `IB withdrawal #${withdrawalId}`,
+            createdByAdmin: adminId
+        }, client);
+
         // 4. Update withdrawal status
         await client.query(
             `UPDATE ib_withdrawals 
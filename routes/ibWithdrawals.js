@@ -1,6 +1,7 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { sendIBWithdrawalRequestEmail } from '../services/templateEmail.service.js';
 
 const router = express.Router();
@@ -33,7 +34,7 @@ const ensureIB = async (req, res, next) => {
  * POST /api/ib-withdrawals
  * Create a new IB withdrawal request
  */
-router.post('/', authenticate, ensureIB, async (req, res) => {
+router.post('/', authenticate, ensureIB, idempotency, async (req, res) => {
     try {
         const userId = req.user.id;
         const { amount, paymentDetailId } = req.body;
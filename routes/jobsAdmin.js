@@ -0,0 +1,182 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    JOB_RUN_STATUSES,
+    listJobs,
+    getJob,
+    listJobRuns,
+    triggerJob,
+    updateJob
+} from '../services/scheduler.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+function sendError(res, error, label) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+function logJobAction(req, res, { actionType, jobName, description, afterData }) {
+    setImmediate(async () => {
+        await logAdminAction({
+            adminId: req.admin?.adminId || req.admin?.id,
+            adminEmail: req.admin?.email,
+            actionType,
+            actionCategory: 'system_management',
+            targetType: 'scheduled_job',
+            targetId: null,
+            targetIdentifier: jobName,
+            description,
+            req,
+            res,
+            afterData
+        });
+    });
+}
+
+function parseRunQuery(query) {
+    const status = query.status || null;
+    if (status && !JOB_RUN_STATUSES.includes(status)) {
+        const error = new Error(`status must be one of ${JOB_RUN_STATUSES.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+    return {
+        status,
+        limit: Math.min(parseInt(query.limit) || 50, 200),
+        offset: parseInt(query.offset) || 0
+    };
+}
+
+/**
+ * GET /api/admin/jobs
+ * Scheduled jobs with their schedule and last outcome
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('jobs', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listJobs()
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/jobs');
+    }
+});
+
+/**
+ * GET /api/admin/jobs/runs
+ * Run history of every job, newest first
+ * Query: status (running|succeeded|failed|abandoned), limit, offset
+ */
+router.get('/runs', authenticateAdmin, requireAdminFeaturePermission('jobs', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listJobRuns(parseRunQuery(req.query))
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/jobs/runs');
+    }
+});
+
+/**
+ * GET /api/admin/jobs/:name
+ */
+router.get('/:name', authenticateAdmin, requireAdminFeaturePermission('jobs', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getJob(req.params.name)
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/jobs/:name');
+    }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Query: status, limit, offset
+ */
+router.get('/:name/runs', authenticateAdmin, requireAdminFeaturePermission('jobs', 'view'), async (req, res) => {
+    try {
+        await getJob(req.params.name);
+        res.json({
+            success: true,
+            data: await listJobRuns({ ...parseRunQuery(req.query), jobName: req.params.name })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/jobs/:name/runs');
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a job now; answers with the finished run, or 202 with the running one
+ * when it takes longer than a couple of seconds
+ */
+router.post('/:name/run', authenticateAdmin, requireAdminFeaturePermission('jobs', 'edit'), async (req, res) => {
+    try {
+        const { run, done } = await triggerJob(req.params.name, {
+            adminId: req.admin?.adminId || req.admin?.id || null
+        });
+
+        const finished = await Promise.race([
+            done,
+            new Promise(resolve => setTimeout(() => resolve(null), 2000))
+        ]);
+
+        res.status(finished ? 200 : 202).json({
+            success: true,
+            message: finished ? `Job ${finished.status}` : 'Job started',
+            data: finished || run
+        });
+
+        logJobAction(req, res, {
+            actionType: 'scheduled_job_run',
+            jobName: req.params.name,
+            description: `Manually ran job ${req.params.name} (run #${run.id})`,
+            afterData: finished || run
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/jobs/:name/run');
+    }
+});
+
+/**
+ * PUT /api/admin/jobs/:name
+ * Body: cronExpression (five fields, UTC), isEnabled, maxAttempts (1-10); all optional
+ */
+router.put('/:name', authenticateAdmin, requireAdminFeaturePermission('jobs', 'edit'), async (req, res) => {
+    try {
+        const { cronExpression, isEnabled, maxAttempts } = req.body || {};
+        const job = await updateJob(req.params.name, {
+            cronExpression,
+            isEnabled,
+            maxAttempts: maxAttempts !== undefined ? Number(maxAttempts) : undefined
+        });
+
+        res.json({
+            success: true,
+            data: job
+        });
+
+        logJobAction(req, res, {
+            actionType: 'scheduled_job_update',
+            jobName: job.name,
+            description: `Updated job ${job.name}: ${job.cronExpression}, ${job.isEnabled ? 'enabled' : 'disabled'}, ${job.maxAttempts} attempt(s)`,
+            afterData: job
+        });
+    } catch (error) {
+        sendError(res, error, 'PUT /api/admin/jobs/:name');
+    }
+});
+
+export default router;
@@ -0,0 +1,138 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import { reconcileLedgerBalances } from '../services/ledger.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/ledger/accounts
+ * List ledger accounts with their derived balances
+ * Query: ownerType, userId
+ */
+router.get('/accounts', authenticateAdmin, requireAdminFeaturePermission('ledger', 'view'), async (req, res) => {
+    try {
+        const { ownerType, userId } = req.query;
+        const conditions = [];
+        const params = [];
+
+        if (ownerType) {
+            params.push(ownerType);
+            conditions.push(`owner_type = $${params.length}`);
+        }
+        if (userId) {
+            params.push(parseInt(userId));
+            conditions.push(`user_id = $${params.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const result = await pool.query(
+            `SELECT * FROM ledger_account_balances ${whereClause} ORDER BY owner_type, code`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                ...row,
+                balance: Number(row.balance),
+                postings_count: Number(row.postings_count)
+            }))
+        });
+    } catch (error) {
+        console.error('GET /api/admin/ledger/accounts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/ledger/journal
+ * List journal entries with their postings
+ * Query: accountCode, referenceType, referenceId, limit, offset
+ */
+router.get('/journal', authenticateAdmin, requireAdminFeaturePermission('ledger', 'view'), async (req, res) => {
+    try {
+        const { accountCode, referenceType, referenceId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const conditions = [];
+        const params = [];
+
+        if (accountCode) {
+            params.push(accountCode);
+            conditions.push(`j.id IN (
+                SELECT lp.journal_id FROM ledger_postings lp
+                JOIN ledger_accounts la ON la.id = lp.account_id
+                WHERE la.code = $${params.length}
+            )`);
+        }
+        if (referenceType) {
+            params.push(referenceType);
+            conditions.push(`j.reference_type = $${params.length}`);
+        }
+        if (referenceId) {
+            params.push(String(referenceId));
+            conditions.push(`j.reference_id = $${params.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.push(limit, offset);
+
+        const result = await pool.query(
+            `SELECT j.*,
+                    COALESCE(json_agg(json_build_object(
+                        'account_code', la.code,
+                        'account_name', la.name,
+                        'side', lp.side,
+                        'amount', lp.amount
+                    ) ORDER BY lp.id), '[]') AS postings
+             FROM ledger_journal j
+             JOIN ledger_postings lp ON lp.journal_id = j.id
+             JOIN ledger_accounts la ON la.id = lp.account_id
+             ${whereClause}
+             GROUP BY j.id
+             ORDER BY j.created_at DESC, j.id DESC
+             LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('GET /api/admin/ledger/journal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/ledger/reconciliation
+ * Compare wallet, IB and MT5 balances with the ledger
+ */
+router.get('/reconciliation', authenticateAdmin, requireAdminFeaturePermission('ledger', 'view'), async (req, res) => {
+    try {
+        const tolerance = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : 0.01;
+        const report = await reconcileLedgerBalances({ tolerance: isNaN(tolerance) ? 0.01 : tolerance });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('GET /api/admin/ledger/reconciliation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    listLimitRules,
+    createLimitRule,
+    updateLimitRule,
+    deleteLimitRule,
+    evaluateLimits,
+    LIMIT_OPERATIONS
+} from '../services/limits.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+function sendError(res, error, label) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+function logRuleAction(req, res, { actionType, rule, description, beforeData = null, afterData = null }) {
+    setImmediate(async () => {
+        await logAdminAction({
+            adminId: req.admin?.adminId || req.admin?.id,
+            adminEmail: req.admin?.email,
+            actionType,
+            actionCategory: 'limit_management',
+            targetType: 'limit_rule',
+            targetId: rule.id,
+            targetIdentifier: rule.name,
+            description,
+            req,
+            res,
+            beforeData,
+            afterData
+        });
+    });
+}
+
+/**
+ * GET /api/admin/limit-rules
+ * All deposit / withdrawal / transfer limit rules
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('limits', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listLimitRules()
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/limit-rules');
+    }
+});
+
+/**
+ * GET /api/admin/limit-rules/users/:userId
+ * Headroom of a client under every rule that applies to them
+ * Query: operation (deposit|withdrawal|transfer), amount, currency, gatewayId
+ */
+router.get('/users/:userId', authenticateAdmin, requireAdminFeaturePermission('limits', 'view'), async (req, res) => {
+    try {
+        const { operation = 'deposit', amount = 0, currency = 'USD', gatewayId } = req.query;
+        if (!LIMIT_OPERATIONS.includes(operation)) {
+            return res.status(400).json({
+                success: false,
+                message: `operation must be one of ${LIMIT_OPERATIONS.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await evaluateLimits({
+                userId: parseInt(req.params.userId),
+                operation,
+                amount: Number(amount) || 0,
+                currency,
+                gatewayId: gatewayId ? parseInt(gatewayId) : null
+            })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/limit-rules/users/:userId');
+    }
+});
+
+/**
+ * POST /api/admin/limit-rules
+ * Body: name, operation, period (transaction|day|week|month|lifetime), maxAmountUsd, maxCount,
+ *       kycTier (unverified|verified), country, gatewayId, isActive
+ */
+router.post('/', authenticateAdmin, requireAdminFeaturePermission('limits', 'add'), async (req, res) => {
+    try {
+        const rule = await createLimitRule(req.body, req.admin?.adminId || req.admin?.id || null);
+
+        res.status(201).json({
+            success: true,
+            data: rule
+        });
+
+        logRuleAction(req, res, {
+            actionType: 'limit_rule_create',
+            rule,
+            description: `Created ${rule.operation} limit rule "${rule.name}" (${rule.period})`,
+            afterData: rule
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/limit-rules');
+    }
+});
+
+/**
+ * PUT /api/admin/limit-rules/:id
+ * Body: any of the POST fields
+ */
+router.put('/:id', authenticateAdmin, requireAdminFeaturePermission('limits', 'edit'), async (req, res) => {
+    try {
+        const rule = await updateLimitRule(parseInt(req.params.id), req.body);
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+        logRuleAction(req, res, {
+            actionType: 'limit_rule_update',
+            rule,
+            description: `Updated limit rule "${rule.name}"`,
+            afterData: rule
+        });
+    } catch (error) {
+        sendError(res, error, 'PUT /api/admin/limit-rules/:id');
+    }
+});
+
+/**
+ * DELETE /api/admin/limit-rules/:id
+ */
+router.delete('/:id', authenticateAdmin, requireAdminFeaturePermission('limits', 'delete'), async (req, res) => {
+    try {
+        const rule = await deleteLimitRule(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            message: 'Limit rule deleted'
+        });
+
+        logRuleAction(req, res, {
+            actionType: 'limit_rule_delete',
+            rule,
+            description: `Deleted limit rule "${rule.name}"`,
+            beforeData: rule
+        });
+    } catch (error) {
+        sendError(res, error, 'DELETE /api/admin/limit-rules/:id');
+    }
+});
+
+export default router;
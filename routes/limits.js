@@ -0,0 +1,73 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { evaluateLimits, getLimitsOverview, LIMIT_OPERATIONS } from '../services/limits.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/limits
+ * Limits that apply to the authenticated user with the amount used and left
+ * under each rule, so the UI can show them before a request is made
+ * Query: operation (deposit|withdrawal|transfer, default all), gatewayId (deposits)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { operation, gatewayId } = req.query;
+    if (operation && !LIMIT_OPERATIONS.includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        message: `operation must be one of ${LIMIT_OPERATIONS.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getLimitsOverview(req.user.id, {
+        operation: operation || null,
+        gatewayId: gatewayId ? parseInt(gatewayId, 10) : null
+      })
+    });
+  } catch (error) {
+    console.error('Get limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch limits'
+    });
+  }
+});
+
+/**
+ * GET /api/limits/check
+ * Whether an amount would pass the limits, and which rule would block it
+ * Query: operation, amount, currency (default USD), gatewayId (deposits)
+ */
+router.get('/check', authenticate, async (req, res) => {
+  try {
+    const { operation, amount, currency = 'USD', gatewayId } = req.query;
+    if (!LIMIT_OPERATIONS.includes(operation) || !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'operation and a positive amount are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await evaluateLimits({
+        userId: req.user.id,
+        operation,
+        amount: Number(amount),
+        currency,
+        gatewayId: operation === 'deposit' && gatewayId ? parseInt(gatewayId, 10) : null
+      })
+    });
+  } catch (error) {
+    console.error('Check limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check limits'
+    });
+  }
+});
+
+export default router;
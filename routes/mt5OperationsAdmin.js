@@ -0,0 +1,175 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    MT5_OPERATION_STATUSES,
+    listMt5Operations,
+    getMt5Operation,
+    executeMt5Operation,
+    markMt5OperationApplied,
+    cancelMt5Operation
+} from '../services/mt5Outbox.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+function sendError(res, error, label) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+function logOperationAction(req, res, { actionType, operation, description }) {
+    setImmediate(async () => {
+        await logAdminAction({
+            adminId: req.admin?.adminId || req.admin?.id,
+            adminEmail: req.admin?.email,
+            actionType,
+            actionCategory: 'mt5_management',
+            targetType: 'mt5_operation',
+            targetId: operation.id,
+            targetIdentifier: `MT5 operation #${operation.id} (${operation.operation} ${operation.amount} on ${operation.login})`,
+            description,
+            req,
+            res,
+            afterData: operation
+        });
+    });
+}
+
+/**
+ * GET /api/admin/mt5-operations
+ * Queued MT5 balance changes, newest first
+ * Query: status (pending|processing|succeeded|escalated|cancelled), login,
+ * stuck=true (escalated, or pending after a failed attempt), limit, offset
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('mt5-operations', 'view'), async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        if (status && !MT5_OPERATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${MT5_OPERATION_STATUSES.join(', ')}`
+            });
+        }
+        const login = req.query.login ? parseInt(req.query.login) : null;
+        if (Number.isNaN(login)) {
+            return res.status(400).json({ success: false, message: 'Invalid MT5 login' });
+        }
+
+        res.json({
+            success: true,
+            data: await listMt5Operations({
+                status,
+                login,
+                stuck: req.query.stuck === 'true',
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                offset: parseInt(req.query.offset) || 0
+            })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/mt5-operations');
+    }
+});
+
+/**
+ * GET /api/admin/mt5-operations/:id
+ */
+router.get('/:id', authenticateAdmin, requireAdminFeaturePermission('mt5-operations', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getMt5Operation(parseInt(req.params.id))
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/mt5-operations/:id');
+    }
+});
+
+/**
+ * POST /api/admin/mt5-operations/:id/retry
+ * Apply a pending or escalated operation now.
+ * For one escalated with an unknown outcome, check the account in MT5 first:
+ * if the earlier call went through, this applies the change twice.
+ */
+router.post('/:id/retry', authenticateAdmin, requireAdminFeaturePermission('mt5-operations', 'edit'), async (req, res) => {
+    try {
+        const operation = await executeMt5Operation(parseInt(req.params.id), { manual: true });
+
+        res.json({
+            success: true,
+            data: operation
+        });
+
+        logOperationAction(req, res, {
+            actionType: 'mt5_operation_retry',
+            operation,
+            description: `Retried MT5 operation #${operation.id} (attempt ${operation.attempts}, now ${operation.status})`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/mt5-operations/:id/retry');
+    }
+});
+
+/**
+ * POST /api/admin/mt5-operations/:id/mark-applied
+ * Record an escalated operation as done after finding the deal in MT5
+ * Body: dealId (optional), note (optional)
+ */
+router.post('/:id/mark-applied', authenticateAdmin, requireAdminFeaturePermission('mt5-operations', 'edit'), async (req, res) => {
+    try {
+        const operation = await markMt5OperationApplied(parseInt(req.params.id), {
+            dealId: req.body?.dealId || null,
+            note: req.body?.note || null,
+            adminId: req.admin?.adminId || req.admin?.id || null
+        });
+
+        res.json({
+            success: true,
+            data: operation
+        });
+
+        logOperationAction(req, res, {
+            actionType: 'mt5_operation_mark_applied',
+            operation,
+            description: `Marked MT5 operation #${operation.id} applied${operation.mt5DealId ? ` (deal ${operation.mt5DealId})` : ''}`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/mt5-operations/:id/mark-applied');
+    }
+});
+
+/**
+ * POST /api/admin/mt5-operations/:id/cancel
+ * Never apply a pending or escalated operation. The deposit, refund or credit
+ * that queued it is not reversed.
+ * Body: reason
+ */
+router.post('/:id/cancel', authenticateAdmin, requireAdminFeaturePermission('mt5-operations', 'edit'), async (req, res) => {
+    try {
+        const operation = await cancelMt5Operation(parseInt(req.params.id), {
+            reason: req.body?.reason,
+            adminId: req.admin?.adminId || req.admin?.id || null
+        });
+
+        res.json({
+            success: true,
+            data: operation
+        });
+
+        logOperationAction(req, res, {
+            actionType: 'mt5_operation_cancel',
+            operation,
+            description: `Cancelled MT5 operation #${operation.id}: ${operation.resolutionNote}`
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/mt5-operations/:id/cancel');
+    }
+});
+
+export default router;
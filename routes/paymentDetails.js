@@ -1,6 +1,7 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import { destinationAvailableAt } from '../services/payoutDestination.service.js';
 
 const router = express.Router();
 
@@ -13,7 +14,7 @@ router.get('/', authenticate, async (req, res) => {
     const userId = req.user.id;
 
     const result = await pool.query(
-      `SELECT id, payment_method, payment_details, status, created_at, updated_at, reviewed_at, rejection_reason
+      `SELECT id, payment_method, payment_details, status, created_at, updated_at, reviewed_at, rejection_reason, details_changed_at
        FROM payment_details
        WHERE user_id = $1
        ORDER BY created_at DESC`,
@@ -22,7 +23,8 @@ router.get('/', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows
+      // withdrawable_from: end of the cooling-off period after the detail was added or edited
+      data: result.rows.map(row => ({ ...row, withdrawable_from: destinationAvailableAt(row) }))
     });
   } catch (error) {
     console.error('Get payment details error:', error);
@@ -362,6 +364,7 @@ router.put('/:id', authenticate, async (req, res) => {
            status = 'pending',
            reviewed_at = NULL,
            rejection_reason = NULL,
+           details_changed_at = NOW(),
            updated_at = NOW()
        WHERE id = $3 AND user_id = $4
        RETURNING id, payment_method, payment_details, status`,
@@ -0,0 +1,254 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    PAYOUT_METHODS,
+    listUnpaidWithdrawals,
+    createPayoutBatch,
+    getPayoutBatch,
+    listPayoutBatches,
+    buildPayoutFile,
+    parseSettlementFile,
+    applySettlement,
+    markPayoutItemNotSent,
+    cancelPayoutBatch
+} from '../services/payoutBatch.service.js';
+import { logAdminAction } from '../services/logging.service.js';
+
+const router = express.Router();
+
+const BATCH_STATUSES = ['open', 'exported', 'partially_settled', 'settled', 'cancelled'];
+
+// Settlement files are parsed in memory, never stored
+const settlementUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const extname = path.extname(file.originalname).toLowerCase();
+        if (['.csv', '.xlsx'].includes(extname)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only CSV or XLSX settlement files are allowed'));
+    }
+});
+
+const toIdList = (value) => (Array.isArray(value) ? value.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id)) : null);
+
+function sendError(res, error, label) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+function logBatchAction(req, res, { actionType, batch, description, afterData }) {
+    setImmediate(async () => {
+        await logAdminAction({
+            adminId: req.admin?.adminId || req.admin?.id,
+            adminEmail: req.admin?.email,
+            actionType,
+            actionCategory: 'withdrawal_management',
+            targetType: 'payout_batch',
+            targetId: batch.id,
+            targetIdentifier: `Payout batch #${batch.id}`,
+            description,
+            req,
+            res,
+            afterData
+        });
+    });
+}
+
+/**
+ * GET /api/admin/payout-batches/unpaid
+ * Approved client and IB withdrawals not yet paid or batched
+ * Query: method (bank_transfer|usdt_trc20)
+ */
+router.get('/unpaid', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'view'), async (req, res) => {
+    try {
+        const method = PAYOUT_METHODS.includes(req.query.method) ? req.query.method : null;
+        res.json({
+            success: true,
+            data: await listUnpaidWithdrawals({ method })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/payout-batches/unpaid');
+    }
+});
+
+/**
+ * GET /api/admin/payout-batches
+ * Query: status, limit, offset
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'view'), async (req, res) => {
+    try {
+        const status = BATCH_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        res.json({
+            success: true,
+            data: await listPayoutBatches({ status, limit, offset })
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/payout-batches');
+    }
+});
+
+/**
+ * POST /api/admin/payout-batches
+ * Create a batch from approved unpaid withdrawals of one method
+ * Body: method, withdrawalIds (optional), ibWithdrawalIds (optional), notes
+ */
+router.post('/', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const result = await createPayoutBatch({
+            method: req.body.method,
+            withdrawalIds: toIdList(req.body.withdrawalIds),
+            ibWithdrawalIds: toIdList(req.body.ibWithdrawalIds),
+            adminId: req.admin?.adminId || req.admin?.id || null,
+            notes: req.body.notes || null
+        });
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+        logBatchAction(req, res, {
+            actionType: 'payout_batch_create',
+            batch: result.batch,
+            description: `Created ${result.batch.method} payout batch #${result.batch.id}: ${result.batch.item_count} withdrawal(s), total ${result.batch.total_amount}`,
+            afterData: result.batch
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/payout-batches');
+    }
+});
+
+/**
+ * GET /api/admin/payout-batches/:id
+ * Batch with its items
+ */
+router.get('/:id', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getPayoutBatch(parseInt(req.params.id))
+        });
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/payout-batches/:id');
+    }
+});
+
+/**
+ * GET /api/admin/payout-batches/:id/file
+ * Download the bulk payout file (bank bulk format or TRC20 address/amount list)
+ * Query: format (csv|xlsx)
+ */
+router.get('/:id/file', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+        const file = await buildPayoutFile(parseInt(req.params.id), format);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (error) {
+        sendError(res, error, 'GET /api/admin/payout-batches/:id/file');
+    }
+});
+
+/**
+ * POST /api/admin/payout-batches/:id/settlement
+ * Import the settlement file (multipart field "file", CSV or XLSX) with columns
+ * reference, transaction_id and optionally status (paid|failed) and reason
+ */
+router.post('/:id/settlement', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), settlementUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Settlement file is required'
+            });
+        }
+
+        const rows = await parseSettlementFile(req.file.buffer, req.file.originalname);
+        const result = await applySettlement(parseInt(req.params.id), rows, { filename: req.file.originalname });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+        logBatchAction(req, res, {
+            actionType: 'payout_batch_settlement',
+            batch: result.batch,
+            description: `Imported settlement ${req.file.originalname} for payout batch #${result.batch.id}: ${result.paid} paid, ${result.failed} failed, ${result.unmatched.length} unmatched`,
+            afterData: result
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/payout-batches/:id/settlement');
+    }
+});
+
+/**
+ * POST /api/admin/payout-batches/:id/items/:itemId/not-sent
+ * Mark a pending item of an exported batch as failed because it never reached
+ * the bank; body { reason? }. Its withdrawal can be batched again.
+ */
+router.post('/:id/items/:itemId/not-sent', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const result = await markPayoutItemNotSent(parseInt(req.params.id), parseInt(req.params.itemId), {
+            reason: req.body?.reason || null
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+        logBatchAction(req, res, {
+            actionType: 'payout_batch_item_not_sent',
+            batch: result.batch,
+            description: `Marked item ${result.item.reference} of payout batch #${result.batch.id} as not sent`,
+            afterData: result
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/payout-batches/:id/items/:itemId/not-sent');
+    }
+});
+
+/**
+ * POST /api/admin/payout-batches/:id/cancel
+ * Cancel a batch whose file has not been exported; its withdrawals can be batched again
+ */
+router.post('/:id/cancel', authenticateAdmin, requireAdminFeaturePermission('withdrawals', 'edit'), async (req, res) => {
+    try {
+        const batch = await cancelPayoutBatch(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: batch
+        });
+
+        logBatchAction(req, res, {
+            actionType: 'payout_batch_cancel',
+            batch,
+            description: `Cancelled payout batch #${batch.id}`,
+            afterData: batch
+        });
+    } catch (error) {
+        sendError(res, error, 'POST /api/admin/payout-batches/:id/cancel');
+    }
+});
+
+export default router;
@@ -0,0 +1,213 @@
+import express from 'express';
+import ExcelJS from 'exceljs';
+import { authenticateAdmin } from '../middleware/auth.js';
+import { requireAdminFeaturePermission } from '../middleware/permissions.js';
+import {
+    runBalanceReconciliation,
+    getReconciliationRun,
+    listReconciliationRuns
+} from '../services/reconciliation.service.js';
+
+const router = express.Router();
+
+const ITEM_STATUSES = ['matched', 'mismatch', 'error'];
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+function formatItem(row) {
+    return {
+        ...row,
+        mt5_balance: toNumberOrNull(row.mt5_balance),
+        crm_balance: toNumberOrNull(row.crm_balance),
+        net_funding: toNumberOrNull(row.net_funding),
+        realized_pnl: toNumberOrNull(row.realized_pnl),
+        expected_balance: toNumberOrNull(row.expected_balance),
+        difference: toNumberOrNull(row.difference)
+    };
+}
+
+// Shared query parsing for the JSON and Excel endpoints
+function parseRunQuery(query) {
+    const status = ITEM_STATUSES.includes(query.status) ? query.status : null;
+    return {
+        runId: query.runId ? parseInt(query.runId) : null,
+        status,
+        accountNumber: query.accountNumber || null
+    };
+}
+
+/**
+ * GET /api/admin/reconciliation
+ * Latest completed run (or ?runId) with its per-account results
+ * Query: runId, status (matched|mismatch|error), accountNumber
+ */
+router.get('/', authenticateAdmin, requireAdminFeaturePermission('reconciliation', 'view'), async (req, res) => {
+    try {
+        const result = await getReconciliationRun(parseRunQuery(req.query));
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'No reconciliation run found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                run: result.run,
+                items: result.items.map(formatItem)
+            }
+        });
+    } catch (error) {
+        console.error('GET /api/admin/reconciliation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/reconciliation/runs
+ * Run history
+ * Query: limit, offset
+ */
+router.get('/runs', authenticateAdmin, requireAdminFeaturePermission('reconciliation', 'view'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 30, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        res.json({
+            success: true,
+            data: await listReconciliationRuns({ limit, offset })
+        });
+    } catch (error) {
+        console.error('GET /api/admin/reconciliation/runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Start a reconciliation run now; it continues in the background
+ * Body: tolerance (optional)
+ */
+router.post('/run', authenticateAdmin, requireAdminFeaturePermission('reconciliation', 'edit'), async (req, res) => {
+    const tolerance = req.body?.tolerance !== undefined ? Number(req.body.tolerance) : undefined;
+    if (tolerance !== undefined && (!Number.isFinite(tolerance) || tolerance < 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'tolerance must be a non-negative number'
+        });
+    }
+
+    const run = runBalanceReconciliation({
+        tolerance,
+        triggeredBy: 'admin',
+        adminId: req.admin?.adminId || req.admin?.id || null
+    });
+
+    // Only wait for the run to be registered (or refused), not for every account
+    const started = await Promise.race([
+        run.then(result => (result ? { finished: result } : { busy: true })),
+        new Promise(resolve => setTimeout(() => resolve({ running: true }), 2000))
+    ]).catch(error => ({ error }));
+
+    if (started.error) {
+        console.error('POST /api/admin/reconciliation/run error:', started.error);
+        return res.status(500).json({
+            success: false,
+            message: 'Reconciliation failed'
+        });
+    }
+    if (started.busy) {
+        return res.status(409).json({
+            success: false,
+            message: 'A reconciliation run is already in progress'
+        });
+    }
+
+    run.catch(error => console.error('Background reconciliation error:', error.message));
+    res.status(started.finished ? 200 : 202).json({
+        success: true,
+        message: started.finished ? 'Reconciliation completed' : 'Reconciliation started',
+        data: started.finished || null
+    });
+});
+
+/**
+ * GET /api/admin/reconciliation/export
+ * Excel export of a run (same query as GET /api/admin/reconciliation)
+ */
+router.get('/export', authenticateAdmin, requireAdminFeaturePermission('reconciliation', 'view'), async (req, res) => {
+    try {
+        const result = await getReconciliationRun(parseRunQuery(req.query));
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'No reconciliation run found'
+            });
+        }
+        const { run, items } = result;
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet(`Reconciliation #${run.id}`);
+
+        worksheet.columns = [
+            { header: 'MT5 Account', key: 'account_number', width: 15 },
+            { header: 'Client', key: 'client', width: 30 },
+            { header: 'Email', key: 'email', width: 30 },
+            { header: 'Currency', key: 'currency', width: 10 },
+            { header: 'MT5 Balance', key: 'mt5_balance', width: 15 },
+            { header: 'CRM Balance', key: 'crm_balance', width: 15 },
+            { header: 'Net Funding', key: 'net_funding', width: 15 },
+            { header: 'Realized P/L', key: 'realized_pnl', width: 15 },
+            { header: 'Expected Balance', key: 'expected_balance', width: 17 },
+            { header: 'Difference', key: 'difference', width: 15 },
+            { header: 'Status', key: 'status', width: 12 },
+            { header: 'Error', key: 'error', width: 40 }
+        ];
+
+        worksheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF00A896' }
+        };
+        worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+        items.map(formatItem).forEach(item => {
+            const row = worksheet.addRow({
+                ...item,
+                client: `${item.first_name || ''} ${item.last_name || ''}`.trim() || '-'
+            });
+            if (item.status !== 'matched') {
+                row.font = { color: { argb: 'FFC0392B' } };
+            }
+        });
+
+        ['mt5_balance', 'crm_balance', 'net_funding', 'realized_pnl', 'expected_balance', 'difference']
+            .forEach(key => { worksheet.getColumn(key).numFmt = '#,##0.00'; });
+
+        const date = new Date(run.started_at).toISOString().slice(0, 10);
+        const filename = `Reconciliation_${run.id}_${date}.xlsx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('GET /api/admin/reconciliation/export error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate Excel'
+            });
+        }
+    }
+});
+
+export default router;
@@ -5,6 +5,8 @@ import PDFDocument from 'pdfkit';
 import ExcelJS from 'exceljs';
 import { logUserAction } from '../services/logging.service.js';
 import * as mt5Service from '../services/mt5.service.js';
+import { toAccountSnapshot } from '../services/mt5/normalize.js';
+import { getStoredClosedTrades, getTradesSyncedAt } from '../services/tradeSync.service.js';
 
 const router = express.Router();
 
@@ -92,6 +94,10 @@ router.get('/transaction-history', authenticate, async (req, res) => {
         dr.deposit_to_type,
         dr.mt5_account_id,
         dr.wallet_number,
+        dr.received_amount,
+        dr.credited_amount,
+        dr.amount_difference,
+        dr.review_status,
         dr.created_at,
         COALESCE(mg.name, ag.wallet_name) as gateway_name,
         COALESCE(mg.type, ag.gateway_type) as gateway_type,
@@ -175,6 +181,10 @@ router.get('/transaction-history', authenticate, async (req, res) => {
           walletNumber: row.wallet_number,
           gatewayName: row.gateway_name,
           gatewayType: row.gateway_type,
+          receivedAmount: row.received_amount !== null ? parseFloat(row.received_amount) : null,
+          creditedAmount: row.credited_amount !== null ? parseFloat(row.credited_amount) : null,
+          amountDifference: row.amount_difference !== null ? parseFloat(row.amount_difference) : null,
+          underReview: row.review_status === 'pending_review',
           createdAt: row.created_at,
           description: `Deposit via ${formattedGateway}`
         };
@@ -259,11 +269,13 @@ router.get('/transaction-history', authenticate, async (req, res) => {
 /**
  * GET /api/reports/mt5-account-statement
  * Get MT5 account statement (only MT5-related transactions)
+ * includeTrades=true adds closed trades from the synced trade store
  */
 router.get('/mt5-account-statement', authenticate, async (req, res) => {
   try {
     const userId = req.user.id;
     const { accountNumber, limit = 1000, offset = 0 } = req.query;
+    const includeTrades = req.query.includeTrades === 'true';
 
     let transactions = [];
 
@@ -358,6 +370,25 @@ router.get('/mt5-account-statement', authenticate, async (req, res) => {
 
     const withdrawalResult = await pool.query(withdrawalQuery, depositParams);
 
+    // Closed trades of the user's MT5 accounts (synced by the sync-mt5-trades job)
+    const tradeFilter = (accountParam) => `
+      FROM trades t
+      WHERE t.kind = 'deal'
+        AND t.login::text IN (
+          SELECT account_number FROM trading_accounts WHERE user_id = $1 AND platform = 'MT5'
+        )
+        ${accountNumber ? `AND t.login::text = ${accountParam}` : ''}
+    `;
+    const tradeResult = includeTrades
+      ? await pool.query(
+        `SELECT t.ticket, t.login, t.symbol, t.side, t.volume, t.profit, t.commission, t.swap, t.close_time
+         ${tradeFilter('$4')}
+         ORDER BY t.close_time DESC
+         LIMIT $2 OFFSET $3`,
+        depositParams
+      )
+      : { rows: [] };
+
     // Combine transactions
     transactions = [
       ...depositResult.rows.map(row => ({
@@ -407,7 +438,22 @@ router.get('/mt5-account-statement', authenticate, async (req, res) => {
         createdAt: row.created_at,
         description: row.reference || `${row.source} → ${row.target}`,
         reference: row.reference || `TRF-${row.id}`
-      }))
+      })),
+      ...tradeResult.rows.map(row => {
+        const net = parseFloat(row.profit) + parseFloat(row.commission) + parseFloat(row.swap);
+        return {
+          id: `trade_${row.ticket}`,
+          type: 'trade',
+          operationType: net < 0 ? 'debit' : 'credit',
+          amount: Math.abs(net),
+          currency: 'USD',
+          status: 'completed',
+          mt5AccountId: String(row.login),
+          createdAt: row.close_time,
+          description: `${(row.side || 'trade').toUpperCase()} ${parseFloat(row.volume)} ${row.symbol || ''}`.trim(),
+          reference: `TRD-${row.ticket}`
+        };
+      })
     ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     // Get total count
@@ -436,7 +482,14 @@ router.get('/mt5-account-statement', authenticate, async (req, res) => {
       accountNumber ? [userId, accountNumber] : [userId]
     );
 
-    const total = parseInt(depositCountResult.rows[0].count) + parseInt(withdrawalCountResult.rows[0].count) + parseInt(transferCountResult.rows[0].count);
+    const tradeCountResult = includeTrades
+      ? await pool.query(
+        `SELECT COUNT(*) as count ${tradeFilter('$2')}`,
+        accountNumber ? [userId, accountNumber] : [userId]
+      )
+      : { rows: [{ count: 0 }] };
+
+    const total = parseInt(depositCountResult.rows[0].count) + parseInt(withdrawalCountResult.rows[0].count) + parseInt(transferCountResult.rows[0].count) + parseInt(tradeCountResult.rows[0].count);
 
     res.json({
       success: true,
@@ -1236,7 +1289,8 @@ router.get('/transaction-history/download/excel', authenticate, async (req, res)
 
 /**
  * GET /api/reports/trading-performance
- * Get trading performance summary with real-time data from MT5 API
+ * Get trading performance summary: balances in real time from the MT5 API,
+ * closed trades from the synced trade store
  */
 router.get('/trading-performance', authenticate, async (req, res) => {
   try {
@@ -1306,34 +1360,20 @@ router.get('/trading-performance', authenticate, async (req, res) => {
         
         // Use getClientBalance API
         const balanceResult = await mt5Service.getClientBalance(login);
-        let balanceData = null;
-        
-        // Try to get balance data from response
-        if (balanceResult.success && balanceResult.data) {
-          // Handle different response formats
-          if (balanceResult.data.Data) {
-            balanceData = balanceResult.data.Data;
-          } else if (balanceResult.data.Balance !== undefined) {
-            balanceData = balanceResult.data;
-          } else if (typeof balanceResult.data === 'object') {
-            balanceData = balanceResult.data;
-          }
-        }
-        
-        // Also get profile for additional data (Equity, Profit, etc.)
-        const profileResult = await mt5Service.getClientProfile(login);
-        let profileData = null;
-        
-        if (profileResult.success && profileResult.data && profileResult.data.Success && profileResult.data.Data) {
-          profileData = profileResult.data.Data;
-        }
-        
-        // Extract values - prioritize profile data, fallback to balance data
-        const balance = parseFloat(profileData?.Balance || balanceData?.Balance || 0);
-        const equity = parseFloat(profileData?.Equity || balanceData?.Equity || 0);
-        const credit = parseFloat(profileData?.Credit || balanceData?.Credit || 0);
-        const margin = parseFloat(profileData?.Margin || balanceData?.Margin || 0);
-        const freeMargin = parseFloat(profileData?.MarginFree || balanceData?.MarginFree || 0);
+        const balanceSnapshot = toAccountSnapshot(balanceResult.data);
+        const balanceData = balanceSnapshot.raw;
+
+        // Also get profile for additional data (Equity, Profit, etc.); the balance alone will do without it
+        const profileSnapshot = await mt5Service.getAccountSnapshot(login).catch(() => null);
+        const profileData = profileSnapshot?.raw || null;
+
+        // Prioritize profile data, fallback to balance data
+        const funds = profileSnapshot && profileSnapshot.balance !== null ? profileSnapshot : balanceSnapshot;
+        const balance = funds.balance ?? 0;
+        const equity = funds.equity;
+        const credit = funds.credit;
+        const margin = funds.margin;
+        const freeMargin = funds.freeMargin;
         
         // Get Profit/PnL from profile - try different field names
         const profit = parseFloat(
@@ -1391,27 +1431,11 @@ router.get('/trading-performance', authenticate, async (req, res) => {
     
     const accountBalances = (await Promise.all(balancePromises)).filter(Boolean);
     
-    // Fetch closed trades from MT5 API for all accounts
-    const tradePromises = accountNumbers.map(async (accNum) => {
-      try {
-        const login = parseInt(accNum, 10);
-        if (Number.isNaN(login)) return [];
-        
-        const tradesResult = await mt5Service.getClosedTrades(login, fromDateISO, toDateISO, 1, 10000);
-        if (tradesResult.success && tradesResult.data && Array.isArray(tradesResult.data)) {
-          return tradesResult.data.map(trade => ({
-            ...trade,
-            accountNumber: accNum
-          }));
-        }
-        return [];
-      } catch (error) {
-        console.error(`Error fetching trades for account ${accNum}:`, error);
-        return [];
-      }
-    });
-    
-    const allTrades = (await Promise.all(tradePromises)).flat();
+    // Closed trades from the synced trade store (sync-mt5-trades job)
+    const [allTrades, tradesSyncedAt] = await Promise.all([
+      getStoredClosedTrades({ logins: accountNumbers, from: fromDateISO, to: toDateISO }),
+      getTradesSyncedAt(accountNumbers)
+    ]);
     
     // Get approved deposits for MT5 accounts
     let depositsQuery = `
@@ -1734,7 +1758,9 @@ router.get('/trading-performance', authenticate, async (req, res) => {
           closedOrders: closedOrdersData,
           tradingVolume: tradingVolumeData,
           equity: equityData
-        }
+        },
+        // Trade figures are as of this sync; null when an account was never synced
+        tradesSyncedAt
       }
     });
   } catch (error) {
@@ -1,16 +1,52 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import {
   createWalletForUser,
   getWalletByUserId,
+  getWalletsByUserId,
   adjustWalletBalance
 } from '../services/wallet.service.js';
-import { addBalance, deductBalance } from '../services/mt5.service.js';
+import { executeTransfer, quoteTransfer } from '../services/transferSaga.service.js';
+import { getWithdrawableBreakdown } from '../services/mt5Funds.service.js';
+import { evaluateLimits } from '../services/limits.service.js';
 import { sendInternalTransferEmail } from '../services/templateEmail.service.js';
+import {
+  createClientTransfer,
+  confirmClientTransfer,
+  listUserClientTransfers,
+  formatClientTransfer
+} from '../services/clientTransfer.service.js';
 
 const router = express.Router();
 
+// Wallet picked by walletId or currency (request body/query), else the primary wallet
+async function findUserWallet(userId, { walletId, currency } = {}) {
+  if (walletId) {
+    const result = await pool.query(
+      'SELECT id, user_id, wallet_number, currency, balance, held_balance, status, is_primary FROM wallets WHERE id = $1 AND user_id = $2',
+      [parseInt(walletId, 10), userId]
+    );
+    return result.rows[0] || null;
+  }
+  return getWalletByUserId(userId, pool, currency || null);
+}
+
+// Answers 400 with the blocking rule and returns false when a limit is exceeded
+async function checkLimits(req, res, operation, amount, currency) {
+  const limitCheck = await evaluateLimits({ userId: req.user.id, operation, amount, currency });
+  if (limitCheck.allowed) {
+    return true;
+  }
+  res.status(400).json({
+    success: false,
+    message: limitCheck.message,
+    limit: limitCheck.blockedBy
+  });
+  return false;
+}
+
 // Ensure wallet exists for current user and return it
 router.get('/', authenticate, async (req, res, next) => {
   try {
@@ -29,13 +65,117 @@ router.get('/', authenticate, async (req, res, next) => {
   }
 });
 
+// All currency wallets of the current user (primary first)
+router.get('/all', authenticate, async (req, res, next) => {
+  try {
+    let wallets = await getWalletsByUserId(req.user.id);
+    if (wallets.length === 0) {
+      wallets = [await createWalletForUser(req.user.id)];
+    }
+
+    res.json({
+      success: true,
+      data: wallets
+    });
+  } catch (error) {
+    console.error('Get wallets error:', error);
+    next(error);
+  }
+});
+
+// Open a wallet in another currency (returns the existing one if already open)
+router.post('/currencies', authenticate, async (req, res, next) => {
+  try {
+    const currency = String(req.body.currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A 3-letter currency code is required'
+      });
+    }
+
+    // Only currencies that can be converted (or are traded) may be opened
+    const supported = await pool.query(
+      `SELECT 1 FROM fx_rates WHERE is_active = TRUE AND (base_currency = $1 OR quote_currency = $1)
+       UNION SELECT 1 FROM mt5_groups WHERE is_active = TRUE AND UPPER(currency) = $1
+       LIMIT 1`,
+      [currency]
+    );
+    if (currency !== 'USD' && supported.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${currency} is not supported`
+      });
+    }
+
+    const wallet = await createWalletForUser(req.user.id, pool, currency);
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    console.error('Create currency wallet error:', error);
+    next(error);
+  }
+});
+
+// Preview a wallet <-> MT5 transfer: converted amount and the rate that would apply
+router.get('/transfer-quote', authenticate, async (req, res, next) => {
+  try {
+    const { direction, mt5Account, amount } = req.query;
+    const numericAmount = Number(amount);
+    if (!mt5Account || !numericAmount || numericAmount <= 0 || !['to-mt5', 'from-mt5'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'direction (to-mt5 or from-mt5), MT5 account and positive amount are required'
+      });
+    }
+
+    const accRes = await pool.query(
+      `SELECT 1 FROM trading_accounts WHERE user_id = $1 AND account_number = $2 AND platform = 'MT5'`,
+      [req.user.id, String(mt5Account)]
+    );
+    if (accRes.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trading account not found for this user'
+      });
+    }
+
+    const wallet = await findUserWallet(req.user.id, req.query);
+    if (!wallet) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet not found'
+      });
+    }
+
+    const walletSide = { type: 'wallet', account: wallet.wallet_number };
+    const mt5Side = { type: 'mt5', account: String(mt5Account) };
+    const quote = direction === 'to-mt5'
+      ? await quoteTransfer({ from: walletSide, to: mt5Side, amount: numericAmount })
+      : await quoteTransfer({ from: mt5Side, to: walletSide, amount: numericAmount });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Wallet transfer quote error:', error);
+    next(error);
+  }
+});
+
 // Paginated wallet transaction history
 router.get('/transactions', authenticate, async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit, 10) || 10;
     const offset = parseInt(req.query.offset, 10) || 0;
 
-    const wallet = await getWalletByUserId(req.user.id);
+    const wallet = await findUserWallet(req.user.id, req.query);
     if (!wallet) {
       return res.json({
         success: true,
@@ -83,68 +223,16 @@ router.post('/deposit', authenticate, async (req, res, next) => {
       });
     }
 
-    // Check KYC verification status
-    const kycResult = await pool.query(
-      `SELECT status 
-       FROM kyc_verifications 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 1`,
-      [req.user.id]
-    );
-    
-    const kycStatus = kycResult.rows[0]?.status?.toLowerCase() || 'unverified';
-    const isKycVerified = kycStatus === 'approved';
-    
-    // If KYC is not verified, limit deposit to $2000 USD
-    if (!isKycVerified) {
-      const MAX_UNVERIFIED_DEPOSIT = 2000;
-      
-      // Check total deposits (wallet + MT5) for unverified users
-      let totalDeposits = 0;
-      
-      // Get wallet balance
-      const walletResult = await pool.query(
-        'SELECT balance FROM wallets WHERE user_id = $1 LIMIT 1',
-        [req.user.id]
-      );
-      if (walletResult.rows.length > 0) {
-        totalDeposits += parseFloat(walletResult.rows[0].balance || 0);
-      }
-      
-      // Get total MT5 account balances
-      const mt5Result = await pool.query(
-        'SELECT SUM(balance) as total_balance FROM trading_accounts WHERE user_id = $1 AND platform = \'MT5\' AND is_demo = FALSE',
-        [req.user.id]
-      );
-      if (mt5Result.rows.length > 0 && mt5Result.rows[0].total_balance) {
-        totalDeposits += parseFloat(mt5Result.rows[0].total_balance || 0);
-      }
-      
-      // Check if this deposit would exceed the limit
-      const totalAfterDeposit = totalDeposits + numericAmount;
-      if (totalAfterDeposit > MAX_UNVERIFIED_DEPOSIT) {
-        const maxAllowedDeposit = Math.max(0, MAX_UNVERIFIED_DEPOSIT - totalDeposits);
-        return res.status(400).json({
-          success: false,
-          message: `KYC verification required. Maximum deposit limit for unverified accounts is USD ${MAX_UNVERIFIED_DEPOSIT}. You can deposit up to USD ${maxAllowedDeposit.toFixed(2)} more. Please complete KYC verification to remove this limit.`
-        });
-      }
-      
-      // Also check single deposit amount
-      if (numericAmount > MAX_UNVERIFIED_DEPOSIT) {
-        return res.status(400).json({
-          success: false,
-          message: `KYC verification required. Maximum single deposit for unverified accounts is USD ${MAX_UNVERIFIED_DEPOSIT}. Please complete KYC verification to remove this limit.`
-        });
-      }
-    }
-
     let wallet = await getWalletByUserId(req.user.id);
     if (!wallet) {
       wallet = await createWalletForUser(req.user.id);
     }
 
+    // Deposit limits (KYC tier, country, rolling periods)
+    if (!(await checkLimits(req, res, 'deposit', numericAmount, wallet.currency))) {
+      return;
+    }
+
     const result = await adjustWalletBalance(
       {
         walletId: wallet.id,
@@ -188,6 +276,10 @@ router.post('/withdraw', authenticate, async (req, res, next) => {
       });
     }
 
+    if (!(await checkLimits(req, res, 'withdrawal', numericAmount, wallet.currency))) {
+      return;
+    }
+
     const result = await adjustWalletBalance(
       {
         walletId: wallet.id,
@@ -212,7 +304,7 @@ router.post('/withdraw', authenticate, async (req, res, next) => {
 });
 
 // Transfer from wallet to MT5 trading account
-router.post('/transfer-to-mt5', authenticate, async (req, res, next) => {
+router.post('/transfer-to-mt5', authenticate, idempotency, async (req, res, next) => {
   try {
     const { mt5Account, amount } = req.body;
     const numericAmount = Number(amount);
@@ -246,8 +338,8 @@ router.post('/transfer-to-mt5', authenticate, async (req, res, next) => {
       });
     }
 
-    // Get wallet for internal transfer record
-    const wallet = await getWalletByUserId(req.user.id);
+    // Source/destination wallet: walletId or currency in the body, else the primary wallet
+    const wallet = await findUserWallet(req.user.id, req.body);
     if (!wallet) {
       return res.status(400).json({
         success: false,
@@ -255,42 +347,28 @@ router.post('/transfer-to-mt5', authenticate, async (req, res, next) => {
       });
     }
 
-    // 1) Call MT5 API to add balance
-    await addBalance(login, numericAmount, 'Deposit');
-
-    // 2) Adjust wallet balance
-    const result = await adjustWalletBalance(
-      {
-        walletId: wallet.id,
-        amount: numericAmount,
-        type: 'transfer_out',
-        source: 'wallet',
-        target: 'mt5',
-        mt5AccountNumber: String(mt5Account),
-        reference: 'Wallet → MT5 transfer'
-      },
-      pool
-    );
+    if (!(await checkLimits(req, res, 'transfer', numericAmount, wallet.currency))) {
+      return;
+    }
 
-    // 3) Save to internal_transfers table
-    await pool.query(
-      `INSERT INTO internal_transfers 
-       (user_id, from_type, from_account, to_type, to_account, amount, currency, mt5_account_number, status, reference)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING id`,
-      [
-        req.user.id,
-        'wallet',
-        wallet.wallet_number,
-        'mt5',
-        String(mt5Account),
-        numericAmount,
-        wallet.currency || 'USD',
-        String(mt5Account),
-        'completed',
-        'Internal transfer: Wallet → MT5'
-      ]
-    );
+    // Wallet hold -> MT5 credit -> completed, compensated if the MT5 leg fails
+    const { transfer, wallet: walletResult } = await executeTransfer({
+      userId: req.user.id,
+      from: { type: 'wallet', account: wallet.wallet_number },
+      to: { type: 'mt5', account: String(mt5Account) },
+      amount: numericAmount,
+      reference: 'Internal transfer: Wallet → MT5'
+    });
+    const result = {
+      ...walletResult,
+      transferId: transfer.id,
+      amount: Number(transfer.amount),
+      currency: transfer.currency,
+      // Set when the wallet and the MT5 account use different currencies
+      convertedAmount: transfer.to_amount !== null ? Number(transfer.to_amount) : null,
+      convertedCurrency: transfer.to_currency,
+      fxRate: transfer.fx_rate !== null ? Number(transfer.fx_rate) : null
+    };
 
     res.json({
       success: true,
@@ -310,7 +388,7 @@ router.post('/transfer-to-mt5', authenticate, async (req, res, next) => {
             userName,
             wallet.wallet_number,
             String(mt5Account),
-            `${numericAmount} ${wallet.currency || 'USD'}`,
+            `${numericAmount} ${transfer.currency}`,
             new Date().toLocaleDateString()
           );
           console.log(`Internal transfer email sent to ${user.email}`);
@@ -325,8 +403,9 @@ router.post('/transfer-to-mt5', authenticate, async (req, res, next) => {
   }
 });
 
+
 // Transfer from MT5 trading account to wallet
-router.post('/transfer-from-mt5', authenticate, async (req, res, next) => {
+router.post('/transfer-from-mt5', authenticate, idempotency, async (req, res, next) => {
   try {
     const { mt5Account, amount } = req.body;
     const numericAmount = Number(amount);
@@ -360,8 +439,8 @@ router.post('/transfer-from-mt5', authenticate, async (req, res, next) => {
       });
     }
 
-    // Get wallet for internal transfer record
-    const wallet = await getWalletByUserId(req.user.id);
+    // Source/destination wallet: walletId or currency in the body, else the primary wallet
+    const wallet = await findUserWallet(req.user.id, req.body);
     if (!wallet) {
       return res.status(400).json({
         success: false,
@@ -369,42 +448,47 @@ router.post('/transfer-from-mt5', authenticate, async (req, res, next) => {
       });
     }
 
-    // 1) Call MT5 API to deduct balance
-    await deductBalance(login, numericAmount, 'Deposit');
+    // Live free margin (minus credit): money backing open positions stays in MT5
+    let breakdown;
+    try {
+      breakdown = await getWithdrawableBreakdown(login);
+    } catch (mt5Error) {
+      console.error('Withdrawable amount check failed:', mt5Error.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to verify your MT5 balance right now. Please try again shortly.'
+      });
+    }
+    if (numericAmount > breakdown.withdrawable) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient withdrawable funds. Available: ${breakdown.currency} ${breakdown.withdrawable.toFixed(2)}`,
+        data: breakdown
+      });
+    }
 
-    // 2) Adjust wallet balance
-    const result = await adjustWalletBalance(
-      {
-        walletId: wallet.id,
-        amount: numericAmount,
-        type: 'transfer_in',
-        source: 'mt5',
-        target: 'wallet',
-        mt5AccountNumber: String(mt5Account),
-        reference: 'MT5 → Wallet transfer'
-      },
-      pool
-    );
+    if (!(await checkLimits(req, res, 'transfer', numericAmount, breakdown.currency))) {
+      return;
+    }
 
-    // 3) Save to internal_transfers table
-    await pool.query(
-      `INSERT INTO internal_transfers 
-       (user_id, from_type, from_account, to_type, to_account, amount, currency, mt5_account_number, status, reference)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING id`,
-      [
-        req.user.id,
-        'mt5',
-        String(mt5Account),
-        'wallet',
-        wallet.wallet_number,
-        numericAmount,
-        wallet.currency || 'USD',
-        String(mt5Account),
-        'completed',
-        'Internal transfer: MT5 → Wallet'
-      ]
-    );
+    // MT5 debit -> wallet credit -> completed, compensated if the wallet leg fails
+    const { transfer, wallet: walletResult } = await executeTransfer({
+      userId: req.user.id,
+      from: { type: 'mt5', account: String(mt5Account) },
+      to: { type: 'wallet', account: wallet.wallet_number },
+      amount: numericAmount,
+      reference: 'Internal transfer: MT5 → Wallet'
+    });
+    const result = {
+      ...walletResult,
+      transferId: transfer.id,
+      amount: Number(transfer.amount),
+      currency: transfer.currency,
+      // Set when the wallet and the MT5 account use different currencies
+      convertedAmount: transfer.to_amount !== null ? Number(transfer.to_amount) : null,
+      convertedCurrency: transfer.to_currency,
+      fxRate: transfer.fx_rate !== null ? Number(transfer.fx_rate) : null
+    };
 
     res.json({
       success: true,
@@ -424,7 +508,7 @@ router.post('/transfer-from-mt5', authenticate, async (req, res, next) => {
             userName,
             String(mt5Account),
             wallet.wallet_number,
-            `${numericAmount} ${wallet.currency || 'USD'}`,
+            `${numericAmount} ${transfer.currency}`,
             new Date().toLocaleDateString()
           );
           console.log(`Internal transfer email sent to ${user.email}`);
@@ -439,6 +523,120 @@ router.post('/transfer-from-mt5', authenticate, async (req, res, next) => {
   }
 });
 
+// Send funds to another client's wallet (by wallet number or email); confirmed with an emailed OTP
+router.post('/transfer-to-user', authenticate, idempotency, async (req, res, next) => {
+  try {
+    const { recipient, amount, note } = req.body;
+    const numericAmount = Number(amount);
+
+    if (!recipient || !numericAmount || numericAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient (wallet number or email) and positive amount are required'
+      });
+    }
+
+    // Source wallet: walletId or currency in the body, else the primary wallet
+    const wallet = await findUserWallet(req.user.id, req.body);
+    if (!wallet) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet not found'
+      });
+    }
+
+    if (!(await checkLimits(req, res, 'transfer', numericAmount, wallet.currency))) {
+      return;
+    }
+
+    const { request, recipientName } = await createClientTransfer({
+      senderUserId: req.user.id,
+      fromWallet: wallet,
+      recipient,
+      amount: numericAmount,
+      note
+    });
+
+    res.json({
+      success: true,
+      message: 'An OTP has been sent to your email. Confirm the transfer to continue.',
+      data: {
+        requestId: request.id,
+        fromWallet: request.from_wallet,
+        toWallet: request.to_wallet,
+        recipientName,
+        amount: Number(request.amount),
+        currency: request.currency,
+        requiresApproval: request.requires_approval,
+        otpExpiresAt: request.otp_expires_at
+      }
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Wallet transfer-to-user error:', error);
+    next(error);
+  }
+});
+
+// Confirm a client transfer with the OTP; large transfers then wait for admin approval
+router.post('/transfer-to-user/:id/confirm', authenticate, idempotency, async (req, res, next) => {
+  try {
+    const requestId = parseInt(req.params.id, 10);
+    const { otp } = req.body;
+    if (Number.isNaN(requestId) || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer request and OTP are required'
+      });
+    }
+
+    const { request, transfer } = await confirmClientTransfer({
+      requestId,
+      senderUserId: req.user.id,
+      otp: String(otp).trim()
+    });
+
+    res.json({
+      success: true,
+      message: request.status === 'pending_approval'
+        ? 'Transfer confirmed and awaiting approval'
+        : 'Transfer completed successfully',
+      data: {
+        ...formatClientTransfer(request),
+        transferId: transfer?.id || null,
+        // Set when the two wallets use different currencies
+        convertedAmount: transfer && transfer.to_amount !== null ? Number(transfer.to_amount) : null,
+        convertedCurrency: transfer?.to_currency || null,
+        fxRate: transfer && transfer.fx_rate !== null ? Number(transfer.fx_rate) : null
+      }
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Wallet transfer-to-user confirm error:', error);
+    next(error);
+  }
+});
+
+// Client transfers sent (any status) or received (completed) by the current user
+router.get('/transfer-to-user', authenticate, async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    res.json({
+      success: true,
+      data: await listUserClientTransfers(req.user.id, { limit, offset })
+    });
+  } catch (error) {
+    console.error('Get client transfers error:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/wallet/internal-transfers
  * Get internal transfer history for the logged-in user
@@ -449,16 +647,17 @@ router.get('/internal-transfers', authenticate, async (req, res, next) => {
     const offset = parseInt(req.query.offset, 10) || 0;
 
     const countRes = await pool.query(
-      'SELECT COUNT(*) AS count FROM internal_transfers WHERE user_id = $1',
+      `SELECT COUNT(*) AS count FROM internal_transfers WHERE user_id = $1 OR (to_user_id = $1 AND status = 'completed')`,
       [req.user.id]
     );
     const total = parseInt(countRes.rows[0]?.count || '0', 10);
 
     const transfersRes = await pool.query(
       `SELECT id, from_type, from_account, to_type, to_account, amount, currency, 
-              mt5_account_number, status, reference, created_at
+              to_amount, to_currency, fx_rate, mt5_account_number, status, reference, created_at,
+              CASE WHEN user_id = $1 THEN 'out' ELSE 'in' END AS direction
        FROM internal_transfers
-       WHERE user_id = $1
+       WHERE user_id = $1 OR (to_user_id = $1 AND status = 'completed')
        ORDER BY created_at DESC
        LIMIT $2 OFFSET $3`,
       [req.user.id, limit, offset]
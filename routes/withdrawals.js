@@ -1,48 +1,42 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import bcrypt from 'bcrypt';
 import * as mt5Service from '../services/mt5.service.js';
 import { logUserAction } from '../services/logging.service.js';
 import { sendWithdrawalRequestEmail } from '../services/templateEmail.service.js';
+import { createHeldWithdrawal, releaseWithdrawalHold } from '../services/withdrawalHold.service.js';
+import { getWithdrawableBreakdown } from '../services/mt5Funds.service.js';
+import { resolvePayoutDestination } from '../services/payoutDestination.service.js';
+import { evaluateLimits } from '../services/limits.service.js';
+import { getGatewayAdapter } from '../services/gateways/index.js';
+import { processPayoutWebhookEvent } from '../services/gatewayPayout.service.js';
 
 const router = express.Router();
 
 /**
  * POST /api/withdrawals
- * Create a new withdrawal request
+ * Create a new withdrawal request, paid to one of the user's approved payment details
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, idempotency, async (req, res) => {
     try {
         const {
             amount,
             currency = 'USD',
-            method,
-            paymentMethod,
+            paymentDetailId,
             mt5AccountId,
             walletId,
-            password,
-            // Crypto fields
-            cryptoAddress,
-            pmCurrency,
-            pmNetwork,
-            pmAddress,
-            // Bank fields
-            bankName,
-            accountName,
-            accountNumber,
-            ifscSwiftCode,
-            accountType,
-            bankDetails
+            password
         } = req.body;
 
         const userId = req.user.id;
 
         // Validate required fields - either mt5AccountId or walletId must be provided
-        if (!amount || !method || !password) {
+        if (!amount || !parseInt(paymentDetailId, 10) || !password) {
             return res.status(400).json({
                 ok: false,
-                error: 'Amount, method, and password are required'
+                error: 'Amount, payment detail, and password are required'
             });
         }
 
@@ -132,14 +126,28 @@ router.post('/', authenticate, async (req, res) => {
             });
         }
 
+        // Payout destination: an approved payment detail past its cooling-off period
+        let destination;
+        try {
+            destination = await resolvePayoutDestination(userId, parseInt(paymentDetailId, 10));
+        } catch (destinationError) {
+            if (destinationError.status === 400) {
+                return res.status(400).json({
+                    ok: false,
+                    error: destinationError.message
+                });
+            }
+            throw destinationError;
+        }
+
         let accountBalance = 0;
         let accountCurrency = currency;
 
         // Verify account belongs to user and check balance
         if (mt5AccountId) {
-            // Verify MT5 account belongs to user and get balance from database
+            // Verify MT5 account belongs to user
             const accountResult = await pool.query(
-                'SELECT id, currency, balance, equity FROM trading_accounts WHERE account_number = $1 AND user_id = $2',
+                'SELECT id, currency FROM trading_accounts WHERE account_number = $1 AND user_id = $2',
                 [mt5AccountId, userId]
             );
 
@@ -150,19 +158,27 @@ router.post('/', authenticate, async (req, res) => {
                 });
             }
 
-            accountCurrency = accountResult.rows[0].currency || currency;
-            // Use balance from database (already synced from MT5)
-            accountBalance = parseFloat(accountResult.rows[0].balance || 0);
-
-            // If balance is 0 or null, try to get from equity as fallback
-            if (accountBalance === 0 || !accountBalance) {
-                accountBalance = parseFloat(accountResult.rows[0].equity || 0);
+            // Live free margin (minus credit) instead of the cached balance, so
+            // money backing open positions cannot be withdrawn
+            let breakdown;
+            try {
+                breakdown = await getWithdrawableBreakdown(mt5AccountId);
+            } catch (mt5Error) {
+                console.error('Withdrawable amount check failed:', mt5Error.message);
+                return res.status(503).json({
+                    ok: false,
+                    error: 'Unable to verify your account balance right now. Please try again shortly.'
+                });
             }
 
+            accountCurrency = breakdown.currency || accountResult.rows[0].currency || currency;
+            accountBalance = breakdown.withdrawable;
+
             if (accountBalance < withdrawalAmount) {
                 return res.status(400).json({
                     ok: false,
-                    error: `Insufficient balance. Available: $${accountBalance.toFixed(2)}`
+                    error: `Insufficient withdrawable funds. Available: ${accountCurrency} ${accountBalance.toFixed(2)}`,
+                    withdrawable: breakdown
                 });
             }
         } else if (walletId) {
@@ -190,45 +206,50 @@ router.post('/', authenticate, async (req, res) => {
             }
         }
 
-        // Validate payment method specific fields
-        if (method === 'crypto') {
-            if (!cryptoAddress && !pmAddress) {
-                return res.status(400).json({
-                    ok: false,
-                    error: 'Crypto address is required for crypto withdrawals'
-                });
-            }
-        } else if (method === 'bank') {
-            if (!accountNumber && !bankDetails) {
-                return res.status(400).json({
-                    ok: false,
-                    error: 'Bank account details are required for bank withdrawals'
-                });
-            }
+        const limitCheck = await evaluateLimits({
+            userId,
+            operation: 'withdrawal',
+            amount: withdrawalAmount,
+            currency: accountCurrency
+        });
+        if (!limitCheck.allowed) {
+            return res.status(400).json({
+                ok: false,
+                error: limitCheck.message,
+                limit: limitCheck.blockedBy
+            });
         }
 
-        // Create withdrawal record
-        const insertResult = await pool.query(
-            `INSERT INTO withdrawals (
-        user_id, amount, currency, method, payment_method,
-        bank_name, account_name, account_number, ifsc_swift_code, account_type, bank_details,
-        crypto_address, wallet_address, pm_currency, pm_network, pm_address,
-        mt5_account_id, wallet_id, status, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, 'pending', NOW(), NOW())
-      RETURNING *`,
-            [
-                userId, withdrawalAmount, accountCurrency, method, paymentMethod,
-                bankName, accountName, accountNumber, ifscSwiftCode, accountType, bankDetails,
-                cryptoAddress, cryptoAddress || pmAddress, pmCurrency, pmNetwork, pmAddress,
-                mt5AccountId || null, walletId || null
-            ]
-        );
+        // Create withdrawal record and reserve the funds (MT5 deduction / wallet hold)
+        let withdrawal;
+        try {
+            withdrawal = await createHeldWithdrawal({
+                user_id: userId,
+                amount: withdrawalAmount,
+                currency: accountCurrency,
+                ...destination.columns,
+                payment_detail_id: destination.paymentDetail.id,
+                payout_snapshot: JSON.stringify(destination.snapshot),
+                mt5_account_id: mt5AccountId || null,
+                wallet_id: mt5AccountId ? null : walletId
+            });
+        } catch (holdError) {
+            console.error('Reserve withdrawal funds error:', holdError);
+            return res.status(400).json({
+                ok: false,
+                error: `Could not reserve withdrawal funds: ${holdError.message}`
+            });
+        }
 
-        const withdrawal = insertResult.rows[0];
+        // MT5 did not confirm the reservation in time: the request stays pending until it is settled
+        const reservationPending = withdrawal.hold_status === 'placing';
 
         const responseData = {
             ok: true,
-            message: 'Withdrawal request submitted successfully',
+            pending: reservationPending,
+            message: reservationPending
+                ? 'Withdrawal request received; we are confirming the reserved funds with MT5 and will update its status shortly'
+                : 'Withdrawal request submitted successfully',
             withdrawal: {
                 id: withdrawal.id,
                 amount: withdrawal.amount,
@@ -239,7 +260,7 @@ router.post('/', authenticate, async (req, res) => {
             }
         };
 
-        res.status(201).json(responseData);
+        res.status(reservationPending ? 202 : 201).json(responseData);
         
         // Send withdrawal request email (non-blocking)
         setImmediate(async () => {
@@ -293,6 +314,38 @@ router.post('/', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/withdrawals/withdrawable/:mt5AccountId
+ * Live withdrawable breakdown of an MT5 account (free margin, credit, margin-level floor)
+ */
+router.get('/withdrawable/:mt5AccountId', authenticate, async (req, res) => {
+    try {
+        const { mt5AccountId } = req.params;
+
+        const accountResult = await pool.query(
+            `SELECT id FROM trading_accounts WHERE account_number = $1 AND user_id = $2 AND platform = 'MT5'`,
+            [mt5AccountId, req.user.id]
+        );
+        if (accountResult.rows.length === 0) {
+            return res.status(404).json({
+                ok: false,
+                error: 'MT5 account not found or does not belong to you'
+            });
+        }
+
+        res.json({
+            ok: true,
+            data: await getWithdrawableBreakdown(mt5AccountId)
+        });
+    } catch (error) {
+        console.error('Get withdrawable amount error:', error);
+        res.status(503).json({
+            ok: false,
+            error: 'Unable to fetch live account balance from MT5'
+        });
+    }
+});
+
 /**
  * GET /api/withdrawals/my
  * Get user's withdrawal history
@@ -307,7 +360,7 @@ router.get('/my', authenticate, async (req, res) => {
         id, amount, currency, method, payment_method,
         bank_name, account_name, account_number, ifsc_swift_code, account_type,
         crypto_address, wallet_address, pm_currency, pm_network,
-        mt5_account_id, status, external_transaction_id,
+        mt5_account_id, wallet_id, payment_detail_id, status, hold_status, external_transaction_id,
         rejection_reason, created_at, updated_at, approved_at, rejected_at
       FROM withdrawals
       WHERE user_id = $1
@@ -338,6 +391,106 @@ router.get('/my', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/withdrawals/:id/cancel
+ * Cancel a pending withdrawal and return the reserved funds
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const ownerResult = await pool.query(
+            'SELECT id, status FROM withdrawals WHERE id = $1 AND user_id = $2',
+            [id, req.user.id]
+        );
+        if (ownerResult.rows.length === 0) {
+            return res.status(404).json({
+                ok: false,
+                error: 'Withdrawal not found'
+            });
+        }
+
+        const withdrawal = await releaseWithdrawalHold(id, { status: 'cancelled' });
+        if (!withdrawal) {
+            return res.status(400).json({
+                ok: false,
+                error: `Withdrawal can no longer be cancelled (status: ${ownerResult.rows[0].status})`
+            });
+        }
+
+        res.json({
+            ok: true,
+            message: 'Withdrawal cancelled and funds returned',
+            withdrawal: {
+                id: withdrawal.id,
+                amount: withdrawal.amount,
+                currency: withdrawal.currency,
+                status: withdrawal.status
+            }
+        });
+
+        setImmediate(async () => {
+            await logUserAction({
+                userId: req.user.id,
+                userEmail: req.user.email,
+                actionType: 'withdrawal_cancel',
+                actionCategory: 'withdrawal',
+                targetType: 'withdrawal',
+                targetId: withdrawal.id,
+                targetIdentifier: `Withdrawal #${withdrawal.id}`,
+                description: `Cancelled withdrawal of $${withdrawal.amount} ${withdrawal.currency}`,
+                req,
+                res,
+                beforeData: ownerResult.rows[0],
+                afterData: { id: withdrawal.id, status: withdrawal.status }
+            });
+        });
+    } catch (error) {
+        console.error('Cancel withdrawal error:', error);
+        res.status(500).json({
+            ok: false,
+            error: error.message || 'Failed to cancel withdrawal'
+        });
+    }
+});
+
+/**
+ * POST /api/withdrawals/payouts/:gateway/webhook
+ * Payout status callbacks from the payout gateway (public endpoint, no auth;
+ * the adapter verifies the signature)
+ */
+router.post('/payouts/:gateway/webhook', express.json(), async (req, res) => {
+    try {
+        const adapter = getGatewayAdapter(req.params.gateway);
+
+        console.log(`${adapter.name} payout webhook received:`, JSON.stringify(req.body));
+
+        const event = await adapter.verifyPayoutWebhook({ body: req.body, headers: req.headers }, await adapter.getConfig());
+        const result = await processPayoutWebhookEvent(adapter, event);
+
+        if (result.duplicate) {
+            console.log(`Duplicate ${adapter.name} payout webhook ignored:`, event.eventId);
+        } else if (!result.found) {
+            console.warn(`No gateway payout matches ${adapter.name} payout ${event.payoutId || event.reference}`);
+        }
+
+        if (typeof adapter.webhookAck === 'string') {
+            return res.status(200).send(adapter.webhookAck);
+        }
+        res.status(200).json(adapter.webhookAck);
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            console.error(`${req.params.gateway} payout webhook rejected:`, error.message);
+            return res.status(error.status).json({ ok: false, error: error.message });
+        }
+        console.error('Payout webhook error:', error);
+        res.status(500).json({
+            ok: false,
+            error: error.message || 'Failed to process payout webhook'
+        });
+    }
+});
+
 /**
  * GET /api/withdrawals/gateways
  * Get all active payment gateways for user withdrawals
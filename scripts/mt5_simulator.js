@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+import { createMt5Simulator } from '../services/mt5/simulator.js';
+
+dotenv.config();
+
+/**
+ * Run the MT5 Manager API simulator (services/mt5/simulator.js)
+ *
+ *   npm run mt5:sim
+ *   MT5_API_URL=http://127.0.0.1:5003/api npm run dev
+ *
+ * MT5_SIMULATOR_PORT (default 5003) and MT5_SIMULATOR_STATE_FILE (keep accounts
+ * and trades between restarts) are optional. Faults are injected over HTTP, e.g.
+ *   curl -X POST localhost:5003/_sim/faults -H 'Content-Type: application/json' \
+ *     -d '{"operation":"addBalance","mode":"apply_then_timeout"}'
+ */
+
+if (process.env.NODE_ENV === 'production') {
+  console.error('❌ The MT5 simulator must not run in production');
+  process.exit(1);
+}
+
+const port = parseInt(process.env.MT5_SIMULATOR_PORT || '5003', 10);
+const simulator = createMt5Simulator({
+  stateFile: process.env.MT5_SIMULATOR_STATE_FILE || null,
+  log: true
+});
+
+const { url, close } = await simulator.listen(port, process.env.MT5_SIMULATOR_HOST || '127.0.0.1');
+console.log(`✅ MT5 simulator listening, set MT5_API_URL=${url}`);
+
+const shutdown = async () => {
+  await close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
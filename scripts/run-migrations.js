@@ -32,6 +32,102 @@ const migrations = [
   {
     name: 'Add Cancelled Status',
     file: join(__dirname, '../database/migration_add_cancelled_status.sql')
+  },
+  {
+    name: 'Add Double-Entry Ledger',
+    file: join(__dirname, '../database/migration_ledger.sql')
+  },
+  {
+    name: 'Add Transfer Saga States',
+    file: join(__dirname, '../database/migration_transfer_saga.sql')
+  },
+  {
+    name: 'Add Withdrawal Holds',
+    file: join(__dirname, '../database/migration_withdrawal_holds.sql')
+  },
+  {
+    name: 'Add Idempotency Keys',
+    file: join(__dirname, '../database/migration_idempotency_keys.sql')
+  },
+  {
+    name: 'Add Cregis Webhook Inbox',
+    file: join(__dirname, '../database/migration_cregis_webhook_inbox.sql')
+  },
+  {
+    name: 'Add Cregis Payment Policy',
+    file: join(__dirname, '../database/migration_cregis_payment_policy.sql')
+  },
+  {
+    name: 'Add Multi-Currency Wallets',
+    file: join(__dirname, '../database/migration_multi_currency_wallets.sql')
+  },
+  {
+    name: 'Add Balance Reconciliation',
+    file: join(__dirname, '../database/migration_balance_reconciliation.sql')
+  },
+  {
+    name: 'Add Client Transfers',
+    file: join(__dirname, '../database/migration_client_transfers.sql')
+  },
+  {
+    name: 'Add Withdrawal Margin Level Floor',
+    file: join(__dirname, '../database/migration_withdrawal_margin_floor.sql')
+  },
+  {
+    name: 'Add Withdrawal Payout Details',
+    file: join(__dirname, '../database/migration_withdrawal_payout_details.sql')
+  },
+  {
+    name: 'Add Payout Batches',
+    file: join(__dirname, '../database/migration_payout_batches.sql')
+  },
+  {
+    name: 'Add Approval Policies',
+    file: join(__dirname, '../database/migration_approval_policies.sql')
+  },
+  {
+    name: 'Add Transaction Limits',
+    file: join(__dirname, '../database/migration_transaction_limits.sql')
+  },
+  {
+    name: 'Add Deposit Proof Risk',
+    file: join(__dirname, '../database/migration_deposit_proof_risk.sql')
+  },
+  {
+    name: 'Add Payment Gateway Adapters',
+    file: join(__dirname, '../database/migration_payment_gateway_adapters.sql')
+  },
+  {
+    name: 'Add Gateway Payouts',
+    file: join(__dirname, '../database/migration_gateway_payouts.sql')
+  },
+  {
+    name: 'Add Job Scheduler',
+    file: join(__dirname, '../database/migration_job_scheduler.sql')
+  },
+  {
+    name: 'Add Deposit Status Reconciliation',
+    file: join(__dirname, '../database/migration_deposit_status_reconciliation.sql')
+  },
+  {
+    name: 'Add MT5 Operation Outbox',
+    file: join(__dirname, '../database/migration_mt5_operation_outbox.sql')
+  },
+  {
+    name: 'Add Trade History Store',
+    file: join(__dirname, '../database/migration_trade_history_store.sql')
+  },
+  {
+    name: 'Add Withdrawal Hold Settlement',
+    file: join(__dirname, '../database/migration_withdrawal_hold_settlement.sql')
+  },
+  {
+    name: 'Add Client Transfer Recovery',
+    file: join(__dirname, '../database/migration_client_transfer_recovery.sql')
+  },
+  {
+    name: 'Add Scheduler Leases',
+    file: join(__dirname, '../database/migration_scheduler_leases.sql')
   }
 ];
 
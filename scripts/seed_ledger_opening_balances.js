@@ -0,0 +1,94 @@
+import pool from '../config/database.js';
+import {
+    SYSTEM_ACCOUNTS,
+    walletAccount,
+    mt5Account,
+    ibAccount,
+    recordEntry
+} from '../services/ledger.service.js';
+
+/**
+ * Post opening_balance entries so that balances which existed before the
+ * ledger was introduced (wallets, approved IB balances, live MT5 accounts)
+ * reconcile. Accounts that already have a ledger account are skipped, so the
+ * script is safe to run more than once.
+ */
+async function seedOpeningBalances() {
+    let posted = 0;
+    try {
+        console.log('🔄 Seeding ledger opening balances...');
+
+        const wallets = await pool.query(
+            `SELECT w.id, w.user_id, w.wallet_number, w.currency, w.balance
+             FROM wallets w
+             WHERE w.balance > 0
+               AND NOT EXISTS (SELECT 1 FROM ledger_accounts la WHERE la.code = 'wallet:' || w.id)`
+        );
+        for (const w of wallets.rows) {
+            await recordEntry({
+                entryType: 'opening_balance',
+                debit: SYSTEM_ACCOUNTS.OPENING_BALANCE,
+                credit: walletAccount(w.id, { userId: w.user_id, currency: w.currency, label: w.wallet_number }),
+                amount: Number(w.balance),
+                currency: w.currency || 'USD',
+                referenceType: 'wallet',
+                referenceId: w.id,
+                description: 'Opening balance'
+            });
+            posted++;
+        }
+        console.log(`✅ Wallets: ${wallets.rows.length} opening balance(s)`);
+
+        const ibs = await pool.query(
+            `SELECT ir.id, ir.user_id, ir.ib_balance
+             FROM ib_requests ir
+             WHERE ir.status = 'approved' AND COALESCE(ir.ib_balance, 0) > 0
+               AND NOT EXISTS (SELECT 1 FROM ledger_accounts la WHERE la.code = 'ib:' || ir.id)`
+        );
+        for (const ib of ibs.rows) {
+            await recordEntry({
+                entryType: 'opening_balance',
+                debit: SYSTEM_ACCOUNTS.OPENING_BALANCE,
+                credit: ibAccount(ib.id, { userId: ib.user_id }),
+                amount: Number(ib.ib_balance),
+                referenceType: 'ib_request',
+                referenceId: ib.id,
+                description: 'Opening balance'
+            });
+            posted++;
+        }
+        console.log(`✅ IB balances: ${ibs.rows.length} opening balance(s)`);
+
+        const accounts = await pool.query(
+            `SELECT ta.account_number, ta.user_id, ta.currency, ta.balance
+             FROM trading_accounts ta
+             WHERE ta.platform = 'MT5' AND COALESCE(ta.is_demo, FALSE) = FALSE
+               AND COALESCE(ta.balance, 0) > 0
+               AND NOT EXISTS (SELECT 1 FROM ledger_accounts la WHERE la.code = 'mt5:' || ta.account_number)`
+        );
+        for (const ta of accounts.rows) {
+            await recordEntry({
+                entryType: 'opening_balance',
+                debit: SYSTEM_ACCOUNTS.OPENING_BALANCE,
+                credit: mt5Account(ta.account_number, { userId: ta.user_id, currency: ta.currency || 'USD' }),
+                amount: Number(ta.balance),
+                currency: ta.currency || 'USD',
+                referenceType: 'trading_account',
+                referenceId: ta.account_number,
+                description: 'Opening balance'
+            });
+            posted++;
+        }
+        console.log(`✅ MT5 accounts: ${accounts.rows.length} opening balance(s)`);
+
+        console.log(`✅ Done. ${posted} opening balance entries posted.`);
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ Seeding failed after ${posted} entries:`, error);
+        await pool.end();
+        process.exit(1);
+    }
+}
+
+seedOpeningBalances();
@@ -0,0 +1,350 @@
+import pool from '../config/database.js';
+import { getFxRate } from './fx.service.js';
+
+/**
+ * Approval Policy Service
+ * Maker-checker approvals for deposit requests and withdrawals. The strictest
+ * active policy matching a request (USD amount, method, client country) sets
+ * how many distinct admins must approve it; without a match one approval is
+ * enough. Each approval adds a step to the request's approval chain and the
+ * caller only moves the balance once recordApproval() reports it complete.
+ */
+
+export const REQUEST_TYPES = ['deposit', 'withdrawal'];
+
+const MAX_REQUIRED_APPROVALS = 5;
+
+// Lock and describe the request being approved
+const REQUEST_QUERIES = {
+  deposit: `SELECT dr.id, dr.status, dr.amount, dr.currency, dr.credited_at, mg.type AS method, u.country
+             FROM deposit_requests dr
+             LEFT JOIN manual_payment_gateways mg ON mg.id = dr.gateway_id
+             LEFT JOIN users u ON u.id = dr.user_id
+             WHERE dr.id = $1
+             FOR UPDATE OF dr`,
+  withdrawal: `SELECT w.id, w.status, w.amount, w.currency, w.method, u.country
+               FROM withdrawals w
+               LEFT JOIN users u ON u.id = w.user_id
+               WHERE w.id = $1
+               FOR UPDATE OF w`
+};
+
+function approvalError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Without an FX rate the raw amount is used, which only makes policies stricter for weaker currencies
+async function usdRate(currency, client) {
+  try {
+    return (await getFxRate(currency || 'USD', 'USD', client)).midRate;
+  } catch (error) {
+    if (!error.status) throw error;
+    return 1;
+  }
+}
+
+const toUsd = async (amount, currency, client) => Math.round(Number(amount) * (await usdRate(currency, client)) * 100) / 100;
+
+function validatePolicy(data, { partial = false } = {}) {
+  const fields = {};
+
+  if (data.name !== undefined || !partial) {
+    if (!data.name || !String(data.name).trim()) throw approvalError('Policy name is required');
+    fields.name = String(data.name).trim();
+  }
+  if (data.requestType !== undefined || !partial) {
+    if (!REQUEST_TYPES.includes(data.requestType)) throw approvalError(`requestType must be one of ${REQUEST_TYPES.join(', ')}`);
+    fields.request_type = data.requestType;
+  }
+  if (data.minAmountUsd !== undefined) {
+    const minAmount = Number(data.minAmountUsd);
+    if (!Number.isFinite(minAmount) || minAmount < 0) throw approvalError('minAmountUsd must be zero or more');
+    fields.min_amount_usd = minAmount;
+  }
+  if (data.method !== undefined) {
+    fields.method = data.method ? String(data.method).trim() : null;
+  }
+  if (data.country !== undefined) {
+    fields.country = data.country ? String(data.country).trim() : null;
+  }
+  if (data.requiredApprovals !== undefined) {
+    const required = Number(data.requiredApprovals);
+    if (!Number.isInteger(required) || required < 1 || required > MAX_REQUIRED_APPROVALS) {
+      throw approvalError(`requiredApprovals must be between 1 and ${MAX_REQUIRED_APPROVALS}`);
+    }
+    fields.required_approvals = required;
+  }
+  if (data.isActive !== undefined) {
+    fields.is_active = Boolean(data.isActive);
+  }
+
+  return fields;
+}
+
+export function formatPolicy(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    requestType: row.request_type,
+    minAmountUsd: Number(row.min_amount_usd),
+    method: row.method,
+    country: row.country,
+    requiredApprovals: row.required_approvals,
+    isActive: row.is_active,
+    createdByAdmin: row.created_by_admin,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export async function listApprovalPolicies(client = pool) {
+  const result = await client.query(
+    `SELECT * FROM approval_policies
+     ORDER BY request_type, is_active DESC, min_amount_usd, id`
+  );
+  return result.rows.map(formatPolicy);
+}
+
+export async function createApprovalPolicy(data, adminId = null) {
+  const fields = validatePolicy(data);
+  const keys = [...Object.keys(fields), 'created_by_admin'];
+  const values = [...Object.values(fields), adminId];
+
+  const result = await pool.query(
+    `INSERT INTO approval_policies (${keys.join(', ')})
+     VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    values
+  );
+  return formatPolicy(result.rows[0]);
+}
+
+export async function updateApprovalPolicy(policyId, data) {
+  const fields = validatePolicy(data, { partial: true });
+  const keys = Object.keys(fields);
+  if (keys.length === 0) {
+    throw approvalError('Nothing to update');
+  }
+
+  const result = await pool.query(
+    `UPDATE approval_policies
+     SET ${keys.map((key, i) => `${key} = $${i + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [policyId, ...keys.map(key => fields[key])]
+  );
+  if (result.rows.length === 0) {
+    throw approvalError('Approval policy not found', 404);
+  }
+  return formatPolicy(result.rows[0]);
+}
+
+export async function deleteApprovalPolicy(policyId) {
+  const result = await pool.query('DELETE FROM approval_policies WHERE id = $1 RETURNING *', [policyId]);
+  if (result.rows.length === 0) {
+    throw approvalError('Approval policy not found', 404);
+  }
+  return formatPolicy(result.rows[0]);
+}
+
+async function loadActivePolicies(requestType, client) {
+  const result = await client.query(
+    'SELECT * FROM approval_policies WHERE is_active = TRUE AND request_type = $1',
+    [requestType]
+  );
+  return result.rows;
+}
+
+// Most required approvals wins, then the higher threshold
+function matchPolicy(policies, { amountUsd, method, country }) {
+  return policies
+    .filter(policy => Number(policy.min_amount_usd) <= amountUsd
+      && (!policy.method || policy.method === method)
+      && (!policy.country || policy.country.toLowerCase() === String(country || '').toLowerCase()))
+    .sort((a, b) => b.required_approvals - a.required_approvals
+      || Number(b.min_amount_usd) - Number(a.min_amount_usd)
+      || a.id - b.id)[0] || null;
+}
+
+/**
+ * Strictest active policy matching a request
+ * @param {Object} params
+ * @param {string} params.requestType - 'deposit' | 'withdrawal'
+ * @param {number} params.amount - In the request currency
+ * @param {string} params.currency
+ * @param {string} [params.method]
+ * @param {string} [params.country]
+ * @returns {Promise<Object>} { requiredApprovals, policy, amountUsd } with policy null when none matches
+ */
+export async function resolveApprovalPolicy({ requestType, amount, currency, method = null, country = null }, client = pool) {
+  const amountUsd = await toUsd(amount, currency, client);
+  const policy = matchPolicy(await loadActivePolicies(requestType, client), { amountUsd, method, country });
+  return {
+    requiredApprovals: policy ? policy.required_approvals : 1,
+    policy: policy ? formatPolicy(policy) : null,
+    amountUsd
+  };
+}
+
+/**
+ * Approval chains of several requests
+ * @returns {Promise<Map<number, Array>>} requestId -> steps in order
+ */
+export async function getApprovalChains(requestType, requestIds, client = pool) {
+  const chains = new Map();
+  if (requestIds.length === 0) {
+    return chains;
+  }
+
+  const result = await client.query(
+    `SELECT s.request_id, s.step, s.admin_id, s.policy_id, s.required_approvals, s.comment, s.created_at,
+            a.email AS admin_email, a.username AS admin_username
+     FROM approval_steps s
+     LEFT JOIN admin a ON a.id = s.admin_id
+     WHERE s.request_type = $1 AND s.request_id = ANY($2::int[])
+     ORDER BY s.request_id, s.step`,
+    [requestType, requestIds.map(id => parseInt(id, 10))]
+  );
+
+  for (const row of result.rows) {
+    if (!chains.has(row.request_id)) chains.set(row.request_id, []);
+    chains.get(row.request_id).push({
+      step: row.step,
+      adminId: row.admin_id,
+      adminEmail: row.admin_email,
+      adminUsername: row.admin_username,
+      policyId: row.policy_id,
+      requiredApprovals: row.required_approvals,
+      comment: row.comment,
+      approvedAt: row.created_at
+    });
+  }
+  return chains;
+}
+
+/**
+ * Approval status of listed requests, for the admin deposit / withdrawal lists
+ * Pending requests show what the current policies require; processed ones
+ * show what was required when they were approved.
+ * @param {string} requestType
+ * @param {Array<Object>} requests - Rows with id, status, amount, currency, method, country
+ * @returns {Promise<Map<number, Object>>} requestId -> { requiredApprovals, approvals, approvalChain }
+ */
+export async function getApprovalStatuses(requestType, requests, client = pool) {
+  const statuses = new Map();
+  if (requests.length === 0) {
+    return statuses;
+  }
+
+  const chains = await getApprovalChains(requestType, requests.map(request => request.id), client);
+  const policies = await loadActivePolicies(requestType, client);
+  const usdRates = new Map();
+
+  for (const request of requests) {
+    const chain = chains.get(request.id) || [];
+    let requiredApprovals = chain[0]?.requiredApprovals || null;
+
+    if (request.status === 'pending') {
+      const currency = request.currency || 'USD';
+      if (!usdRates.has(currency)) {
+        usdRates.set(currency, await usdRate(currency, client));
+      }
+      const policy = matchPolicy(policies, {
+        amountUsd: Number(request.amount) * usdRates.get(currency),
+        method: request.method,
+        country: request.country
+      });
+      requiredApprovals = Math.max(policy ? policy.required_approvals : 1, requiredApprovals || 0);
+    }
+
+    statuses.set(request.id, { requiredApprovals, approvals: chain.length, approvalChain: chain });
+  }
+  return statuses;
+}
+
+/**
+ * Record an admin's approval of a pending deposit request or withdrawal
+ * The required count is the stricter of the policy when the chain started and
+ * the current one, so editing a policy never releases a request half-way.
+ * @param {Object} params
+ * @param {string} params.requestType - 'deposit' | 'withdrawal'
+ * @param {number} params.requestId
+ * @param {number} params.adminId
+ * @param {string} [params.comment]
+ * @returns {Promise<Object>} { complete, requiredApprovals, approvals, chain, policy }
+ * @throws {Error} 404 when the request is missing, 409 when it is no longer pending
+ *   or this admin already approved it and another admin's approval is still needed
+ */
+export async function recordApproval({ requestType, requestId, adminId, comment = null }) {
+  if (!REQUEST_TYPES.includes(requestType)) {
+    throw approvalError(`Unknown request type: ${requestType}`);
+  }
+  if (!adminId) {
+    throw approvalError('Admin authentication required', 401);
+  }
+
+  return inTransaction(async (client) => {
+    const requestResult = await client.query(REQUEST_QUERIES[requestType], [requestId]);
+    const request = requestResult.rows[0];
+    if (!request) {
+      throw approvalError(`${requestType === 'deposit' ? 'Deposit request' : 'Withdrawal'} not found`, 404);
+    }
+    if (request.status !== 'pending' || request.credited_at) {
+      throw approvalError(`${requestType === 'deposit' ? 'Deposit request' : 'Withdrawal'} is already ${request.credited_at ? 'credited' : request.status}`, 409);
+    }
+
+    const { requiredApprovals: currentRequired, policy } = await resolveApprovalPolicy({
+      requestType,
+      amount: request.amount,
+      currency: request.currency,
+      method: request.method,
+      country: request.country
+    }, client);
+
+    const chain = (await getApprovalChains(requestType, [request.id], client)).get(request.id) || [];
+    const requiredApprovals = Math.max(currentRequired, chain[0]?.requiredApprovals || 0);
+
+    if (chain.some(step => step.adminId === adminId)) {
+      // Retrying after a failed balance update is fine once the chain is complete
+      if (chain.length >= requiredApprovals) {
+        return { complete: true, requiredApprovals, approvals: chain.length, chain, policy };
+      }
+      throw approvalError(
+        `You already approved this request; ${requiredApprovals - chain.length} more approval(s) from a different admin are required`,
+        409
+      );
+    }
+
+    await client.query(
+      `INSERT INTO approval_steps (request_type, request_id, step, admin_id, policy_id, required_approvals, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [requestType, request.id, chain.length + 1, adminId, policy?.id || null, requiredApprovals, comment]
+    );
+
+    const updatedChain = (await getApprovalChains(requestType, [request.id], client)).get(request.id);
+    return {
+      complete: updatedChain.length >= requiredApprovals,
+      requiredApprovals,
+      approvals: updatedChain.length,
+      chain: updatedChain,
+      policy
+    };
+  });
+}
@@ -0,0 +1,484 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { executeTransfer } from './transferSaga.service.js';
+import { getFxRate } from './fx.service.js';
+import { generateOTP } from '../utils/helpers.js';
+import { sendOTPVerificationEmail, sendInternalTransferEmail } from './templateEmail.service.js';
+
+/**
+ * Client Transfer Service
+ * Wallet -> wallet transfers between two clients:
+ *
+ *   pending_otp -> processing -> completed | failed
+ *        \      \-> pending_approval -> processing (admin approves) | rejected
+ *         +-> expired (OTP timed out or too many wrong codes)
+ *
+ * Limits are evaluated in USD: a per-user daily total over confirmed requests,
+ * and a threshold above which an admin must approve. Funds only move once the
+ * request reaches processing, through the regular transfer saga; requests an
+ * interruption left in processing are settled by recoverProcessingClientTransfers.
+ */
+
+const DAILY_LIMIT_USD = Number(process.env.CLIENT_TRANSFER_DAILY_LIMIT_USD) || 10000;
+const APPROVAL_THRESHOLD_USD = Number(process.env.CLIENT_TRANSFER_APPROVAL_THRESHOLD_USD) || 5000;
+const OTP_TTL_MINUTES = 10;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Requests that count against the daily limit
+const COUNTED_STATUSES = ['pending_approval', 'processing', 'completed'];
+
+function clientTransferError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const hashOtp = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+function otpMatches(otp, hash) {
+  const given = Buffer.from(hashOtp(otp), 'hex');
+  const stored = Buffer.from(hash || '', 'hex');
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+const displayName = (user) => `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Valued Customer';
+
+// Only the first name and last initial are shown to the sender
+function maskedName(user) {
+  const lastInitial = user.last_name ? ` ${user.last_name.charAt(0)}.` : '';
+  return `${user.first_name || 'Client'}${lastInitial}`;
+}
+
+// Recipient wallet by wallet number, or by email (wallet in the sender's currency, else primary)
+async function resolveRecipientWallet(recipient, currency, client = pool) {
+  const value = String(recipient || '').trim();
+  if (!value) {
+    throw clientTransferError('Recipient wallet number or email is required');
+  }
+
+  const result = value.includes('@')
+    ? await client.query(
+      `SELECT w.id, w.user_id, w.wallet_number, w.currency, w.status, u.email, u.first_name, u.last_name
+       FROM users u
+       JOIN wallets w ON w.user_id = u.id
+       WHERE LOWER(u.email) = LOWER($1)
+       ORDER BY (w.currency = $2) DESC, w.is_primary DESC, w.id
+       LIMIT 1`,
+      [value, currency]
+    )
+    : await client.query(
+      `SELECT w.id, w.user_id, w.wallet_number, w.currency, w.status, u.email, u.first_name, u.last_name
+       FROM wallets w
+       JOIN users u ON u.id = w.user_id
+       WHERE w.wallet_number = $1`,
+      [value]
+    );
+
+  if (result.rows.length === 0 || result.rows[0].status !== 'active') {
+    throw clientTransferError('Recipient wallet not found', 404);
+  }
+  return result.rows[0];
+}
+
+// USD total of the sender's confirmed transfers today (excluding one request)
+async function getDailyTotalUsd(userId, excludeRequestId = null, client = pool) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount_usd), 0) AS total
+     FROM client_transfer_requests
+     WHERE sender_user_id = $1
+       AND status = ANY($2)
+       AND confirmed_at >= date_trunc('day', NOW())
+       AND ($3::integer IS NULL OR id <> $3)`,
+    [userId, COUNTED_STATUSES, excludeRequestId]
+  );
+  return Number(result.rows[0].total);
+}
+
+function assertWithinDailyLimit(totalUsd, amountUsd) {
+  if (totalUsd + amountUsd > DAILY_LIMIT_USD) {
+    const remaining = Math.max(0, DAILY_LIMIT_USD - totalUsd);
+    throw clientTransferError(
+      `Daily transfer limit of USD ${DAILY_LIMIT_USD} exceeded. You can transfer up to USD ${remaining.toFixed(2)} more today.`
+    );
+  }
+}
+
+async function getRequestForUpdate(requestId, client) {
+  const result = await client.query('SELECT * FROM client_transfer_requests WHERE id = $1 FOR UPDATE', [requestId]);
+  if (result.rows.length === 0) {
+    throw clientTransferError('Transfer request not found', 404);
+  }
+  return result.rows[0];
+}
+
+async function updateRequest(requestId, fields, client = pool) {
+  const keys = Object.keys(fields);
+  const assignments = keys.map((key, i) => `${key} = $${i + 2}`);
+  const result = await client.query(
+    `UPDATE client_transfer_requests SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [requestId, ...keys.map(key => fields[key])]
+  );
+  return result.rows[0];
+}
+
+// Public view of a request (never exposes the OTP hash)
+export function formatClientTransfer(row) {
+  const { otp_hash: _otpHash, ...rest } = row;
+  return {
+    ...rest,
+    amount: Number(row.amount),
+    amount_usd: Number(row.amount_usd)
+  };
+}
+
+async function sendCompletionEmails(request, transfer) {
+  const users = await pool.query(
+    'SELECT id, email, first_name, last_name FROM users WHERE id = ANY($1)',
+    [[request.sender_user_id, request.recipient_user_id]]
+  );
+  const sender = users.rows.find(user => user.id === request.sender_user_id);
+  const recipient = users.rows.find(user => user.id === request.recipient_user_id);
+  const date = new Date().toLocaleDateString();
+  const received = transfer.to_amount !== null
+    ? `${Number(transfer.to_amount)} ${transfer.to_currency}`
+    : `${Number(transfer.amount)} ${transfer.currency}`;
+
+  if (sender) {
+    await sendInternalTransferEmail(sender.email, displayName(sender), request.from_wallet, request.to_wallet,
+      `${Number(transfer.amount)} ${transfer.currency}`, date);
+  }
+  if (recipient) {
+    await sendInternalTransferEmail(recipient.email, displayName(recipient), request.from_wallet, request.to_wallet,
+      received, date);
+  }
+}
+
+// Record a completed transfer on its request and notify both clients
+async function completeRequest(request, transfer) {
+  const completed = await updateRequest(request.id, {
+    status: 'completed',
+    internal_transfer_id: transfer.id,
+    last_error: null
+  });
+
+  setImmediate(async () => {
+    try {
+      await sendCompletionEmails(completed, transfer);
+    } catch (emailError) {
+      console.error('Failed to send client transfer emails:', emailError);
+    }
+  });
+
+  return completed;
+}
+
+/**
+ * Move the funds of a request in processing state and record the outcome
+ * @throws {Error} With status 400 when the transfer failed (request marked failed)
+ */
+async function executeClientTransfer(request, adminId = null) {
+  try {
+    const { transfer } = await executeTransfer({
+      userId: request.sender_user_id,
+      from: { type: 'wallet', account: request.from_wallet },
+      to: { type: 'wallet', account: request.to_wallet },
+      amount: Number(request.amount),
+      reference: `Client transfer #${request.id}: ${request.from_wallet} → ${request.to_wallet}`,
+      adminId,
+      toUserId: request.recipient_user_id,
+      clientTransferRequestId: request.id
+    });
+    return { request: await completeRequest(request, transfer), transfer };
+  } catch (error) {
+    // Another run already created the internal transfer; recovery settles the request from it
+    if (error.code === '23505') {
+      throw clientTransferError('Transfer request is already being processed', 409);
+    }
+    await updateRequest(request.id, {
+      status: 'failed',
+      internal_transfer_id: error.transfer?.id || null,
+      last_error: error.message
+    });
+    throw clientTransferError(error.message);
+  }
+}
+
+/**
+ * Create a transfer request and email the OTP that confirms it
+ * @param {Object} params
+ * @param {number} params.senderUserId
+ * @param {Object} params.fromWallet - Sender wallet row (id, wallet_number, currency, balance)
+ * @param {string} params.recipient - Recipient wallet number or email
+ * @param {number} params.amount - In the sender wallet's currency
+ * @param {string} [params.note]
+ * @returns {Promise<Object>} { request, recipientName }
+ */
+export async function createClientTransfer({ senderUserId, fromWallet, recipient, amount, note = null }) {
+  const numericAmount = Number(amount);
+  if (!numericAmount || numericAmount <= 0) {
+    throw clientTransferError('A positive amount is required');
+  }
+
+  const currency = fromWallet.currency || 'USD';
+  const toWallet = await resolveRecipientWallet(recipient, currency);
+  if (toWallet.user_id === senderUserId) {
+    throw clientTransferError('Use an internal transfer to move funds between your own accounts');
+  }
+  if (numericAmount > Number(fromWallet.balance)) {
+    throw clientTransferError('Insufficient wallet balance');
+  }
+
+  const fx = await getFxRate(currency, 'USD');
+  const amountUsd = Math.round(numericAmount * fx.midRate * 100) / 100;
+  assertWithinDailyLimit(await getDailyTotalUsd(senderUserId), amountUsd);
+
+  const senderResult = await pool.query('SELECT email, first_name, last_name FROM users WHERE id = $1', [senderUserId]);
+  const sender = senderResult.rows[0];
+  const otp = generateOTP();
+
+  const result = await pool.query(
+    `INSERT INTO client_transfer_requests
+       (sender_user_id, recipient_user_id, from_wallet, to_wallet, amount, currency, amount_usd, note,
+        otp_hash, otp_expires_at, requires_approval)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + ($10 || ' minutes')::interval, $11)
+     RETURNING *`,
+    [
+      senderUserId, toWallet.user_id, fromWallet.wallet_number, toWallet.wallet_number, numericAmount, currency, amountUsd,
+      note ? String(note).slice(0, 500) : null, hashOtp(otp), String(OTP_TTL_MINUTES), amountUsd > APPROVAL_THRESHOLD_USD
+    ]
+  );
+  const request = result.rows[0];
+
+  try {
+    await sendOTPVerificationEmail(
+      sender.email,
+      displayName(sender),
+      otp,
+      `Please use this code to confirm your transfer of ${numericAmount} ${currency} to wallet ${toWallet.wallet_number}.`
+    );
+  } catch (emailError) {
+    console.error('Failed to send client transfer OTP email:', emailError);
+    await updateRequest(request.id, { status: 'expired', otp_hash: null, last_error: 'OTP email could not be sent' });
+    throw clientTransferError('Failed to send OTP email. Please try again.', 503);
+  }
+
+  return { request, recipientName: maskedName(toWallet) };
+}
+
+/**
+ * Confirm a request with its OTP. Requests above the approval threshold move
+ * to pending_approval; the others are executed right away.
+ * @returns {Promise<Object>} { request, transfer } (transfer is null while awaiting approval)
+ */
+export async function confirmClientTransfer({ requestId, senderUserId, otp }) {
+  const client = await pool.connect();
+  let outcome;
+  try {
+    await client.query('BEGIN');
+    // Serializes the daily limit check across this sender's requests
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [senderUserId]);
+    const request = await getRequestForUpdate(requestId, client);
+
+    if (request.sender_user_id !== senderUserId) {
+      throw clientTransferError('Transfer request not found', 404);
+    }
+    if (request.status !== 'pending_otp') {
+      throw clientTransferError(`Transfer request is already ${request.status.replace('_', ' ')}`, 409);
+    }
+
+    if (new Date(request.otp_expires_at) < new Date()) {
+      await updateRequest(request.id, { status: 'expired', otp_hash: null }, client);
+      outcome = { error: clientTransferError('OTP has expired. Please start the transfer again.') };
+    } else if (!otpMatches(otp, request.otp_hash)) {
+      const attempts = request.otp_attempts + 1;
+      const exhausted = attempts >= MAX_OTP_ATTEMPTS;
+      await updateRequest(request.id, exhausted
+        ? { otp_attempts: attempts, status: 'expired', otp_hash: null }
+        : { otp_attempts: attempts }, client);
+      outcome = {
+        error: clientTransferError(exhausted
+          ? 'Too many invalid OTP attempts. Please start the transfer again.'
+          : 'Invalid OTP. Please try again.')
+      };
+    } else {
+      assertWithinDailyLimit(await getDailyTotalUsd(senderUserId, request.id, client), Number(request.amount_usd));
+      outcome = {
+        request: await updateRequest(request.id, {
+          status: request.requires_approval ? 'pending_approval' : 'processing',
+          confirmed_at: new Date(),
+          otp_hash: null
+        }, client)
+      };
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Failed attempts are committed before the error is reported
+  if (outcome.error) {
+    throw outcome.error;
+  }
+  if (outcome.request.status === 'pending_approval') {
+    return { request: outcome.request, transfer: null };
+  }
+  return executeClientTransfer(outcome.request);
+}
+
+/**
+ * Admin approval of a request above the threshold; executes the transfer
+ * @returns {Promise<Object>} { request, transfer }
+ */
+export async function approveClientTransfer({ requestId, adminId }) {
+  const result = await pool.query(
+    `UPDATE client_transfer_requests
+     SET status = 'processing', reviewed_by_admin = $2, reviewed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'pending_approval'
+     RETURNING *`,
+    [requestId, adminId]
+  );
+  if (result.rows.length === 0) {
+    throw clientTransferError('Transfer request not found or not awaiting approval', 409);
+  }
+  return executeClientTransfer(result.rows[0], adminId);
+}
+
+export async function rejectClientTransfer({ requestId, adminId, reason = null }) {
+  const result = await pool.query(
+    `UPDATE client_transfer_requests
+     SET status = 'rejected', reviewed_by_admin = $2, reviewed_at = NOW(), rejection_reason = $3, updated_at = NOW()
+     WHERE id = $1 AND status = 'pending_approval'
+     RETURNING *`,
+    [requestId, adminId, reason]
+  );
+  if (result.rows.length === 0) {
+    throw clientTransferError('Transfer request not found or not awaiting approval', 409);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Recovery for requests left in processing (e.g. the process crashed between
+ * confirming a request and recording its outcome). The internal transfer the
+ * request executes is the source of truth:
+ * - completed -> request completed
+ * - failed / compensated -> request failed
+ * - still in flight or flagged for review -> left to the transfer recovery
+ * - no internal transfer -> the request is executed again
+ * Runs in the recover-stuck-transfers job, after the internal transfers themselves.
+ * @param {number} staleMinutes - Only touch requests not updated for this long
+ * @returns {Promise<Object>} { completed, failed, executed, waiting, errors }
+ */
+export async function recoverProcessingClientTransfers(staleMinutes = 5) {
+  const counts = { completed: 0, failed: 0, executed: 0, waiting: 0, errors: 0 };
+  const result = await pool.query(
+    `SELECT id FROM client_transfer_requests
+     WHERE status = 'processing' AND updated_at < NOW() - ($1 || ' minutes')::interval
+     ORDER BY id
+     LIMIT 50`,
+    [String(staleMinutes)]
+  );
+
+  for (const { id } of result.rows) {
+    try {
+      // Claim the request so a concurrent run skips it
+      const claimed = await pool.query(
+        `UPDATE client_transfer_requests SET updated_at = NOW()
+         WHERE id = $1 AND status = 'processing' AND updated_at < NOW() - ($2 || ' minutes')::interval
+         RETURNING *`,
+        [id, String(staleMinutes)]
+      );
+      if (claimed.rows.length === 0) continue;
+      const request = claimed.rows[0];
+
+      const transferResult = await pool.query(
+        'SELECT * FROM internal_transfers WHERE client_transfer_request_id = $1',
+        [request.id]
+      );
+      const transfer = transferResult.rows[0];
+
+      if (!transfer) {
+        try {
+          await executeClientTransfer(request, request.reviewed_by_admin);
+          counts.executed++;
+        } catch (error) {
+          if (error.status !== 400) throw error;
+          counts.failed++;
+        }
+        console.log(`✅ Re-ran client transfer request #${request.id}`);
+      } else if (transfer.status === 'completed') {
+        await completeRequest(request, transfer);
+        console.log(`✅ Completed client transfer request #${request.id} from internal transfer #${transfer.id}`);
+        counts.completed++;
+      } else if (transfer.status === 'failed' || transfer.status === 'compensated') {
+        await updateRequest(request.id, {
+          status: 'failed',
+          internal_transfer_id: transfer.id,
+          last_error: transfer.last_error || `Internal transfer ${transfer.status}`
+        });
+        console.log(`✅ Failed client transfer request #${request.id} from internal transfer #${transfer.id}`);
+        counts.failed++;
+      } else {
+        counts.waiting++;
+      }
+    } catch (error) {
+      console.error(`❌ Error recovering client transfer request #${id}:`, error.message);
+      counts.errors++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Requests sent or received by a client
+ */
+export async function listUserClientTransfers(userId, { limit = 50, offset = 0 } = {}, client = pool) {
+  const result = await client.query(
+    `SELECT r.*, CASE WHEN r.sender_user_id = $1 THEN 'out' ELSE 'in' END AS direction,
+            COUNT(*) OVER() AS total_count
+     FROM client_transfer_requests r
+     WHERE r.sender_user_id = $1
+        OR (r.recipient_user_id = $1 AND r.status = 'completed')
+     ORDER BY r.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+  return {
+    items: result.rows.map(({ total_count: _totalCount, ...row }) => formatClientTransfer(row)),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+  };
+}
+
+/**
+ * Admin list with sender / recipient details
+ * @param {Object} options
+ * @param {string} [options.status]
+ */
+export async function listClientTransfers({ status = null, limit = 50, offset = 0 } = {}, client = pool) {
+  const result = await client.query(
+    `SELECT r.*,
+            s.email AS sender_email, s.first_name AS sender_first_name, s.last_name AS sender_last_name,
+            t.email AS recipient_email, t.first_name AS recipient_first_name, t.last_name AS recipient_last_name,
+            COUNT(*) OVER() AS total_count
+     FROM client_transfer_requests r
+     JOIN users s ON s.id = r.sender_user_id
+     JOIN users t ON t.id = r.recipient_user_id
+     WHERE ($1::text IS NULL OR r.status = $1)
+     ORDER BY r.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+  return {
+    items: result.rows.map(({ total_count: _totalCount, ...row }) => formatClientTransfer(row)),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+  };
+}
+
+export const CLIENT_TRANSFER_LIMITS = {
+  dailyLimitUsd: DAILY_LIMIT_USD,
+  approvalThresholdUsd: APPROVAL_THRESHOLD_USD
+};
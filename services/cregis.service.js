@@ -13,6 +13,8 @@ const DEFAULT_CREGIS_PROJECT_ID = process.env.CREGIS_PROJECT_ID || '144592066147
 const DEFAULT_CREGIS_API_KEY = process.env.CREGIS_API_KEY || '0794b200b7d34acca7c06a72ee2cf58c';
 const DEFAULT_CREGIS_GATEWAY_URL = process.env.CREGIS_GATEWAY_URL || 'https://t-fumzndoo.cregis.io';
 const DEFAULT_CREGIS_WEBHOOK_SECRET = process.env.CREGIS_WEBHOOK_SECRET || '';
+// Cregis currency id of the payout token: <chain id>@<token contract> (USDT on TRON)
+const DEFAULT_CREGIS_PAYOUT_CURRENCY = process.env.CREGIS_PAYOUT_CURRENCY || '195@TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
 
 /**
  * Generate a 6-character random nonce
@@ -109,15 +111,6 @@ const generateSignature = (params, apiKey = null) => {
   return signature;
 };
 
-/**
- * Generate a unique order ID
- */
-export const generateOrderId = (depositRequestId) => {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substring(2, 9);
-  return `DEPOSIT-${depositRequestId}-${timestamp}-${random}`.toUpperCase();
-};
-
 /**
  * Create a payment order with Cregis
  * POST /api/v2/checkout
@@ -389,7 +382,14 @@ export const checkPaymentStatus = async (cregisId, gatewayConfig = null) => {
           : null,
         transactionHash: responseData.payment_detail && responseData.payment_detail.length > 0
           ? responseData.payment_detail[0].tx_id
-          : null
+          : null,
+        // Total received across all payments made against the order
+        receiveAmount: responseData.payment_detail && responseData.payment_detail.length > 0
+          ? responseData.payment_detail.reduce(
+            (sum, detail) => sum + (parseFloat(detail.receive_amount ?? detail.pay_amount) || 0),
+            0
+          )
+          : responseData.receive_amount ?? null
       }
     };
   } catch (error) {
@@ -403,33 +403,44 @@ export const checkPaymentStatus = async (cregisId, gatewayConfig = null) => {
 
 /**
  * Verify webhook signature
+ * Cregis signs callbacks the same way as API requests (MD5 over the sorted
+ * parameters, prefixed with the project API key) and sends it as `sign`.
  * @param {Object} payload - Webhook payload
- * @param {string} signature - Webhook signature from headers
- * @returns {boolean} True if signature is valid
+ * @param {string} signature - Signature from the payload or headers
+ * @param {Object} gatewayConfig - Gateway configuration from database (optional)
+ * @returns {boolean} True if signature is valid; false when no API key is
+ *   configured on the gateway or in CREGIS_API_KEY
  */
-export const verifyWebhookSignature = (payload, signature) => {
-  if (!CREGIS_WEBHOOK_SECRET) {
-    // If no secret is configured, skip verification (not recommended for production)
-    console.warn('Cregis webhook secret not configured, skipping signature verification');
-    return true;
+export const verifyWebhookSignature = (payload, signature, gatewayConfig = null) => {
+  if (!signature) {
+    return false;
   }
 
-  // Generate expected signature using same method as request signing
-  const expectedSignature = generateSignature(payload);
-  
-  return signature === expectedSignature;
+  // Only a key the operator configured; the built-in default is public
+  const signingKey = gatewayConfig?.api_key || process.env.CREGIS_API_KEY;
+  if (!signingKey) {
+    console.error('Cregis webhook rejected: no API key configured on the gateway or in CREGIS_API_KEY');
+    return false;
+  }
+
+  const expectedSignature = generateSignature(payload, signingKey);
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature).toLowerCase());
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 };
 
 /**
  * Handle Cregis webhook callback
  * @param {Object} payload - Webhook payload from Cregis
- * @param {string} signature - Webhook signature (optional)
+ * @param {string} signature - Webhook signature (falls back to payload.sign)
+ * @param {Object} gatewayConfig - Gateway configuration from database (optional)
  * @returns {Promise<Object>} Processed webhook data
  */
-export const handleWebhook = async (payload, signature = null) => {
+export const handleWebhook = async (payload, signature = null, gatewayConfig = null) => {
   try {
-    // Verify signature if provided
-    if (signature && !verifyWebhookSignature(payload, signature)) {
+    // Unsigned or wrongly signed callbacks are always rejected
+    if (!verifyWebhookSignature(payload, signature || payload?.sign, gatewayConfig)) {
       throw new Error('Invalid webhook signature');
     }
 
@@ -449,6 +460,9 @@ export const handleWebhook = async (payload, signature = null) => {
     return {
       success: true,
       data: {
+        // Cregis retries deliver the same event; without an explicit id the
+        // order/event/status triple identifies it
+        eventId: payload.event_id || `${cregisId}:${eventType}:${status}`,
         eventName,
         eventType,
         cregisId,
@@ -478,21 +492,188 @@ export const handleWebhook = async (payload, signature = null) => {
 };
 
 /**
- * Map Cregis status to deposit request status
- * @param {string} cregisStatus - Status from Cregis
- * @returns {string} Mapped status for deposit_requests table
+ * Signed POST to the Cregis API
+ * Errors carry `rejected: true` when Cregis answered and refused the request,
+ * so callers can tell a refusal from a request that may or may not have arrived.
+ * @returns {Promise<Object>} data field of the Cregis response
  */
-export const mapCregisStatusToDepositStatus = (cregisStatus) => {
+const postSigned = async (path, params, gatewayConfig = null) => {
+  const projectId = gatewayConfig?.project_id || DEFAULT_CREGIS_PROJECT_ID;
+  const apiKey = gatewayConfig?.api_key || DEFAULT_CREGIS_API_KEY;
+  const gatewayUrl = gatewayConfig?.gateway_url || DEFAULT_CREGIS_GATEWAY_URL;
+
+  if (!gatewayUrl) {
+    throw new Error('CREGIS_GATEWAY_URL is not defined. Please configure gateway_url in the database.');
+  }
+
+  const payload = {
+    pid: parseInt(projectId, 10),
+    nonce: generateNonce(),
+    timestamp: generateTimestamp(),
+    ...params
+  };
+  payload.sign = generateSignature(payload, apiKey);
+
+  const response = await fetch(`${gatewayUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Project-Id': String(projectId),
+      'X-Api-Key': apiKey
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const responseText = await response.text();
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch (parseError) {
+    throw new Error(`Invalid response from Cregis API: ${responseText.substring(0, 200)}`);
+  }
+
+  if (data.code !== '00000') {
+    const error = new Error(data.msg || data.message || `Cregis request failed: ${response.status}`);
+    error.rejected = true;
+    error.code = data.code;
+    throw error;
+  }
+  return data.data || {};
+};
+
+/**
+ * Cregis payout status codes (payout query and callback): 0 processing,
+ * 1 success, 2 failed
+ * @param {string|number} status
+ * @returns {string} 'pending', 'paid' or 'failed'
+ */
+export const mapCregisPayoutStatus = (status) => {
   const statusMap = {
-    'paid': 'approved',
-    'paid_over': 'approved', // Overpaid is still approved
-    'paid_partial': 'pending', // Partial payment stays pending
-    'new': 'pending',
-    'expired': 'rejected',
-    'refunded': 'rejected'
+    '0': 'pending',
+    '1': 'paid',
+    '2': 'failed',
+    'pending': 'pending',
+    'processing': 'pending',
+    'success': 'paid',
+    'failed': 'failed',
+    'rejected': 'failed'
   };
 
-  return statusMap[cregisStatus?.toLowerCase()] || 'pending';
+  return statusMap[String(status ?? '').toLowerCase()] || 'pending';
+};
+
+/**
+ * Send a payout from the Cregis project wallet
+ * POST /api/v1/payout
+ * @param {Object} params
+ * @param {string} params.reference - Our unique payout reference (third_party_id)
+ * @param {number} params.amount
+ * @param {string} params.address - Destination address
+ * @param {string} [params.currency] - Cregis currency id, defaults to USDT TRC20
+ * @param {string} [params.callbackUrl]
+ * @param {string} [params.remark]
+ * @param {Object} [params.gatewayConfig]
+ * @returns {Promise<Object>} { success, data: { payoutId, reference, status } } or { success: false, error, rejected }
+ */
+export const createPayout = async ({ reference, amount, address, currency = null, callbackUrl = null, remark = null, gatewayConfig = null }) => {
+  try {
+    const data = await postSigned('/api/v1/payout', {
+      currency: currency || DEFAULT_CREGIS_PAYOUT_CURRENCY,
+      address,
+      amount: String(parseFloat(amount)),
+      third_party_id: reference,
+      callback_url: callbackUrl,
+      remark
+    }, gatewayConfig);
+
+    return {
+      success: true,
+      data: {
+        payoutId: String(data.cid),
+        reference,
+        status: data.status ?? '0'
+      }
+    };
+  } catch (error) {
+    console.error('Cregis createPayout error:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to create payout',
+      rejected: Boolean(error.rejected)
+    };
+  }
+};
+
+/**
+ * Check a payout
+ * POST /api/v1/payout/query
+ * @param {string} payoutId - Cregis payout id (cid)
+ * @param {Object} gatewayConfig
+ * @returns {Promise<Object>} { success, data: { payoutId, reference, status, transactionHash, amount, address } }
+ */
+export const checkPayoutStatus = async (payoutId, gatewayConfig = null) => {
+  try {
+    const data = await postSigned('/api/v1/payout/query', { cid: payoutId }, gatewayConfig);
+
+    return {
+      success: true,
+      data: {
+        payoutId: String(data.cid ?? payoutId),
+        reference: data.third_party_id || null,
+        status: data.status,
+        transactionHash: data.tx_id || data.txid || null,
+        amount: data.amount ?? null,
+        address: data.address || null,
+        reason: data.remark || data.msg || null
+      }
+    };
+  } catch (error) {
+    console.error('Cregis checkPayoutStatus error:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to check payout status'
+    };
+  }
+};
+
+/**
+ * Handle a Cregis payout callback (signed like payment callbacks)
+ * @param {Object} payload
+ * @param {string} signature - Falls back to payload.sign
+ * @param {Object} gatewayConfig
+ * @returns {Promise<Object>} { success, data } with the payout fields, or { success: false, error }
+ */
+export const handlePayoutWebhook = async (payload, signature = null, gatewayConfig = null) => {
+  try {
+    if (!verifyWebhookSignature(payload, signature || payload?.sign, gatewayConfig)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const data = typeof payload.data === 'string' ? JSON.parse(payload.data) : (payload.data || payload);
+    if (!data.cid && !data.third_party_id) {
+      throw new Error('Missing required payout fields: cid or third_party_id');
+    }
+
+    return {
+      success: true,
+      data: {
+        eventId: `payout:${data.cid || data.third_party_id}:${data.status}`,
+        payoutId: data.cid ? String(data.cid) : null,
+        reference: data.third_party_id || null,
+        status: data.status,
+        transactionHash: data.tx_id || data.txid || null,
+        amount: data.amount ?? null,
+        reason: data.remark || data.msg || null,
+        rawPayload: payload
+      }
+    };
+  } catch (error) {
+    console.error('Cregis handlePayoutWebhook error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to process payout webhook'
+    };
+  }
 };
 
 export default {
@@ -500,6 +681,8 @@ export default {
   checkPaymentStatus,
   handleWebhook,
   verifyWebhookSignature,
-  mapCregisStatusToDepositStatus,
-  generateOrderId
+  createPayout,
+  checkPayoutStatus,
+  handlePayoutWebhook,
+  mapCregisPayoutStatus
 };
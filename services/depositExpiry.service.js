@@ -0,0 +1,233 @@
+import pool from '../config/database.js';
+import { getGatewayAdapter } from './gateways/index.js';
+import { getGatewayPaymentId, syncGatewayDepositStatus } from './gatewayDeposit.service.js';
+
+/**
+ * Deposit expiry
+ * A pending gateway deposit past its payment window may still have been paid
+ * (the webhook can get lost), so the gateway is asked for the real status first:
+ * - paid / overpaid / underpaid -> applied through the normal status path
+ *   (credited, or held for review per the gateway's underpayment policy)
+ * - expired / failed / refunded -> cancelled
+ * - still pending -> checked again next run, cancelled as unpaid once
+ *   DEPOSIT_EXPIRY_GRACE_MINUTES have passed as well
+ * - status check failing -> retried every run; after
+ *   DEPOSIT_RECONCILE_ESCALATE_HOURS flagged for review, never cancelled
+ * Each decision is recorded on the deposit's cregis_transactions row.
+ */
+
+// Gateway orders are created with a 60 minute validity
+const EXPIRY_MINUTES = 60;
+const GRACE_MINUTES = parseInt(process.env.DEPOSIT_EXPIRY_GRACE_MINUTES || '30', 10);
+const ESCALATE_HOURS = parseInt(process.env.DEPOSIT_RECONCILE_ESCALATE_HOURS || '24', 10);
+const BATCH_SIZE = 100;
+
+const UNPAID_STATUSES = ['expired', 'failed', 'refunded'];
+
+// Log a decision on the deposit's latest gateway order; identical repeats only bump the counter
+async function recordDecision(depositId, { decision, gatewayStatus = null, note = null }, client = pool) {
+  await client.query(
+    `UPDATE cregis_transactions
+     SET reconciliation_log = CASE
+           WHEN reconciliation_decision IS DISTINCT FROM $2 OR cregis_status IS DISTINCT FROM $3
+             OR reconciliation_note IS DISTINCT FROM $4
+           THEN reconciliation_log || jsonb_build_array(jsonb_build_object(
+             'at', NOW(), 'decision', $2::text, 'gatewayStatus', $3::text, 'note', $4::text))
+           ELSE reconciliation_log
+         END,
+         reconciliation_decision = $2,
+         reconciliation_note = $4,
+         cregis_status = COALESCE($3, cregis_status),
+         reconciliation_checks = reconciliation_checks + 1,
+         last_reconciled_at = NOW()
+     WHERE id = (
+       SELECT id FROM cregis_transactions WHERE deposit_request_id = $1 ORDER BY id DESC LIMIT 1
+     )`,
+    [depositId, decision, gatewayStatus, note]
+  );
+}
+
+// Cancel unless a webhook or an admin got to the deposit first
+async function cancelDeposit(depositId, gatewayStatus, note) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE deposit_requests
+       SET status = 'cancelled', cregis_status = $2, updated_at = NOW()
+       WHERE id = $1 AND status = 'pending' AND credited_at IS NULL
+         AND review_status IS DISTINCT FROM 'pending_review'
+       RETURNING id`,
+      [depositId, gatewayStatus]
+    );
+    if (result.rows.length > 0) {
+      await recordDecision(depositId, { decision: 'cancelled', gatewayStatus, note }, client);
+    }
+    await client.query('COMMIT');
+    return result.rows.length > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function escalateDeposit(depositId, reason) {
+  const result = await pool.query(
+    `UPDATE deposit_requests
+     SET review_status = 'pending_review', review_reason = $2, updated_at = NOW()
+     WHERE id = $1 AND status = 'pending' AND credited_at IS NULL
+     RETURNING id`,
+    [depositId, reason]
+  );
+  if (result.rows.length > 0) {
+    await recordDecision(depositId, { decision: 'escalated', note: reason });
+  }
+  return result.rows.length > 0;
+}
+
+async function checkFailed(deposit, error) {
+  const note = `Status check failed: ${error.message}`;
+  console.warn(`⚠️  Could not check gateway status of deposit #${deposit.id}:`, error.message);
+
+  if (deposit.past_escalation) {
+    const escalated = await escalateDeposit(
+      deposit.id,
+      `Gateway status could not be confirmed for ${ESCALATE_HOURS} hours (${error.message}); check the payment before cancelling`
+    );
+    return escalated ? 'escalated' : 'unchanged';
+  }
+
+  await recordDecision(deposit.id, { decision: 'check_failed', note });
+  return 'check_failed';
+}
+
+/**
+ * Check one expired deposit with its gateway and act on the answer
+ * @returns {Promise<string>} Decision: credited, review, kept_pending, cancelled,
+ *   check_failed, credit_failed, escalated or unchanged (handled elsewhere meanwhile)
+ */
+async function reconcileDeposit(deposit, configs) {
+  let adapter;
+  let paymentId;
+  let config;
+  let statusData;
+  try {
+    adapter = getGatewayAdapter(deposit.payment_gateway);
+    paymentId = await getGatewayPaymentId(adapter, deposit.id);
+    if (!paymentId) {
+      // The gateway never issued a payment, so nothing can have been paid
+      const cancelled = await cancelDeposit(deposit.id, 'expired', 'No gateway payment was created for this deposit');
+      return cancelled ? 'cancelled' : 'unchanged';
+    }
+
+    if (!configs.has(adapter.key)) {
+      configs.set(adapter.key, await adapter.getConfig());
+    }
+    config = configs.get(adapter.key);
+    statusData = await adapter.checkStatus(paymentId, config);
+  } catch (error) {
+    return checkFailed(deposit, error);
+  }
+
+  const paymentStatus = adapter.mapStatus(statusData.status);
+
+  if (paymentStatus === 'pending') {
+    if (!deposit.past_grace) {
+      await recordDecision(deposit.id, {
+        decision: 'kept_pending',
+        gatewayStatus: statusData.status,
+        note: 'Gateway still waiting for payment; checked again next run'
+      });
+      return 'kept_pending';
+    }
+    const cancelled = await cancelDeposit(
+      deposit.id,
+      statusData.status,
+      `Unpaid ${EXPIRY_MINUTES + GRACE_MINUTES} minutes after creation`
+    );
+    return cancelled ? 'cancelled' : 'unchanged';
+  }
+
+  if (UNPAID_STATUSES.includes(paymentStatus)) {
+    const cancelled = await cancelDeposit(deposit.id, statusData.status, `Gateway reports the payment ${paymentStatus}`);
+    return cancelled ? 'cancelled' : 'unchanged';
+  }
+
+  // Paid in some form: the webhook path credits it (once) or holds it for review
+  try {
+    const applied = await syncGatewayDepositStatus(adapter, deposit.id, { ...statusData, paymentId }, config);
+    let decision = 'kept_pending';
+    if (applied?.credited) {
+      decision = 'credited';
+    } else if (applied?.deposit.credited_at) {
+      return 'unchanged';
+    } else if (applied?.outcome.needsReview) {
+      decision = 'review';
+    }
+    await recordDecision(deposit.id, {
+      decision,
+      gatewayStatus: statusData.status,
+      note: decision === 'credited'
+        ? `Credited ${applied.outcome.creditAmount} after a missed webhook`
+        : applied?.outcome.reviewReason || null
+    });
+    return decision;
+  } catch (error) {
+    // Rolled back; the deposit stays pending and the credit is retried next run
+    console.error(`❌ Could not credit paid deposit #${deposit.id}:`, error.message);
+    await recordDecision(deposit.id, {
+      decision: 'credit_failed',
+      gatewayStatus: statusData.status,
+      note: error.message
+    });
+    return 'credit_failed';
+  }
+}
+
+/**
+ * Reconcile pending gateway deposits past the order validity with their gateway
+ * Runs as the cancel-expired-deposits scheduled job. Deposits held for risk
+ * review are left alone.
+ * @returns {Promise<Object>} Number of deposits per decision
+ */
+export async function cancelExpiredDeposits() {
+  const result = await pool.query(
+    `SELECT id, payment_gateway, cregis_order_id,
+            created_at < NOW() - ($2 || ' minutes')::interval AS past_grace,
+            created_at < NOW() - ($3 || ' hours')::interval AS past_escalation
+     FROM deposit_requests
+     WHERE status = 'pending'
+       AND cregis_order_id IS NOT NULL
+       AND credited_at IS NULL
+       AND review_status IS DISTINCT FROM 'pending_review'
+       AND created_at < NOW() - ($1 || ' minutes')::interval
+     ORDER BY id
+     LIMIT $4`,
+    [String(EXPIRY_MINUTES), String(EXPIRY_MINUTES + GRACE_MINUTES), String(ESCALATE_HOURS), BATCH_SIZE]
+  );
+
+  const counts = {
+    credited: 0,
+    review: 0,
+    kept_pending: 0,
+    cancelled: 0,
+    check_failed: 0,
+    credit_failed: 0,
+    escalated: 0,
+    unchanged: 0
+  };
+  const configs = new Map();
+
+  for (const deposit of result.rows) {
+    const decision = await reconcileDeposit(deposit, configs);
+    counts[decision]++;
+  }
+
+  if (result.rows.length > 0) {
+    const summary = Object.entries(counts).filter(([, count]) => count > 0).map(([decision, count]) => `${count} ${decision}`);
+    console.log(`✅ Reconciled ${result.rows.length} expired deposit(s): ${summary.join(', ')}`);
+  }
+  return counts;
+}
@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import pool from '../config/database.js';
+
+/**
+ * Deposit Risk Service
+ * Flags manual deposits whose proof or transaction hash was seen before:
+ *   duplicate_tx_hash - same normalized transaction hash on another deposit
+ *   duplicate_proof   - byte-identical proof file (SHA-256)
+ *   similar_proof     - visually similar proof image (dHash Hamming distance)
+ *   missing_proof     - manual gateway deposit without a proof upload
+ * Matches against another user's deposit weigh more than the user's own
+ * re-submissions. The risk score (0-100) orders the admin review queue.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const APP_ROOT = path.join(__dirname, '..');
+
+// Hamming distance (out of 64 bits) up to which two proof images count as the same picture
+const configuredPhashDistance = parseInt(process.env.DEPOSIT_PROOF_PHASH_MAX_DISTANCE, 10);
+export const PHASH_MAX_DISTANCE = Number.isFinite(configuredPhashDistance) && configuredPhashDistance >= 0
+  ? configuredPhashDistance
+  : 6;
+
+// Shorter "hashes" (e.g. "N/A", a 4-digit reference) are not compared
+const MIN_TX_HASH_LENGTH = 8;
+
+const RISK_SCORES = {
+  duplicate_tx_hash: { otherUser: 60, sameUser: 40 },
+  duplicate_proof: { otherUser: 50, sameUser: 30 },
+  similar_proof: { otherUser: 35, sameUser: 20 }
+};
+const MISSING_PROOF_SCORE = 10;
+
+const MATCH_LIMIT = 20;
+
+const RISK_SELECT = `
+  SELECT dr.id, dr.user_id, dr.amount, dr.currency, dr.status, dr.transaction_hash, dr.proof_path,
+         dr.risk_score, dr.risk_flags, dr.risk_checked_at, dr.created_at,
+         u.email, u.first_name, u.last_name, mg.name AS gateway_name, mg.type AS gateway_type
+  FROM deposit_requests dr
+  LEFT JOIN users u ON u.id = dr.user_id
+  LEFT JOIN manual_payment_gateways mg ON mg.id = dr.gateway_id`;
+
+function riskError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Same normalization as deposit_requests.normalized_tx_hash
+ * @returns {string|null}
+ */
+export function normalizeTxHash(transactionHash) {
+  if (!transactionHash) return null;
+  const normalized = String(transactionHash).trim().toLowerCase().replace(/^0x|\s+/g, '');
+  return normalized || null;
+}
+
+// 64-bit difference hash: compares neighbouring pixels of a 9x8 greyscale thumbnail
+async function differenceHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .removeAlpha()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Content and perceptual hash of an uploaded proof
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<Object>} { sha256, phash } with phash null for PDFs or undecodable images
+ */
+export async function hashProofFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  let phash = null;
+  if (path.extname(filePath).toLowerCase() !== '.pdf') {
+    try {
+      phash = await differenceHash(buffer);
+    } catch (error) {
+      console.warn(`Could not compute perceptual hash of ${path.basename(filePath)}:`, error.message);
+    }
+  }
+  return { sha256, phash };
+}
+
+/**
+ * Deposit already funded with this transaction hash, if any
+ * @returns {Promise<Object|null>} { id, user_id } of an approved / credited deposit
+ */
+export async function findCreditedTxHash(transactionHash, client = pool) {
+  const normalized = normalizeTxHash(transactionHash);
+  if (!normalized || normalized.length < MIN_TX_HASH_LENGTH) {
+    return null;
+  }
+
+  const result = await client.query(
+    `SELECT id, user_id FROM deposit_requests
+     WHERE normalized_tx_hash = $1 AND (status = 'approved' OR credited_at IS NOT NULL)
+     ORDER BY id
+     LIMIT 1`,
+    [normalized]
+  );
+  return result.rows[0] || null;
+}
+
+function matchFlag(type, deposit, match, extra = {}) {
+  const sameUser = match.user_id === deposit.user_id;
+  return {
+    type,
+    score: sameUser ? RISK_SCORES[type].sameUser : RISK_SCORES[type].otherUser,
+    matchedDepositId: match.id,
+    matchedUserId: match.user_id,
+    matchedStatus: match.status,
+    sameUser,
+    ...extra
+  };
+}
+
+// Each flag type counts once, with its strongest match
+function scoreFlags(flags) {
+  const byType = new Map();
+  for (const flag of flags) {
+    byType.set(flag.type, Math.max(byType.get(flag.type) || 0, flag.score));
+  }
+  return Math.min(100, [...byType.values()].reduce((sum, score) => sum + score, 0));
+}
+
+/**
+ * Recompute the risk flags and score of a deposit request
+ * Proofs uploaded before hashing existed are hashed on the way. Pending
+ * deposits it matches are rechecked too, so both sides of a match show it.
+ * @param {number} depositId
+ * @param {Object} [options]
+ * @param {boolean} [options.propagate=true] - Also recheck matched pending deposits
+ * @returns {Promise<Object>} { depositId, riskScore, riskFlags }
+ */
+export async function assessDepositRisk(depositId, { propagate = true } = {}, client = pool) {
+  const depositResult = await client.query(
+    `SELECT id, user_id, gateway_id, status, proof_path, proof_sha256, proof_phash, normalized_tx_hash
+     FROM deposit_requests
+     WHERE id = $1`,
+    [depositId]
+  );
+  const deposit = depositResult.rows[0];
+  if (!deposit) {
+    throw riskError('Deposit request not found', 404);
+  }
+
+  if (deposit.proof_path && !deposit.proof_sha256) {
+    try {
+      const hashes = await hashProofFile(path.join(APP_ROOT, deposit.proof_path));
+      await client.query(
+        'UPDATE deposit_requests SET proof_sha256 = $1, proof_phash = $2 WHERE id = $3',
+        [hashes.sha256, hashes.phash, deposit.id]
+      );
+      deposit.proof_sha256 = hashes.sha256;
+      deposit.proof_phash = hashes.phash;
+    } catch (error) {
+      console.warn(`Could not hash proof of deposit #${deposit.id}:`, error.message);
+    }
+  }
+
+  const flags = [];
+
+  if (deposit.gateway_id && !deposit.proof_path) {
+    flags.push({ type: 'missing_proof', score: MISSING_PROOF_SCORE });
+  }
+
+  if (deposit.normalized_tx_hash && deposit.normalized_tx_hash.length >= MIN_TX_HASH_LENGTH) {
+    const txMatches = await client.query(
+      `SELECT id, user_id, status FROM deposit_requests
+       WHERE normalized_tx_hash = $1 AND id <> $2
+       ORDER BY id
+       LIMIT ${MATCH_LIMIT}`,
+      [deposit.normalized_tx_hash, deposit.id]
+    );
+    txMatches.rows.forEach(match => flags.push(matchFlag('duplicate_tx_hash', deposit, match)));
+  }
+
+  const exactProofIds = new Set();
+  if (deposit.proof_sha256) {
+    const proofMatches = await client.query(
+      `SELECT id, user_id, status FROM deposit_requests
+       WHERE proof_sha256 = $1 AND id <> $2
+       ORDER BY id
+       LIMIT ${MATCH_LIMIT}`,
+      [deposit.proof_sha256, deposit.id]
+    );
+    proofMatches.rows.forEach(match => {
+      exactProofIds.add(match.id);
+      flags.push(matchFlag('duplicate_proof', deposit, match));
+    });
+  }
+
+  if (deposit.proof_phash) {
+    // XOR of the two hashes; the number of 1 bits is the Hamming distance
+    const similarMatches = await client.query(
+      `SELECT id, user_id, status, distance FROM (
+         SELECT id, user_id, status,
+                LENGTH(REPLACE((('x' || proof_phash)::bit(64) # ('x' || $1)::bit(64))::text, '0', '')) AS distance
+         FROM deposit_requests
+         WHERE proof_phash IS NOT NULL AND id <> $2
+       ) candidates
+       WHERE distance <= $3
+       ORDER BY distance, id
+       LIMIT ${MATCH_LIMIT}`,
+      [deposit.proof_phash, deposit.id, PHASH_MAX_DISTANCE]
+    );
+    similarMatches.rows
+      .filter(match => !exactProofIds.has(match.id))
+      .forEach(match => flags.push(matchFlag('similar_proof', deposit, match, { distance: match.distance })));
+  }
+
+  const riskScore = scoreFlags(flags);
+  await client.query(
+    `UPDATE deposit_requests
+     SET risk_score = $1, risk_flags = $2, risk_checked_at = NOW()
+     WHERE id = $3`,
+    [riskScore, JSON.stringify(flags), deposit.id]
+  );
+
+  if (propagate) {
+    const pendingMatches = new Set(
+      flags.filter(flag => flag.matchedDepositId && flag.matchedStatus === 'pending').map(flag => flag.matchedDepositId)
+    );
+    for (const matchedId of pendingMatches) {
+      await assessDepositRisk(matchedId, { propagate: false }, client);
+    }
+  }
+
+  return { depositId: deposit.id, riskScore, riskFlags: flags };
+}
+
+/**
+ * Pending deposits ordered by risk, highest first
+ * @param {Object} [params]
+ * @param {number} [params.minScore=0]
+ * @param {string} [params.status='pending'] - Deposit status, or 'all'
+ * @returns {Promise<Object>} { items, total }
+ */
+export async function listRiskQueue({ minScore = 0, status = 'pending', limit = 50, offset = 0 } = {}, client = pool) {
+  const params = [minScore];
+  let statusFilter = '';
+  if (status && status !== 'all') {
+    params.push(status);
+    statusFilter = `AND dr.status = $${params.length}`;
+  }
+
+  const countResult = await client.query(
+    `SELECT COUNT(*) FROM deposit_requests dr WHERE dr.risk_score >= $1 ${statusFilter}`,
+    params
+  );
+  const result = await client.query(
+    `${RISK_SELECT}
+     WHERE dr.risk_score >= $1 ${statusFilter}
+     ORDER BY dr.risk_score DESC, dr.created_at
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    items: result.rows.map(formatRiskRow),
+    total: parseInt(countResult.rows[0].count, 10)
+  };
+}
+
+function formatRiskRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    User: {
+      email: row.email || '-',
+      name: `${row.first_name || ''} ${row.last_name || ''}`.trim() || '-'
+    },
+    amount: parseFloat(row.amount),
+    currency: row.currency || 'USD',
+    status: row.status,
+    transactionHash: row.transaction_hash,
+    proofPath: row.proof_path,
+    gatewayName: row.gateway_name || null,
+    gatewayType: row.gateway_type || null,
+    riskScore: row.risk_score,
+    riskFlags: row.risk_flags || [],
+    riskCheckedAt: row.risk_checked_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Risk detail of a deposit with the deposits it matched
+ * @returns {Promise<Object>} Risk row plus matchedDeposits
+ */
+export async function getDepositRiskDetail(depositId, client = pool) {
+  const result = await client.query(
+    `${RISK_SELECT}
+     WHERE dr.id = $1`,
+    [depositId]
+  );
+  if (result.rows.length === 0) {
+    throw riskError('Deposit request not found', 404);
+  }
+
+  const detail = formatRiskRow(result.rows[0]);
+  const matchedIds = [...new Set(detail.riskFlags.map(flag => flag.matchedDepositId).filter(Boolean))];
+  const matchedResult = matchedIds.length > 0
+    ? await client.query(
+      `${RISK_SELECT}
+       WHERE dr.id = ANY($1::int[])
+       ORDER BY dr.id`,
+      [matchedIds]
+    )
+    : { rows: [] };
+
+  return {
+    ...detail,
+    matchedDeposits: matchedResult.rows.map(formatRiskRow)
+  };
+}
@@ -0,0 +1,160 @@
+import pool from '../config/database.js';
+
+/**
+ * FX Service
+ * Conversion between account currencies using the admin-managed fx_rates
+ * table. A rate row (base -> quote) is used in both directions; the markup
+ * always goes against the client.
+ */
+
+const normalizeCurrency = (currency) => String(currency || 'USD').trim().toUpperCase();
+
+function fxError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Amounts credited to accounts are kept to 2 decimals (cent accounts included)
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Get the rate to convert fromCurrency into toCurrency
+ * @returns {Promise<Object>} { fromCurrency, toCurrency, rateId, midRate, markupPercent, rate }
+ * @throws {Error} With status 400 when no active rate exists for the pair
+ */
+export async function getFxRate(fromCurrency, toCurrency, client = pool) {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+
+  if (from === to) {
+    return { fromCurrency: from, toCurrency: to, rateId: null, midRate: 1, markupPercent: 0, rate: 1 };
+  }
+
+  const result = await client.query(
+    `SELECT id, base_currency, quote_currency, rate, markup_percent
+     FROM fx_rates
+     WHERE is_active = TRUE
+       AND ((base_currency = $1 AND quote_currency = $2) OR (base_currency = $2 AND quote_currency = $1))
+     ORDER BY (base_currency = $1) DESC
+     LIMIT 1`,
+    [from, to]
+  );
+
+  if (result.rows.length === 0) {
+    throw fxError(`No exchange rate configured for ${from} → ${to}`);
+  }
+
+  const row = result.rows[0];
+  const midRate = row.base_currency === from ? Number(row.rate) : 1 / Number(row.rate);
+  const markupPercent = Number(row.markup_percent);
+
+  return {
+    fromCurrency: from,
+    toCurrency: to,
+    rateId: row.id,
+    midRate,
+    markupPercent,
+    rate: midRate * (1 - markupPercent / 100)
+  };
+}
+
+/**
+ * Quote the conversion of an amount
+ * @returns {Promise<Object>} getFxRate() result plus { amount, convertedAmount, quotedAt }
+ */
+export async function quoteConversion(amount, fromCurrency, toCurrency, client = pool) {
+  const fx = await getFxRate(fromCurrency, toCurrency, client);
+  return {
+    ...fx,
+    amount: Number(amount),
+    convertedAmount: fx.rateId ? roundAmount(Number(amount) * fx.rate) : Number(amount),
+    quotedAt: new Date()
+  };
+}
+
+/**
+ * Currency of an MT5 account: its group's currency, falling back to trading_accounts.currency
+ */
+export async function getMt5AccountCurrency(login, client = pool) {
+  const result = await client.query(
+    `SELECT COALESCE(mg.currency, ta.currency, 'USD') AS currency
+     FROM trading_accounts ta
+     LEFT JOIN mt5_groups mg ON ta.mt5_group_name = mg.group_name AND mg.is_active = TRUE
+     WHERE ta.account_number = $1 AND ta.platform = 'MT5'
+     LIMIT 1`,
+    [String(login)]
+  );
+  return normalizeCurrency(result.rows[0]?.currency);
+}
+
+/**
+ * Currency of a wallet by wallet_number
+ */
+export async function getWalletCurrency(walletNumber, client = pool) {
+  const result = await client.query('SELECT currency FROM wallets WHERE wallet_number = $1', [walletNumber]);
+  if (result.rows.length === 0) {
+    throw new Error(`Wallet ${walletNumber} not found`);
+  }
+  return normalizeCurrency(result.rows[0].currency);
+}
+
+export async function listFxRates(client = pool) {
+  const result = await client.query(
+    `SELECT id, base_currency, quote_currency, rate, markup_percent, is_active, updated_by_admin, created_at, updated_at
+     FROM fx_rates
+     ORDER BY base_currency, quote_currency`
+  );
+  return result.rows;
+}
+
+/**
+ * Create or update the rate for a currency pair
+ */
+export async function upsertFxRate({ baseCurrency, quoteCurrency, rate, markupPercent = 0, isActive = true, adminId = null }, client = pool) {
+  const base = normalizeCurrency(baseCurrency);
+  const quote = normalizeCurrency(quoteCurrency);
+  const numericRate = Number(rate);
+  const numericMarkup = Number(markupPercent);
+
+  if (base === quote) {
+    throw fxError('Base and quote currency must differ');
+  }
+  if (!Number.isFinite(numericRate) || numericRate <= 0) {
+    throw fxError('Rate must be a positive number');
+  }
+  if (!Number.isFinite(numericMarkup) || numericMarkup < 0 || numericMarkup >= 100) {
+    throw fxError('Markup must be between 0 and 100 percent');
+  }
+
+  // A pair is stored once; updating the reverse pair rewrites the existing row
+  const existing = await client.query(
+    'SELECT id FROM fx_rates WHERE base_currency = $1 AND quote_currency = $2',
+    [quote, base]
+  );
+  if (existing.rows.length > 0) {
+    const result = await client.query(
+      `UPDATE fx_rates
+       SET base_currency = $2, quote_currency = $3, rate = $4, markup_percent = $5,
+           is_active = $6, updated_by_admin = $7, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [existing.rows[0].id, base, quote, numericRate, numericMarkup, isActive, adminId]
+    );
+    return result.rows[0];
+  }
+
+  const result = await client.query(
+    `INSERT INTO fx_rates (base_currency, quote_currency, rate, markup_percent, is_active, updated_by_admin)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (base_currency, quote_currency) DO UPDATE SET
+       rate = EXCLUDED.rate,
+       markup_percent = EXCLUDED.markup_percent,
+       is_active = EXCLUDED.is_active,
+       updated_by_admin = EXCLUDED.updated_by_admin,
+       updated_at = NOW()
+     RETURNING *`,
+    [base, quote, numericRate, numericMarkup, isActive, adminId]
+  );
+  return result.rows[0];
+}
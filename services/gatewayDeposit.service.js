@@ -0,0 +1,448 @@
+import pool from '../config/database.js';
+import { dispatchMt5Operation, enqueueMt5Operation } from './mt5Outbox.service.js';
+import { adjustWalletBalance, createWalletForUser } from './wallet.service.js';
+import { SYSTEM_ACCOUNTS, mt5Account, recordEntry } from './ledger.service.js';
+
+/**
+ * Gateway Deposit Service
+ * Creates automatic gateway deposits and applies the payment status changes
+ * reported by a gateway adapter (services/gateways). Webhooks and status polls
+ * share this path, so a deposit is credited exactly once: the deposit row is
+ * locked and deposit_requests.credited_at is set in the same transaction as
+ * the status update. MT5 credits go through the outbox (mt5Outbox.service.js),
+ * queued in that transaction and applied right after it commits.
+ */
+
+const PAID_STATUSES = ['paid', 'overpaid', 'underpaid'];
+
+const DEPOSIT_STATUS_MAP = {
+  pending: 'pending',
+  paid: 'approved',
+  overpaid: 'approved', // Overpaid is still approved
+  underpaid: 'pending', // Partial payment stays pending
+  expired: 'rejected',
+  refunded: 'rejected',
+  failed: 'rejected'
+};
+
+/**
+ * Generate a unique order ID
+ */
+export const generateOrderId = (depositRequestId) => {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 9);
+  return `DEPOSIT-${depositRequestId}-${timestamp}-${random}`.toUpperCase();
+};
+
+/**
+ * Map a payment status (adapter.mapStatus) to a deposit_requests status
+ * @param {string} paymentStatus
+ * @returns {string}
+ */
+export function mapPaymentStatusToDepositStatus(paymentStatus) {
+  return DEPOSIT_STATUS_MAP[paymentStatus] || 'pending';
+}
+
+/**
+ * Work out what a gateway payment credits, based on the amount actually received
+ * and the gateway's overpayment_policy / underpayment_policy
+ * @param {Object} params
+ * @param {string} params.paymentStatus - Payment status from adapter.mapStatus
+ * @param {number|string} params.orderAmount - Amount the deposit was requested for
+ * @param {number|string|null} params.receivedAmount - Amount the gateway reports as received
+ * @param {Object} params.gatewayConfig - Gateway config holding the payment policies (optional)
+ * @returns {Object} { depositStatus, receivedAmount, difference, creditAmount, needsReview, reviewReason }
+ */
+export const resolvePaymentOutcome = ({ paymentStatus, orderAmount, receivedAmount, gatewayConfig = null }) => {
+  const order = parseFloat(orderAmount);
+  let received = parseFloat(receivedAmount);
+  const overpaymentPolicy = gatewayConfig?.overpayment_policy || 'credit_received';
+  const underpaymentPolicy = gatewayConfig?.underpayment_policy || 'review';
+
+  const outcome = {
+    depositStatus: mapPaymentStatusToDepositStatus(paymentStatus),
+    receivedAmount: null,
+    difference: null,
+    creditAmount: null,
+    needsReview: false,
+    reviewReason: null
+  };
+
+  if (!PAID_STATUSES.includes(paymentStatus)) {
+    return outcome;
+  }
+
+  // A plain "paid" without an amount means the order amount arrived
+  if (Number.isNaN(received)) {
+    if (paymentStatus !== 'paid') {
+      outcome.depositStatus = 'pending';
+      outcome.needsReview = true;
+      outcome.reviewReason = `Gateway reported ${paymentStatus} without a received amount`;
+      return outcome;
+    }
+    received = order;
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  outcome.receivedAmount = received;
+  outcome.difference = round(received - order);
+
+  if (paymentStatus === 'underpaid') {
+    if (underpaymentPolicy === 'credit_received' && received > 0) {
+      outcome.depositStatus = 'approved';
+      outcome.creditAmount = round(received);
+    } else {
+      outcome.depositStatus = 'pending';
+      outcome.needsReview = true;
+      outcome.reviewReason = `Partial payment: received ${received} of ${order}`;
+    }
+  } else if (paymentStatus === 'overpaid') {
+    outcome.depositStatus = 'approved';
+    outcome.creditAmount = overpaymentPolicy === 'credit_order' ? order : round(Math.max(received, order));
+  } else {
+    // Gateways only report "paid" once the order amount is covered
+    outcome.depositStatus = 'approved';
+    outcome.creditAmount = order;
+  }
+
+  return outcome;
+};
+
+// Credit the deposit to its MT5 account or wallet; returns { creditReference, mt5OperationId }
+async function creditDeposit(deposit, amount, gatewayName, client) {
+  const reference = `${gatewayName} deposit #${deposit.id}`;
+
+  if (deposit.deposit_to_type === 'mt5') {
+    const login = parseInt(deposit.mt5_account_id, 10);
+    if (Number.isNaN(login)) {
+      throw new Error(`Deposit #${deposit.id} has no valid MT5 account`);
+    }
+    const operation = await enqueueMt5Operation({
+      operation: 'add_balance',
+      login,
+      amount,
+      comment: reference,
+      referenceType: 'deposit_request',
+      referenceId: deposit.id
+    }, client);
+    await recordEntry({
+      entryType: 'deposit',
+      debit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+      credit: mt5Account(login, { userId: deposit.user_id }),
+      amount,
+      currency: deposit.currency || 'USD',
+      referenceType: 'deposit_request',
+      referenceId: deposit.id,
+      description: reference
+    }, client);
+    return { creditReference: `mt5:${login}:op:${operation.id}`, mt5OperationId: operation.id };
+  }
+
+  let walletId = deposit.wallet_id;
+  if (!walletId) {
+    // The wallet in the deposit's currency, opened on first use
+    const wallet = await createWalletForUser(deposit.user_id, client, deposit.currency || 'USD');
+    walletId = wallet.id;
+  }
+  await adjustWalletBalance(
+    {
+      walletId,
+      amount,
+      type: 'deposit',
+      source: 'wallet',
+      target: 'wallet',
+      reference,
+      referenceType: 'deposit_request',
+      referenceId: deposit.id
+    },
+    client
+  );
+  return { creditReference: `wallet:${walletId}`, mt5OperationId: null };
+}
+
+/**
+ * Apply a gateway status to a deposit inside the caller's transaction
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} adapter - Gateway adapter
+ * @param {Object} params
+ * @param {string} params.where - 'id' or 'order_id'
+ * @param {string|number} params.value - Value to look the deposit up by
+ * @param {string} params.status - Raw gateway status
+ * @param {number|string|null} params.receivedAmount - Amount the gateway reports as received
+ * @param {string} params.paymentId - Gateway payment id (cregis_transactions.cregis_order_id)
+ * @param {Object} params.gatewayConfig - Gateway config holding the payment policies
+ * @param {Object} [params.webhookPayload]
+ * @returns {Promise<Object|null>} { deposit, depositStatus, credited, outcome, mt5OperationId } or null if no deposit matches
+ */
+async function applyGatewayStatus(client, adapter, { where, value, status, receivedAmount, paymentId, gatewayConfig, webhookPayload = null }) {
+  const depositResult = await client.query(
+    `SELECT id, user_id, deposit_to_type, mt5_account_id, wallet_id, amount, currency, status, cregis_status,
+            credited_at, review_status
+     FROM deposit_requests
+     WHERE ${where === 'id' ? 'id' : 'cregis_order_id'} = $1 AND payment_gateway = $2
+     FOR UPDATE`,
+    [value, adapter.key]
+  );
+  if (depositResult.rows.length === 0) {
+    return null;
+  }
+
+  const deposit = depositResult.rows[0];
+  const outcome = resolvePaymentOutcome({
+    paymentStatus: adapter.mapStatus(status),
+    orderAmount: deposit.amount,
+    receivedAmount,
+    gatewayConfig
+  });
+
+  // Once credited (automatically or by an admin) the deposit stays approved, and
+  // a partial payment awaiting review stays pending even if the order expires
+  const reviewStatus = outcome.needsReview && !deposit.credited_at ? 'pending_review' : deposit.review_status;
+  let depositStatus = outcome.depositStatus;
+  if (deposit.credited_at) {
+    depositStatus = 'approved';
+  } else if (reviewStatus === 'pending_review' && depositStatus === 'rejected') {
+    depositStatus = 'pending';
+  }
+
+  await client.query(
+    `UPDATE deposit_requests
+     SET cregis_status = $1, status = $2,
+         received_amount = COALESCE($3, received_amount),
+         amount_difference = COALESCE($4, amount_difference),
+         review_status = $5,
+         review_reason = CASE WHEN $5 = 'pending_review' THEN $6 ELSE review_reason END,
+         updated_at = NOW()
+     WHERE id = $7`,
+    [status, depositStatus, outcome.receivedAmount, outcome.difference, reviewStatus, outcome.reviewReason, deposit.id]
+  );
+
+  if (webhookPayload) {
+    await client.query(
+      `UPDATE cregis_transactions
+       SET cregis_status = $1, webhook_data = $2, updated_at = NOW()
+       WHERE gateway = $3 AND cregis_order_id = $4`,
+      [status, JSON.stringify(webhookPayload), adapter.key, paymentId]
+    );
+  } else {
+    await client.query(
+      `UPDATE cregis_transactions
+       SET cregis_status = $1, updated_at = NOW()
+       WHERE gateway = $2 AND cregis_order_id = $3`,
+      [status, adapter.key, paymentId]
+    );
+  }
+
+  let credited = false;
+  let mt5OperationId = null;
+  if (outcome.creditAmount && !deposit.credited_at) {
+    const credit = await creditDeposit(deposit, outcome.creditAmount, adapter.name, client);
+    const { creditReference } = credit;
+    mt5OperationId = credit.mt5OperationId;
+    await client.query(
+      `UPDATE deposit_requests
+       SET credited_at = NOW(), credited_amount = $1, credit_reference = $2,
+           review_status = CASE WHEN review_status = 'pending_review' THEN 'resolved' ELSE review_status END
+       WHERE id = $3`,
+      [outcome.creditAmount, creditReference, deposit.id]
+    );
+    credited = true;
+    console.log(`Credited ${outcome.creditAmount} for ${adapter.name} deposit #${deposit.id} (${creditReference})`);
+  } else if (outcome.needsReview && !deposit.credited_at) {
+    console.warn(`${adapter.name} deposit #${deposit.id} flagged for review: ${outcome.reviewReason}`);
+  }
+
+  return { deposit, depositStatus, credited, outcome, mt5OperationId };
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a pending deposit request and open a payment for it at the gateway
+ * A payment the gateway refuses leaves the deposit rejected and rethrows.
+ * @param {Object} adapter - Gateway adapter
+ * @param {Object} params
+ * @param {Object} params.user - { id, email, first_name, last_name }
+ * @param {number} params.amount
+ * @param {string} params.currency
+ * @param {string} params.depositToType - 'mt5' or 'wallet'
+ * @param {string|null} params.mt5AccountId
+ * @param {number|null} params.walletId
+ * @param {string|null} params.walletNumber
+ * @param {Object} params.urls - { callbackUrl, successUrl, cancelUrl }
+ * @param {number} [params.validTime=60] - Minutes the payment stays open
+ * @param {Object} gatewayConfig - adapter.getConfig() result
+ * @returns {Promise<Object>} { deposit, payment }
+ */
+export async function createGatewayDeposit(adapter, {
+  user,
+  amount,
+  currency,
+  depositToType,
+  mt5AccountId = null,
+  walletId = null,
+  walletNumber = null,
+  urls,
+  validTime = 60
+}, gatewayConfig = null) {
+  const depositResult = await pool.query(
+    `INSERT INTO deposit_requests
+      (user_id, gateway_id, amount, currency, deposit_to_type, mt5_account_id, wallet_id, wallet_number, status, payment_gateway)
+    VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, 'pending', $8)
+    RETURNING *`,
+    [user.id, amount, currency, depositToType, mt5AccountId, walletId, walletNumber, adapter.key]
+  );
+  const deposit = depositResult.rows[0];
+  const orderId = generateOrderId(deposit.id);
+
+  console.log(`Creating ${adapter.name} payment for deposit:`, { depositId: deposit.id, orderId, amount, currency });
+
+  let payment;
+  try {
+    payment = await adapter.createPayment({
+      orderId,
+      amount,
+      currency,
+      payer: {
+        id: user.id,
+        name: `${user.first_name || ''} ${user.last_name || ''}`.trim() || null,
+        email: user.email || null
+      },
+      callbackUrl: urls.callbackUrl,
+      successUrl: urls.successUrl,
+      cancelUrl: urls.cancelUrl,
+      validTime
+    }, gatewayConfig);
+  } catch (error) {
+    await pool.query('UPDATE deposit_requests SET status = $1 WHERE id = $2', ['rejected', deposit.id]);
+    console.error(`${adapter.name} payment creation failed:`, error.message);
+    throw error;
+  }
+
+  await pool.query(
+    `UPDATE deposit_requests
+     SET cregis_order_id = $1, cregis_status = $2
+     WHERE id = $3`,
+    [orderId, payment.status, deposit.id]
+  );
+
+  // cregis_order_id holds the gateway payment id, which status queries use
+  await pool.query(
+    `INSERT INTO cregis_transactions
+      (deposit_request_id, gateway, cregis_order_id, cregis_status, amount, currency, payment_url, qr_code_url, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (gateway, cregis_order_id) DO UPDATE SET
+      cregis_status = $4,
+      payment_url = $7,
+      qr_code_url = $8,
+      expires_at = $9,
+      updated_at = NOW()`,
+    [
+      deposit.id,
+      adapter.key,
+      payment.paymentId,
+      payment.status,
+      payment.amount,
+      payment.currency,
+      payment.paymentUrl,
+      payment.qrCodeUrl,
+      payment.expiresAt
+    ]
+  );
+
+  return { deposit: { ...deposit, cregis_order_id: orderId, cregis_status: payment.status }, payment };
+}
+
+/**
+ * Gateway payment id of a deposit
+ * @returns {Promise<string|null>}
+ */
+export async function getGatewayPaymentId(adapter, depositId, client = pool) {
+  const result = await client.query(
+    'SELECT cregis_order_id FROM cregis_transactions WHERE deposit_request_id = $1 AND gateway = $2 ORDER BY id DESC LIMIT 1',
+    [depositId, adapter.key]
+  );
+  return result.rows[0]?.cregis_order_id || null;
+}
+
+/**
+ * Process a verified webhook event (see adapter.verifyWebhook).
+ * The inbox row, deposit/cregis_transactions updates and the credit commit
+ * together; a failure rolls everything back so the gateway's retry starts clean.
+ * @returns {Promise<{duplicate: boolean, found: boolean}>}
+ */
+export async function processGatewayWebhookEvent(adapter, event, gatewayConfig = null) {
+  const result = await inTransaction(async (client) => {
+    const inboxResult = await client.query(
+      `INSERT INTO cregis_webhook_events
+         (gateway, event_id, cregis_id, order_id, event_name, event_type, status, payload)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (gateway, event_id) DO NOTHING
+       RETURNING id`,
+      [adapter.key, event.eventId, event.paymentId, event.orderId, event.eventName, event.eventType, event.status, JSON.stringify(event.rawPayload)]
+    );
+
+    if (inboxResult.rows.length === 0) {
+      return { duplicate: true, found: true };
+    }
+
+    const applied = await applyGatewayStatus(client, adapter, {
+      where: 'order_id',
+      value: event.orderId,
+      status: event.status,
+      receivedAmount: event.receivedAmount,
+      paymentId: event.paymentId,
+      gatewayConfig,
+      webhookPayload: event.rawPayload
+    });
+
+    await client.query(
+      'UPDATE cregis_webhook_events SET deposit_request_id = $1, processed_at = NOW() WHERE id = $2',
+      [applied?.deposit.id || null, inboxResult.rows[0].id]
+    );
+
+    return { duplicate: false, found: Boolean(applied), mt5OperationId: applied?.mt5OperationId || null };
+  });
+
+  if (result.mt5OperationId) {
+    await dispatchMt5Operation(result.mt5OperationId);
+  }
+  return result;
+}
+
+/**
+ * Apply a status fetched from the gateway (status polling)
+ * @param {Object} adapter - Gateway adapter
+ * @param {number} depositId
+ * @param {Object} statusData - adapter.checkStatus() result
+ * @param {Object} gatewayConfig
+ * @returns {Promise<Object|null>} { deposit, depositStatus, credited, outcome, mt5OperationId }
+ */
+export async function syncGatewayDepositStatus(adapter, depositId, statusData, gatewayConfig = null) {
+  const applied = await inTransaction(client => applyGatewayStatus(client, adapter, {
+    where: 'id',
+    value: depositId,
+    status: statusData.status,
+    receivedAmount: statusData.receivedAmount,
+    paymentId: statusData.paymentId,
+    gatewayConfig
+  }));
+
+  if (applied?.mt5OperationId) {
+    await dispatchMt5Operation(applied.mt5OperationId);
+  }
+  return applied;
+}
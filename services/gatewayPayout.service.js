@@ -0,0 +1,525 @@
+import pool from '../config/database.js';
+import { getGatewayAdapter } from './gateways/index.js';
+import { clientBeneficiary, clientWithdrawalMethod } from './payoutBatch.service.js';
+
+/**
+ * Gateway Payout Service
+ * Pays approved USDT TRC20 withdrawals through the payout gateway
+ * (USDT_PAYOUT_GATEWAY, e.g. cregis) instead of a payout batch:
+ *
+ *   queued -> submitting -> pending -> paid
+ *   refused / failed      -> retry_scheduled (new reference) -> submitting ...
+ *   out of attempts, or outcome unknown -> escalated (admin retries, marks paid or cancels)
+ *   cancelled             -> the withdrawal goes back to payout batches
+ *
+ * A payout is marked submitting before the gateway is called, so a crash or
+ * timeout mid-call leaves it escalated rather than sent twice. The paid
+ * status (webhook or poll) fills withdrawals.external_transaction_id with the
+ * on-chain hash.
+ */
+
+export const PAYOUT_GATEWAY = process.env.USDT_PAYOUT_GATEWAY || '';
+const MAX_ATTEMPTS = Number(process.env.GATEWAY_PAYOUT_MAX_ATTEMPTS ?? 3);
+// Doubles after every failed attempt
+const RETRY_DELAY_MINUTES = Number(process.env.GATEWAY_PAYOUT_RETRY_MINUTES ?? 15);
+// Pending payouts without a webhook for this long are polled
+const POLL_AFTER_MINUTES = 10;
+// A submission that has not returned after this long has an unknown outcome
+const SUBMIT_TIMEOUT_MINUTES = 10;
+
+export const GATEWAY_PAYOUT_STATUSES = ['queued', 'submitting', 'pending', 'retry_scheduled', 'paid', 'escalated', 'cancelled'];
+
+function payoutError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const getBaseUrl = () => {
+  if (process.env.BACKEND_API_URL) {
+    return process.env.BACKEND_API_URL.replace('/api', '');
+  }
+  if (process.env.API_URL) {
+    return process.env.API_URL.replace('/api', '');
+  }
+  return 'http://localhost:5000';
+};
+
+export function formatGatewayPayout(row) {
+  return {
+    id: row.id,
+    withdrawalId: row.withdrawal_id,
+    gateway: row.gateway,
+    status: row.status,
+    reference: row.reference,
+    gatewayPayoutId: row.gateway_payout_id,
+    gatewayStatus: row.gateway_status,
+    amount: Number(row.amount),
+    currency: row.currency,
+    address: row.address,
+    network: row.network,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextRetryAt: row.next_retry_at,
+    transactionHash: row.transaction_hash,
+    submittedAt: row.submitted_at,
+    completedAt: row.completed_at,
+    createdByAdmin: row.created_by_admin,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.email !== undefined && {
+      User: {
+        email: row.email || '-',
+        name: `${row.first_name || ''} ${row.last_name || ''}`.trim() || '-'
+      }
+    })
+  };
+}
+
+/**
+ * Whether an approved withdrawal is paid through the payout gateway
+ * @param {Object} withdrawal - withdrawals row
+ * @returns {boolean}
+ */
+export function isGatewayPayoutEligible(withdrawal) {
+  return Boolean(PAYOUT_GATEWAY) && clientWithdrawalMethod(withdrawal) === 'usdt_trc20';
+}
+
+// Refused or failed at the gateway: try again under a new reference, or hand over to an admin
+async function failAttempt(client, payout, reason) {
+  if (payout.attempts >= MAX_ATTEMPTS) {
+    const result = await client.query(
+      `UPDATE gateway_payouts
+       SET status = 'escalated', last_error = $2, next_retry_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [payout.id, `Failed after ${payout.attempts} attempt(s): ${reason}`]
+    );
+    console.warn(`Gateway payout #${payout.id} (withdrawal #${payout.withdrawal_id}) escalated: ${reason}`);
+    return result.rows[0];
+  }
+
+  const delayMinutes = RETRY_DELAY_MINUTES * 2 ** Math.max(payout.attempts - 1, 0);
+  const result = await client.query(
+    `UPDATE gateway_payouts
+     SET status = 'retry_scheduled', last_error = $2,
+         next_retry_at = NOW() + ($3 || ' minutes')::interval, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [payout.id, reason, String(delayMinutes)]
+  );
+  return result.rows[0];
+}
+
+async function escalate(client, payoutId, reason) {
+  const result = await client.query(
+    `UPDATE gateway_payouts
+     SET status = 'escalated', last_error = $2, next_retry_at = NULL, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [payoutId, reason]
+  );
+  console.warn(`Gateway payout #${payoutId} escalated: ${reason}`);
+  return result.rows[0];
+}
+
+/**
+ * Submit a queued, retry_scheduled (or, by an admin, escalated) payout to the gateway
+ * @param {number} payoutId
+ * @param {Object} [options]
+ * @param {boolean} [options.manual=false] - Admin retry; also allowed for escalated payouts
+ * @returns {Promise<Object>} Formatted payout
+ */
+export async function submitGatewayPayout(payoutId, { manual = false } = {}) {
+  const allowed = manual ? ['queued', 'retry_scheduled', 'escalated'] : ['queued', 'retry_scheduled'];
+
+  const payout = await inTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM gateway_payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+    const row = result.rows[0];
+    if (!row) {
+      throw payoutError('Gateway payout not found', 404);
+    }
+    if (!allowed.includes(row.status)) {
+      throw payoutError(`Payout is ${row.status} and can not be submitted`, 409);
+    }
+
+    const attempt = row.attempts + 1;
+    const updated = await client.query(
+      `UPDATE gateway_payouts
+       SET status = 'submitting', attempts = $2, reference = $3, gateway_payout_id = NULL,
+           gateway_status = NULL, next_retry_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, attempt, `WD${row.withdrawal_id}-${row.id}-${attempt}`]
+    );
+    return updated.rows[0];
+  });
+
+  const adapter = getGatewayAdapter(payout.gateway);
+  const config = await adapter.getConfig();
+
+  let submitted;
+  try {
+    submitted = await adapter.createPayout({
+      reference: payout.reference,
+      amount: Number(payout.amount),
+      currency: payout.currency,
+      address: payout.address,
+      network: payout.network,
+      callbackUrl: `${getBaseUrl()}/api/withdrawals/payouts/${adapter.key}/webhook`,
+      remark: `Withdrawal #${payout.withdrawal_id}`
+    }, config);
+  } catch (error) {
+    const row = await inTransaction(client => (error.rejected
+      ? failAttempt(client, payout, error.message)
+      : escalate(client, payout.id, `Submission outcome unknown, check ${adapter.name} before retrying: ${error.message}`)));
+    return formatGatewayPayout(row);
+  }
+
+  const result = await pool.query(
+    `UPDATE gateway_payouts
+     SET status = 'pending', gateway_payout_id = $2, gateway_status = $3, last_error = NULL,
+         submitted_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'submitting'
+     RETURNING *`,
+    [payout.id, submitted.payoutId, submitted.status != null ? String(submitted.status) : null]
+  );
+  console.log(`Withdrawal #${payout.withdrawal_id} submitted to ${adapter.name} payout ${submitted.payoutId} (${payout.reference})`);
+  return formatGatewayPayout(result.rows[0] || payout);
+}
+
+/**
+ * Queue an approved withdrawal for a gateway payout and submit it
+ * @param {number} withdrawalId
+ * @param {Object} [options]
+ * @param {number} [options.adminId]
+ * @returns {Promise<Object>} Formatted payout
+ */
+export async function startWithdrawalPayout(withdrawalId, { adminId = null } = {}) {
+  if (!PAYOUT_GATEWAY) {
+    throw payoutError('No payout gateway is configured (USDT_PAYOUT_GATEWAY)', 409);
+  }
+  const adapter = getGatewayAdapter(PAYOUT_GATEWAY);
+
+  const payout = await inTransaction(async (client) => {
+    const withdrawalResult = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [withdrawalId]);
+    const withdrawal = withdrawalResult.rows[0];
+    if (!withdrawal) {
+      throw payoutError('Withdrawal not found', 404);
+    }
+    if (withdrawal.status !== 'approved' || withdrawal.paid_at) {
+      throw payoutError('Only approved, unpaid withdrawals can be paid out', 409);
+    }
+    if (clientWithdrawalMethod(withdrawal) !== 'usdt_trc20') {
+      throw payoutError('Only USDT TRC20 withdrawals are paid through the payout gateway');
+    }
+
+    const address = clientBeneficiary('usdt_trc20', withdrawal).address;
+    if (!address) {
+      throw payoutError('Withdrawal has no TRC20 address');
+    }
+
+    // Batch creation locks its candidates the same way before filtering them,
+    // so whichever of the two locks the withdrawal first wins
+    const batchResult = await client.query(
+      `SELECT batch_id FROM payout_batch_items WHERE withdrawal_id = $1 AND status IN ('pending', 'paid') LIMIT 1`,
+      [withdrawal.id]
+    );
+    if (batchResult.rows.length > 0) {
+      throw payoutError(`Withdrawal is already in payout batch #${batchResult.rows[0].batch_id}`, 409);
+    }
+
+    const existing = await client.query(
+      `SELECT id, status FROM gateway_payouts WHERE withdrawal_id = $1 AND status <> 'cancelled'`,
+      [withdrawal.id]
+    );
+    if (existing.rows.length > 0) {
+      throw payoutError(`Withdrawal already has gateway payout #${existing.rows[0].id} (${existing.rows[0].status})`, 409);
+    }
+
+    const result = await client.query(
+      `INSERT INTO gateway_payouts (withdrawal_id, gateway, amount, currency, address, network, created_by_admin)
+       VALUES ($1, $2, $3, 'USDT', $4, 'TRC20', $5)
+       RETURNING *`,
+      [withdrawal.id, adapter.key, withdrawal.amount, address, adminId]
+    );
+    return result.rows[0];
+  });
+
+  return submitGatewayPayout(payout.id);
+}
+
+async function markPaid(client, payout, gatewayStatus, transactionHash) {
+  const result = await client.query(
+    `UPDATE gateway_payouts
+     SET status = 'paid', gateway_status = $2, transaction_hash = COALESCE($3, transaction_hash),
+         last_error = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [payout.id, gatewayStatus, transactionHash]
+  );
+  await client.query(
+    `UPDATE withdrawals
+     SET external_transaction_id = COALESCE($2, external_transaction_id), paid_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'approved' AND paid_at IS NULL`,
+    [payout.withdrawal_id, transactionHash]
+  );
+  console.log(`Gateway payout #${payout.id} paid withdrawal #${payout.withdrawal_id} (${transactionHash || 'no hash'})`);
+  return result.rows[0];
+}
+
+/**
+ * Apply a payout status from the gateway to a locked payout row
+ * @param {Object} client - Checked-out client with an open transaction
+ * @param {Object} adapter
+ * @param {Object} payout - gateway_payouts row, locked
+ * @param {Object} statusData - { status, transactionHash, reason }
+ * @returns {Promise<Object>} Updated row
+ */
+async function applyPayoutStatus(client, adapter, payout, statusData) {
+  if (!['submitting', 'pending', 'escalated'].includes(payout.status)) {
+    return payout;
+  }
+
+  const payoutStatus = adapter.mapPayoutStatus(statusData.status);
+  const gatewayStatus = statusData.status != null ? String(statusData.status) : null;
+
+  if (payoutStatus === 'paid') {
+    return markPaid(client, payout, gatewayStatus, statusData.transactionHash || null);
+  }
+
+  await client.query(
+    'UPDATE gateway_payouts SET gateway_status = $2, updated_at = NOW() WHERE id = $1',
+    [payout.id, gatewayStatus]
+  );
+
+  if (payoutStatus === 'failed' && payout.status !== 'escalated') {
+    return failAttempt(client, payout, statusData.reason || `${adapter.name} reported the payout as failed`);
+  }
+  return { ...payout, gateway_status: gatewayStatus };
+}
+
+/**
+ * Process a verified payout webhook (see adapter.verifyPayoutWebhook)
+ * Recorded in the gateway webhook inbox, so redeliveries are acknowledged only.
+ * @returns {Promise<{duplicate: boolean, found: boolean}>}
+ */
+export async function processPayoutWebhookEvent(adapter, event) {
+  return inTransaction(async (client) => {
+    const inboxResult = await client.query(
+      `INSERT INTO cregis_webhook_events
+         (gateway, event_id, cregis_id, order_id, event_name, event_type, status, payload)
+       VALUES ($1, $2, $3, $4, 'payout', 'payout', $5, $6)
+       ON CONFLICT (gateway, event_id) DO NOTHING
+       RETURNING id`,
+      [adapter.key, event.eventId, event.payoutId, event.reference, event.status != null ? String(event.status) : null, JSON.stringify(event.rawPayload)]
+    );
+    if (inboxResult.rows.length === 0) {
+      return { duplicate: true, found: true };
+    }
+
+    // Events for an earlier submission no longer match the reference and are only recorded
+    const payoutResult = await client.query(
+      `SELECT * FROM gateway_payouts
+       WHERE gateway = $1 AND (gateway_payout_id = $2 OR reference = $3)
+       ORDER BY id DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [adapter.key, event.payoutId, event.reference]
+    );
+    const payout = payoutResult.rows[0];
+    if (payout) {
+      await applyPayoutStatus(client, adapter, payout, event);
+    }
+
+    await client.query('UPDATE cregis_webhook_events SET processed_at = NOW() WHERE id = $1', [inboxResult.rows[0].id]);
+    return { duplicate: false, found: Boolean(payout) };
+  });
+}
+
+/**
+ * Ask the gateway for the status of a submitted payout and apply it
+ * @param {number} payoutId
+ * @returns {Promise<Object>} Formatted payout
+ */
+export async function checkGatewayPayout(payoutId) {
+  const rowResult = await pool.query('SELECT * FROM gateway_payouts WHERE id = $1', [payoutId]);
+  const row = rowResult.rows[0];
+  if (!row) {
+    throw payoutError('Gateway payout not found', 404);
+  }
+  if (!row.gateway_payout_id) {
+    throw payoutError('Payout was never accepted by the gateway, nothing to check', 409);
+  }
+
+  const adapter = getGatewayAdapter(row.gateway);
+  const statusData = await adapter.checkPayout(row.gateway_payout_id, await adapter.getConfig());
+
+  return inTransaction(async (client) => {
+    const locked = await client.query('SELECT * FROM gateway_payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+    // The payout may have been resubmitted while the gateway was queried
+    if (locked.rows[0].gateway_payout_id !== row.gateway_payout_id) {
+      return formatGatewayPayout(locked.rows[0]);
+    }
+    return formatGatewayPayout(await applyPayoutStatus(client, adapter, locked.rows[0], statusData));
+  });
+}
+
+/**
+ * Scheduled run: submit due payouts, poll pending ones and escalate
+ * submissions that never returned
+ * @returns {Promise<Object>} { submitted, polled, escalated }
+ */
+export async function processGatewayPayouts() {
+  const stuck = await pool.query(
+    `UPDATE gateway_payouts
+     SET status = 'escalated', next_retry_at = NULL, updated_at = NOW(),
+         last_error = 'Submission did not complete; check the gateway before retrying'
+     WHERE status = 'submitting' AND updated_at < NOW() - ($1 || ' minutes')::interval
+     RETURNING id`,
+    [String(SUBMIT_TIMEOUT_MINUTES)]
+  );
+
+  const due = await pool.query(
+    `SELECT id FROM gateway_payouts
+     WHERE status IN ('queued', 'retry_scheduled') AND (next_retry_at IS NULL OR next_retry_at <= NOW())
+     ORDER BY id`
+  );
+  let submitted = 0;
+  for (const { id } of due.rows) {
+    try {
+      await submitGatewayPayout(id);
+      submitted++;
+    } catch (error) {
+      console.error(`Gateway payout #${id} submission error:`, error.message);
+    }
+  }
+
+  const pending = await pool.query(
+    `SELECT id FROM gateway_payouts
+     WHERE status = 'pending' AND updated_at < NOW() - ($1 || ' minutes')::interval
+     ORDER BY id`,
+    [String(POLL_AFTER_MINUTES)]
+  );
+  let polled = 0;
+  for (const { id } of pending.rows) {
+    try {
+      // Applying the status moves updated_at, so an unchanged payout waits another interval
+      await checkGatewayPayout(id);
+      polled++;
+    } catch (error) {
+      console.error(`Gateway payout #${id} status check error:`, error.message);
+    }
+  }
+
+  if (stuck.rows.length > 0 || submitted > 0 || polled > 0) {
+    console.log(`Gateway payouts: ${submitted} submitted, ${polled} polled, ${stuck.rows.length} escalated`);
+  }
+  return { submitted, polled, escalated: stuck.rows.length };
+}
+
+const PAYOUT_SELECT = `
+  SELECT gp.*, w.user_id, u.email, u.first_name, u.last_name
+  FROM gateway_payouts gp
+  JOIN withdrawals w ON w.id = gp.withdrawal_id
+  LEFT JOIN users u ON u.id = w.user_id`;
+
+/**
+ * @param {Object} [params]
+ * @param {string} [params.status] - Filter by status
+ * @returns {Promise<Object>} { items, total }
+ */
+export async function listGatewayPayouts({ status = null, limit = 50, offset = 0 } = {}, client = pool) {
+  const countResult = await client.query(
+    'SELECT COUNT(*) FROM gateway_payouts WHERE ($1::text IS NULL OR status = $1)',
+    [status]
+  );
+  const result = await client.query(
+    `${PAYOUT_SELECT}
+     WHERE ($1::text IS NULL OR gp.status = $1)
+     ORDER BY gp.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+  return {
+    items: result.rows.map(formatGatewayPayout),
+    total: parseInt(countResult.rows[0].count, 10)
+  };
+}
+
+export async function getGatewayPayout(payoutId, client = pool) {
+  const result = await client.query(`${PAYOUT_SELECT} WHERE gp.id = $1`, [payoutId]);
+  if (result.rows.length === 0) {
+    throw payoutError('Gateway payout not found', 404);
+  }
+  return formatGatewayPayout(result.rows[0]);
+}
+
+/**
+ * Record an escalated payout as paid after checking it at the gateway
+ * @param {number} payoutId
+ * @param {string} transactionHash - On-chain hash
+ * @returns {Promise<Object>} Formatted payout
+ */
+export async function markGatewayPayoutPaid(payoutId, transactionHash) {
+  const hash = typeof transactionHash === 'string' ? transactionHash.trim() : '';
+  if (!hash) {
+    throw payoutError('transactionHash is required');
+  }
+
+  return inTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM gateway_payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+    const payout = result.rows[0];
+    if (!payout) {
+      throw payoutError('Gateway payout not found', 404);
+    }
+    if (payout.status !== 'escalated') {
+      throw payoutError('Only escalated payouts can be marked paid by hand', 409);
+    }
+    return formatGatewayPayout(await markPaid(client, payout, payout.gateway_status, hash));
+  });
+}
+
+/**
+ * Give up on a gateway payout; the withdrawal goes back to payout batches
+ * @param {number} payoutId
+ * @param {string} [reason]
+ * @returns {Promise<Object>} Formatted payout
+ */
+export async function cancelGatewayPayout(payoutId, reason = null) {
+  return inTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM gateway_payouts WHERE id = $1 FOR UPDATE', [payoutId]);
+    const payout = result.rows[0];
+    if (!payout) {
+      throw payoutError('Gateway payout not found', 404);
+    }
+    if (!['queued', 'retry_scheduled', 'escalated'].includes(payout.status)) {
+      throw payoutError(`A ${payout.status} payout can not be cancelled`, 409);
+    }
+
+    const updated = await client.query(
+      `UPDATE gateway_payouts
+       SET status = 'cancelled', next_retry_at = NULL, last_error = COALESCE($2, last_error),
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [payout.id, reason]
+    );
+    return formatGatewayPayout(updated.rows[0]);
+  });
+}
@@ -0,0 +1,120 @@
+/**
+ * Payment Gateway Adapter interface
+ * Every automatic gateway (Cregis, ...) is wrapped in an adapter so deposits,
+ * webhooks and payouts go through one code path. Adapters only talk to the
+ * processor; persistence lives in gatewayDeposit.service.js.
+ *
+ * An adapter is an object with:
+ *   key            - URL / database key (`/api/deposits/:gateway/...`)
+ *   name           - Display name used in references and logs
+ *   successPath    - Frontend path the payer returns to after paying
+ *   webhookAck     - Response body the processor expects from a handled webhook
+ *   getConfig(client)                    -> gateway config (payment policies, credentials) or null
+ *   createPayment(params, config)        -> GatewayPayment
+ *   checkStatus(paymentId, config)       -> GatewayPaymentStatus
+ *   verifyWebhook({ body, headers }, config) -> GatewayWebhookEvent (throws 401 on a bad signature)
+ *   mapStatus(gatewayStatus)             -> one of PAYMENT_STATUSES
+ *   createPayout(params, config)         -> GatewayPayout
+ *   checkPayout(payoutId, config)        -> GatewayPayoutStatus
+ *   verifyPayoutWebhook({ body, headers }, config) -> GatewayPayoutStatus plus eventId / rawPayload
+ *   mapPayoutStatus(gatewayStatus)       -> one of PAYOUT_STATUSES
+ *
+ * createPayout errors carry `rejected: true` when the gateway refused the
+ * payout; any other error means it may have gone out and must not be resent
+ * under a new reference.
+ *
+ * @typedef {Object} GatewayPayment
+ * @property {string} paymentId - Id issued by the gateway (stored in cregis_transactions.cregis_order_id)
+ * @property {string} orderId - Our order id (stored in deposit_requests.cregis_order_id)
+ * @property {string} status - Raw gateway status
+ * @property {string|null} paymentUrl
+ * @property {string|null} qrCodeUrl
+ * @property {string|null} paymentAddress
+ * @property {number|string} amount
+ * @property {string} currency
+ * @property {Date|null} expiresAt
+ * @property {Object} [details] - Gateway specific extras returned to the client
+ *
+ * @typedef {Object} GatewayPaymentStatus
+ * @property {string} paymentId
+ * @property {string} orderId
+ * @property {string} status - Raw gateway status
+ * @property {number|null} receivedAmount
+ * @property {string|null} transactionHash
+ * @property {Date|null} paidAt
+ *
+ * @typedef {Object} GatewayWebhookEvent
+ * @property {string} eventId - Unique per gateway; redeliveries repeat it
+ * @property {string|null} eventName
+ * @property {string|null} eventType
+ * @property {string} paymentId
+ * @property {string} orderId
+ * @property {string} status - Raw gateway status
+ * @property {number|string|null} receivedAmount
+ * @property {string|null} transactionHash
+ * @property {Object} rawPayload
+ *
+ * @typedef {Object} GatewayPayout
+ * @property {string} payoutId - Id issued by the gateway
+ * @property {string} reference - Our reference, unique per submission
+ * @property {string} status - Raw gateway status
+ *
+ * @typedef {Object} GatewayPayoutStatus
+ * @property {string|null} payoutId
+ * @property {string|null} reference
+ * @property {string} status - Raw gateway status
+ * @property {string|null} transactionHash - On-chain hash once paid
+ * @property {string|null} reason - Failure reason given by the gateway
+ */
+
+/**
+ * Gateway independent payment statuses returned by mapStatus
+ *   pending   - not (fully) paid yet
+ *   paid      - the order amount arrived
+ *   overpaid  - more than the order amount arrived
+ *   underpaid - part of the order amount arrived
+ *   expired / refunded / failed - nothing will be credited
+ */
+export const PAYMENT_STATUSES = ['pending', 'paid', 'overpaid', 'underpaid', 'expired', 'refunded', 'failed'];
+
+// Gateway independent payout statuses returned by mapPayoutStatus
+export const PAYOUT_STATUSES = ['pending', 'paid', 'failed'];
+
+const REQUIRED_METHODS = [
+  'getConfig',
+  'createPayment',
+  'checkStatus',
+  'verifyWebhook',
+  'mapStatus',
+  'createPayout',
+  'checkPayout',
+  'verifyPayoutWebhook',
+  'mapPayoutStatus'
+];
+
+export function gatewayError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  return Object.assign(error, extra);
+}
+
+/**
+ * Check an adapter implements the interface
+ * @param {Object} adapter
+ * @returns {Object} The adapter
+ */
+export function defineGatewayAdapter(adapter) {
+  if (!adapter.key || !/^[a-z0-9_-]+$/.test(adapter.key)) {
+    throw new Error(`Gateway adapter key must be lowercase letters, digits, "-" or "_" (got "${adapter.key}")`);
+  }
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Gateway adapter "${adapter.key}" is missing ${missing.join(', ')}`);
+  }
+  return Object.freeze({
+    name: adapter.key,
+    successPath: '/user/deposits',
+    webhookAck: { success: true },
+    ...adapter
+  });
+}
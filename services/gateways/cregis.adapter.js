@@ -0,0 +1,177 @@
+import pool from '../../config/database.js';
+import * as cregisService from '../cregis.service.js';
+import { defineGatewayAdapter, gatewayError } from './adapter.js';
+
+/**
+ * Cregis gateway adapter (USDT checkout and USDT TRC20 payouts)
+ * Wraps the Cregis API client in cregis.service.js.
+ */
+
+const STATUS_MAP = {
+  new: 'pending',
+  paid: 'paid',
+  paid_over: 'overpaid',
+  paid_partial: 'underpaid',
+  expired: 'expired',
+  refunded: 'refunded'
+};
+
+/**
+ * Get the active Cregis gateway configuration from auto_gateway
+ * @returns {Promise<Object|null>}
+ */
+export async function getCregisGatewayConfig(client = pool) {
+  const result = await client.query(
+    `SELECT project_id, api_key, gateway_url, webhook_secret, secret_key,
+            overpayment_policy, underpayment_policy
+     FROM auto_gateway
+     WHERE gateway_type = 'Cryptocurrency'
+       AND is_active = TRUE
+       AND project_id IS NOT NULL
+       AND api_key IS NOT NULL
+       AND gateway_url IS NOT NULL
+     ORDER BY display_order ASC, created_at DESC
+     LIMIT 1`
+  );
+  return result.rows[0] || null;
+}
+
+async function getConfig(client = pool) {
+  const config = await getCregisGatewayConfig(client);
+  if (!config) {
+    console.warn('No active Cregis gateway found in database, using environment variables as fallback');
+  }
+  return config;
+}
+
+async function createPayment({ orderId, amount, currency, payer, callbackUrl, successUrl, cancelUrl, validTime }, config) {
+  const result = await cregisService.createPayment({
+    orderId,
+    amount,
+    currency,
+    payerId: String(payer.id),
+    payerName: payer.name || null,
+    payerEmail: payer.email || null,
+    callbackUrl,
+    successUrl,
+    cancelUrl,
+    validTime,
+    gatewayConfig: config
+  });
+
+  if (!result.success) {
+    throw gatewayError(result.error || 'Failed to create payment order', 502);
+  }
+
+  const data = result.data;
+  return {
+    paymentId: data.cregisId,
+    orderId,
+    status: data.status,
+    paymentUrl: data.checkoutUrl,
+    qrCodeUrl: data.qrCodeUrl,
+    paymentAddress: data.paymentAddress,
+    amount: data.amount,
+    currency: data.currency,
+    expiresAt: data.expiresAt,
+    details: {
+      cregisId: data.cregisId,
+      checkoutUrl: data.checkoutUrl,
+      paymentInfo: data.paymentInfo
+    }
+  };
+}
+
+async function checkStatus(paymentId, config) {
+  const result = await cregisService.checkPaymentStatus(paymentId, config);
+  if (!result.success) {
+    throw gatewayError(result.error || 'Failed to check payment status', 502);
+  }
+
+  const data = result.data;
+  return {
+    paymentId: data.cregisId,
+    orderId: data.orderId,
+    status: data.status,
+    receivedAmount: data.receiveAmount,
+    transactionHash: data.transactionHash,
+    paidAt: data.transactTime
+  };
+}
+
+async function verifyWebhook({ body, headers }, config) {
+  const signature = headers['x-cregis-signature'] || headers['x-signature'] || null;
+  const result = await cregisService.handleWebhook(body, signature, config);
+
+  if (!result.success) {
+    throw gatewayError(result.error, result.error === 'Invalid webhook signature' ? 401 : 400);
+  }
+
+  const data = result.data;
+  return {
+    eventId: data.eventId,
+    eventName: data.eventName,
+    eventType: data.eventType,
+    paymentId: data.cregisId,
+    orderId: data.orderId,
+    status: data.status,
+    receivedAmount: data.receiveAmount ?? data.payAmount,
+    transactionHash: data.transactionHash,
+    rawPayload: data.rawPayload
+  };
+}
+
+function mapStatus(status) {
+  return STATUS_MAP[status?.toLowerCase()] || 'pending';
+}
+
+async function createPayout({ reference, amount, address, callbackUrl, remark }, config) {
+  const result = await cregisService.createPayout({
+    reference,
+    amount,
+    address,
+    callbackUrl,
+    remark,
+    gatewayConfig: config
+  });
+
+  if (!result.success) {
+    throw gatewayError(result.error || 'Failed to create payout', 502, { rejected: result.rejected });
+  }
+  return result.data;
+}
+
+async function checkPayout(payoutId, config) {
+  const result = await cregisService.checkPayoutStatus(payoutId, config);
+  if (!result.success) {
+    throw gatewayError(result.error || 'Failed to check payout status', 502);
+  }
+  return result.data;
+}
+
+async function verifyPayoutWebhook({ body, headers }, config) {
+  const signature = headers['x-cregis-signature'] || headers['x-signature'] || null;
+  const result = await cregisService.handlePayoutWebhook(body, signature, config);
+
+  if (!result.success) {
+    throw gatewayError(result.error, result.error === 'Invalid webhook signature' ? 401 : 400);
+  }
+  return result.data;
+}
+
+export default defineGatewayAdapter({
+  key: 'cregis',
+  name: 'Cregis',
+  successPath: '/user/deposits/cregis-usdt-trc20',
+  // Cregis keeps redelivering until it reads this exact body
+  webhookAck: 'success',
+  getConfig,
+  createPayment,
+  checkStatus,
+  verifyWebhook,
+  mapStatus,
+  createPayout,
+  checkPayout,
+  verifyPayoutWebhook,
+  mapPayoutStatus: cregisService.mapCregisPayoutStatus
+});
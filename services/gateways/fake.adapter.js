@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import { defineGatewayAdapter, gatewayError, PAYMENT_STATUSES, PAYOUT_STATUSES } from './adapter.js';
+
+/**
+ * Fake gateway adapter for local development and tests
+ * Keeps payments in memory and accepts webhooks signed with
+ * FAKE_GATEWAY_SECRET (HMAC-SHA256 of the JSON body, hex, in X-Fake-Signature).
+ * Only registered when FAKE_PAYMENT_GATEWAY_ENABLED=true outside production.
+ *
+ * Typical test flow:
+ *   POST /api/deposits/fake/create               -> { paymentId, orderId }
+ *   const { body, signature } = settleFakePayment(paymentId, { status: 'paid' })
+ *   POST /api/deposits/fake/webhook (X-Fake-Signature: signature) with body
+ *
+ * Payouts work the same way with settleFakePayout and
+ * POST /api/withdrawals/payouts/fake/webhook. A payout to the address
+ * "reject" is refused by the fake gateway.
+ */
+
+const DEFAULT_SECRET = 'fake-gateway-secret';
+
+const payments = new Map();
+const payouts = new Map();
+
+function getSecret(config) {
+  return config?.webhook_secret || process.env.FAKE_GATEWAY_SECRET || DEFAULT_SECRET;
+}
+
+/**
+ * Signature the fake gateway puts in X-Fake-Signature
+ * @param {Object} payload - Webhook body
+ * @param {string} [secret]
+ * @returns {string}
+ */
+export function signFakePayload(payload, secret = null) {
+  return crypto
+    .createHmac('sha256', secret || process.env.FAKE_GATEWAY_SECRET || DEFAULT_SECRET)
+    .update(JSON.stringify(payload))
+    .digest('hex');
+}
+
+/**
+ * Move a fake payment to a new status and build the webhook the gateway would send
+ * @param {string} paymentId
+ * @param {Object} [params]
+ * @param {string} [params.status='paid'] - One of PAYMENT_STATUSES
+ * @param {number} [params.receivedAmount] - Defaults to the order amount for paid
+ * @param {string} [params.transactionHash]
+ * @returns {Object} { body, signature }
+ */
+export function settleFakePayment(paymentId, { status = 'paid', receivedAmount, transactionHash } = {}) {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw gatewayError(`Fake payment ${paymentId} not found`, 404);
+  }
+  if (!PAYMENT_STATUSES.includes(status)) {
+    throw gatewayError(`status must be one of ${PAYMENT_STATUSES.join(', ')}`);
+  }
+
+  payment.status = status;
+  payment.receivedAmount = receivedAmount ?? (status === 'paid' ? payment.amount : payment.receivedAmount);
+  payment.transactionHash = transactionHash || payment.transactionHash || `0x${crypto.randomBytes(32).toString('hex')}`;
+  payment.paidAt = ['paid', 'overpaid', 'underpaid'].includes(status) ? new Date() : payment.paidAt;
+
+  const body = {
+    event_id: crypto.randomUUID(),
+    event_type: 'payment',
+    payment_id: paymentId,
+    order_id: payment.orderId,
+    status,
+    received_amount: payment.receivedAmount,
+    tx_hash: payment.transactionHash
+  };
+  return { body, signature: signFakePayload(body) };
+}
+
+/**
+ * Move a fake payout to a new status and build the payout webhook
+ * @param {string} payoutId
+ * @param {Object} [params]
+ * @param {string} [params.status='paid'] - One of PAYOUT_STATUSES
+ * @param {string} [params.transactionHash]
+ * @param {string} [params.reason] - Failure reason
+ * @returns {Object} { body, signature }
+ */
+export function settleFakePayout(payoutId, { status = 'paid', transactionHash, reason = null } = {}) {
+  const payout = payouts.get(payoutId);
+  if (!payout) {
+    throw gatewayError(`Fake payout ${payoutId} not found`, 404);
+  }
+  if (!PAYOUT_STATUSES.includes(status)) {
+    throw gatewayError(`status must be one of ${PAYOUT_STATUSES.join(', ')}`);
+  }
+
+  payout.status = status;
+  payout.reason = reason;
+  if (status === 'paid') {
+    payout.transactionHash = transactionHash || crypto.randomBytes(32).toString('hex');
+  }
+
+  const body = {
+    event_id: crypto.randomUUID(),
+    payout_id: payoutId,
+    reference: payout.reference,
+    status,
+    tx_hash: payout.transactionHash,
+    reason
+  };
+  return { body, signature: signFakePayload(body) };
+}
+
+function verifySignature(body, headers, config) {
+  const signature = headers['x-fake-signature'];
+  const expected = Buffer.from(signFakePayload(body, getSecret(config)));
+  const received = Buffer.from(String(signature || '').toLowerCase());
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw gatewayError('Invalid webhook signature', 401);
+  }
+}
+
+async function getConfig() {
+  return {
+    webhook_secret: getSecret(null),
+    overpayment_policy: process.env.FAKE_GATEWAY_OVERPAYMENT_POLICY || 'credit_received',
+    underpayment_policy: process.env.FAKE_GATEWAY_UNDERPAYMENT_POLICY || 'review'
+  };
+}
+
+async function createPayment({ orderId, amount, currency, validTime = 60 }) {
+  const paymentId = `FAKE-${crypto.randomUUID()}`;
+  const payment = {
+    paymentId,
+    orderId,
+    amount: parseFloat(amount),
+    currency,
+    status: 'pending',
+    receivedAmount: null,
+    transactionHash: null,
+    paidAt: null,
+    expiresAt: new Date(Date.now() + validTime * 60 * 1000)
+  };
+  payments.set(paymentId, payment);
+
+  return {
+    paymentId,
+    orderId,
+    status: payment.status,
+    paymentUrl: null,
+    qrCodeUrl: null,
+    paymentAddress: `fake-address-${paymentId.slice(5, 13)}`,
+    amount: payment.amount,
+    currency,
+    expiresAt: payment.expiresAt
+  };
+}
+
+async function checkStatus(paymentId) {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw gatewayError(`Fake payment ${paymentId} not found`, 404);
+  }
+  return {
+    paymentId,
+    orderId: payment.orderId,
+    status: payment.status,
+    receivedAmount: payment.receivedAmount,
+    transactionHash: payment.transactionHash,
+    paidAt: payment.paidAt
+  };
+}
+
+async function verifyWebhook({ body, headers }, config) {
+  verifySignature(body, headers, config);
+
+  if (!body.event_id || !body.order_id || !body.status) {
+    throw gatewayError('Missing required webhook fields: event_id, order_id or status');
+  }
+
+  return {
+    eventId: body.event_id,
+    eventName: 'fake_payment',
+    eventType: body.event_type || 'payment',
+    paymentId: body.payment_id,
+    orderId: body.order_id,
+    status: body.status,
+    receivedAmount: body.received_amount ?? null,
+    transactionHash: body.tx_hash || null,
+    rawPayload: body
+  };
+}
+
+function mapStatus(status) {
+  return PAYMENT_STATUSES.includes(status) ? status : 'pending';
+}
+
+async function createPayout({ reference, amount, address }) {
+  if (address === 'reject') {
+    throw gatewayError('Fake gateway rejected the payout address', 502, { rejected: true });
+  }
+
+  const payoutId = `FAKE-PAYOUT-${crypto.randomUUID()}`;
+  payouts.set(payoutId, {
+    payoutId,
+    reference,
+    amount: parseFloat(amount),
+    address,
+    status: 'pending',
+    transactionHash: null,
+    reason: null
+  });
+  return { payoutId, reference, status: 'pending' };
+}
+
+async function checkPayout(payoutId) {
+  const payout = payouts.get(payoutId);
+  if (!payout) {
+    throw gatewayError(`Fake payout ${payoutId} not found`, 404);
+  }
+  return {
+    payoutId,
+    reference: payout.reference,
+    status: payout.status,
+    transactionHash: payout.transactionHash,
+    reason: payout.reason
+  };
+}
+
+async function verifyPayoutWebhook({ body, headers }, config) {
+  verifySignature(body, headers, config);
+
+  if (!body.event_id || !body.status || (!body.payout_id && !body.reference)) {
+    throw gatewayError('Missing required webhook fields: event_id, status and payout_id or reference');
+  }
+
+  return {
+    eventId: body.event_id,
+    payoutId: body.payout_id || null,
+    reference: body.reference || null,
+    status: body.status,
+    transactionHash: body.tx_hash || null,
+    reason: body.reason || null,
+    rawPayload: body
+  };
+}
+
+function mapPayoutStatus(status) {
+  return PAYOUT_STATUSES.includes(status) ? status : 'pending';
+}
+
+export default defineGatewayAdapter({
+  key: 'fake',
+  name: 'Fake Gateway',
+  webhookAck: { success: true },
+  getConfig,
+  createPayment,
+  checkStatus,
+  verifyWebhook,
+  mapStatus,
+  createPayout,
+  checkPayout,
+  verifyPayoutWebhook,
+  mapPayoutStatus
+});
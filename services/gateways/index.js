@@ -0,0 +1,37 @@
+import cregisAdapter from './cregis.adapter.js';
+import fakeAdapter from './fake.adapter.js';
+import { gatewayError } from './adapter.js';
+
+export { PAYMENT_STATUSES, PAYOUT_STATUSES, gatewayError } from './adapter.js';
+
+/**
+ * Payment gateway adapter registry
+ * Adding a processor means writing an adapter (see adapter.js) and listing it here.
+ */
+
+const adapters = new Map([cregisAdapter].map(adapter => [adapter.key, adapter]));
+
+// Never reachable in production, even if the flag leaks into its environment
+if (process.env.FAKE_PAYMENT_GATEWAY_ENABLED === 'true' && process.env.NODE_ENV !== 'production') {
+  adapters.set(fakeAdapter.key, fakeAdapter);
+}
+
+/**
+ * @param {string} key - Adapter key, e.g. 'cregis'
+ * @returns {Object} Gateway adapter
+ */
+export function getGatewayAdapter(key) {
+  const adapter = adapters.get(String(key || '').toLowerCase());
+  if (!adapter) {
+    throw gatewayError(`Unknown payment gateway: ${key}`, 404);
+  }
+  return adapter;
+}
+
+/**
+ * Registered adapters
+ * @returns {Array<{key: string, name: string}>}
+ */
+export function listGatewayAdapters() {
+  return [...adapters.values()].map(adapter => ({ key: adapter.key, name: adapter.name }));
+}
@@ -1,13 +1,19 @@
 import pool from '../config/database.js';
-import * as mt5Service from './mt5.service.js';
+import { getStoredClosedTrades } from './tradeSync.service.js';
+import { createWalletForUser, adjustWalletBalance } from './wallet.service.js';
+import { SYSTEM_ACCOUNTS } from './ledger.service.js';
 
 /**
  * IB Commission Service
  * Handles calculation and storage of IB commissions from client trades
  */
 
+const COMMISSION_CURRENCY = 'USD';
+
 /**
  * Calculate and sync commissions for all approved IBs
+ * Runs as the sync-ib-commissions scheduled job; errors for a single IB are
+ * logged and skipped, anything else fails the run.
  */
 export const syncAllCommissions = async () => {
     try {
@@ -23,8 +29,10 @@ export const syncAllCommissions = async () => {
         }
 
         console.log('IB commission sync completed.');
+        return { ibs: ibsResult.rows.length };
     } catch (error) {
         console.error('Error in syncAllCommissions:', error);
+        throw error;
     }
 };
 
@@ -69,17 +77,13 @@ const syncClientTrades = async (ibId, clientId, pipRates) => {
             const pipRate = parseFloat(pipRates[groupId] || 0);
             if (pipRate <= 0) continue;
 
-            // 4. Fetch closed trades from MT5 API
-            // For now, we fetch trades from last 24 hours to keep it simple
-            const fromDate = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-            const tradesRes = await mt5Service.getClosedTrades(login, fromDate);
-
-            if (tradesRes.success && tradesRes.data) {
-                const trades = tradesRes.data.items || tradesRes.data; // Handle different API response formats
+            // 4. Closed trades from the synced trade store (sync-mt5-trades job)
+            // Closed in the last 24 hours, or stored since then when the sync caught up late
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const trades = await getStoredClosedTrades({ logins: [login], from: since, syncedSince: since });
 
-                for (const trade of trades) {
-                    await processTradeCommission(ibId, clientId, login, groupId, trade, pipRate);
-                }
+            for (const trade of trades) {
+                await processTradeCommission(ibId, clientId, login, groupId, trade, pipRate);
             }
         }
     } catch (error) {
@@ -98,8 +102,8 @@ const processTradeCommission = async (directIbId, clientId, login, groupId, trad
             symbol,
             volume: lots,
             profit,
-            time_setup: openTime,
-            time_done: closeTime
+            openTime,
+            closeTime
         } = trade;
 
         // 1. Initial Checks
@@ -204,28 +208,48 @@ const processTradeCommission = async (directIbId, clientId, login, groupId, trad
             const diffRate = Math.max(0, absoluteRate - distributedSoFar);
             const commissionAmount = status === 'processed' ? (lots * diffRate * pipValue) : 0;
 
-            // Insert Commission Entry
-            await client.query(
-                `INSERT INTO ib_commissions (
-                    ib_id, client_id, mt5_account_id, trade_ticket, symbol, 
-                    lots, profit, commission_amount, group_id, pip_rate, 
-                    pip_value, trade_open_time, trade_close_time, duration_seconds, 
-                    status, exclusion_reason, commission_level, is_override
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
-                [
-                    p.id, clientId, login, ticket, symbol,
-                    lots, profit, commissionAmount, groupId, diffRate,
-                    pipValue, openTime, closeTime, durationSeconds,
-                    status, exclusionReason, p.level, p.isOverride
-                ]
-            );
-
-            // Update Balance
-            if (commissionAmount > 0) {
+            // The commission row and its wallet credit commit together, so a failed
+            // credit leaves no row behind and the next sync pays the trade again
+            await client.query('BEGIN');
+            try {
+                // Insert Commission Entry
                 await client.query(
-                    "UPDATE wallets SET balance = balance + $1 WHERE user_id = $2",
-                    [commissionAmount, p.id]
+                    `INSERT INTO ib_commissions (
+                        ib_id, client_id, mt5_account_id, trade_ticket, symbol, 
+                        lots, profit, commission_amount, group_id, pip_rate, 
+                        pip_value, trade_open_time, trade_close_time, duration_seconds, 
+                        status, exclusion_reason, commission_level, is_override
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+                    [
+                        p.id, clientId, login, ticket, symbol,
+                        lots, profit, commissionAmount, groupId, diffRate,
+                        pipValue, openTime, closeTime, durationSeconds,
+                        status, exclusionReason, p.level, p.isOverride
+                    ]
                 );
+
+                // Update Balance
+                if (commissionAmount > 0) {
+                    // Pip rates are in USD; the IB's USD wallet is opened on first payout
+                    const wallet = await createWalletForUser(p.id, client, COMMISSION_CURRENCY);
+                    await adjustWalletBalance({
+                        walletId: wallet.id,
+                        amount: commissionAmount,
+                        type: 'deposit',
+                        source: 'wallet',
+                        target: 'wallet',
+                        currency: COMMISSION_CURRENCY,
+                        reference: `IB commission for trade #${ticket}`,
+                        counterAccount: SYSTEM_ACCOUNTS.IB_COMMISSION_EXPENSE,
+                        entryType: 'ib_commission',
+                        referenceType: 'ib_commission',
+                        referenceId: ticket
+                    }, client);
+                }
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
             }
 
             // Update tracked rate for next level
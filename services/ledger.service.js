@@ -0,0 +1,313 @@
+import pool from '../config/database.js';
+
+/**
+ * Ledger Service
+ * Double-entry ledger underneath wallets, MT5 accounts and IB balances.
+ * Every money movement is a balanced journal entry (debits === credits).
+ */
+
+// System accounts (the company side of every client movement)
+export const SYSTEM_ACCOUNTS = {
+  CLIENT_FUNDS: { code: 'system:client_funds', name: 'Client funds held (gateways / bank)', accountType: 'asset' },
+  IB_COMMISSION_EXPENSE: { code: 'system:ib_commission_expense', name: 'IB commission expense', accountType: 'expense' },
+  BONUS_EXPENSE: { code: 'system:bonus_expense', name: 'Bonus / credit expense', accountType: 'expense' },
+  TRANSFER_CLEARING: { code: 'system:transfer_clearing', name: 'Internal transfer clearing', accountType: 'asset' },
+  WITHDRAWAL_HOLDS: { code: 'system:withdrawal_holds', name: 'Withdrawals reserved, pending payout', accountType: 'liability' },
+  OPENING_BALANCE: { code: 'system:opening_balance', name: 'Opening balances', accountType: 'equity' }
+};
+
+// Client-owned accounts are liabilities of the company
+export const walletAccount = (walletId, { userId = null, currency = 'USD', label = null } = {}) => ({
+  code: `wallet:${walletId}`,
+  name: `Wallet ${label || walletId}`,
+  accountType: 'liability',
+  ownerType: 'wallet',
+  ownerRef: String(walletId),
+  userId,
+  currency
+});
+
+export const mt5Account = (login, { userId = null, currency = 'USD' } = {}) => ({
+  code: `mt5:${login}`,
+  name: `MT5 account ${login}`,
+  accountType: 'liability',
+  ownerType: 'mt5',
+  ownerRef: String(login),
+  userId,
+  currency
+});
+
+export const ibAccount = (ibRequestId, { userId = null, currency = 'USD' } = {}) => ({
+  code: `ib:${ibRequestId}`,
+  name: `IB balance ${ibRequestId}`,
+  accountType: 'liability',
+  ownerType: 'ib',
+  ownerRef: String(ibRequestId),
+  userId,
+  currency
+});
+
+// Company position in a currency bought/sold when a transfer is converted
+export const fxConversionAccount = (currency = 'USD') => ({
+  code: `system:fx_conversion:${currency}`,
+  name: `FX conversion (${currency})`,
+  accountType: 'equity',
+  currency
+});
+
+// Amounts are compared in 1e-8 units to match DECIMAL(18, 8)
+const toUnits = (amount) => Math.round(Number(amount) * 1e8);
+
+/**
+ * Get (or create) a ledger account and return its id
+ * @param {Object} account - Account spec (SYSTEM_ACCOUNTS entry or walletAccount/mt5Account/ibAccount)
+ */
+export async function ensureLedgerAccount(account, client = pool) {
+  const result = await client.query(
+    `INSERT INTO ledger_accounts (code, name, account_type, owner_type, owner_ref, user_id, currency)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (code) DO UPDATE SET
+       user_id = COALESCE(ledger_accounts.user_id, EXCLUDED.user_id)
+     RETURNING id`,
+    [
+      account.code,
+      account.name || account.code,
+      account.accountType,
+      account.ownerType || 'system',
+      account.ownerRef || null,
+      account.userId || null,
+      account.currency || 'USD'
+    ]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Post a balanced journal entry
+ * When called with the pool a transaction is opened; when called with a
+ * checked-out client the entry joins the caller's transaction.
+ * @param {Object} entry
+ * @param {string} entry.entryType - deposit, withdrawal, transfer, ib_commission, ib_withdrawal, bonus, opening_balance
+ * @param {Array<{account: Object, side: 'debit'|'credit', amount: number}>} entry.lines
+ * @returns {Promise<Object>} The journal row
+ */
+export async function postJournalEntry(
+  {
+    entryType,
+    lines,
+    currency = 'USD',
+    referenceType = null,
+    referenceId = null,
+    description = null,
+    createdByAdmin = null
+  },
+  client = pool
+) {
+  if (!entryType) {
+    throw new Error('entryType is required');
+  }
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('A journal entry needs at least two postings');
+  }
+
+  let debitUnits = 0;
+  let creditUnits = 0;
+  for (const line of lines) {
+    const units = toUnits(line.amount);
+    if (!line.account || !Number.isFinite(units) || units <= 0) {
+      throw new Error('Each posting needs an account and a positive amount');
+    }
+    if (line.side === 'debit') {
+      debitUnits += units;
+    } else if (line.side === 'credit') {
+      creditUnits += units;
+    } else {
+      throw new Error(`Unsupported posting side: ${line.side}`);
+    }
+  }
+  if (debitUnits !== creditUnits) {
+    throw new Error('Journal entry is not balanced: debits must equal credits');
+  }
+
+  const ownsTransaction = client === pool;
+  const dbClient = ownsTransaction ? await pool.connect() : client;
+  try {
+    if (ownsTransaction) {
+      await dbClient.query('BEGIN');
+    }
+
+    const journalRes = await dbClient.query(
+      `INSERT INTO ledger_journal
+         (entry_type, reference_type, reference_id, description, currency, created_by_admin)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        entryType,
+        referenceType,
+        referenceId !== null && referenceId !== undefined ? String(referenceId) : null,
+        description,
+        currency,
+        createdByAdmin
+      ]
+    );
+    const journal = journalRes.rows[0];
+
+    for (const line of lines) {
+      const accountId = await ensureLedgerAccount(line.account, dbClient);
+      await dbClient.query(
+        `INSERT INTO ledger_postings (journal_id, account_id, side, amount)
+         VALUES ($1, $2, $3, $4)`,
+        [journal.id, accountId, line.side, Number(line.amount)]
+      );
+    }
+
+    if (ownsTransaction) {
+      await dbClient.query('COMMIT');
+    }
+    return journal;
+  } catch (error) {
+    if (ownsTransaction) {
+      await dbClient.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    if (ownsTransaction) {
+      dbClient.release();
+    }
+  }
+}
+
+/**
+ * Convenience for the common two-line entry: one account debited, one credited.
+ * Client accounts are liabilities, so crediting a wallet/MT5/IB account
+ * increases what the client holds and debiting it decreases it.
+ */
+export async function recordEntry(
+  { entryType, debit, credit, amount, currency = 'USD', referenceType = null, referenceId = null, description = null, createdByAdmin = null },
+  client = pool
+) {
+  return postJournalEntry(
+    {
+      entryType,
+      currency,
+      referenceType,
+      referenceId,
+      description,
+      createdByAdmin,
+      lines: [
+        { account: debit, side: 'debit', amount },
+        { account: credit, side: 'credit', amount }
+      ]
+    },
+    client
+  );
+}
+
+/**
+ * Same as recordEntry but never throws: for MT5-side movements the MT5
+ * server has already applied the change, so a ledger failure must not turn a
+ * completed operation into an error response. Failures are logged loudly and
+ * surface in the reconciliation report.
+ */
+export async function recordEntrySafe(entry, client = pool) {
+  try {
+    return await recordEntry(entry, client);
+  } catch (error) {
+    console.error('❌ Failed to post ledger entry:', {
+      entryType: entry.entryType,
+      referenceType: entry.referenceType,
+      referenceId: entry.referenceId,
+      amount: entry.amount,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Get the balance of a ledger account (0 if the account has no postings)
+ */
+export async function getLedgerBalance(accountCode, client = pool) {
+  const result = await client.query(
+    'SELECT balance FROM ledger_account_balances WHERE code = $1',
+    [accountCode]
+  );
+  return result.rows.length > 0 ? Number(result.rows[0].balance) : 0;
+}
+
+/**
+ * Compare stored balances (wallets.balance, ib_requests.ib_balance,
+ * trading_accounts.balance, held withdrawals) with the balances derived from the ledger.
+ * @returns {Promise<Object>} Discrepancies grouped by source plus the trial balance
+ */
+export async function reconcileLedgerBalances({ tolerance = 0.01 } = {}, client = pool) {
+  const walletRes = await client.query(
+    `SELECT w.id, w.user_id, w.wallet_number, w.currency, w.balance AS stored_balance,
+            COALESCE(lab.balance, 0) AS ledger_balance
+     FROM wallets w
+     LEFT JOIN ledger_account_balances lab ON lab.code = 'wallet:' || w.id
+     WHERE ABS(w.balance - COALESCE(lab.balance, 0)) > $1
+     ORDER BY w.id`,
+    [tolerance]
+  );
+
+  const ibRes = await client.query(
+    `SELECT ir.id, ir.user_id, COALESCE(ir.ib_balance, 0) AS stored_balance,
+            COALESCE(lab.balance, 0) AS ledger_balance
+     FROM ib_requests ir
+     LEFT JOIN ledger_account_balances lab ON lab.code = 'ib:' || ir.id
+     WHERE ir.status = 'approved'
+       AND ABS(COALESCE(ir.ib_balance, 0) - COALESCE(lab.balance, 0)) > $1
+     ORDER BY ir.id`,
+    [tolerance]
+  );
+
+  const mt5Res = await client.query(
+    `SELECT ta.account_number, ta.user_id, ta.currency, COALESCE(ta.balance, 0) AS stored_balance,
+            COALESCE(lab.balance, 0) AS ledger_balance
+     FROM trading_accounts ta
+     LEFT JOIN ledger_account_balances lab ON lab.code = 'mt5:' || ta.account_number
+     WHERE ta.platform = 'MT5' AND COALESCE(ta.is_demo, FALSE) = FALSE
+       AND ABS(COALESCE(ta.balance, 0) - COALESCE(lab.balance, 0)) > $1
+     ORDER BY ta.account_number`,
+    [tolerance]
+  );
+
+  // Reserved withdrawal funds vs the holds account
+  const holdsRes = await client.query(
+    `SELECT
+       (SELECT COALESCE(SUM(amount), 0) FROM withdrawals WHERE hold_status = 'held') AS stored_balance,
+       COALESCE((SELECT balance FROM ledger_account_balances WHERE code = $1), 0) AS ledger_balance`,
+    [SYSTEM_ACCOUNTS.WITHDRAWAL_HOLDS.code]
+  );
+
+  // Sum of all debits must equal sum of all credits across the whole ledger
+  const trialRes = await client.query(
+    `SELECT
+       COALESCE(SUM(amount) FILTER (WHERE side = 'debit'), 0) AS total_debit,
+       COALESCE(SUM(amount) FILTER (WHERE side = 'credit'), 0) AS total_credit
+     FROM ledger_postings`
+  );
+
+  const mapRow = (row) => ({
+    ...row,
+    stored_balance: Number(row.stored_balance),
+    ledger_balance: Number(row.ledger_balance),
+    difference: Number(row.stored_balance) - Number(row.ledger_balance)
+  });
+
+  const totalDebit = Number(trialRes.rows[0].total_debit);
+  const totalCredit = Number(trialRes.rows[0].total_credit);
+
+  return {
+    wallets: walletRes.rows.map(mapRow),
+    ibBalances: ibRes.rows.map(mapRow),
+    mt5Accounts: mt5Res.rows.map(mapRow),
+    withdrawalHolds: mapRow(holdsRes.rows[0]),
+    trialBalance: {
+      totalDebit,
+      totalCredit,
+      balanced: toUnits(totalDebit) === toUnits(totalCredit)
+    }
+  };
+}
@@ -0,0 +1,353 @@
+import pool from '../config/database.js';
+import { getFxRate } from './fx.service.js';
+
+/**
+ * Limits Service
+ * Evaluates the admin-managed transaction_limit_rules for a deposit,
+ * withdrawal or transfer. Every active rule matching the client (KYC tier,
+ * country) and request (gateway) must pass; the result names the rule that
+ * blocked the request and the headroom left under each rule.
+ *
+ * Usage is summed in USD from the client's actual requests:
+ *   deposit    - pending / credited deposit_requests and direct wallet deposits
+ *   withdrawal - pending / approved withdrawals and direct wallet withdrawals
+ *   transfer   - internal_transfers that were not unwound, plus client
+ *                transfers still waiting for OTP or admin approval
+ */
+
+export const LIMIT_OPERATIONS = ['deposit', 'withdrawal', 'transfer'];
+export const LIMIT_PERIODS = ['transaction', 'day', 'week', 'month', 'lifetime'];
+export const KYC_TIERS = ['unverified', 'verified'];
+
+// Rolling windows
+const PERIOD_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+const PERIOD_LABELS = {
+  transaction: 'per transaction',
+  day: 'in 24 hours',
+  week: 'in 7 days',
+  month: 'in 30 days',
+  lifetime: 'in total'
+};
+
+const USAGE_QUERIES = {
+  deposit: `SELECT dr.currency, SUM(COALESCE(dr.credited_amount, dr.amount)) AS total, COUNT(*) AS count
+            FROM deposit_requests dr
+            WHERE dr.user_id = $1
+              AND (dr.status IN ('pending', 'approved') OR dr.credited_at IS NOT NULL)
+              AND ($2::timestamp IS NULL OR dr.created_at >= $2)
+              AND ($3::int IS NULL OR dr.gateway_id = $3)
+            GROUP BY dr.currency
+            UNION ALL
+            SELECT wt.currency, SUM(wt.amount), COUNT(*)
+            FROM wallet_transactions wt
+            JOIN wallets w ON w.id = wt.wallet_id
+            WHERE w.user_id = $1 AND wt.type = 'deposit' AND wt.reference = 'Wallet deposit'
+              AND ($2::timestamp IS NULL OR wt.created_at >= $2)
+              AND $3::int IS NULL
+            GROUP BY wt.currency`,
+  withdrawal: `SELECT w.currency, SUM(w.amount) AS total, COUNT(*) AS count
+               FROM withdrawals w
+               WHERE w.user_id = $1 AND w.status IN ('pending', 'approved')
+                 AND ($2::timestamp IS NULL OR w.created_at >= $2)
+                 AND $3::int IS NULL
+               GROUP BY w.currency
+               UNION ALL
+               SELECT wt.currency, SUM(wt.amount), COUNT(*)
+               FROM wallet_transactions wt
+               JOIN wallets wa ON wa.id = wt.wallet_id
+               WHERE wa.user_id = $1 AND wt.type = 'withdrawal' AND wt.reference = 'Wallet withdrawal'
+                 AND ($2::timestamp IS NULL OR wt.created_at >= $2)
+                 AND $3::int IS NULL
+               GROUP BY wt.currency`,
+  transfer: `SELECT it.currency, SUM(it.amount) AS total, COUNT(*) AS count
+             FROM internal_transfers it
+             WHERE it.user_id = $1 AND it.status NOT IN ('failed', 'compensated')
+               AND ($2::timestamp IS NULL OR it.created_at >= $2)
+               AND $3::int IS NULL
+             GROUP BY it.currency
+             UNION ALL
+             SELECT ctr.currency, SUM(ctr.amount), COUNT(*)
+             FROM client_transfer_requests ctr
+             WHERE ctr.sender_user_id = $1 AND ctr.internal_transfer_id IS NULL
+               AND ctr.status IN ('pending_otp', 'pending_approval', 'processing')
+               AND ($2::timestamp IS NULL OR ctr.created_at >= $2)
+               AND $3::int IS NULL
+             GROUP BY ctr.currency`
+};
+
+function limitsError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const roundUsd = (amount) => Math.round(amount * 100) / 100;
+
+// Without an FX rate the amount is taken as USD
+async function usdRate(currency, client) {
+  try {
+    return (await getFxRate(currency || 'USD', 'USD', client)).midRate;
+  } catch (error) {
+    if (!error.status) throw error;
+    return 1;
+  }
+}
+
+function validateRule(data, { partial = false } = {}) {
+  const fields = {};
+
+  if (data.name !== undefined || !partial) {
+    if (!data.name || !String(data.name).trim()) throw limitsError('Rule name is required');
+    fields.name = String(data.name).trim();
+  }
+  if (data.operation !== undefined || !partial) {
+    if (!LIMIT_OPERATIONS.includes(data.operation)) throw limitsError(`operation must be one of ${LIMIT_OPERATIONS.join(', ')}`);
+    fields.operation = data.operation;
+  }
+  if (data.period !== undefined || !partial) {
+    if (!LIMIT_PERIODS.includes(data.period)) throw limitsError(`period must be one of ${LIMIT_PERIODS.join(', ')}`);
+    fields.period = data.period;
+  }
+  if (data.kycTier !== undefined) {
+    if (data.kycTier && !KYC_TIERS.includes(data.kycTier)) throw limitsError(`kycTier must be one of ${KYC_TIERS.join(', ')}`);
+    fields.kyc_tier = data.kycTier || null;
+  }
+  if (data.country !== undefined) {
+    fields.country = data.country ? String(data.country).trim() : null;
+  }
+  if (data.gatewayId !== undefined) {
+    fields.gateway_id = data.gatewayId ? parseInt(data.gatewayId, 10) : null;
+  }
+  if (data.maxAmountUsd !== undefined) {
+    const maxAmount = data.maxAmountUsd === null || data.maxAmountUsd === '' ? null : Number(data.maxAmountUsd);
+    if (maxAmount !== null && (!Number.isFinite(maxAmount) || maxAmount < 0)) throw limitsError('maxAmountUsd must be zero or more');
+    fields.max_amount_usd = maxAmount;
+  }
+  if (data.maxCount !== undefined) {
+    const maxCount = data.maxCount === null || data.maxCount === '' ? null : Number(data.maxCount);
+    if (maxCount !== null && (!Number.isInteger(maxCount) || maxCount < 0)) throw limitsError('maxCount must be a whole number');
+    fields.max_count = maxCount;
+  }
+  if (data.isActive !== undefined) {
+    fields.is_active = Boolean(data.isActive);
+  }
+
+  if (!partial && (fields.max_amount_usd ?? null) === null && (fields.max_count ?? null) === null) {
+    throw limitsError('maxAmountUsd or maxCount is required');
+  }
+  if (fields.gateway_id && data.operation && data.operation !== 'deposit') {
+    throw limitsError('Gateway limits apply to deposits only');
+  }
+
+  return fields;
+}
+
+export function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    operation: row.operation,
+    kycTier: row.kyc_tier,
+    country: row.country,
+    gatewayId: row.gateway_id,
+    period: row.period,
+    maxAmountUsd: row.max_amount_usd !== null ? Number(row.max_amount_usd) : null,
+    maxCount: row.max_count,
+    isActive: row.is_active,
+    createdByAdmin: row.created_by_admin,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export async function listLimitRules(client = pool) {
+  const result = await client.query(
+    `SELECT * FROM transaction_limit_rules
+     ORDER BY operation, is_active DESC, id`
+  );
+  return result.rows.map(formatRule);
+}
+
+export async function createLimitRule(data, adminId = null) {
+  const fields = validateRule(data);
+  const keys = [...Object.keys(fields), 'created_by_admin'];
+
+  const result = await pool.query(
+    `INSERT INTO transaction_limit_rules (${keys.join(', ')})
+     VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    [...Object.values(fields), adminId]
+  );
+  return formatRule(result.rows[0]);
+}
+
+export async function updateLimitRule(ruleId, data) {
+  const fields = validateRule(data, { partial: true });
+  const keys = Object.keys(fields);
+  if (keys.length === 0) {
+    throw limitsError('Nothing to update');
+  }
+
+  const result = await pool.query(
+    `UPDATE transaction_limit_rules
+     SET ${keys.map((key, i) => `${key} = $${i + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [ruleId, ...keys.map(key => fields[key])]
+  );
+  if (result.rows.length === 0) {
+    throw limitsError('Limit rule not found', 404);
+  }
+  return formatRule(result.rows[0]);
+}
+
+export async function deleteLimitRule(ruleId) {
+  const result = await pool.query('DELETE FROM transaction_limit_rules WHERE id = $1 RETURNING *', [ruleId]);
+  if (result.rows.length === 0) {
+    throw limitsError('Limit rule not found', 404);
+  }
+  return formatRule(result.rows[0]);
+}
+
+/**
+ * KYC tier and country the rules are matched against
+ * @returns {Promise<Object>} { kycTier, country }
+ */
+export async function getLimitProfile(userId, client = pool) {
+  const result = await client.query(
+    `SELECT u.country,
+            (SELECT status FROM kyc_verifications WHERE user_id = u.id ORDER BY created_at DESC LIMIT 1) AS kyc_status
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    kycTier: String(row.kyc_status || '').toLowerCase() === 'approved' ? 'verified' : 'unverified',
+    country: row.country || null
+  };
+}
+
+async function getUsage(operation, userId, { since, gatewayId }, client) {
+  const result = await client.query(USAGE_QUERIES[operation], [userId, since, gatewayId]);
+
+  let usedUsd = 0;
+  let usedCount = 0;
+  for (const row of result.rows) {
+    usedUsd += Number(row.total || 0) * await usdRate(row.currency, client);
+    usedCount += parseInt(row.count, 10);
+  }
+  return { usedUsd: roundUsd(usedUsd), usedCount };
+}
+
+function describeBlock(operation, rule, headroom, profile) {
+  const kycHint = rule.kyc_tier === 'unverified' && profile.kycTier === 'unverified'
+    ? ' Please complete KYC verification to raise this limit.'
+    : '';
+
+  if (headroom.remainingCount !== null && headroom.remainingCount <= 0) {
+    return `${rule.name}: the maximum of ${rule.max_count} ${operation}(s) ${PERIOD_LABELS[rule.period]} has been reached.${kycHint}`;
+  }
+  if (rule.period === 'transaction') {
+    return `${rule.name}: the maximum ${operation} is USD ${Number(rule.max_amount_usd).toFixed(2)} per transaction.${kycHint}`;
+  }
+  return `${rule.name}: the ${operation} limit is USD ${Number(rule.max_amount_usd).toFixed(2)} ${PERIOD_LABELS[rule.period]}. ` +
+    `You can ${operation} up to USD ${headroom.remainingUsd.toFixed(2)} more.${kycHint}`;
+}
+
+/**
+ * Evaluate the limits of a deposit, withdrawal or transfer
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {string} params.operation - 'deposit' | 'withdrawal' | 'transfer'
+ * @param {number} [params.amount] - In params.currency; 0 only reports the headroom
+ * @param {string} [params.currency]
+ * @param {number} [params.gatewayId] - manual_payment_gateways.id of a deposit
+ * @returns {Promise<Object>} { allowed, amountUsd, kycTier, blockedBy, message, limits } where
+ *   blockedBy is the rule with the least headroom among those the request exceeds
+ */
+export async function evaluateLimits({ userId, operation, amount = 0, currency = 'USD', gatewayId = null }, client = pool) {
+  if (!LIMIT_OPERATIONS.includes(operation)) {
+    throw limitsError(`Unknown operation: ${operation}`);
+  }
+
+  const profile = await getLimitProfile(userId, client);
+  const amountUsd = roundUsd(Number(amount || 0) * await usdRate(currency, client));
+  const rulesResult = await client.query(
+    `SELECT * FROM transaction_limit_rules
+     WHERE is_active = TRUE
+       AND operation = $1
+       AND (kyc_tier IS NULL OR kyc_tier = $2)
+       AND (country IS NULL OR LOWER(country) = LOWER($3))
+       AND (gateway_id IS NULL OR gateway_id = $4)
+     ORDER BY id`,
+    [operation, profile.kycTier, profile.country, gatewayId ? parseInt(gatewayId, 10) : null]
+  );
+
+  const usageCache = new Map();
+  const limits = [];
+  let blocked = null;
+
+  for (const rule of rulesResult.rows) {
+    let usage = { usedUsd: 0, usedCount: 0 };
+    if (rule.period !== 'transaction') {
+      const cacheKey = `${rule.period}:${rule.gateway_id || ''}`;
+      if (!usageCache.has(cacheKey)) {
+        usageCache.set(cacheKey, await getUsage(operation, userId, {
+          since: PERIOD_MS[rule.period] ? new Date(Date.now() - PERIOD_MS[rule.period]) : null,
+          gatewayId: rule.gateway_id
+        }, client));
+      }
+      usage = usageCache.get(cacheKey);
+    }
+
+    const maxAmountUsd = rule.max_amount_usd !== null ? Number(rule.max_amount_usd) : null;
+    const headroom = {
+      ...formatRule(rule),
+      usedUsd: usage.usedUsd,
+      remainingUsd: maxAmountUsd !== null ? roundUsd(Math.max(0, maxAmountUsd - usage.usedUsd)) : null,
+      usedCount: rule.period !== 'transaction' ? usage.usedCount : null,
+      remainingCount: rule.max_count !== null && rule.period !== 'transaction'
+        ? Math.max(0, rule.max_count - usage.usedCount)
+        : null
+    };
+    limits.push(headroom);
+
+    const exceedsAmount = amountUsd > 0 && headroom.remainingUsd !== null && amountUsd > headroom.remainingUsd;
+    const exceedsCount = amountUsd > 0 && headroom.remainingCount !== null && headroom.remainingCount <= 0;
+    if ((exceedsAmount || exceedsCount)
+      && (!blocked || (headroom.remainingUsd ?? Infinity) < (blocked.headroom.remainingUsd ?? Infinity))) {
+      blocked = { rule, headroom };
+    }
+  }
+
+  return {
+    allowed: !blocked,
+    amountUsd,
+    kycTier: profile.kycTier,
+    blockedBy: blocked ? blocked.headroom : null,
+    message: blocked ? describeBlock(operation, blocked.rule, blocked.headroom, profile) : null,
+    limits
+  };
+}
+
+/**
+ * Headroom of every operation for the client UI
+ * @returns {Promise<Object>} { kycTier, deposit: [...], withdrawal: [...], transfer: [...] }
+ */
+export async function getLimitsOverview(userId, { operation = null, gatewayId = null } = {}) {
+  const operations = operation ? [operation] : LIMIT_OPERATIONS;
+  const overview = {};
+
+  for (const op of operations) {
+    const result = await evaluateLimits({ userId, operation: op, gatewayId: op === 'deposit' ? gatewayId : null });
+    overview.kycTier = result.kycTier;
+    overview[op] = result.limits;
+  }
+  return overview;
+}
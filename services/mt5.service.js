@@ -1,38 +1,24 @@
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { Mt5Error, mt5Request } from './mt5/client.js';
+import { pickField, toAccountSnapshot, toList } from './mt5/normalize.js';
 
 /**
  * MT5 Service (13.43.216.232)
  * Only uses the new MT5 Manager API endpoints you provided.
+ * Calls go through the shared client (services/mt5/client.js): timeouts,
+ * retried reads, circuit breaker and Mt5Error failures. Results keep the
+ * { success: true, data } shape with the bridge payload as is; use
+ * services/mt5/normalize.js to read it.
  */
 
-// Base URL from environment or default
-const MT5_BASE_URL =
-  process.env.MT5_API_URL || 'http://13.43.216.232:5003/api';
-
-/**
- * Get common headers for MT5 API requests
- */
-const getMT5Headers = () => ({
-  'Content-Type': 'application/json'
-});
-
 /**
  * GET /Groups
  * Get all MT5 groups
  */
 export const getGroups = async () => {
-  const res = await fetch(`${MT5_BASE_URL}/Groups`, {
-    method: 'GET',
-    headers: getMT5Headers()
+  const { data } = await mt5Request('getGroups', {
+    path: '/Groups',
+    failureMessage: 'Failed to fetch groups'
   });
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || `Failed to fetch groups: ${res.status}`
-    );
-  }
   return { success: true, data };
 };
 
@@ -41,16 +27,10 @@ export const getGroups = async () => {
  * Get all MT5 symbols
  */
 export const getSymbols = async () => {
-  const res = await fetch(`${MT5_BASE_URL}/Symbols`, {
-    method: 'GET',
-    headers: getMT5Headers()
+  const { data } = await mt5Request('getSymbols', {
+    path: '/Symbols',
+    failureMessage: 'Failed to fetch symbols'
   });
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || `Failed to fetch symbols: ${res.status}`
-    );
-  }
   return { success: true, data };
 };
 
@@ -67,32 +47,15 @@ export const createAccount = async (accountData) => {
     investorPassword: accountData.investorPassword
   };
 
-  const res = await fetch(`${MT5_BASE_URL}/Users`, {
+  const { data } = await mt5Request('createAccount', {
     method: 'POST',
-    headers: getMT5Headers(),
-    body: JSON.stringify(payload)
+    path: '/Users',
+    body: payload,
+    failureMessage: 'Failed to create account'
   });
 
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    throw new Error(
-      `Invalid response from MT5 API (Status ${res.status}): ${text.substring(
-        0,
-        500
-      )}`
-    );
-  }
-
-  if (!res.ok || data.Error || data.Status === 'error') {
-    throw new Error(
-      data.Message ||
-      data.Error ||
-      data.error ||
-      JSON.stringify(data)
-    );
+  if (data?.Error) {
+    throw new Mt5Error(data.Message || data.Error, { code: 'rejected', operation: 'createAccount', payload: data });
   }
 
   return { success: true, data };
@@ -102,19 +65,10 @@ export const createAccount = async (accountData) => {
  * GET /Users/{login}/getClientProfile
  */
 export const getClientProfile = async (login) => {
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/getClientProfile`,
-    {
-      method: 'GET',
-      headers: getMT5Headers()
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || `Failed to get client profile: ${res.status}`
-    );
-  }
+  const { data } = await mt5Request('getClientProfile', {
+    path: `/Users/${login}/getClientProfile`,
+    failureMessage: 'Failed to get client profile'
+  });
   return { success: true, data };
 };
 
@@ -123,27 +77,40 @@ export const getUserProfile = async (login) => {
   return getClientProfile(login);
 };
 
+/**
+ * Balance, equity, margin and profile fields of an account, normalized
+ * @param {number} login
+ * @returns {Promise<Object>} Mt5AccountSnapshot (services/mt5/normalize.js)
+ */
+export const getAccountSnapshot = async (login) => {
+  const { data } = await getClientProfile(login);
+  return toAccountSnapshot(data);
+};
+
 /**
  * POST /client/auth/login
  * Body: { "accountId": number, "password": string }
  */
 export const clientLogin = async (accountId, password) => {
-  const payload = {
-    accountId,
-    password
-  };
+  const { data } = await mt5Request('clientLogin', {
+    method: 'POST',
+    path: '/client/auth/login',
+    body: { accountId, password },
+    // Logging in changes nothing on the MT5 side
+    idempotent: true,
+    failureMessage: 'Failed to login'
+  });
+  return { success: true, data };
+};
 
-  const res = await fetch(`${MT5_BASE_URL}/client/auth/login`, {
+// Balance, credit and bonus operations share one request shape
+const balanceOperation = async (operation, endpoint, failureMessage, { login, balance, comment }) => {
+  const { data } = await mt5Request(operation, {
     method: 'POST',
-    headers: getMT5Headers(),
-    body: JSON.stringify(payload)
+    path: `/Users/${login}/${endpoint}`,
+    body: { balance, comment },
+    failureMessage
   });
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || `Failed to login: ${res.status}`
-    );
-  }
   return { success: true, data };
 };
 
@@ -154,30 +121,7 @@ export const addBalance = async (
   login,
   balance,
   comment = 'Deposit via API'
-) => {
-  const payload = {
-    balance,
-    comment
-  };
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/AddClientBalance`,
-    {
-      method: 'POST',
-      headers: getMT5Headers(),
-      body: JSON.stringify(payload)
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to add balance: ${res.status}`
-    );
-  }
-  return { success: true, data };
-};
+) => balanceOperation('addBalance', 'AddClientBalance', 'Failed to add balance', { login, balance, comment });
 
 /**
  * POST /Users/{login}/DeductClientBalance
@@ -186,30 +130,7 @@ export const deductBalance = async (
   login,
   balance,
   comment = 'Withdrawal via API'
-) => {
-  const payload = {
-    balance,
-    comment
-  };
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/DeductClientBalance`,
-    {
-      method: 'POST',
-      headers: getMT5Headers(),
-      body: JSON.stringify(payload)
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to deduct balance: ${res.status}`
-    );
-  }
-  return { success: true, data };
-};
+) => balanceOperation('deductBalance', 'DeductClientBalance', 'Failed to deduct balance', { login, balance, comment });
 
 /**
  * POST /Users/{login}/AddClientCredit
@@ -218,30 +139,7 @@ export const addCredit = async (
   login,
   balance,
   comment = 'Credit via API'
-) => {
-  const payload = {
-    balance,
-    comment
-  };
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/AddClientCredit`,
-    {
-      method: 'POST',
-      headers: getMT5Headers(),
-      body: JSON.stringify(payload)
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to add credit: ${res.status}`
-    );
-  }
-  return { success: true, data };
-};
+) => balanceOperation('addCredit', 'AddClientCredit', 'Failed to add credit', { login, balance, comment });
 
 /**
  * POST /Users/{login}/DeductClientCredit
@@ -250,30 +148,7 @@ export const deductCredit = async (
   login,
   balance,
   comment = 'Credit deduction via API'
-) => {
-  const payload = {
-    balance,
-    comment
-  };
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/DeductClientCredit`,
-    {
-      method: 'POST',
-      headers: getMT5Headers(),
-      body: JSON.stringify(payload)
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to deduct credit: ${res.status}`
-    );
-  }
-  return { success: true, data };
-};
+) => balanceOperation('deductCredit', 'DeductClientCredit', 'Failed to deduct credit', { login, balance, comment });
 
 /**
  * POST /Users/{login}/AddClientBonus
@@ -282,30 +157,7 @@ export const addBonus = async (
   login,
   balance,
   comment = 'Bonus via API'
-) => {
-  const payload = {
-    balance,
-    comment
-  };
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/AddClientBonus`,
-    {
-      method: 'POST',
-      headers: getMT5Headers(),
-      body: JSON.stringify(payload)
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to add bonus: ${res.status}`
-    );
-  }
-  return { success: true, data };
-};
+) => balanceOperation('addBonus', 'AddClientBonus', 'Failed to add bonus', { login, balance, comment });
 
 /**
  * POST /Users/{login}/DeductClientBonus
@@ -314,51 +166,17 @@ export const deductBonus = async (
   login,
   balance,
   comment = 'Bonus deduction via API'
-) => {
-  const payload = {
-    balance,
-    comment
-  };
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/DeductClientBonus`,
-    {
-      method: 'POST',
-      headers: getMT5Headers(),
-      body: JSON.stringify(payload)
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to deduct bonus: ${res.status}`
-    );
-  }
-  return { success: true, data };
-};
+) => balanceOperation('deductBonus', 'DeductClientBonus', 'Failed to deduct bonus', { login, balance, comment });
 
 /**
  * GET /Users/{login}/GetClientBalance
  * Get client balance from MT5 API
  */
 export const getClientBalance = async (login) => {
-  const res = await fetch(
-    `${MT5_BASE_URL}/Users/${login}/GetClientBalance`,
-    {
-      method: 'GET',
-      headers: getMT5Headers()
-    }
-  );
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to get client balance: ${res.status}`
-    );
-  }
+  const { data } = await mt5Request('getClientBalance', {
+    path: `/Users/${login}/GetClientBalance`,
+    failureMessage: 'Failed to get client balance'
+  });
   return { success: true, data };
 };
 
@@ -378,19 +196,14 @@ export const updateUser = async (login, updateData = {}) => {
   if (updateData.comment !== undefined) payload.comment = updateData.comment;
   if (updateData.masterPassword !== undefined) payload.masterPassword = updateData.masterPassword;
 
-  const res = await fetch(`${MT5_BASE_URL}/Users/${login}`, {
+  const { data } = await mt5Request('updateUser', {
     method: 'PUT',
-    headers: getMT5Headers(),
-    body: JSON.stringify(payload)
+    path: `/Users/${login}`,
+    body: payload,
+    // Setting the same fields twice leaves the same result
+    idempotent: true,
+    failureMessage: 'Failed to update user'
   });
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message ||
-      data.error ||
-      `Failed to update user: ${res.status}`
-    );
-  }
   return { success: true, data };
 };
 
@@ -405,50 +218,37 @@ export const changePassword = async (login, newPassword, passwordType = 'master'
   // Map 'master' to 'main' if needed. Zuperior uses 'main'.
   const type = passwordType === 'master' ? 'main' : passwordType;
 
-  // Endpoint: /Security/users/{login}/password/change
-  // Method: PUT
-  // Body: "newPassword" (JSON string)
-  const endpoint = `Security/users/${login}/password/change`;
-  const params = `?passwordType=${type}`;
-
-  // Body should be just the password string, e.g., '"NewPassword123"'
-  const body = JSON.stringify(newPassword);
-
-  const res = await fetch(
-    `${MT5_BASE_URL}/${endpoint}${params}`,
-    {
-      method: 'PUT',
-      headers: getMT5Headers(),
-      body: body
-    }
-  );
-
-  const text = await res.text();
-  let data = {};
   try {
-    if (text && text.trim()) {
-      data = JSON.parse(text);
-    }
-  } catch (e) {
-    console.warn('MT5 Response was not JSON:', text);
-    // If response is not JSON but contains error info, try to extract it
-    if (text && text.includes('error') || text && text.includes('Error')) {
-      data = { error: text, message: text };
+    // Endpoint: PUT /Security/users/{login}/password/change
+    // Body should be just the password string, e.g., '"NewPassword123"'
+    const { data } = await mt5Request('changePassword', {
+      method: 'PUT',
+      path: `/Security/users/${login}/password/change`,
+      query: { passwordType: type },
+      body: newPassword,
+      expectJson: false,
+      failureMessage: 'Failed to change password'
+    });
+    return { success: true, data: data || {} };
+  } catch (error) {
+    // Surface the MT5 code, e.g. "Invalid account password (3006) (Error Code: 3006)"
+    if (error instanceof Mt5Error && error.mt5Code) {
+      error.message = `${error.message} (Error Code: ${error.mt5Code})`;
     }
+    throw error;
   }
+};
 
-  if (!res.ok) {
-    // Extract error code if present (e.g., "Invalid account password (3006)")
-    const errorMessage = data.Message || data.error || data.message || text || `Failed to change password: ${res.status}`;
-    const errorCode = data.ErrorCode || data.errorCode || (errorMessage.match(/\((\d+)\)/) ? errorMessage.match(/\((\d+)\)/)[1] : null);
-
-    const fullError = errorCode
-      ? `${errorMessage} (Error Code: ${errorCode})`
-      : errorMessage;
-
-    throw new Error(fullError);
-  }
-  return { success: true, data };
+const setAccountState = async (operation, action, login, successMessage) => {
+  const { data } = await mt5Request(operation, {
+    method: 'POST',
+    path: `/users/${login}/${action}`,
+    idempotent: true,
+    expectJson: false,
+    failureMessage: `Failed to ${action} account`
+  });
+  // A non-JSON 2xx answer means it worked
+  return { success: true, data: data || { message: successMessage } };
 };
 
 /**
@@ -456,32 +256,7 @@ export const changePassword = async (login, newPassword, passwordType = 'master'
  * Enable MT5 account
  */
 export const enableAccount = async (login) => {
-  const res = await fetch(`${MT5_BASE_URL}/users/${login}/enable`, {
-    method: 'POST',
-    headers: getMT5Headers()
-  });
-
-  const text = await res.text();
-  let data = {};
-  try {
-    if (text && text.trim()) {
-      data = JSON.parse(text);
-    }
-  } catch (e) {
-    console.warn('MT5 Response was not JSON:', text);
-    // If response is not JSON but status is OK, consider it success
-    if (res.ok) {
-      return { success: true, data: { message: 'Account enabled successfully' } };
-    }
-    data = { error: text, message: text };
-  }
-
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || data.message || `Failed to enable account: ${res.status}`
-    );
-  }
-  return { success: true, data };
+  return setAccountState('enableAccount', 'enable', login, 'Account enabled successfully');
 };
 
 /**
@@ -489,32 +264,7 @@ export const enableAccount = async (login) => {
  * Disable MT5 account
  */
 export const disableAccount = async (login) => {
-  const res = await fetch(`${MT5_BASE_URL}/users/${login}/disable`, {
-    method: 'POST',
-    headers: getMT5Headers()
-  });
-
-  const text = await res.text();
-  let data = {};
-  try {
-    if (text && text.trim()) {
-      data = JSON.parse(text);
-    }
-  } catch (e) {
-    console.warn('MT5 Response was not JSON:', text);
-    // If response is not JSON but status is OK, consider it success
-    if (res.ok) {
-      return { success: true, data: { message: 'Account disabled successfully' } };
-    }
-    data = { error: text, message: text };
-  }
-
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || data.message || `Failed to disable account: ${res.status}`
-    );
-  }
-  return { success: true, data };
+  return setAccountState('disableAccount', 'disable', login, 'Account disabled successfully');
 };
 
 /**
@@ -527,26 +277,11 @@ export const disableAccount = async (login) => {
  * @param {number} pageSize - Items per page (default: 1000)
  */
 export const getClosedTrades = async (accountId, fromDate = null, toDate = null, page = 1, pageSize = 1000) => {
-  const params = new URLSearchParams({
-    accountId: accountId.toString(),
-    page: page.toString(),
-    pageSize: pageSize.toString()
+  const { data } = await mt5Request('getClosedTrades', {
+    path: '/client/tradehistory/trades-closed',
+    query: { accountId, page, pageSize, fromDate, toDate },
+    failureMessage: 'Failed to fetch closed trades'
   });
-
-  if (fromDate) params.append('fromDate', fromDate);
-  if (toDate) params.append('toDate', toDate);
-
-  const res = await fetch(`${MT5_BASE_URL}/client/tradehistory/trades-closed?${params.toString()}`, {
-    method: 'GET',
-    headers: getMT5Headers()
-  });
-
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || `Failed to fetch closed trades: ${res.status}`
-    );
-  }
   return { success: true, data };
 };
 
@@ -560,25 +295,33 @@ export const getClosedTrades = async (accountId, fromDate = null, toDate = null,
  * @param {number} pageSize - Items per page (default: 1000)
  */
 export const getAllTrades = async (accountId, fromDate = null, toDate = null, page = 1, pageSize = 1000) => {
-  const params = new URLSearchParams({
-    accountId: accountId.toString(),
-    page: page.toString(),
-    pageSize: pageSize.toString()
-  });
-
-  if (fromDate) params.append('fromDate', fromDate);
-  if (toDate) params.append('toDate', toDate);
-
-  const res = await fetch(`${MT5_BASE_URL}/client/tradehistory/trades?${params.toString()}`, {
-    method: 'GET',
-    headers: getMT5Headers()
+  const { data } = await mt5Request('getAllTrades', {
+    path: '/client/tradehistory/trades',
+    query: { accountId, page, pageSize, fromDate, toDate },
+    failureMessage: 'Failed to fetch trades'
   });
+  return { success: true, data };
+};
 
-  const data = await res.json();
-  if (!res.ok) {
-    throw new Error(
-      data.Message || data.error || `Failed to fetch trades: ${res.status}`
-    );
+/**
+ * Balance deal booked on an account with exactly this comment, or null
+ * The full trade list (/client/tradehistory/trades) includes balance deals
+ * with their comment; used to settle balance calls whose outcome was unknown.
+ * @param {number} accountId - MT5 account ID
+ * @param {string} comment - Comment the balance operation was sent with
+ * @param {string} fromDate - Search from (ISO string), shortly before the call
+ * @returns {Promise<Object|null>} The deal as returned by the bridge
+ */
+export const findDealByComment = async (accountId, comment, fromDate, pageSize = 1000, maxPages = 20) => {
+  for (let page = 1; page <= maxPages; page++) {
+    const { data } = await getAllTrades(accountId, fromDate, null, page, pageSize);
+    const items = toList(data);
+    const deal = items.find(item => pickField(item, 'Comment', 'comment') === comment);
+    if (deal) return deal;
+    if (items.length < pageSize) return null;
   }
-  return { success: true, data };
+  throw new Mt5Error(`More than ${maxPages * pageSize} deals since ${fromDate}, search for "${comment}" incomplete`, {
+    code: 'invalid_response',
+    operation: 'findDealByComment'
+  });
 };
@@ -0,0 +1,332 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Shared HTTP client for the MT5 Manager API bridge (MT5_API_URL)
+ *
+ * - Every call has a timeout: MT5_TIMEOUT_MS for reads, MT5_WRITE_TIMEOUT_MS
+ *   for calls that change MT5 state.
+ * - Idempotent calls (GET unless told otherwise) are retried up to
+ *   MT5_READ_RETRIES times on timeouts, network errors, 429 and 5xx, with
+ *   jittered exponential backoff. Writes are never retried.
+ * - Circuit breaker: after MT5_BREAKER_THRESHOLD consecutive failures every
+ *   call fails fast with code 'circuit_open' for MT5_BREAKER_COOLDOWN_MS; then
+ *   one probe call goes through and closes the circuit again if it succeeds.
+ *   Answers the bridge rejects (4xx, Success: false) prove it is up and do not
+ *   count as failures.
+ * - Failures are thrown as Mt5Error with a code. outcomeUnknown is set when a
+ *   write was sent but no answer came back, or the answer was a 5xx other than
+ *   a bare 503, so MT5 may or may not have applied it.
+ * - Request counts and latency per operation are kept in memory (getMt5Metrics).
+ */
+
+export const MT5_BASE_URL = process.env.MT5_API_URL || 'http://13.43.216.232:5003/api';
+
+const READ_TIMEOUT_MS = parseInt(process.env.MT5_TIMEOUT_MS || '10000', 10);
+const WRITE_TIMEOUT_MS = parseInt(process.env.MT5_WRITE_TIMEOUT_MS || '30000', 10);
+const READ_RETRIES = parseInt(process.env.MT5_READ_RETRIES || '2', 10);
+const RETRY_BASE_MS = 250;
+const BREAKER_THRESHOLD = parseInt(process.env.MT5_BREAKER_THRESHOLD || '5', 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.MT5_BREAKER_COOLDOWN_MS || '30000', 10);
+const LATENCY_SAMPLES = 200;
+
+export const MT5_ERROR_CODES = ['timeout', 'network', 'circuit_open', 'bridge_error', 'rejected', 'invalid_response'];
+
+/**
+ * Error raised by every MT5 call
+ * code: timeout | network | circuit_open | bridge_error (5xx) | rejected (4xx or
+ * Success: false) | invalid_response (not JSON where JSON was expected)
+ */
+export class Mt5Error extends Error {
+  constructor(message, { code, operation, httpStatus = null, mt5Code = null, payload = null, outcomeUnknown = false } = {}) {
+    super(message);
+    this.name = 'Mt5Error';
+    this.code = code;
+    this.operation = operation;
+    this.httpStatus = httpStatus;
+    this.mt5Code = mt5Code;
+    this.payload = payload;
+    this.outcomeUnknown = outcomeUnknown;
+    this.retryable = ['timeout', 'network', 'circuit_open', 'bridge_error'].includes(code) || httpStatus === 429;
+  }
+}
+
+const breaker = {
+  state: 'closed', // closed | open | half_open
+  consecutiveFailures: 0,
+  openedAt: null,
+  probeInFlight: false
+};
+
+const operations = new Map();
+
+function operationMetrics(operation) {
+  if (!operations.has(operation)) {
+    operations.set(operation, {
+      calls: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      timeouts: 0,
+      shortCircuited: 0,
+      maxMs: 0,
+      samples: [],
+      lastError: null,
+      lastErrorAt: null
+    });
+  }
+  return operations.get(operation);
+}
+
+function recordLatency(stats, ms) {
+  stats.maxMs = Math.max(stats.maxMs, ms);
+  stats.samples.push(ms);
+  if (stats.samples.length > LATENCY_SAMPLES) {
+    stats.samples.shift();
+  }
+}
+
+function percentile(samples, p) {
+  if (samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function takePermit() {
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half_open';
+  }
+  if (breaker.state === 'half_open' && !breaker.probeInFlight) {
+    breaker.probeInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function bridgeUp() {
+  if (breaker.state !== 'closed') {
+    console.log('✅ MT5 bridge reachable again, circuit closed');
+  }
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.probeInFlight = false;
+}
+
+function bridgeDown() {
+  breaker.consecutiveFailures++;
+  breaker.probeInFlight = false;
+  if (breaker.state === 'half_open' || (breaker.state === 'closed' && breaker.consecutiveFailures >= BREAKER_THRESHOLD)) {
+    if (breaker.state === 'closed') {
+      console.warn(`⚠️  MT5 bridge failed ${breaker.consecutiveFailures} times in a row, circuit open for ${BREAKER_COOLDOWN_MS}ms`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+const NOT_CONNECTED_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function payloadMessage(data) {
+  if (!data || typeof data !== 'object') return null;
+  return data.Message || data.Error || data.error || data.message || null;
+}
+
+function payloadCode(data, message) {
+  const code = data?.ErrorCode ?? data?.errorCode ?? data?.RetCode ?? null;
+  if (code !== null) return code;
+  // Bridge messages carry the MT5 return code, e.g. "Invalid account password (3006)"
+  const match = typeof message === 'string' ? message.match(/\((\d+)\)/) : null;
+  return match ? match[1] : null;
+}
+
+// One HTTP exchange; throws Mt5Error, returns { status, data, text }
+async function send(operation, { method, url, body, timeoutMs, expectJson, failureMessage, idempotent }) {
+  let res;
+  let text;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    text = await res.text();
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    // A write that may have reached the bridge may have been applied; one that never connected was not
+    const neverSent = !timedOut && res === undefined && NOT_CONNECTED_CODES.includes(error.cause?.code);
+    throw new Mt5Error(
+      timedOut ? `MT5 ${operation} timed out after ${timeoutMs}ms` : `MT5 bridge unreachable (${operation}): ${error.cause?.message || error.message}`,
+      { code: timedOut ? 'timeout' : 'network', operation, outcomeUnknown: !idempotent && !neverSent }
+    );
+  }
+
+  let data = null;
+  if (text && text.trim()) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      if (res.ok && expectJson) {
+        throw new Mt5Error(
+          `Invalid response from MT5 API (Status ${res.status}): ${text.substring(0, 500)}`,
+          { code: 'invalid_response', operation, httpStatus: res.status, outcomeUnknown: !idempotent }
+        );
+      }
+    }
+  }
+
+  if (!res.ok) {
+    const message = payloadMessage(data) || (data === null && text ? text.substring(0, 500) : null) || `${failureMessage}: ${res.status}`;
+    // A 5xx (e.g. 502/504 from a proxy) can come back after the bridge applied
+    // the write; only a bare 503 means the request was turned away unprocessed
+    const refusedUnprocessed = res.status === 503 && !(text && text.trim());
+    throw new Mt5Error(message, {
+      code: res.status >= 500 ? 'bridge_error' : 'rejected',
+      operation,
+      httpStatus: res.status,
+      mt5Code: payloadCode(data, message),
+      payload: data,
+      outcomeUnknown: res.status >= 500 && !idempotent && !refusedUnprocessed
+    });
+  }
+
+  if (data && (data.Success === false || data.success === false || data.Status === 'error')) {
+    const message = payloadMessage(data) || failureMessage;
+    throw new Mt5Error(message, {
+      code: 'rejected',
+      operation,
+      httpStatus: res.status,
+      mt5Code: payloadCode(data, message),
+      payload: data
+    });
+  }
+
+  return { status: res.status, data, text };
+}
+
+/**
+ * Call the MT5 bridge
+ * @param {string} operation - Name used in errors and metrics, e.g. 'getClientBalance'
+ * @param {Object} options
+ * @param {string} options.path - Path below MT5_API_URL, e.g. '/Users/123/GetClientBalance'
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.query] - Query string parameters (null/undefined are skipped)
+ * @param {*} [options.body] - JSON-encoded as is
+ * @param {boolean} [options.idempotent] - Safe to retry; defaults to method === 'GET'
+ * @param {boolean} [options.expectJson=true] - Reject a 2xx answer that is not JSON
+ * @param {number} [options.timeoutMs]
+ * @param {string} [options.failureMessage] - Message prefix when the bridge gives none
+ * @returns {Promise<Object>} { status, data, text } - data is the parsed JSON body or null
+ * @throws {Mt5Error}
+ */
+export async function mt5Request(operation, {
+  path,
+  method = 'GET',
+  query = null,
+  body,
+  idempotent = method === 'GET',
+  expectJson = true,
+  timeoutMs = idempotent ? READ_TIMEOUT_MS : WRITE_TIMEOUT_MS,
+  failureMessage = `MT5 ${operation} failed`
+}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== null && value !== undefined) params.append(key, String(value));
+  }
+  const queryString = params.toString();
+  const url = `${MT5_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
+  const stats = operationMetrics(operation);
+  const attempts = idempotent ? READ_RETRIES + 1 : 1;
+
+  stats.calls++;
+  for (let attempt = 1; ; attempt++) {
+    if (!takePermit()) {
+      stats.shortCircuited++;
+      stats.failed++;
+      throw new Mt5Error(`MT5 bridge unavailable (circuit open), ${operation} not attempted`, { code: 'circuit_open', operation });
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await send(operation, {
+        method,
+        url,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        timeoutMs,
+        expectJson,
+        failureMessage,
+        idempotent
+      });
+      recordLatency(stats, Date.now() - startedAt);
+      bridgeUp();
+      stats.succeeded++;
+      return result;
+    } catch (error) {
+      recordLatency(stats, Date.now() - startedAt);
+      if (error.code === 'timeout') stats.timeouts++;
+      if (error.code === 'rejected') {
+        bridgeUp();
+      } else {
+        bridgeDown();
+      }
+
+      if (!error.retryable || attempt >= attempts) {
+        stats.failed++;
+        stats.lastError = error.message;
+        stats.lastErrorAt = new Date();
+        throw error;
+      }
+      stats.retries++;
+      await sleep(RETRY_BASE_MS * 2 ** (attempt - 1) * (0.5 + Math.random()));
+    }
+  }
+}
+
+/**
+ * Circuit breaker state
+ * @returns {Object} { state, consecutiveFailures, openedAt, retryAt }
+ */
+export function getMt5CircuitState() {
+  return {
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt) : null,
+    retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + BREAKER_COOLDOWN_MS) : null
+  };
+}
+
+/**
+ * Request and latency figures of this process since it started
+ * @returns {Object} { baseUrl, circuit, operations: [{ operation, calls, succeeded, failed, ... }] }
+ */
+export function getMt5Metrics() {
+  return {
+    baseUrl: MT5_BASE_URL,
+    circuit: getMt5CircuitState(),
+    operations: [...operations.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([operation, stats]) => {
+        const timed = stats.samples.length;
+        return {
+          operation,
+          calls: stats.calls,
+          succeeded: stats.succeeded,
+          failed: stats.failed,
+          retries: stats.retries,
+          timeouts: stats.timeouts,
+          shortCircuited: stats.shortCircuited,
+          avgMs: timed > 0 ? Math.round(stats.samples.reduce((sum, ms) => sum + ms, 0) / timed) : null,
+          p50Ms: percentile(stats.samples, 50),
+          p95Ms: percentile(stats.samples, 95),
+          maxMs: stats.maxMs || null,
+          lastError: stats.lastError,
+          lastErrorAt: stats.lastErrorAt
+        };
+      })
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Typed views of MT5 bridge payloads
+ * The bridge answers with the object itself or wrapped as { Success, Message, Data },
+ * with PascalCase or camelCase keys, and returns lists as a bare array, { items }
+ * or { Data }. Callers use these helpers instead of probing each shape.
+ */
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * First key present on the record (PascalCase and camelCase variants are both listed by callers)
+ */
+export function pickField(record, ...keys) {
+  return keys.map(key => record?.[key]).find(value => value !== undefined && value !== null);
+}
+
+/**
+ * Strip the { Success, Message, Data } envelope
+ */
+export function unwrapPayload(payload) {
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    if (payload.Data !== undefined && payload.Data !== null) return payload.Data;
+    if (payload.data !== undefined && payload.data !== null) return payload.data;
+  }
+  return payload;
+}
+
+/**
+ * List payload (groups, symbols, trades) as an array
+ * @returns {Array}
+ */
+export function toList(payload) {
+  if (Array.isArray(payload)) return payload;
+  const inner = unwrapPayload(payload);
+  if (Array.isArray(inner)) return inner;
+  const items = pickField(inner, 'items', 'Items', 'trades', 'Trades');
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * @typedef {Object} Mt5AccountSnapshot
+ * @property {number|null} login
+ * @property {string|null} name
+ * @property {string|null} group
+ * @property {number|null} leverage
+ * @property {number|null} balance - null when the bridge did not report one
+ * @property {number} equity - Balance when not reported
+ * @property {number} credit
+ * @property {number} margin
+ * @property {number} freeMargin - Equity minus margin when not reported
+ * @property {number|null} marginLevel - Percent; null without used margin
+ * @property {number} profit - Floating profit of open positions
+ * @property {Object} raw - Unwrapped payload
+ */
+
+/**
+ * Account figures from getClientProfile or getClientBalance
+ * @returns {Mt5AccountSnapshot}
+ */
+export function toAccountSnapshot(payload) {
+  const raw = unwrapPayload(payload) || {};
+  const balance = pickField(raw, 'Balance', 'balance');
+  const equity = toNumber(pickField(raw, 'Equity', 'equity') ?? balance);
+  const margin = toNumber(pickField(raw, 'Margin', 'margin'));
+  const freeMargin = pickField(raw, 'MarginFree', 'marginFree', 'FreeMargin', 'freeMargin');
+  const marginLevel = pickField(raw, 'MarginLevel', 'marginLevel');
+  const login = pickField(raw, 'Login', 'login', 'AccountId', 'accountId');
+  const leverage = pickField(raw, 'Leverage', 'leverage');
+
+  return {
+    login: login !== undefined ? parseInt(login, 10) : null,
+    name: pickField(raw, 'Name', 'name') ?? null,
+    group: pickField(raw, 'Group', 'group') ?? null,
+    leverage: leverage !== undefined ? parseInt(leverage, 10) : null,
+    balance: balance !== undefined ? toNumber(balance) : null,
+    equity,
+    credit: toNumber(pickField(raw, 'Credit', 'credit')),
+    margin,
+    // Without open positions free margin equals equity
+    freeMargin: freeMargin !== undefined ? toNumber(freeMargin) : equity - margin,
+    marginLevel: marginLevel !== undefined && toNumber(marginLevel) > 0
+      ? toNumber(marginLevel)
+      : margin > 0 ? (equity / margin) * 100 : null,
+    profit: toNumber(pickField(raw, 'Profit', 'profit', 'Floating', 'floating')),
+    raw
+  };
+}
+
+/**
+ * Deal id of a balance, credit or bonus operation, if the bridge reported one
+ * @returns {string|null}
+ */
+export function toDealId(payload) {
+  const raw = unwrapPayload(payload);
+  const deal = pickField(raw, 'DealId', 'dealId', 'Deal', 'deal', 'Ticket', 'ticket');
+  return deal !== undefined ? String(deal) : null;
+}
+
+/**
+ * @typedef {Object} Mt5TradeRecord
+ * @property {number|null} ticket - Deal (closed trade) or position ticket
+ * @property {number|null} positionId
+ * @property {string|null} symbol
+ * @property {string|null} side - buy | sell, or the bridge value when it is neither
+ * @property {number} volume - Lots
+ * @property {number|null} priceOpen
+ * @property {number|null} priceClose - Current price for open positions
+ * @property {number} profit
+ * @property {number} commission
+ * @property {number} swap
+ * @property {Date|null} openTime
+ * @property {Date|null} closeTime - null for open positions
+ * @property {string|null} comment
+ * @property {Object} raw
+ */
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  // Unix seconds from some bridge versions
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) || date.getTime() <= 0 ? null : date;
+};
+
+const SIDES = { 0: 'buy', 1: 'sell' };
+
+/**
+ * One entry of getClosedTrades / getAllTrades
+ * @returns {Mt5TradeRecord}
+ */
+export function toTradeRecord(trade) {
+  const ticket = pickField(trade, 'Ticket', 'ticket', 'Deal', 'deal', 'Position', 'position', 'Order', 'order');
+  const positionId = pickField(trade, 'PositionId', 'positionId', 'PositionID', 'position_id', 'Position', 'position');
+  const side = pickField(trade, 'Type', 'type', 'Action', 'action', 'Side', 'side');
+  const priceOpen = pickField(trade, 'PriceOpen', 'priceOpen', 'OpenPrice', 'openPrice');
+  const priceClose = pickField(trade, 'PriceClose', 'priceClose', 'ClosePrice', 'closePrice', 'PriceCurrent', 'priceCurrent', 'Price', 'price');
+
+  return {
+    ticket: ticket !== undefined ? parseInt(ticket, 10) : null,
+    positionId: positionId !== undefined ? parseInt(positionId, 10) : null,
+    symbol: pickField(trade, 'Symbol', 'symbol') ?? null,
+    side: side === undefined ? null : SIDES[side] || String(side).toLowerCase(),
+    volume: toNumber(pickField(trade, 'Volume', 'volume', 'VolumeInLots', 'volumeInLots', 'Lots', 'lots', 'Size', 'size')),
+    priceOpen: priceOpen !== undefined ? toNumber(priceOpen) : null,
+    priceClose: priceClose !== undefined ? toNumber(priceClose) : null,
+    profit: toNumber(pickField(trade, 'Profit', 'profit', 'ProfitLoss', 'profitLoss', 'RealProfit', 'realProfit', 'PL', 'pl')),
+    commission: toNumber(pickField(trade, 'Commission', 'commission')),
+    swap: toNumber(pickField(trade, 'Swap', 'swap', 'Storage', 'storage')),
+    openTime: toDate(pickField(trade, 'time_setup', 'TimeSetup', 'timeSetup', 'OpenTime', 'openTime')),
+    closeTime: toDate(pickField(trade, 'time_done', 'TimeDone', 'timeDone', 'CloseTime', 'closeTime', 'ClosedAt', 'closedAt')),
+    comment: pickField(trade, 'Comment', 'comment') ?? null,
+    raw: trade
+  };
+}
@@ -0,0 +1,614 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import express from 'express';
+
+/**
+ * MT5 Manager API simulator for local development and tests
+ * Serves the bridge endpoints mt5.service.js calls from in-memory state, so
+ * account creation, balance operations, trade history and group sync can be
+ * exercised offline. Point MT5_API_URL at it (scripts/mt5_simulator.js).
+ *
+ * State (accounts, deals, closed trades, open positions) lives for the life of
+ * the process and is written to stateFile after every change when one is given.
+ *
+ * Control endpoints under /_sim (not part of the real bridge):
+ *   GET    /_sim/state                       -> whole state
+ *   POST   /_sim/reset                       -> back to the seed groups/symbols
+ *   POST   /_sim/faults                      -> inject a fault (see injectFault)
+ *   GET    /_sim/faults | DELETE /_sim/faults
+ *   POST   /_sim/accounts/:login/trades      -> add closed trades ({ trades: [...] } or { count })
+ *   POST   /_sim/accounts/:login/positions   -> open a position
+ *   POST   /_sim/positions/:ticket/close     -> close a position ({ closePrice, profit })
+ *
+ * Balance operations answer with the deal id MT5 booked them under, and deals
+ * are kept per account so tests can check what reached "MT5"; the full trade
+ * list (/client/tradehistory/trades) includes them with their comment.
+ */
+
+const DEFAULT_GROUPS = [
+  { Group: 'real\\Bbook\\Standard\\dynamic-2000x-20Pips', Currency: 'USD', Leverage: 2000, MarginCall: 100, MarginStopOut: 30 },
+  { Group: 'real\\Bbook\\Pro\\dynamic-2000x-10P', Currency: 'USD', Leverage: 2000, MarginCall: 100, MarginStopOut: 30 },
+  { Group: 'real\\ECN-USD-200x-Abook', Currency: 'USD', Leverage: 200, MarginCall: 100, MarginStopOut: 50 },
+  { Group: 'demo\\DEMO-USD-100x', Currency: 'USD', Leverage: 100, MarginCall: 100, MarginStopOut: 30, DemoLeverage: 100, DemoDeposit: 10000 }
+];
+
+const DEFAULT_SYMBOLS = [
+  { Symbol: 'EURUSD', Description: 'Euro vs US Dollar', Digits: 5, ContractSize: 100000, Path: 'Forex\\Majors\\EURUSD', Price: 1.0850 },
+  { Symbol: 'GBPUSD', Description: 'Great Britain Pound vs US Dollar', Digits: 5, ContractSize: 100000, Path: 'Forex\\Majors\\GBPUSD', Price: 1.2650 },
+  { Symbol: 'USDJPY', Description: 'US Dollar vs Japanese Yen', Digits: 3, ContractSize: 100000, Path: 'Forex\\Majors\\USDJPY', Price: 151.20 },
+  { Symbol: 'XAUUSD', Description: 'Gold vs US Dollar', Digits: 2, ContractSize: 100, Path: 'Metals\\XAUUSD', Price: 2350.00 },
+  { Symbol: 'US30', Description: 'Dow Jones 30', Digits: 1, ContractSize: 1, Path: 'Indices\\US30', Price: 39000.0 },
+  { Symbol: 'BTCUSD', Description: 'Bitcoin vs US Dollar', Digits: 2, ContractSize: 1, Path: 'Crypto\\BTCUSD', Price: 65000.00 }
+];
+
+export const FAULT_MODES = ['error', 'reject', 'timeout', 'apply_then_timeout', 'delay', 'disconnect', 'invalid_json'];
+
+// MT5 return codes the simulator answers with
+const RET_INVALID_PARAMS = 3;
+const RET_NOT_FOUND = 13;
+const RET_INVALID_PASSWORD = 3006;
+const RET_NO_MONEY = 10019;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function simError(message, status = 400, mt5Code = RET_INVALID_PARAMS) {
+  const error = new Error(`${message} (${mt5Code})`);
+  error.status = status;
+  error.mt5Code = mt5Code;
+  return error;
+}
+
+function initialState() {
+  return {
+    nextLogin: 700001,
+    nextTicket: 5000001,
+    groups: DEFAULT_GROUPS.map(group => ({ ...group })),
+    symbols: DEFAULT_SYMBOLS.map(symbol => ({ ...symbol })),
+    accounts: {},
+    deals: [],
+    trades: [],
+    positions: []
+  };
+}
+
+// MT5 accepts passwords of 8-16 characters with lower and upper case letters and digits
+function isValidPassword(password) {
+  return typeof password === 'string'
+    && password.length >= 8 && password.length <= 16
+    && /[a-z]/.test(password) && /[A-Z]/.test(password) && /\d/.test(password);
+}
+
+/**
+ * Create a simulator instance
+ * @param {Object} [options]
+ * @param {string} [options.basePath='/api'] - Mount point of the bridge endpoints
+ * @param {string} [options.stateFile] - JSON file the state is loaded from and saved to
+ * @param {boolean} [options.log=false] - Log each bridge call
+ * @returns {Object} { app, state, injectFault, clearFaults, listFaults, reset, listen }
+ */
+export function createMt5Simulator({ basePath = '/api', stateFile = null, log = false } = {}) {
+  let state = initialState();
+  if (stateFile && fs.existsSync(stateFile)) {
+    state = { ...state, ...JSON.parse(fs.readFileSync(stateFile, 'utf8')) };
+  }
+  let faults = [];
+
+  const save = () => {
+    if (stateFile) {
+      fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    }
+  };
+
+  const nextTicket = () => state.nextTicket++;
+
+  function getAccount(login) {
+    const account = state.accounts[String(login)];
+    if (!account) {
+      throw simError(`Account ${login} not found`, 404, RET_NOT_FOUND);
+    }
+    return account;
+  }
+
+  function accountFigures(account) {
+    const positions = state.positions.filter(position => position.login === account.login);
+    const floating = round2(positions.reduce((sum, position) => sum + position.profit, 0));
+    const margin = round2(positions.reduce((sum, position) => sum + position.margin, 0));
+    const equity = round2(account.balance + account.credit + floating);
+    return {
+      Balance: account.balance,
+      Credit: account.credit,
+      Equity: equity,
+      Margin: margin,
+      MarginFree: round2(equity - margin),
+      MarginLevel: margin > 0 ? round2((equity / margin) * 100) : 0,
+      Profit: floating
+    };
+  }
+
+  function profile(account) {
+    return {
+      Login: account.login,
+      Name: account.name,
+      Group: account.group,
+      Leverage: account.leverage,
+      Email: account.email,
+      Country: account.country,
+      City: account.city,
+      Phone: account.phone,
+      Comment: account.comment,
+      Enabled: account.enabled,
+      Registration: account.registration,
+      ...accountFigures(account)
+    };
+  }
+
+  function createAccount(body) {
+    const { name, group, leverage, masterPassword, investorPassword } = body || {};
+    if (!name || !group) {
+      throw simError('name and group are required');
+    }
+    if (!isValidPassword(masterPassword) || !isValidPassword(investorPassword)) {
+      throw simError('Invalid account password', 400, RET_INVALID_PASSWORD);
+    }
+    // The CRM may offer groups that are not seeded here; accept them like a configured server would
+    if (!state.groups.some(existing => existing.Group === group)) {
+      state.groups.push({ Group: group, Currency: 'USD', Leverage: parseInt(leverage, 10) || 100, MarginCall: 100, MarginStopOut: 30 });
+    }
+
+    const login = state.nextLogin++;
+    const account = {
+      login,
+      name,
+      group,
+      leverage: parseInt(leverage, 10) || 100,
+      email: null,
+      country: null,
+      city: null,
+      phone: null,
+      comment: null,
+      enabled: true,
+      masterPassword,
+      investorPassword,
+      balance: 0,
+      credit: 0,
+      registration: new Date().toISOString()
+    };
+    state.accounts[String(login)] = account;
+
+    const groupConfig = state.groups.find(existing => existing.Group === group);
+    if (group.toLowerCase().startsWith('demo') && groupConfig?.DemoDeposit > 0) {
+      bookDeal(account, 'balance', groupConfig.DemoDeposit, 'Demo deposit');
+    }
+    return { Login: login, Name: name, Group: group, Leverage: account.leverage };
+  }
+
+  function bookDeal(account, type, amount, comment) {
+    const deal = {
+      deal: nextTicket(),
+      login: account.login,
+      type,
+      amount: round2(amount),
+      comment: comment || null,
+      time: new Date().toISOString()
+    };
+    state.deals.push(deal);
+    if (type === 'balance') {
+      account.balance = round2(account.balance + amount);
+    } else {
+      // MT5 has no separate bonus field; bonuses are booked as credit
+      account.credit = round2(account.credit + amount);
+    }
+    return deal;
+  }
+
+  function balanceOperation(login, type, direction, body) {
+    const account = getAccount(login);
+    const amount = parseFloat(body?.balance);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw simError('balance must be a positive number');
+    }
+    if (direction < 0) {
+      const available = type === 'balance' ? accountFigures(account).MarginFree : account.credit;
+      if (amount > available) {
+        throw simError('Not enough money', 400, RET_NO_MONEY);
+      }
+    }
+    const deal = bookDeal(account, type, direction * amount, body?.comment);
+    return {
+      Success: true,
+      Message: 'Done',
+      Data: { Login: account.login, DealId: deal.deal, Balance: account.balance, Credit: account.credit }
+    };
+  }
+
+  function addClosedTrade(login, trade = {}) {
+    const account = getAccount(login);
+    const symbol = state.symbols.find(existing => existing.Symbol === trade.symbol) || state.symbols[0];
+    const closeTime = trade.closeTime ? new Date(trade.closeTime) : new Date();
+    const openTime = trade.openTime ? new Date(trade.openTime) : new Date(closeTime.getTime() - 15 * 60 * 1000);
+    const volume = parseFloat(trade.volume ?? 0.1);
+    const profit = round2(parseFloat(trade.profit ?? (Math.random() * 200 - 100)));
+    const commission = round2(parseFloat(trade.commission ?? -(volume * 7)));
+    const swap = round2(parseFloat(trade.swap ?? 0));
+    const ticket = nextTicket();
+
+    const closed = {
+      ticket,
+      positionId: trade.positionId ?? ticket,
+      login: account.login,
+      symbol: symbol.Symbol,
+      type: trade.type || 'buy',
+      volume,
+      priceOpen: parseFloat(trade.openPrice ?? symbol.Price),
+      priceClose: parseFloat(trade.closePrice ?? symbol.Price),
+      profit,
+      commission,
+      swap,
+      comment: trade.comment || null,
+      time_setup: openTime.toISOString(),
+      time_done: closeTime.toISOString()
+    };
+    state.trades.push(closed);
+    // Realized P/L lands on the balance, as on a real server
+    account.balance = round2(account.balance + profit + commission + swap);
+    return closed;
+  }
+
+  function openPosition(login, position = {}) {
+    const account = getAccount(login);
+    const symbol = state.symbols.find(existing => existing.Symbol === position.symbol) || state.symbols[0];
+    const volume = parseFloat(position.volume ?? 0.1);
+    const priceOpen = parseFloat(position.openPrice ?? symbol.Price);
+    const margin = round2(parseFloat(position.margin ?? (volume * symbol.ContractSize * priceOpen) / account.leverage));
+    const ticket = nextTicket();
+
+    const opened = {
+      ticket,
+      positionId: ticket,
+      login: account.login,
+      symbol: symbol.Symbol,
+      type: position.type || 'buy',
+      volume,
+      priceOpen,
+      priceCurrent: parseFloat(position.currentPrice ?? priceOpen),
+      profit: round2(parseFloat(position.profit ?? 0)),
+      swap: round2(parseFloat(position.swap ?? 0)),
+      margin,
+      time_setup: position.openTime ? new Date(position.openTime).toISOString() : new Date().toISOString()
+    };
+    state.positions.push(opened);
+    return opened;
+  }
+
+  function closePosition(ticket, { closePrice, profit } = {}) {
+    const index = state.positions.findIndex(position => position.ticket === parseInt(ticket, 10));
+    if (index === -1) {
+      throw simError(`Position ${ticket} not found`, 404, RET_NOT_FOUND);
+    }
+    const [position] = state.positions.splice(index, 1);
+    return addClosedTrade(position.login, {
+      positionId: position.positionId,
+      symbol: position.symbol,
+      type: position.type,
+      volume: position.volume,
+      openPrice: position.priceOpen,
+      closePrice: closePrice ?? position.priceCurrent,
+      profit: profit ?? position.profit,
+      swap: position.swap,
+      commission: 0,
+      openTime: position.time_setup
+    });
+  }
+
+  function tradeHistory(query, includeOpen) {
+    const login = parseInt(query.accountId, 10);
+    getAccount(login);
+    const from = query.fromDate ? new Date(query.fromDate).getTime() : null;
+    const to = query.toDate ? new Date(query.toDate).getTime() : null;
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const pageSize = Math.max(parseInt(query.pageSize, 10) || 1000, 1);
+
+    let items = state.trades.filter(trade => {
+      if (trade.login !== login) return false;
+      const closedAt = new Date(trade.time_done).getTime();
+      return (from === null || closedAt >= from) && (to === null || closedAt <= to);
+    });
+    if (includeOpen) {
+      // The full list also carries balance/credit deals, closed at booking time
+      const deals = state.deals
+        .filter(deal => {
+          if (deal.login !== login) return false;
+          const bookedAt = new Date(deal.time).getTime();
+          return (from === null || bookedAt >= from) && (to === null || bookedAt <= to);
+        })
+        .map(deal => ({
+          ticket: deal.deal,
+          login: deal.login,
+          type: deal.type,
+          volume: 0,
+          profit: deal.amount,
+          comment: deal.comment,
+          time_setup: deal.time,
+          time_done: deal.time
+        }));
+      items = items.concat(deals, state.positions.filter(position => position.login === login));
+    }
+    items.sort((a, b) => a.ticket - b.ticket);
+
+    return {
+      Success: true,
+      Data: {
+        items: items.slice((page - 1) * pageSize, page * pageSize),
+        totalCount: items.length,
+        page,
+        pageSize
+      }
+    };
+  }
+
+  /**
+   * Make upcoming calls of an operation fail
+   * @param {Object} fault
+   * @param {string} fault.operation - mt5.service operation name (addBalance, getGroups, ...) or '*'
+   * @param {string} [fault.mode='error'] - One of FAULT_MODES:
+   *   error (HTTP status, default 500), reject (400 with an MT5 code), timeout (no answer),
+   *   apply_then_timeout (change applied, no answer), delay (answer after delayMs),
+   *   disconnect (socket closed), invalid_json (200 with a non-JSON body)
+   * @param {number} [fault.times=1] - Calls affected; 0 until cleared
+   * @param {number} [fault.status] - HTTP status for error
+   * @param {string} [fault.message]
+   * @param {number} [fault.mt5Code] - For reject
+   * @param {number} [fault.delayMs] - For delay, and how long timeout modes hold the socket (default 120000)
+   * @returns {Object} The stored fault with its id
+   */
+  function injectFault({ operation, mode = 'error', times = 1, status, message, mt5Code, delayMs } = {}) {
+    if (!operation) {
+      throw simError('operation is required');
+    }
+    if (!FAULT_MODES.includes(mode)) {
+      throw simError(`mode must be one of ${FAULT_MODES.join(', ')}`);
+    }
+    const fault = {
+      id: crypto.randomUUID(),
+      operation,
+      mode,
+      remaining: parseInt(times, 10) || 0,
+      status: status ? parseInt(status, 10) : null,
+      message: message || null,
+      mt5Code: mt5Code ?? null,
+      delayMs: delayMs !== undefined ? parseInt(delayMs, 10) : null
+    };
+    faults.push(fault);
+    return fault;
+  }
+
+  function takeFault(operation) {
+    const fault = faults.find(candidate => candidate.operation === operation || candidate.operation === '*');
+    if (!fault) return null;
+    if (fault.remaining > 0) {
+      fault.remaining--;
+      if (fault.remaining === 0) {
+        faults = faults.filter(candidate => candidate !== fault);
+      }
+    }
+    return fault;
+  }
+
+  function holdOpen(res, fault) {
+    // Keep the socket silent until the caller gives up, then drop it
+    const timer = setTimeout(() => res.socket?.destroy(), fault.delayMs ?? 120000);
+    res.on('close', () => clearTimeout(timer));
+  }
+
+  // Wrap a bridge handler with logging, fault injection and MT5-style errors
+  const operation = (name, handler, { text = false } = {}) => async (req, res) => {
+    if (log) {
+      console.log(`[mt5-sim] ${req.method} ${req.originalUrl} (${name})`);
+    }
+    const fault = takeFault(name);
+    try {
+      if (fault?.mode === 'disconnect') {
+        return req.socket.destroy();
+      }
+      if (fault?.mode === 'timeout') {
+        return holdOpen(res, fault);
+      }
+      if (fault?.mode === 'error') {
+        return res.status(fault.status || 500).json({ Success: false, Message: fault.message || 'Internal bridge error' });
+      }
+      if (fault?.mode === 'reject') {
+        const code = fault.mt5Code ?? RET_INVALID_PARAMS;
+        return res.status(fault.status || 400).json({
+          Success: false,
+          Message: `${fault.message || 'Request rejected'} (${code})`,
+          ErrorCode: code
+        });
+      }
+      if (fault?.mode === 'invalid_json') {
+        return res.status(200).type('text/html').send('<html><body>Bad Gateway</body></html>');
+      }
+      if (fault?.mode === 'delay') {
+        await new Promise(resolve => setTimeout(resolve, fault.delayMs ?? 1000));
+      }
+
+      const result = await handler(req);
+      save();
+
+      if (fault?.mode === 'apply_then_timeout') {
+        return holdOpen(res, fault);
+      }
+      if (text) {
+        return res.type('text/plain').send(result);
+      }
+      res.json(result);
+    } catch (error) {
+      if (!error.status) {
+        console.error(`[mt5-sim] ${name} failed:`, error);
+      }
+      res.status(error.status || 500).json({
+        Success: false,
+        Message: error.message,
+        ErrorCode: error.mt5Code ?? null
+      });
+    }
+  };
+
+  const bridge = express.Router();
+  bridge.use(express.json({ strict: false }));
+
+  bridge.get('/Groups', operation('getGroups', () => state.groups));
+  bridge.get('/Symbols', operation('getSymbols', () => state.symbols));
+  bridge.post('/Users', operation('createAccount', req => createAccount(req.body)));
+
+  bridge.get('/Users/:login/getClientProfile', operation('getClientProfile', req => ({
+    Success: true,
+    Message: 'Done',
+    Data: profile(getAccount(req.params.login))
+  })));
+
+  bridge.get('/Users/:login/GetClientBalance', operation('getClientBalance', req => {
+    const account = getAccount(req.params.login);
+    return { Success: true, Message: 'Done', Data: { Login: account.login, ...accountFigures(account) } };
+  }));
+
+  const balanceRoutes = [
+    ['AddClientBalance', 'addBalance', 'balance', 1],
+    ['DeductClientBalance', 'deductBalance', 'balance', -1],
+    ['AddClientCredit', 'addCredit', 'credit', 1],
+    ['DeductClientCredit', 'deductCredit', 'credit', -1],
+    ['AddClientBonus', 'addBonus', 'bonus', 1],
+    ['DeductClientBonus', 'deductBonus', 'bonus', -1]
+  ];
+  for (const [endpoint, name, type, direction] of balanceRoutes) {
+    bridge.post(`/Users/:login/${endpoint}`, operation(name, req => balanceOperation(req.params.login, type, direction, req.body)));
+  }
+
+  bridge.put('/Users/:login', operation('updateUser', req => {
+    const account = getAccount(req.params.login);
+    const body = req.body || {};
+    for (const field of ['name', 'group', 'email', 'country', 'city', 'phone', 'comment']) {
+      if (body[field] !== undefined) account[field] = body[field];
+    }
+    if (body.leverage !== undefined) account.leverage = parseInt(body.leverage, 10);
+    if (body.masterPassword !== undefined) {
+      if (!isValidPassword(body.masterPassword)) {
+        throw simError('Invalid account password', 400, RET_INVALID_PASSWORD);
+      }
+      account.masterPassword = body.masterPassword;
+    }
+    return { Success: true, Message: 'Done', Data: profile(account) };
+  }));
+
+  bridge.put('/Security/users/:login/password/change', operation('changePassword', req => {
+    const account = getAccount(req.params.login);
+    const password = req.body;
+    if (!isValidPassword(password)) {
+      throw simError('Invalid account password', 400, RET_INVALID_PASSWORD);
+    }
+    if (req.query.passwordType === 'investor') {
+      account.investorPassword = password;
+    } else {
+      account.masterPassword = password;
+    }
+    return 'Password changed successfully';
+  }, { text: true }));
+
+  bridge.post('/users/:login/enable', operation('enableAccount', req => {
+    getAccount(req.params.login).enabled = true;
+    return 'Account enabled';
+  }, { text: true }));
+
+  bridge.post('/users/:login/disable', operation('disableAccount', req => {
+    getAccount(req.params.login).enabled = false;
+    return 'Account disabled';
+  }, { text: true }));
+
+  bridge.post('/client/auth/login', operation('clientLogin', req => {
+    const { accountId, password } = req.body || {};
+    const account = getAccount(accountId);
+    if (!account.enabled || (password !== account.masterPassword && password !== account.investorPassword)) {
+      throw simError('Invalid account or password', 401, RET_INVALID_PASSWORD);
+    }
+    return { Success: true, Token: crypto.randomBytes(24).toString('hex') };
+  }));
+
+  bridge.get('/client/tradehistory/trades-closed', operation('getClosedTrades', req => tradeHistory(req.query, false)));
+  bridge.get('/client/tradehistory/trades', operation('getAllTrades', req => tradeHistory(req.query, true)));
+
+  const control = express.Router();
+  control.use(express.json());
+
+  const controlRoute = (handler) => (req, res) => {
+    try {
+      const result = handler(req);
+      save();
+      res.json({ success: true, data: result });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+  };
+
+  control.get('/state', controlRoute(() => state));
+  control.post('/reset', controlRoute(() => reset()));
+  control.get('/faults', controlRoute(() => faults));
+  control.post('/faults', controlRoute(req => injectFault(req.body)));
+  control.delete('/faults', controlRoute(() => clearFaults()));
+  control.post('/accounts/:login/trades', controlRoute(req => {
+    const body = req.body || {};
+    const trades = Array.isArray(body.trades)
+      ? body.trades
+      : Array.from({ length: Math.min(parseInt(body.count, 10) || 1, 10000) }, () => ({ ...body, count: undefined }));
+    return trades.map(trade => addClosedTrade(req.params.login, trade));
+  }));
+  control.post('/accounts/:login/positions', controlRoute(req => openPosition(req.params.login, req.body)));
+  control.post('/positions/:ticket/close', controlRoute(req => closePosition(req.params.ticket, req.body)));
+
+  const app = express();
+  app.use(basePath, bridge);
+  app.use('/_sim', control);
+
+  function clearFaults() {
+    faults = [];
+    return faults;
+  }
+
+  function reset() {
+    state = initialState();
+    faults = [];
+    save();
+    return state;
+  }
+
+  return {
+    app,
+    get state() {
+      return state;
+    },
+    injectFault,
+    clearFaults,
+    listFaults: () => faults,
+    addClosedTrade,
+    openPosition,
+    closePosition,
+    reset,
+    /**
+     * Start listening; resolves with { server, url, close }
+     * url is the value to use as MT5_API_URL
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise(resolve => {
+        const server = app.listen(port, host, () => {
+          const url = `http://${host}:${server.address().port}${basePath}`;
+          resolve({
+            server,
+            url,
+            close: () => new Promise(done => {
+              server.closeAllConnections?.();
+              server.close(() => done());
+            })
+          });
+        });
+      });
+    }
+  };
+}
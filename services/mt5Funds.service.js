@@ -0,0 +1,78 @@
+import pool from '../config/database.js';
+import * as mt5Service from './mt5.service.js';
+import { toAccountSnapshot } from './mt5/normalize.js';
+
+/**
+ * MT5 Funds Service
+ * Live balance / margin figures of an MT5 account, read from
+ * getClientBalance instead of the cached trading_accounts columns, for the
+ * checks that must not let a client move money backing open positions.
+ *
+ * Withdrawable = free margin - credit (bonus money is never paid out), capped
+ * by the balance and, when the group sets withdrawal_margin_level_floor, by
+ * the amount that keeps the margin level at or above that floor.
+ */
+
+// Never round a withdrawable amount up
+const floorAmount = (amount) => Math.floor(Math.round(amount * 1e6) / 1e4) / 100;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Live funds of an MT5 account
+ * @param {number|string} login
+ * @returns {Promise<Object>} { balance, equity, margin, freeMargin, credit, marginLevel }
+ * @throws {Error} When MT5 is unreachable or the balance is missing from the response
+ */
+export async function getLiveAccountFunds(login) {
+  const result = await mt5Service.getClientBalance(parseInt(login, 10));
+  const { balance, equity, margin, freeMargin, credit, marginLevel } = toAccountSnapshot(result.data);
+  if (balance === null) {
+    throw new Error('MT5 balance missing from response');
+  }
+
+  return { balance, equity, margin, freeMargin, credit, marginLevel };
+}
+
+/**
+ * Withdrawable breakdown of an MT5 account, returned to the UI as is
+ * @param {number|string} login
+ * @returns {Promise<Object>} Live funds plus { currency, marginLevelFloor, maxByMarginLevel, withdrawable }
+ */
+export async function getWithdrawableBreakdown(login, client = pool) {
+  const groupResult = await client.query(
+    `SELECT COALESCE(mg.currency, ta.currency, 'USD') AS currency, mg.withdrawal_margin_level_floor
+     FROM trading_accounts ta
+     LEFT JOIN mt5_groups mg ON ta.mt5_group_name = mg.group_name AND mg.is_active = TRUE
+     WHERE ta.account_number = $1 AND ta.platform = 'MT5'
+     LIMIT 1`,
+    [String(login)]
+  );
+  const group = groupResult.rows[0] || {};
+  const funds = await getLiveAccountFunds(login);
+
+  const marginLevelFloor = group.withdrawal_margin_level_floor !== null && group.withdrawal_margin_level_floor !== undefined
+    ? toNumber(group.withdrawal_margin_level_floor)
+    : null;
+  // (equity - x) / margin * 100 >= floor  =>  x <= equity - floor * margin / 100
+  const maxByMarginLevel = marginLevelFloor !== null && funds.margin > 0
+    ? funds.equity - (marginLevelFloor * funds.margin) / 100
+    : null;
+
+  let withdrawable = Math.min(funds.freeMargin - funds.credit, funds.balance);
+  if (maxByMarginLevel !== null) {
+    withdrawable = Math.min(withdrawable, maxByMarginLevel);
+  }
+
+  return {
+    login: String(login),
+    currency: String(group.currency || 'USD').toUpperCase(),
+    ...funds,
+    marginLevelFloor,
+    maxByMarginLevel: maxByMarginLevel !== null ? floorAmount(Math.max(0, maxByMarginLevel)) : null,
+    withdrawable: floorAmount(Math.max(0, withdrawable))
+  };
+}
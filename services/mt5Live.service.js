@@ -0,0 +1,198 @@
+import pool from '../config/database.js';
+import * as mt5Service from './mt5.service.js';
+import { toList, toTradeRecord } from './mt5/normalize.js';
+import { getLiveAccountFunds } from './mt5Funds.service.js';
+
+/**
+ * MT5 Live Service
+ * Open positions and live funds for the client dashboard. Answers are cached
+ * in memory for MT5_LIVE_CACHE_TTL_MS per account, and concurrent requests for
+ * the same account share one bridge call, so a dashboard polling several
+ * accounts costs at most one getClientBalance and one trade list per account
+ * and period. Failed calls are not cached.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.MT5_LIVE_CACHE_TTL_MS || '5000', 10);
+const POSITIONS_PAGE_SIZE = 1000;
+const MAX_POSITION_PAGES = 10;
+
+// key -> { promise, fetchedAt }
+const cache = new Map();
+
+function cached(key, load) {
+  const now = Date.now();
+  const entry = cache.get(key);
+  if (entry && now - entry.fetchedAt < CACHE_TTL_MS) {
+    return entry.promise;
+  }
+
+  for (const [otherKey, other] of cache) {
+    if (now - other.fetchedAt >= CACHE_TTL_MS) cache.delete(otherKey);
+  }
+
+  const promise = load().then(
+    data => ({ ...data, asOf: new Date(now) }),
+    error => {
+      if (cache.get(key)?.promise === promise) cache.delete(key);
+      throw error;
+    }
+  );
+  cache.set(key, { promise, fetchedAt: now });
+  return promise;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Margin level in percent, null without margin in use (MT5 shows none either)
+const marginLevelOf = (equity, margin) => (margin > 0 ? round2((equity / margin) * 100) : null);
+
+function formatPosition(record) {
+  return {
+    ticket: record.ticket,
+    positionId: record.positionId,
+    symbol: record.symbol,
+    side: record.side,
+    volume: record.volume,
+    priceOpen: record.priceOpen,
+    priceCurrent: record.priceClose,
+    profit: record.profit,
+    swap: record.swap,
+    commission: record.commission,
+    openTime: record.openTime,
+    comment: record.comment
+  };
+}
+
+/**
+ * Open positions of an MT5 account
+ * The bridge lists open positions with the trade list whatever its date
+ * filter; asking from now keeps closed history out of the answer.
+ * @param {number|string} login
+ * @returns {Promise<Object>} { login, positions, floatingPl, asOf }
+ */
+export function getOpenPositions(login) {
+  const mt5Login = parseInt(login, 10);
+  return cached(`positions:${mt5Login}`, async () => {
+    const from = new Date().toISOString();
+    const positions = [];
+    for (let page = 1; page <= MAX_POSITION_PAGES; page++) {
+      const result = await mt5Service.getAllTrades(mt5Login, from, null, page, POSITIONS_PAGE_SIZE);
+      const items = toList(result.data);
+      positions.push(
+        ...items.map(toTradeRecord)
+          .filter(record => record.ticket !== null && !record.closeTime)
+          .map(formatPosition)
+      );
+      if (items.length < POSITIONS_PAGE_SIZE) break;
+    }
+
+    return {
+      login: String(mt5Login),
+      positions,
+      floatingPl: round2(positions.reduce((sum, position) => sum + position.profit + position.swap, 0))
+    };
+  });
+}
+
+/**
+ * Live funds of an MT5 account, cached like the positions
+ * @param {number|string} login
+ * @returns {Promise<Object>} { balance, equity, margin, freeMargin, credit, marginLevel, asOf }
+ */
+export function getCachedAccountFunds(login) {
+  const mt5Login = parseInt(login, 10);
+  return cached(`funds:${mt5Login}`, () => getLiveAccountFunds(mt5Login));
+}
+
+/**
+ * Live funds and open positions of one account
+ * @param {number|string} login
+ * @returns {Promise<Object>} { balance, equity, margin, freeMargin, credit, marginLevel, floatingPl, positions, asOf }
+ */
+export async function getAccountLiveState(login) {
+  const [funds, open] = await Promise.all([getCachedAccountFunds(login), getOpenPositions(login)]);
+  return {
+    balance: funds.balance,
+    equity: funds.equity,
+    margin: funds.margin,
+    freeMargin: funds.freeMargin,
+    credit: funds.credit,
+    marginLevel: funds.marginLevel ?? marginLevelOf(funds.equity, funds.margin),
+    floatingPl: open.floatingPl,
+    positions: open.positions,
+    // The older of the two answers
+    asOf: funds.asOf < open.asOf ? funds.asOf : open.asOf
+  };
+}
+
+/**
+ * Open positions and funds across a user's active real MT5 accounts
+ * Accounts the bridge could not answer for are listed with their error and
+ * left out of the totals. Totals are per currency; margin level is computed
+ * from the summed equity and margin.
+ * @param {number} userId
+ * @returns {Promise<Object>} { accounts, totals, failedAccounts }
+ */
+export async function getUserAccountsOverview(userId, client = pool) {
+  const accountsResult = await client.query(
+    `SELECT account_number, UPPER(COALESCE(currency, 'USD')) AS currency
+     FROM trading_accounts
+     WHERE user_id = $1 AND platform = 'MT5' AND is_demo = FALSE
+       AND (account_status IS NULL OR account_status = 'active')
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  const accounts = await Promise.all(accountsResult.rows.map(async (row) => {
+    const base = { accountNumber: row.account_number, currency: row.currency };
+    if (Number.isNaN(parseInt(row.account_number, 10))) {
+      return { ...base, error: 'Invalid account number' };
+    }
+    try {
+      return { ...base, ...(await getAccountLiveState(row.account_number)) };
+    } catch (error) {
+      console.error(`Live state of MT5 account ${row.account_number} failed:`, error.message);
+      return { ...base, error: error.message, retryable: Boolean(error.retryable) };
+    }
+  }));
+
+  const totalsByCurrency = new Map();
+  for (const account of accounts) {
+    if (account.error) continue;
+    const totals = totalsByCurrency.get(account.currency) || {
+      currency: account.currency,
+      balance: 0,
+      equity: 0,
+      margin: 0,
+      freeMargin: 0,
+      credit: 0,
+      floatingPl: 0,
+      openPositions: 0
+    };
+    totals.balance += account.balance;
+    totals.equity += account.equity;
+    totals.margin += account.margin;
+    totals.freeMargin += account.freeMargin;
+    totals.credit += account.credit;
+    totals.floatingPl += account.floatingPl;
+    totals.openPositions += account.positions.length;
+    totalsByCurrency.set(account.currency, totals);
+  }
+
+  const totals = [...totalsByCurrency.values()].map(total => ({
+    ...total,
+    balance: round2(total.balance),
+    equity: round2(total.equity),
+    margin: round2(total.margin),
+    freeMargin: round2(total.freeMargin),
+    credit: round2(total.credit),
+    floatingPl: round2(total.floatingPl),
+    marginLevel: marginLevelOf(total.equity, total.margin)
+  }));
+
+  return {
+    accounts,
+    totals,
+    failedAccounts: accounts.filter(account => account.error).length
+  };
+}
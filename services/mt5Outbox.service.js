@@ -0,0 +1,408 @@
+import pool from '../config/database.js';
+import * as mt5Service from './mt5.service.js';
+import { toDealId } from './mt5/normalize.js';
+
+/**
+ * MT5 Operation Outbox
+ * Balance changes owed to an MT5 account are queued in mt5_operations inside
+ * the transaction that records the business change (deposit approved,
+ * withdrawal released, admin credit), then applied by a worker:
+ *
+ *   pending -> processing -> succeeded (deal id stored)
+ *   bridge down / refused -> pending again with backoff, escalated once out of attempts
+ *   outcome unknown (timeout mid-write, crash while processing) -> escalated
+ *   escalated -> retried, marked applied or cancelled by an admin
+ *
+ * Callers run dispatchMt5Operation() after their commit so the change usually
+ * lands at once; the process-mt5-outbox job picks up whatever did not.
+ * Deductions that must be refused when the account lacks free margin (client
+ * withdrawal holds, transfers) still call MT5 inline, since only MT5 can
+ * answer that at request time.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.MT5_OUTBOX_MAX_ATTEMPTS || '8', 10);
+// Doubles after every failed attempt, capped at RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 30 * 60;
+// A call that has not returned after this long has an unknown outcome
+const PROCESSING_TIMEOUT_MINUTES = 10;
+const BATCH_SIZE = 100;
+
+export const MT5_OPERATION_STATUSES = ['pending', 'processing', 'succeeded', 'escalated', 'cancelled'];
+
+const OPERATIONS = {
+  add_balance: mt5Service.addBalance,
+  deduct_balance: mt5Service.deductBalance,
+  add_credit: mt5Service.addCredit,
+  deduct_credit: mt5Service.deductCredit,
+  add_bonus: mt5Service.addBonus,
+  deduct_bonus: mt5Service.deductBonus
+};
+
+export const MT5_OPERATION_TYPES = Object.keys(OPERATIONS);
+
+function outboxError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export function formatMt5Operation(row) {
+  return {
+    id: Number(row.id),
+    operation: row.operation,
+    login: Number(row.login),
+    amount: Number(row.amount),
+    comment: row.comment,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastError: row.last_error,
+    mt5ErrorCode: row.mt5_error_code,
+    mt5DealId: row.mt5_deal_id,
+    referenceType: row.reference_type,
+    referenceId: row.reference_id,
+    resolutionNote: row.resolution_note,
+    createdByAdmin: row.created_by_admin,
+    resolvedByAdmin: row.resolved_by_admin,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.email !== undefined && {
+      User: {
+        email: row.email || '-',
+        name: `${row.first_name || ''} ${row.last_name || ''}`.trim() || '-'
+      }
+    })
+  };
+}
+
+/**
+ * Queue an MT5 balance change; call inside the business transaction
+ * @param {Object} params
+ * @param {string} params.operation - One of MT5_OPERATION_TYPES
+ * @param {number} params.login - MT5 login
+ * @param {number} params.amount - Positive amount
+ * @param {string} [params.comment] - Deal comment in MT5
+ * @param {string} [params.referenceType] - e.g. 'deposit_request'
+ * @param {string|number} [params.referenceId]
+ * @param {string} [params.dedupeKey] - Defaults to referenceType:referenceId:operation when a reference is given
+ * @param {number} [params.adminId]
+ * @param {Object} [client] - Client holding the caller's transaction
+ * @returns {Promise<Object>} Formatted operation (the existing one if the dedupe key was queued before)
+ */
+export async function enqueueMt5Operation({
+  operation,
+  login,
+  amount,
+  comment = null,
+  referenceType = null,
+  referenceId = null,
+  dedupeKey,
+  adminId = null
+}, client = pool) {
+  if (!OPERATIONS[operation]) {
+    throw outboxError(`operation must be one of ${MT5_OPERATION_TYPES.join(', ')}`);
+  }
+  const mt5Login = parseInt(login, 10);
+  if (Number.isNaN(mt5Login)) {
+    throw outboxError(`Invalid MT5 login: ${login}`);
+  }
+  if (!(Number(amount) > 0)) {
+    throw outboxError('amount must be positive');
+  }
+
+  const key = dedupeKey !== undefined
+    ? dedupeKey
+    : referenceType && referenceId !== null ? `${referenceType}:${referenceId}:${operation}` : null;
+
+  const result = await client.query(
+    `INSERT INTO mt5_operations
+       (operation, login, amount, comment, reference_type, reference_id, dedupe_key, max_attempts, created_by_admin)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING *`,
+    [operation, mt5Login, amount, comment, referenceType, referenceId !== null ? String(referenceId) : null, key, MAX_ATTEMPTS, adminId]
+  );
+  if (result.rows.length > 0) {
+    return formatMt5Operation(result.rows[0]);
+  }
+
+  const existing = await client.query('SELECT * FROM mt5_operations WHERE dedupe_key = $1', [key]);
+  return formatMt5Operation(existing.rows[0]);
+}
+
+async function recordFailure(operation, error) {
+  const reason = error.message || String(error);
+  const mt5ErrorCode = error.mt5Code ? String(error.mt5Code) : error.code || null;
+
+  // MT5 may have booked it; sending it again could apply it twice
+  if (error.outcomeUnknown) {
+    const result = await pool.query(
+      `UPDATE mt5_operations
+       SET status = 'escalated', last_error = $2, mt5_error_code = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [operation.id, `Outcome unknown, check MT5 before retrying: ${reason}`, mt5ErrorCode]
+    );
+    console.warn(`⚠️  MT5 operation #${operation.id} escalated: ${reason}`);
+    return result.rows[0];
+  }
+
+  if (operation.attempts >= operation.max_attempts) {
+    const result = await pool.query(
+      `UPDATE mt5_operations
+       SET status = 'escalated', last_error = $2, mt5_error_code = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [operation.id, `Failed after ${operation.attempts} attempt(s): ${reason}`, mt5ErrorCode]
+    );
+    console.warn(`⚠️  MT5 operation #${operation.id} escalated after ${operation.attempts} attempt(s): ${reason}`);
+    return result.rows[0];
+  }
+
+  const delaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** (operation.attempts - 1), RETRY_MAX_SECONDS);
+  const result = await pool.query(
+    `UPDATE mt5_operations
+     SET status = 'pending', last_error = $2, mt5_error_code = $3,
+         next_attempt_at = NOW() + ($4 || ' seconds')::interval, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [operation.id, reason, mt5ErrorCode, String(delaySeconds)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Apply a queued operation in MT5 now
+ * @param {number} operationId
+ * @param {Object} [options]
+ * @param {boolean} [options.manual=false] - Admin retry: runs before its next attempt time
+ *   and also for escalated operations. For one escalated with an unknown outcome,
+ *   check MT5 first: if the earlier call went through, this applies it twice.
+ * @returns {Promise<Object>} Formatted operation after the attempt
+ */
+export async function executeMt5Operation(operationId, { manual = false } = {}) {
+  const claimed = await pool.query(
+    `UPDATE mt5_operations
+     SET status = 'processing', attempts = attempts + 1, started_at = NOW(), updated_at = NOW(),
+         max_attempts = CASE WHEN status = 'escalated' THEN GREATEST(max_attempts, attempts + 1) ELSE max_attempts END
+     WHERE id = $1
+       AND ((status = 'pending' AND (next_attempt_at <= NOW() OR $2::boolean))
+         OR (status = 'escalated' AND $2::boolean))
+     RETURNING *`,
+    [operationId, manual]
+  );
+
+  if (claimed.rows.length === 0) {
+    const current = await getMt5Operation(operationId);
+    if (manual) {
+      throw outboxError(`A ${current.status} MT5 operation can not be retried`, 409);
+    }
+    return current;
+  }
+
+  const operation = claimed.rows[0];
+  let response;
+  try {
+    response = await OPERATIONS[operation.operation](Number(operation.login), Number(operation.amount), operation.comment || undefined);
+  } catch (error) {
+    return formatMt5Operation(await recordFailure(operation, error));
+  }
+
+  const result = await pool.query(
+    `UPDATE mt5_operations
+     SET status = 'succeeded', mt5_deal_id = $2, mt5_response = $3, last_error = NULL,
+         mt5_error_code = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [operation.id, toDealId(response.data), JSON.stringify(response.data ?? null)]
+  );
+  return formatMt5Operation(result.rows[0]);
+}
+
+/**
+ * Try a freshly queued operation after the caller's commit
+ * Never throws: an operation that can not be applied now stays queued for the worker.
+ * @param {number} operationId
+ * @returns {Promise<Object|null>} Formatted operation, or null if it could not be read
+ */
+export async function dispatchMt5Operation(operationId) {
+  try {
+    return await executeMt5Operation(operationId);
+  } catch (error) {
+    console.error(`MT5 operation #${operationId} dispatch error:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Scheduled run: escalate calls that never returned and apply due operations
+ * @returns {Promise<Object>} { succeeded, retrying, escalated }
+ */
+export async function processMt5Outbox() {
+  const stuck = await pool.query(
+    `UPDATE mt5_operations
+     SET status = 'escalated', updated_at = NOW(),
+         last_error = 'MT5 call did not complete; check MT5 before retrying'
+     WHERE status = 'processing' AND started_at < NOW() - ($1 || ' minutes')::interval
+     RETURNING id`,
+    [String(PROCESSING_TIMEOUT_MINUTES)]
+  );
+
+  const due = await pool.query(
+    `SELECT id FROM mt5_operations
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY id
+     LIMIT $1`,
+    [BATCH_SIZE]
+  );
+
+  const counts = { succeeded: 0, retrying: 0, escalated: stuck.rows.length };
+  for (const { id } of due.rows) {
+    try {
+      const operation = await executeMt5Operation(id);
+      if (operation.status === 'succeeded') {
+        counts.succeeded++;
+      } else if (operation.status === 'escalated') {
+        counts.escalated++;
+      } else if (operation.status === 'pending') {
+        counts.retrying++;
+      }
+    } catch (error) {
+      console.error(`MT5 operation #${id} error:`, error.message);
+    }
+  }
+
+  if (due.rows.length > 0 || stuck.rows.length > 0) {
+    console.log(`MT5 outbox: ${counts.succeeded} applied, ${counts.retrying} retrying, ${counts.escalated} escalated`);
+  }
+  return counts;
+}
+
+const OPERATION_SELECT = `
+  SELECT mo.*, u.email, u.first_name, u.last_name
+  FROM mt5_operations mo
+  LEFT JOIN trading_accounts ta ON ta.account_number = mo.login::text AND ta.platform = 'MT5'
+  LEFT JOIN users u ON u.id = ta.user_id`;
+
+/**
+ * @param {Object} [params]
+ * @param {string} [params.status] - Filter by status
+ * @param {number} [params.login] - Filter by MT5 login
+ * @param {boolean} [params.stuck] - Escalated operations and pending ones that have failed at least once
+ * @returns {Promise<Object>} { items, total }
+ */
+export async function listMt5Operations({ status = null, login = null, stuck = false, limit = 50, offset = 0 } = {}, client = pool) {
+  const where = `WHERE ($1::text IS NULL OR mo.status = $1)
+       AND ($2::bigint IS NULL OR mo.login = $2)
+       AND (NOT $3::boolean OR mo.status = 'escalated' OR (mo.status = 'pending' AND mo.attempts > 0))`;
+  const params = [status, login, stuck];
+
+  const countResult = await client.query(`SELECT COUNT(*) FROM mt5_operations mo ${where}`, params);
+  const result = await client.query(
+    `${OPERATION_SELECT}
+     ${where}
+     ORDER BY mo.created_at DESC, mo.id DESC
+     LIMIT $4 OFFSET $5`,
+    [...params, limit, offset]
+  );
+  return {
+    items: result.rows.map(formatMt5Operation),
+    total: parseInt(countResult.rows[0].count, 10)
+  };
+}
+
+export async function getMt5Operation(operationId, client = pool) {
+  const result = await client.query(`${OPERATION_SELECT} WHERE mo.id = $1`, [operationId]);
+  if (result.rows.length === 0) {
+    throw outboxError('MT5 operation not found', 404);
+  }
+  return formatMt5Operation(result.rows[0]);
+}
+
+/**
+ * Record an escalated operation as applied after finding it in MT5
+ * @param {number} operationId
+ * @param {Object} params
+ * @param {string} [params.dealId] - Deal id of the change in MT5
+ * @param {string} [params.note]
+ * @param {number} [params.adminId]
+ * @returns {Promise<Object>} Formatted operation
+ */
+export async function markMt5OperationApplied(operationId, { dealId = null, note = null, adminId = null } = {}) {
+  return inTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM mt5_operations WHERE id = $1 FOR UPDATE', [operationId]);
+    const operation = result.rows[0];
+    if (!operation) {
+      throw outboxError('MT5 operation not found', 404);
+    }
+    if (operation.status !== 'escalated') {
+      throw outboxError('Only escalated MT5 operations can be marked applied by hand', 409);
+    }
+
+    const updated = await client.query(
+      `UPDATE mt5_operations
+       SET status = 'succeeded', mt5_deal_id = COALESCE($2, mt5_deal_id), resolution_note = $3,
+           resolved_by_admin = $4, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [operation.id, dealId ? String(dealId) : null, note || 'Confirmed in MT5 by an admin', adminId]
+    );
+    return formatMt5Operation(updated.rows[0]);
+  });
+}
+
+/**
+ * Stop an operation from being applied
+ * The business change that queued it stays; reverse it separately if MT5 must
+ * never receive the amount.
+ * @param {number} operationId
+ * @param {Object} params
+ * @param {string} params.reason
+ * @param {number} [params.adminId]
+ * @returns {Promise<Object>} Formatted operation
+ */
+export async function cancelMt5Operation(operationId, { reason, adminId = null } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw outboxError('reason is required');
+  }
+
+  return inTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM mt5_operations WHERE id = $1 FOR UPDATE', [operationId]);
+    const operation = result.rows[0];
+    if (!operation) {
+      throw outboxError('MT5 operation not found', 404);
+    }
+    if (!['pending', 'escalated'].includes(operation.status)) {
+      throw outboxError(`A ${operation.status} MT5 operation can not be cancelled`, 409);
+    }
+
+    const updated = await client.query(
+      `UPDATE mt5_operations
+       SET status = 'cancelled', resolution_note = $2, resolved_by_admin = $3,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [operation.id, String(reason).trim(), adminId]
+    );
+    return formatMt5Operation(updated.rows[0]);
+  });
+}
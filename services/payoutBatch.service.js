@@ -0,0 +1,603 @@
+import ExcelJS from 'exceljs';
+import pool from '../config/database.js';
+
+/**
+ * Payout Batch Service
+ * Groups approved but unpaid withdrawals (client and IB) by payout method,
+ * produces the bulk payment file for each batch and applies the settlement
+ * file that comes back:
+ *
+ *   open -> exported (file downloaded) -> partially_settled -> settled
+ *   open -> cancelled
+ *
+ * Once the file is exported the bank may already hold it, so the batch can no
+ * longer be cancelled: its items are closed by the settlement file or, for
+ * rows that were never sent, marked failed one by one (markPayoutItemNotSent).
+ *
+ * Every item carries a payment reference (PB<batch>-<item>) that is written
+ * to the payout file and used to match rows of the settlement file.
+ */
+
+export const PAYOUT_METHODS = ['bank_transfer', 'usdt_trc20'];
+
+// Column layout of the bank's bulk upload file
+const BANK_BULK_COLUMNS = [
+  { header: 'Payment Reference', key: 'reference', width: 18 },
+  { header: 'Beneficiary Name', key: 'name', width: 30 },
+  { header: 'Account Number', key: 'accountNumber', width: 24 },
+  { header: 'Bank Name', key: 'bankName', width: 30 },
+  { header: 'IFSC/SWIFT Code', key: 'ifscSwiftCode', width: 18 },
+  { header: 'Account Type', key: 'accountType', width: 14 },
+  { header: 'Amount', key: 'amount', width: 14 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Narrative', key: 'narrative', width: 30 }
+];
+
+const TRC20_COLUMNS = [
+  { header: 'address', key: 'address', width: 40 },
+  { header: 'amount', key: 'amount', width: 14 },
+  { header: 'reference', key: 'reference', width: 18 }
+];
+
+function payoutBatchError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value || {});
+const fullName = (row) => `${row.first_name || ''} ${row.last_name || ''}`.trim();
+
+// Payout method of a client withdrawal: from its payout snapshot, else the legacy columns
+export function clientWithdrawalMethod(row) {
+  const snapshot = parseJson(row.payout_snapshot);
+  if (snapshot.paymentMethod) {
+    return snapshot.paymentMethod;
+  }
+  if (row.method === 'bank') {
+    return 'bank_transfer';
+  }
+  if (row.method === 'crypto' && /trc-?20/i.test(`${row.pm_network || ''} ${row.payment_method || ''}`)) {
+    return 'usdt_trc20';
+  }
+  return null;
+}
+
+function beneficiaryFor(method, details, row) {
+  if (method === 'bank_transfer') {
+    return {
+      name: details.accountName || fullName(row) || row.email,
+      accountNumber: details.accountNumber || null,
+      bankName: details.bankName || null,
+      ifscSwiftCode: details.ifscSwiftCode || null,
+      accountType: details.accountType || null
+    };
+  }
+  return {
+    name: fullName(row) || row.email,
+    address: details.walletAddress || null
+  };
+}
+
+export function clientBeneficiary(method, row) {
+  const snapshot = parseJson(row.payout_snapshot);
+  const details = snapshot.details || {
+    accountName: row.account_name,
+    accountNumber: row.account_number,
+    bankName: row.bank_name,
+    ifscSwiftCode: row.ifsc_swift_code,
+    accountType: row.account_type,
+    walletAddress: row.pm_address || row.wallet_address || row.crypto_address
+  };
+  return beneficiaryFor(method, details, row);
+}
+
+const hasDestination = (method, beneficiary) =>
+  Boolean(method === 'bank_transfer' ? beneficiary.accountNumber : beneficiary.address);
+
+/**
+ * Approved withdrawals that are neither paid nor in an active batch
+ * @param {Object} options
+ * @param {string} [options.method] - bank_transfer or usdt_trc20
+ * @param {boolean} [options.lock] - Lock the candidate rows until the caller's transaction ends
+ * @returns {Promise<Object[]>} { source, withdrawalId, ibWithdrawalId, userId, email, amount, currency, method, beneficiary, approvedAt }
+ */
+export async function listUnpaidWithdrawals({ method = null, lock = false } = {}, client = pool) {
+  if (lock) {
+    // Lock the candidates first and filter in the next statements: a FOR UPDATE
+    // in the filtering query would wait for a concurrent gateway payout or batch
+    // but keep the NOT EXISTS answers of its own, older snapshot.
+    await client.query(
+      `SELECT id FROM withdrawals WHERE status = 'approved' AND paid_at IS NULL ORDER BY id FOR UPDATE`
+    );
+    await client.query(
+      `SELECT id FROM ib_withdrawals WHERE status = 'approved' AND paid_at IS NULL ORDER BY id FOR UPDATE`
+    );
+  }
+
+  const clientRows = await client.query(
+    `SELECT w.id, w.user_id, w.amount, w.currency, w.method, w.payment_method, w.pm_network, w.payout_snapshot,
+            w.bank_name, w.account_name, w.account_number, w.ifsc_swift_code, w.account_type,
+            w.wallet_address, w.crypto_address, w.pm_address, w.approved_at,
+            u.email, u.first_name, u.last_name
+     FROM withdrawals w
+     JOIN users u ON u.id = w.user_id
+     WHERE w.status = 'approved' AND w.paid_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM payout_batch_items i
+         WHERE i.withdrawal_id = w.id AND i.status IN ('pending', 'paid')
+       )
+       -- Paid (or being paid) by a gateway payout
+       AND NOT EXISTS (
+         SELECT 1 FROM gateway_payouts gp
+         WHERE gp.withdrawal_id = w.id AND gp.status <> 'cancelled'
+       )
+     ORDER BY w.approved_at, w.id`
+  );
+  const ibRows = await client.query(
+    `SELECT w.id, w.user_id, w.amount, w.payment_method, w.approved_at, pd.payment_details,
+            u.email, u.first_name, u.last_name
+     FROM ib_withdrawals w
+     JOIN users u ON u.id = w.user_id
+     LEFT JOIN payment_details pd ON pd.id = w.payment_detail_id
+     WHERE w.status = 'approved' AND w.paid_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM payout_batch_items i
+         WHERE i.ib_withdrawal_id = w.id AND i.status IN ('pending', 'paid')
+       )
+     ORDER BY w.approved_at, w.id`
+  );
+
+  const items = [
+    ...clientRows.rows.map(row => {
+      const rowMethod = clientWithdrawalMethod(row);
+      return {
+        source: 'withdrawal',
+        withdrawalId: row.id,
+        ibWithdrawalId: null,
+        userId: row.user_id,
+        email: row.email,
+        amount: Number(row.amount),
+        currency: row.currency || 'USD',
+        method: rowMethod,
+        beneficiary: rowMethod ? clientBeneficiary(rowMethod, row) : null,
+        approvedAt: row.approved_at
+      };
+    }),
+    ...ibRows.rows.map(row => ({
+      source: 'ib_withdrawal',
+      withdrawalId: null,
+      ibWithdrawalId: row.id,
+      userId: row.user_id,
+      email: row.email,
+      amount: Number(row.amount),
+      currency: 'USD',
+      method: PAYOUT_METHODS.includes(row.payment_method) ? row.payment_method : null,
+      beneficiary: PAYOUT_METHODS.includes(row.payment_method)
+        ? beneficiaryFor(row.payment_method, parseJson(row.payment_details), row)
+        : null,
+      approvedAt: row.approved_at
+    }))
+  ];
+
+  return method ? items.filter(item => item.method === method) : items;
+}
+
+/**
+ * Create a batch from unpaid withdrawals of one payout method
+ * @param {Object} params
+ * @param {string} params.method - bank_transfer or usdt_trc20
+ * @param {number[]} [params.withdrawalIds] - Limit to these client withdrawals
+ * @param {number[]} [params.ibWithdrawalIds] - Limit to these IB withdrawals
+ * @param {number} [params.adminId]
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} { batch, items, skipped } - skipped withdrawals have no payout destination
+ */
+export async function createPayoutBatch({ method, withdrawalIds = null, ibWithdrawalIds = null, adminId = null, notes = null }) {
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw payoutBatchError(`method must be one of: ${PAYOUT_METHODS.join(', ')}`);
+  }
+  const selectIds = withdrawalIds || ibWithdrawalIds;
+
+  return inTransaction(async (client) => {
+    const unpaid = await listUnpaidWithdrawals({ method, lock: true }, client);
+    const selected = unpaid.filter(item => !selectIds || (item.withdrawalId
+      ? (withdrawalIds || []).includes(item.withdrawalId)
+      : (ibWithdrawalIds || []).includes(item.ibWithdrawalId)));
+
+    const payable = selected.filter(item => hasDestination(method, item.beneficiary));
+    const skipped = selected
+      .filter(item => !hasDestination(method, item.beneficiary))
+      .map(item => ({ source: item.source, id: item.withdrawalId || item.ibWithdrawalId, reason: 'No payout destination' }));
+
+    if (payable.length === 0) {
+      throw payoutBatchError('No approved unpaid withdrawals to batch for this method');
+    }
+
+    const batchResult = await client.query(
+      `INSERT INTO payout_batches (method, created_by_admin, notes) VALUES ($1, $2, $3) RETURNING *`,
+      [method, adminId, notes]
+    );
+    const batch = batchResult.rows[0];
+
+    for (const item of payable) {
+      await client.query(
+        `INSERT INTO payout_batch_items (batch_id, withdrawal_id, ib_withdrawal_id, user_id, amount, currency, beneficiary)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [batch.id, item.withdrawalId, item.ibWithdrawalId, item.userId, item.amount, item.currency, JSON.stringify(item.beneficiary)]
+      );
+    }
+    await client.query(
+      `UPDATE payout_batch_items SET reference = 'PB' || batch_id || '-' || id WHERE batch_id = $1`,
+      [batch.id]
+    );
+
+    const totals = await client.query(
+      `UPDATE payout_batches
+       SET item_count = (SELECT COUNT(*) FROM payout_batch_items WHERE batch_id = $1),
+           total_amount = (SELECT COALESCE(SUM(amount), 0) FROM payout_batch_items WHERE batch_id = $1),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [batch.id]
+    );
+    const itemsResult = await client.query(
+      'SELECT * FROM payout_batch_items WHERE batch_id = $1 ORDER BY id',
+      [batch.id]
+    );
+
+    return { batch: totals.rows[0], items: itemsResult.rows, skipped };
+  });
+}
+
+export async function getPayoutBatch(batchId, client = pool) {
+  const batchResult = await client.query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+  if (batchResult.rows.length === 0) {
+    throw payoutBatchError('Payout batch not found', 404);
+  }
+  const items = await client.query(
+    `SELECT i.*, u.email, u.first_name, u.last_name
+     FROM payout_batch_items i
+     LEFT JOIN users u ON u.id = i.user_id
+     WHERE i.batch_id = $1
+     ORDER BY i.id`,
+    [batchId]
+  );
+  return { batch: batchResult.rows[0], items: items.rows };
+}
+
+export async function listPayoutBatches({ status = null, limit = 50, offset = 0 } = {}, client = pool) {
+  const result = await client.query(
+    `SELECT * FROM payout_batches
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+  return result.rows;
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bulk payout file of a batch. Downloading it moves an open batch to exported.
+ * @param {number} batchId
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Object>} { filename, contentType, body }
+ */
+export async function buildPayoutFile(batchId, format = 'csv') {
+  const { batch, items } = await getPayoutBatch(batchId);
+  if (batch.status === 'cancelled') {
+    throw payoutBatchError('Payout batch is cancelled');
+  }
+
+  const columns = batch.method === 'bank_transfer' ? BANK_BULK_COLUMNS : TRC20_COLUMNS;
+  const rows = items
+    .filter(item => item.status === 'pending')
+    .map(item => ({
+      ...parseJson(item.beneficiary),
+      reference: item.reference,
+      amount: Number(item.amount).toFixed(2),
+      currency: item.currency,
+      narrative: `Withdrawal ${item.reference}`
+    }));
+
+  const date = new Date(batch.created_at).toISOString().slice(0, 10);
+  const baseName = `Payout_Batch_${batch.id}_${batch.method}_${date}`;
+  let file;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(`Batch ${batch.id}`);
+    worksheet.columns = columns;
+    worksheet.getRow(1).font = { bold: true };
+    rows.forEach(row => worksheet.addRow(row));
+    file = {
+      filename: `${baseName}.xlsx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: Buffer.from(await workbook.xlsx.writeBuffer())
+    };
+  } else {
+    const lines = [
+      columns.map(column => csvCell(column.header)).join(','),
+      ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+    ];
+    file = {
+      filename: `${baseName}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8')
+    };
+  }
+
+  await pool.query(
+    `UPDATE payout_batches SET status = 'exported', exported_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'open'`,
+    [batch.id]
+  );
+  return file;
+}
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const SETTLEMENT_HEADERS = {
+  reference: ['reference', 'payment reference', 'payment_reference'],
+  transactionId: ['transaction id', 'transaction_id', 'external_transaction_id', 'txid', 'tx hash', 'tx_hash', 'utr'],
+  status: ['status'],
+  reason: ['reason', 'failure reason', 'failure_reason']
+};
+
+/**
+ * Read a settlement file (CSV or XLSX) into { reference, transactionId, status, reason } rows.
+ * Expects a header row; status defaults to paid.
+ */
+export async function parseSettlementFile(buffer, filename = '') {
+  let table;
+  if (/\.xlsx$/i.test(filename)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    table = [];
+    worksheet?.eachRow(row => {
+      table.push(row.values.slice(1).map(value => (value?.text ?? value ?? '').toString()));
+    });
+  } else {
+    table = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  }
+
+  if (table.length < 2) {
+    throw payoutBatchError('Settlement file has no data rows');
+  }
+
+  const headers = table[0].map(header => header.trim().toLowerCase());
+  const indexOf = (names) => headers.findIndex(header => names.includes(header));
+  const columns = Object.fromEntries(Object.entries(SETTLEMENT_HEADERS).map(([key, names]) => [key, indexOf(names)]));
+  if (columns.reference < 0) {
+    throw payoutBatchError('Settlement file needs a "reference" column');
+  }
+
+  return table.slice(1).map(cells => {
+    const cell = (key) => (columns[key] >= 0 ? String(cells[columns[key]] ?? '').trim() : '');
+    const status = cell('status').toLowerCase();
+    return {
+      reference: cell('reference'),
+      transactionId: cell('transactionId') || null,
+      status: ['failed', 'rejected', 'returned'].includes(status) ? 'failed' : 'paid',
+      reason: cell('reason') || null
+    };
+  });
+}
+
+// Move a batch to settled / partially_settled from the state of its items
+async function refreshBatchStatus(client, batch, filename = null) {
+  const remaining = await client.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+            COUNT(*) FILTER (WHERE status IN ('paid', 'failed')) AS done
+     FROM payout_batch_items WHERE batch_id = $1`,
+    [batch.id]
+  );
+  const pending = parseInt(remaining.rows[0].pending, 10);
+  const done = parseInt(remaining.rows[0].done, 10);
+  const status = pending === 0 ? 'settled' : done > 0 ? 'partially_settled' : batch.status;
+
+  const result = await client.query(
+    `UPDATE payout_batches
+     SET status = $2, settled_at = CASE WHEN $2 = 'settled' THEN NOW() ELSE settled_at END,
+         settlement_file_name = COALESCE($3, settlement_file_name), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [batch.id, status, filename]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Apply settlement rows to a batch: paid rows fill external_transaction_id and
+ * paid_at on the withdrawal, failed rows free the withdrawal for a later batch.
+ * @returns {Promise<Object>} { batch, paid, failed, skipped, unmatched }
+ */
+export async function applySettlement(batchId, rows, { filename = null } = {}) {
+  return inTransaction(async (client) => {
+    const batchResult = await client.query('SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    if (batchResult.rows.length === 0) {
+      throw payoutBatchError('Payout batch not found', 404);
+    }
+    if (batchResult.rows[0].status === 'cancelled') {
+      throw payoutBatchError('Payout batch is cancelled');
+    }
+
+    const summary = { paid: 0, failed: 0, skipped: [], unmatched: [] };
+
+    for (const row of rows) {
+      const itemResult = await client.query(
+        'SELECT * FROM payout_batch_items WHERE batch_id = $1 AND reference = $2 FOR UPDATE',
+        [batchId, row.reference]
+      );
+      const item = itemResult.rows[0];
+      if (!item) {
+        summary.unmatched.push(row.reference);
+        continue;
+      }
+      if (item.status !== 'pending') {
+        summary.skipped.push({ reference: item.reference, reason: `already ${item.status}` });
+        continue;
+      }
+
+      if (row.status === 'failed') {
+        await client.query(
+          `UPDATE payout_batch_items SET status = 'failed', failure_reason = $2, updated_at = NOW() WHERE id = $1`,
+          [item.id, row.reason || 'Reported as failed in settlement file']
+        );
+        summary.failed++;
+        continue;
+      }
+
+      if (!row.transactionId) {
+        summary.skipped.push({ reference: item.reference, reason: 'missing transaction id' });
+        continue;
+      }
+
+      const table = item.withdrawal_id ? 'withdrawals' : 'ib_withdrawals';
+      const updated = await client.query(
+        `UPDATE ${table}
+         SET external_transaction_id = $2, paid_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'approved' AND paid_at IS NULL
+         RETURNING id`,
+        [item.withdrawal_id || item.ib_withdrawal_id, row.transactionId]
+      );
+      if (updated.rows.length === 0) {
+        summary.skipped.push({ reference: item.reference, reason: 'withdrawal no longer approved and unpaid' });
+        continue;
+      }
+
+      await client.query(
+        `UPDATE payout_batch_items
+         SET status = 'paid', external_transaction_id = $2, paid_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [item.id, row.transactionId]
+      );
+      summary.paid++;
+    }
+
+    const batch = await refreshBatchStatus(client, batchResult.rows[0], filename);
+    return { batch, ...summary };
+  });
+}
+
+/**
+ * Mark one pending item of an exported batch as failed because it was never
+ * sent to the bank; its withdrawal can be batched again
+ * @param {number} batchId
+ * @param {number} itemId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} { batch, item }
+ */
+export async function markPayoutItemNotSent(batchId, itemId, { reason = null } = {}) {
+  return inTransaction(async (client) => {
+    const batchResult = await client.query('SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    if (batchResult.rows.length === 0) {
+      throw payoutBatchError('Payout batch not found', 404);
+    }
+    if (!['exported', 'partially_settled'].includes(batchResult.rows[0].status)) {
+      throw payoutBatchError(`Payout batch is ${batchResult.rows[0].status}; only items of an exported batch can be marked not sent`, 409);
+    }
+
+    const itemResult = await client.query(
+      `UPDATE payout_batch_items
+       SET status = 'failed', failure_reason = $3, updated_at = NOW()
+       WHERE id = $1 AND batch_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [itemId, batchId, reason ? `Not sent: ${reason}` : 'Not sent']
+    );
+    if (itemResult.rows.length === 0) {
+      throw payoutBatchError('Payout batch item not found or no longer pending', 409);
+    }
+
+    const batch = await refreshBatchStatus(client, batchResult.rows[0]);
+    return { batch, item: itemResult.rows[0] };
+  });
+}
+
+/**
+ * Cancel a batch whose file has not been exported yet; its withdrawals become available again
+ */
+export async function cancelPayoutBatch(batchId) {
+  return inTransaction(async (client) => {
+    const batchResult = await client.query('SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    if (batchResult.rows.length === 0) {
+      throw payoutBatchError('Payout batch not found', 404);
+    }
+    if (batchResult.rows[0].status === 'exported') {
+      throw payoutBatchError('Payout batch is already exported; settle it or mark the items that were not sent', 409);
+    }
+    if (batchResult.rows[0].status !== 'open') {
+      throw payoutBatchError(`Payout batch is already ${batchResult.rows[0].status}`, 409);
+    }
+
+    await client.query(
+      `UPDATE payout_batch_items SET status = 'cancelled', updated_at = NOW() WHERE batch_id = $1 AND status = 'pending'`,
+      [batchId]
+    );
+    const result = await client.query(
+      `UPDATE payout_batches SET status = 'cancelled', updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [batchId]
+    );
+    return result.rows[0];
+  });
+}
@@ -0,0 +1,106 @@
+import pool from '../config/database.js';
+
+/**
+ * Payout Destination Service
+ * Client withdrawals are paid to an admin-approved payment_details row only.
+ * The destination is copied into withdrawals.payout_snapshot when the
+ * withdrawal is requested, and destinations created or edited within the
+ * cooling-off period can not be used yet.
+ */
+
+// An empty or non-numeric setting keeps the default; only an explicit 0 turns the cooldown off
+const configuredCooldownHours = parseInt(process.env.WITHDRAWAL_DESTINATION_COOLDOWN_HOURS, 10);
+export const DESTINATION_COOLDOWN_HOURS = Number.isFinite(configuredCooldownHours) && configuredCooldownHours >= 0
+  ? configuredCooldownHours
+  : 24;
+
+// payment_details.payment_method -> withdrawals.method / payment_method
+const METHOD_MAPPING = {
+  bank_transfer: { method: 'bank', label: 'Bank Transfer' },
+  usdt_trc20: { method: 'crypto', label: 'USDT-TRC20' }
+};
+
+function payoutError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const parseDetails = (value) => (typeof value === 'string' ? JSON.parse(value) : value || {});
+
+/**
+ * First moment a payment detail can receive withdrawals
+ */
+export function destinationAvailableAt(paymentDetail) {
+  const changedAt = new Date(paymentDetail.details_changed_at || paymentDetail.created_at);
+  return new Date(changedAt.getTime() + DESTINATION_COOLDOWN_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Resolve the payout destination of a new withdrawal
+ * @param {number} userId
+ * @param {number} paymentDetailId
+ * @returns {Promise<Object>} { paymentDetail, snapshot, columns } where columns are the
+ *   legacy withdrawals destination columns filled from the snapshot
+ * @throws {Error} With status 400 when the detail is missing, not approved or still cooling off
+ */
+export async function resolvePayoutDestination(userId, paymentDetailId, client = pool) {
+  const result = await client.query(
+    `SELECT id, user_id, payment_method, payment_details, status, reviewed_by, reviewed_at, created_at, details_changed_at
+     FROM payment_details
+     WHERE id = $1 AND user_id = $2`,
+    [paymentDetailId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw payoutError('Payment detail not found');
+  }
+
+  const paymentDetail = result.rows[0];
+  if (paymentDetail.status !== 'approved') {
+    throw payoutError('This payment detail has not been approved yet. Withdrawals can only be sent to approved payment details.');
+  }
+
+  const availableAt = destinationAvailableAt(paymentDetail);
+  if (availableAt > new Date()) {
+    throw payoutError(
+      `For your security, withdrawals to a newly added or changed payment detail are possible from ${availableAt.toISOString()}.`
+    );
+  }
+
+  const mapping = METHOD_MAPPING[paymentDetail.payment_method];
+  if (!mapping) {
+    throw payoutError(`Unsupported payment method: ${paymentDetail.payment_method}`);
+  }
+
+  const details = parseDetails(paymentDetail.payment_details);
+  const snapshot = {
+    paymentDetailId: paymentDetail.id,
+    paymentMethod: paymentDetail.payment_method,
+    details,
+    approvedBy: paymentDetail.reviewed_by,
+    approvedAt: paymentDetail.reviewed_at,
+    capturedAt: new Date().toISOString()
+  };
+
+  const columns = paymentDetail.payment_method === 'bank_transfer'
+    ? {
+      method: mapping.method,
+      payment_method: mapping.label,
+      bank_name: details.bankName || null,
+      account_name: details.accountName || null,
+      account_number: details.accountNumber || null,
+      ifsc_swift_code: details.ifscSwiftCode || null,
+      account_type: details.accountType || null
+    }
+    : {
+      method: mapping.method,
+      payment_method: mapping.label,
+      crypto_address: details.walletAddress || null,
+      wallet_address: details.walletAddress || null,
+      pm_currency: 'USDT',
+      pm_network: 'TRC20',
+      pm_address: details.walletAddress || null
+    };
+
+  return { paymentDetail, snapshot, columns };
+}
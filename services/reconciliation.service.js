@@ -0,0 +1,210 @@
+import pool from '../config/database.js';
+import { syncAccountTrades, getStoredRealizedPnl } from './tradeSync.service.js';
+import { getLiveAccountFunds } from './mt5Funds.service.js';
+
+/**
+ * Reconciliation Service
+ * Compares every real MT5 account's server balance with what the CRM expects:
+ *   expected = approved deposits - withdrawals +/- completed internal transfers
+ *              + realized P/L of closed trades
+ * Each run is stored with one row per account so mismatches can be
+ * investigated; trading_accounts.balance is refreshed from MT5 on the way.
+ */
+
+const DEFAULT_TOLERANCE = 0.01;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Net money the CRM moved into each MT5 account
+async function getNetFunding(client = pool) {
+  const result = await client.query(
+    `SELECT account_number, SUM(amount) AS net_funding
+     FROM (
+       SELECT mt5_account_id AS account_number, COALESCE(credited_amount, amount) AS amount
+       FROM deposit_requests
+       WHERE deposit_to_type = 'mt5' AND status = 'approved' AND mt5_account_id IS NOT NULL
+       UNION ALL
+       -- MT5 withdrawals are deducted when held; legacy rows when approved
+       SELECT mt5_account_id, -amount
+       FROM withdrawals
+       WHERE mt5_account_id IS NOT NULL
+         AND (hold_status IN ('held', 'finalized') OR (hold_status IS NULL AND status = 'approved'))
+       UNION ALL
+       SELECT to_account, COALESCE(to_amount, amount)
+       FROM internal_transfers
+       WHERE to_type = 'mt5' AND status = 'completed'
+       UNION ALL
+       SELECT from_account, -amount
+       FROM internal_transfers
+       WHERE from_type = 'mt5' AND status = 'completed'
+     ) flows
+     GROUP BY account_number`
+  );
+  return new Map(result.rows.map(row => [String(row.account_number), toNumber(row.net_funding)]));
+}
+
+// Profit + commission + swap of every closed trade since the account was opened,
+// from the trade store after bringing the account's copy up to date
+async function getRealizedPnl(login, since) {
+  const sync = await syncAccountTrades(login);
+  if (!sync.complete) {
+    throw new Error('Trade history still syncing, realized P/L incomplete');
+  }
+  return getStoredRealizedPnl(login, since);
+}
+
+async function reconcileAccount(runId, account, netFunding, tolerance) {
+  const login = parseInt(account.account_number, 10);
+  const base = {
+    accountNumber: account.account_number,
+    userId: account.user_id,
+    currency: account.currency,
+    crmBalance: account.balance !== null ? toNumber(account.balance) : null
+  };
+
+  try {
+    if (Number.isNaN(login)) {
+      throw new Error('Invalid MT5 login');
+    }
+    const { balance: mt5Balance } = await getLiveAccountFunds(login);
+    const realizedPnl = await getRealizedPnl(login, account.created_at);
+    const funding = netFunding.get(String(account.account_number)) || 0;
+    const expected = funding + realizedPnl;
+    const difference = Math.round((mt5Balance - expected) * 1e8) / 1e8;
+    const status = Math.abs(difference) > tolerance ? 'mismatch' : 'matched';
+
+    await pool.query(
+      `INSERT INTO reconciliation_items
+        (run_id, account_number, user_id, currency, mt5_balance, crm_balance, net_funding, realized_pnl, expected_balance, difference, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [runId, base.accountNumber, base.userId, base.currency, mt5Balance, base.crmBalance, funding, realizedPnl, expected, difference, status]
+    );
+
+    // The CRM copy of the balance is only as fresh as the last sync; refresh it
+    await pool.query(
+      'UPDATE trading_accounts SET balance = $1, updated_at = NOW() WHERE account_number = $2',
+      [mt5Balance, base.accountNumber]
+    );
+
+    return status;
+  } catch (error) {
+    await pool.query(
+      `INSERT INTO reconciliation_items (run_id, account_number, user_id, currency, crm_balance, status, error)
+       VALUES ($1, $2, $3, $4, $5, 'error', $6)`,
+      [runId, base.accountNumber, base.userId, base.currency, base.crmBalance, error.message]
+    );
+    return 'error';
+  }
+}
+
+/**
+ * Run a reconciliation over all real (non-demo) MT5 accounts
+ * @param {Object} options
+ * @param {number} [options.tolerance] - Differences up to this amount count as matched
+ * @param {'schedule'|'admin'} [options.triggeredBy]
+ * @param {number} [options.adminId]
+ * @returns {Promise<Object|null>} The finished run, or null when another run is still in progress
+ */
+export async function runBalanceReconciliation({ tolerance = DEFAULT_TOLERANCE, triggeredBy = 'schedule', adminId = null } = {}) {
+  // One run at a time; a run stuck for hours (crash) no longer blocks new ones
+  const runResult = await pool.query(
+    `INSERT INTO reconciliation_runs (status, triggered_by, triggered_by_admin, tolerance)
+     SELECT 'running', $1, $2, $3
+     WHERE NOT EXISTS (
+       SELECT 1 FROM reconciliation_runs
+       WHERE status = 'running' AND started_at > NOW() - INTERVAL '6 hours'
+     )
+     RETURNING *`,
+    [triggeredBy, adminId, tolerance]
+  );
+  if (runResult.rows.length === 0) {
+    return null;
+  }
+  const run = runResult.rows[0];
+
+  try {
+    const accountsResult = await pool.query(
+      `SELECT account_number, user_id, currency, balance, created_at
+       FROM trading_accounts
+       WHERE platform = 'MT5' AND COALESCE(is_demo, FALSE) = FALSE
+       ORDER BY account_number`
+    );
+    const netFunding = await getNetFunding();
+
+    const counts = { matched: 0, mismatch: 0, error: 0 };
+    // Sequential on purpose: keeps the load on the MT5 API flat
+    for (const account of accountsResult.rows) {
+      const status = await reconcileAccount(run.id, account, netFunding, Number(tolerance));
+      counts[status]++;
+    }
+
+    const finished = await pool.query(
+      `UPDATE reconciliation_runs
+       SET status = 'completed', accounts_checked = $2, mismatches = $3, errors = $4, finished_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [run.id, accountsResult.rows.length, counts.mismatch, counts.error]
+    );
+    console.log(`✅ Balance reconciliation #${run.id}: ${accountsResult.rows.length} account(s), ${counts.mismatch} mismatch(es), ${counts.error} error(s)`);
+    return finished.rows[0];
+  } catch (error) {
+    console.error(`❌ Balance reconciliation #${run.id} failed:`, error.message);
+    await pool.query(
+      `UPDATE reconciliation_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+      [run.id, error.message]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Get a run (latest completed when runId is omitted) with its items
+ * @param {Object} options
+ * @param {number} [options.runId]
+ * @param {string} [options.status] - Item status filter (matched, mismatch, error)
+ * @param {string} [options.accountNumber]
+ */
+export async function getReconciliationRun({ runId = null, status = null, accountNumber = null } = {}, client = pool) {
+  const runResult = runId
+    ? await client.query('SELECT * FROM reconciliation_runs WHERE id = $1', [runId])
+    : await client.query(
+      `SELECT * FROM reconciliation_runs WHERE status = 'completed' ORDER BY started_at DESC LIMIT 1`
+    );
+  if (runResult.rows.length === 0) {
+    return null;
+  }
+  const run = runResult.rows[0];
+
+  const conditions = ['ri.run_id = $1'];
+  const params = [run.id];
+  if (status) {
+    params.push(status);
+    conditions.push(`ri.status = $${params.length}`);
+  }
+  if (accountNumber) {
+    params.push(String(accountNumber));
+    conditions.push(`ri.account_number = $${params.length}`);
+  }
+
+  const itemsResult = await client.query(
+    `SELECT ri.*, u.email, u.first_name, u.last_name
+     FROM reconciliation_items ri
+     LEFT JOIN users u ON ri.user_id = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY (ri.status = 'matched'), ABS(COALESCE(ri.difference, 0)) DESC, ri.account_number`,
+    params
+  );
+
+  return { run, items: itemsResult.rows };
+}
+
+export async function listReconciliationRuns({ limit = 30, offset = 0 } = {}, client = pool) {
+  const result = await client.query(
+    'SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT $1 OFFSET $2',
+    [limit, offset]
+  );
+  return result.rows;
+}
@@ -0,0 +1,89 @@
+import { registerJob } from './scheduler.service.js';
+import { cancelExpiredDeposits } from './depositExpiry.service.js';
+import { syncAllCommissions } from './ib_commission.service.js';
+import { recoverStuckTransfers } from './transferSaga.service.js';
+import { recoverProcessingClientTransfers } from './clientTransfer.service.js';
+import { processGatewayPayouts } from './gatewayPayout.service.js';
+import { runBalanceReconciliation } from './reconciliation.service.js';
+import { processMt5Outbox } from './mt5Outbox.service.js';
+import { syncAllTrades } from './tradeSync.service.js';
+import { settlePlacingWithdrawals } from './withdrawalHold.service.js';
+
+/**
+ * Background jobs run by the scheduler (services/scheduler.service.js)
+ * Cron expressions are defaults in UTC; admins can change them through
+ * /api/admin/jobs. Importing this module registers the jobs.
+ */
+
+registerJob({
+  name: 'cancel-expired-deposits',
+  description: 'Check pending gateway deposits past their payment window with the gateway; credit paid ones, cancel unpaid ones',
+  cron: '*/5 * * * *',
+  handler: () => cancelExpiredDeposits()
+});
+
+registerJob({
+  name: 'sync-mt5-trades',
+  description: 'Copy new closed trades and current open positions of real MT5 accounts into the trades table',
+  cron: '*/5 * * * *',
+  handler: () => syncAllTrades()
+});
+
+registerJob({
+  name: 'sync-ib-commissions',
+  description: 'Calculate IB commissions from synced MT5 trades of referred clients',
+  cron: '*/15 * * * *',
+  retryBackoffSeconds: 120,
+  handler: () => syncAllCommissions()
+});
+
+registerJob({
+  name: 'recover-stuck-transfers',
+  description: 'Resume or unwind wallet/MT5 transfers interrupted mid-way, then settle client transfer requests left in processing',
+  cron: '*/5 * * * *',
+  handler: async () => ({
+    transfers: await recoverStuckTransfers(),
+    clientTransfers: await recoverProcessingClientTransfers()
+  })
+});
+
+registerJob({
+  name: 'settle-withdrawal-holds',
+  description: 'Check MT5 deal history for withdrawal reservations whose outcome was unknown; record the hold or fail the request',
+  cron: '*/5 * * * *',
+  handler: () => settlePlacingWithdrawals()
+});
+
+registerJob({
+  name: 'process-gateway-payouts',
+  description: 'Submit due gateway payouts, poll pending ones and escalate stuck submissions',
+  cron: '*/5 * * * *',
+  handler: () => processGatewayPayouts()
+});
+
+registerJob({
+  name: 'process-mt5-outbox',
+  description: 'Apply queued MT5 balance, credit and bonus changes; escalate calls that never returned',
+  cron: '* * * * *',
+  handler: () => processMt5Outbox()
+});
+
+registerJob({
+  name: 'balance-reconciliation',
+  description: 'Compare MT5 server balances with CRM records',
+  cron: '0 2 * * *',
+  maxAttempts: 2,
+  retryBackoffSeconds: 15 * 60,
+  handler: async () => {
+    const run = await runBalanceReconciliation();
+    if (!run) {
+      return { skipped: 'A reconciliation run is already in progress' };
+    }
+    return {
+      reconciliationRunId: run.id,
+      accountsChecked: run.accounts_checked,
+      mismatches: run.mismatches,
+      errors: run.errors
+    };
+  }
+});
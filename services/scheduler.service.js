@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import os from 'os';
+import pool from '../config/database.js';
+import { nextCronDate, isValidCron } from '../utils/cron.js';
+
+/**
+ * Postgres-backed job scheduler
+ *
+ * Jobs are registered in code (services/scheduledJobs.js) and mirrored into
+ * scheduled_jobs, where admins can change the cron expression, the attempt
+ * limit or disable a job. Every instance runs the scheduler loop, but only the
+ * one holding the leader lease starts scheduled runs; the others keep trying
+ * to take over, so a crashed leader is replaced once its lease expires.
+ *
+ * Each run holds a per-job lease for its whole duration, so a job never
+ * overlaps itself (manual runs on any instance included), and is recorded in
+ * job_runs. A failed run is retried after retry_backoff_seconds * 2^(attempt - 1)
+ * until max_attempts is reached; the next scheduled run starts over at attempt 1.
+ *
+ * Leases are rows in scheduler_leases with an expiry: the leader renews its
+ * lease every tick and a run every LEASE_RENEW_MS, and no pool connection stays
+ * checked out while a lease is held.
+ */
+
+const TICK_MS = 15 * 1000;
+const LEASE_SECONDS = 60;
+const LEASE_RENEW_MS = 20 * 1000;
+const LEADER_LEASE_KEY = 'scheduler:leader';
+const JOB_LEASE_PREFIX = 'scheduler:job:';
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+export const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed', 'abandoned'];
+
+const jobs = new Map();
+let jobRowsSynced = false;
+let isLeader = false;
+let tickTimer = null;
+let ticking = false;
+
+function schedulerError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const jobLeaseKey = (name) => `${JOB_LEASE_PREFIX}${name}`;
+
+function formatJob(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    cronExpression: row.cron_expression,
+    isEnabled: row.is_enabled,
+    maxAttempts: row.max_attempts,
+    retryBackoffSeconds: row.retry_backoff_seconds,
+    nextRunAt: row.next_run_at,
+    retryAt: row.retry_at,
+    retryAttempt: row.retry_attempt,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    isRunning: Boolean(row.is_running),
+    // A row left behind by a job that was removed from the code
+    isRegistered: jobs.has(row.name),
+    updatedAt: row.updated_at
+  };
+}
+
+function formatJobRun(row) {
+  return {
+    id: Number(row.id),
+    jobName: row.job_name,
+    trigger: row.trigger,
+    attempt: row.attempt,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    result: row.result,
+    error: row.error,
+    instanceId: row.instance_id,
+    triggeredByAdmin: row.triggered_by_admin,
+    adminEmail: row.admin_email || null
+  };
+}
+
+/**
+ * Register a job; call before startScheduler()
+ * @param {Object} job
+ * @param {string} job.name - Unique key, e.g. 'cancel-expired-deposits'
+ * @param {string} job.cron - Default schedule (five fields, UTC); admins may override it
+ * @param {Function} job.handler - async ({ trigger, attempt, runId }) => result; throw to fail the run
+ * @param {string} [job.description]
+ * @param {number} [job.maxAttempts=3] - Default attempts per scheduled run, retries included
+ * @param {number} [job.retryBackoffSeconds=60] - Delay before the first retry, doubled for each further one
+ */
+export function registerJob({ name, cron, handler, description = null, maxAttempts = 3, retryBackoffSeconds = 60 }) {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Scheduled jobs need a name and a handler');
+  }
+  if (!isValidCron(cron)) {
+    throw new Error(`Job ${name} has an invalid cron expression "${cron}"`);
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, cron, handler, description, maxAttempts, retryBackoffSeconds });
+}
+
+// New jobs start at their next cron time; existing rows keep the admin's settings
+async function syncJobRows() {
+  for (const job of jobs.values()) {
+    await pool.query(
+      `INSERT INTO scheduled_jobs (name, description, cron_expression, max_attempts, retry_backoff_seconds, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (name) DO UPDATE
+       SET description = EXCLUDED.description,
+           retry_backoff_seconds = EXCLUDED.retry_backoff_seconds,
+           updated_at = NOW()`,
+      [job.name, job.description, job.cron, job.maxAttempts, job.retryBackoffSeconds, nextCronDate(job.cron)]
+    );
+  }
+  jobRowsSynced = true;
+}
+
+// Take or renew a lease; true when the holder has it for another LEASE_SECONDS
+async function acquireLease(key, holder) {
+  const result = await pool.query(
+    `INSERT INTO scheduler_leases (key, holder, expires_at)
+     VALUES ($1, $2, NOW() + $3 * INTERVAL '1 second')
+     ON CONFLICT (key) DO UPDATE
+     SET holder = EXCLUDED.holder,
+         acquired_at = CASE WHEN scheduler_leases.holder = EXCLUDED.holder THEN scheduler_leases.acquired_at ELSE NOW() END,
+         expires_at = EXCLUDED.expires_at
+     WHERE scheduler_leases.holder = EXCLUDED.holder OR scheduler_leases.expires_at < NOW()
+     RETURNING key`,
+    [key, holder, LEASE_SECONDS]
+  );
+  return result.rows.length > 0;
+}
+
+// A lease that can not be deleted just expires
+async function releaseLease(key, holder) {
+  try {
+    await pool.query('DELETE FROM scheduler_leases WHERE key = $1 AND holder = $2', [key, holder]);
+  } catch (error) {
+    console.error(`❌ Could not release scheduler lease ${key}:`, error.message);
+  }
+}
+
+async function holdLeadership() {
+  const leader = await acquireLease(LEADER_LEASE_KEY, INSTANCE_ID);
+  if (leader && !isLeader) {
+    console.log(`✅ Job scheduler: ${INSTANCE_ID} is the leader`);
+  } else if (!leader && isLeader) {
+    console.warn(`⚠️  Job scheduler: ${INSTANCE_ID} lost leadership`);
+  }
+  isLeader = leader;
+  return leader;
+}
+
+/**
+ * Take the job lease, record the run and start the handler
+ * @returns {Promise<Object|null>} { run, done } or null when the job is already running;
+ *   done resolves with the finished run and never rejects
+ */
+async function startRun(name, { trigger, attempt, adminId = null }) {
+  const job = jobs.get(name);
+  const leaseKey = jobLeaseKey(name);
+  // Unique per run, so a second run on the same instance does not pass as a renewal
+  const holder = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  if (!(await acquireLease(leaseKey, holder))) {
+    return null;
+  }
+
+  let run;
+  try {
+    const runResult = await pool.query(
+      `INSERT INTO job_runs (job_name, trigger, attempt, instance_id, triggered_by_admin)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [name, trigger, attempt, INSTANCE_ID, adminId]
+    );
+    run = runResult.rows[0];
+  } catch (error) {
+    await releaseLease(leaseKey, holder);
+    throw error;
+  }
+
+  const renewTimer = setInterval(() => {
+    acquireLease(leaseKey, holder)
+      .then((held) => {
+        if (!held) console.warn(`⚠️  Job ${name} run #${run.id} lost its lease`);
+      })
+      .catch(error => console.error(`❌ Could not renew the lease of job ${name}:`, error.message));
+  }, LEASE_RENEW_MS);
+
+  const done = (async () => {
+    const startedAt = Date.now();
+    let status = 'succeeded';
+    let result = null;
+    let errorMessage = null;
+    try {
+      result = (await job.handler({ trigger, attempt, runId: Number(run.id) })) ?? null;
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message || String(error);
+      console.error(`❌ Job ${name} failed (attempt ${attempt}):`, errorMessage);
+    }
+
+    try {
+      const finished = await pool.query(
+        `UPDATE job_runs
+         SET status = $2, finished_at = NOW(), duration_ms = $3, result = $4, error = $5
+         WHERE id = $1
+         RETURNING *`,
+        [run.id, status, Date.now() - startedAt, result === null ? null : JSON.stringify(result), errorMessage]
+      );
+      await recordOutcome(name, { trigger, attempt, status, startedAt: run.started_at });
+      return formatJobRun(finished.rows[0]);
+    } catch (error) {
+      // The run stays 'running' and is marked abandoned once the lease is gone
+      console.error(`❌ Could not record the result of job ${name} run #${run.id}:`, error.message);
+      return formatJobRun({ ...run, status, error: errorMessage });
+    } finally {
+      clearInterval(renewTimer);
+      await releaseLease(leaseKey, holder);
+    }
+  })();
+
+  return { run: formatJobRun(run), done };
+}
+
+async function recordOutcome(name, { trigger, attempt, status, startedAt }) {
+  // Manual runs are not retried: the admin sees the error in the response
+  if (status === 'failed' && trigger !== 'manual') {
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET last_run_at = $2, last_status = 'failed',
+           retry_attempt = CASE WHEN $3 < max_attempts THEN $3 + 1 END,
+           retry_at = CASE WHEN $3 < max_attempts
+             THEN NOW() + retry_backoff_seconds * POWER(2, $3 - 1) * INTERVAL '1 second' END,
+           updated_at = NOW()
+       WHERE name = $1`,
+      [name, startedAt, attempt]
+    );
+    return;
+  }
+
+  await pool.query(
+    `UPDATE scheduled_jobs
+     SET last_run_at = $2, last_status = $3,
+         retry_at = CASE WHEN $3 = 'succeeded' THEN NULL ELSE retry_at END,
+         retry_attempt = CASE WHEN $3 = 'succeeded' THEN NULL ELSE retry_attempt END,
+         updated_at = NOW()
+     WHERE name = $1`,
+    [name, startedAt, status]
+  );
+}
+
+/**
+ * Mark runs whose instance died as abandoned: a run keeps its job lease until it
+ * is recorded, so a running row without a live lease has no owner any more
+ */
+async function reapAbandonedRuns() {
+  const reaped = await pool.query(
+    `UPDATE job_runs jr
+     SET status = 'abandoned', finished_at = NOW(), error = 'The instance running the job stopped before it finished'
+     WHERE jr.status = 'running' AND jr.started_at < NOW() - INTERVAL '1 minute'
+       AND NOT EXISTS (
+         SELECT 1 FROM scheduler_leases l
+         WHERE l.key = $1 || jr.job_name AND l.expires_at >= NOW()
+       )
+     RETURNING jr.id, jr.job_name`,
+    [JOB_LEASE_PREFIX]
+  );
+  for (const row of reaped.rows) {
+    console.warn(`⚠️  Job ${row.job_name} run #${row.id} marked abandoned`);
+  }
+}
+
+// Move the schedule forward before starting the run, so a failed start is not retried every tick
+async function claimDueRun(row) {
+  const now = new Date();
+  if (!row.next_run_at || row.next_run_at <= now) {
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET next_run_at = $2, retry_at = NULL, retry_attempt = NULL, updated_at = NOW()
+       WHERE name = $1`,
+      [row.name, nextCronDate(row.cron_expression, now)]
+    );
+    return { trigger: 'schedule', attempt: 1 };
+  }
+
+  await pool.query(
+    'UPDATE scheduled_jobs SET retry_at = NULL, updated_at = NOW() WHERE name = $1',
+    [row.name]
+  );
+  return { trigger: 'retry', attempt: row.retry_attempt || 2 };
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    if (!jobRowsSynced) {
+      await syncJobRows();
+    }
+    if (!(await holdLeadership())) return;
+
+    await reapAbandonedRuns();
+
+    const due = await pool.query(
+      `SELECT * FROM scheduled_jobs
+       WHERE is_enabled = TRUE
+         AND name = ANY($1)
+         AND (next_run_at IS NULL OR next_run_at <= NOW() OR retry_at <= NOW())
+       ORDER BY name`,
+      [[...jobs.keys()]]
+    );
+
+    for (const row of due.rows) {
+      try {
+        const claim = await claimDueRun(row);
+        const started = await startRun(row.name, claim);
+        if (!started) {
+          console.warn(`⚠️  Job ${row.name} is still running, skipping its ${claim.trigger} run`);
+        }
+      } catch (error) {
+        console.error(`❌ Could not start job ${row.name}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Job scheduler tick failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the scheduler loop (call once the database is reachable)
+ * With SCHEDULER_ENABLED=false the instance never runs scheduled jobs but
+ * still records manual runs triggered through it.
+ */
+export async function startScheduler() {
+  if (tickTimer) return;
+
+  if (!SCHEDULER_ENABLED) {
+    console.log('⚠️  Job scheduler disabled (SCHEDULER_ENABLED=false)');
+    await syncJobRows().catch(error => console.error('❌ Could not register scheduled jobs:', error.message));
+    return;
+  }
+
+  tickTimer = setInterval(tick, TICK_MS);
+  console.log(`✅ Job scheduler started on ${INSTANCE_ID} (${jobs.size} job(s))`);
+  await tick();
+}
+
+export async function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+  if (isLeader) {
+    isLeader = false;
+    await releaseLease(LEADER_LEASE_KEY, INSTANCE_ID);
+  }
+}
+
+export async function listJobs(client = pool) {
+  const result = await client.query(
+    `SELECT sj.*,
+            EXISTS (SELECT 1 FROM job_runs jr WHERE jr.job_name = sj.name AND jr.status = 'running') AS is_running
+     FROM scheduled_jobs sj
+     ORDER BY sj.name`
+  );
+  return result.rows.map(formatJob);
+}
+
+export async function getJob(name, client = pool) {
+  const result = await client.query(
+    `SELECT sj.*,
+            EXISTS (SELECT 1 FROM job_runs jr WHERE jr.job_name = sj.name AND jr.status = 'running') AS is_running
+     FROM scheduled_jobs sj
+     WHERE sj.name = $1`,
+    [name]
+  );
+  if (result.rows.length === 0) {
+    throw schedulerError(`Job ${name} not found`, 404);
+  }
+  return formatJob(result.rows[0]);
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.jobName]
+ * @param {string} [filters.status] - One of JOB_RUN_STATUSES
+ * @param {number} [filters.limit=50]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<Object>} { runs, total }
+ */
+export async function listJobRuns({ jobName = null, status = null, limit = 50, offset = 0 } = {}, client = pool) {
+  const conditions = [];
+  const params = [];
+  if (jobName) {
+    params.push(jobName);
+    conditions.push(`jr.job_name = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`jr.status = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await client.query(`SELECT COUNT(*) FROM job_runs jr ${where}`, params);
+  const result = await client.query(
+    `SELECT jr.*, a.email AS admin_email
+     FROM job_runs jr
+     LEFT JOIN admin a ON a.id = jr.triggered_by_admin
+     ${where}
+     ORDER BY jr.started_at DESC, jr.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    runs: result.rows.map(formatJobRun),
+    total: parseInt(countResult.rows[0].count, 10)
+  };
+}
+
+/**
+ * Run a job now, outside its schedule
+ * Works on any instance and for disabled jobs; refused while the job is running.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {number} [options.adminId]
+ * @returns {Promise<Object>} { run, done } - done resolves with the finished run
+ */
+export async function triggerJob(name, { adminId = null } = {}) {
+  if (!jobs.has(name)) {
+    throw schedulerError(`Job ${name} not found`, 404);
+  }
+
+  const started = await startRun(name, { trigger: 'manual', attempt: 1, adminId });
+  if (!started) {
+    throw schedulerError(`Job ${name} is already running`, 409);
+  }
+  return started;
+}
+
+/**
+ * Change a job's schedule
+ * @param {string} name
+ * @param {Object} changes
+ * @param {string} [changes.cronExpression]
+ * @param {boolean} [changes.isEnabled]
+ * @param {number} [changes.maxAttempts] - 1 to 10
+ */
+export async function updateJob(name, { cronExpression, isEnabled, maxAttempts } = {}) {
+  const job = await getJob(name);
+
+  if (cronExpression !== undefined && !isValidCron(cronExpression)) {
+    throw schedulerError(`Invalid cron expression "${cronExpression}"`);
+  }
+  if (isEnabled !== undefined && typeof isEnabled !== 'boolean') {
+    throw schedulerError('isEnabled must be a boolean');
+  }
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10)) {
+    throw schedulerError('maxAttempts must be an integer from 1 to 10');
+  }
+
+  const cron = cronExpression !== undefined ? cronExpression.trim() : job.cronExpression;
+  const enabled = isEnabled !== undefined ? isEnabled : job.isEnabled;
+  // A new schedule, or re-enabling, starts at the next cron time instead of catching up
+  const reschedule = cron !== job.cronExpression || (enabled && !job.isEnabled);
+
+  await pool.query(
+    `UPDATE scheduled_jobs
+     SET cron_expression = $2,
+         is_enabled = $3,
+         max_attempts = $4,
+         next_run_at = CASE WHEN $5 THEN $6 ELSE next_run_at END,
+         retry_at = CASE WHEN $3 THEN retry_at END,
+         retry_attempt = CASE WHEN $3 THEN retry_attempt END,
+         updated_at = NOW()
+     WHERE name = $1`,
+    [name, cron, enabled, maxAttempts ?? job.maxAttempts, reschedule, reschedule ? nextCronDate(cron) : null]
+  );
+
+  return getJob(name);
+}
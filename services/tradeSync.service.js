@@ -0,0 +1,274 @@
+import pool from '../config/database.js';
+import * as mt5Service from './mt5.service.js';
+import { toList, toTradeRecord } from './mt5/normalize.js';
+
+/**
+ * Trade Sync Service
+ * Copies MT5 trade history into the trades table (see
+ * migration_trade_history_store.sql) so readers query Postgres:
+ * - Closed trades are fetched from the account's high-watermark minus
+ *   OVERLAP_MINUTES and upserted by ticket; the first sync of an account
+ *   pages through its whole history.
+ * - A run fetches at most MAX_PAGES_PER_RUN pages per account and saves where
+ *   it stopped; the next run resumes from that page.
+ * - Open positions are replaced by the bridge's current list on every sync.
+ * Runs as the sync-mt5-trades scheduled job; reconciliation syncs the account
+ * it checks first.
+ */
+
+const PAGE_SIZE = 1000;
+const MAX_PAGES_PER_RUN = parseInt(process.env.TRADE_SYNC_MAX_PAGES || '50', 10);
+// Deals can reach the bridge with a close time slightly before ones already seen
+const OVERLAP_MINUTES = 10;
+const UPSERT_CHUNK = 200;
+
+const TRADE_COLUMNS = [
+  'kind', 'ticket', 'login', 'position_id', 'symbol', 'side', 'volume', 'price_open', 'price_close',
+  'profit', 'commission', 'swap', 'open_time', 'close_time', 'comment', 'raw'
+];
+
+export function formatTrade(row) {
+  return {
+    kind: row.kind,
+    ticket: Number(row.ticket),
+    login: Number(row.login),
+    positionId: row.position_id !== null ? Number(row.position_id) : null,
+    symbol: row.symbol,
+    side: row.side,
+    volume: Number(row.volume),
+    priceOpen: row.price_open !== null ? Number(row.price_open) : null,
+    priceClose: row.price_close !== null ? Number(row.price_close) : null,
+    profit: Number(row.profit),
+    commission: Number(row.commission),
+    swap: Number(row.swap),
+    openTime: row.open_time,
+    closeTime: row.close_time,
+    comment: row.comment,
+    syncedAt: row.synced_at
+  };
+}
+
+async function upsertTrades(client, login, kind, records) {
+  for (let start = 0; start < records.length; start += UPSERT_CHUNK) {
+    const chunk = records.slice(start, start + UPSERT_CHUNK);
+    const values = [];
+    const params = [];
+    for (const record of chunk) {
+      const row = [
+        kind, record.ticket, login, record.positionId, record.symbol, record.side, record.volume,
+        record.priceOpen, record.priceClose, record.profit, record.commission, record.swap,
+        record.openTime, record.closeTime, record.comment, JSON.stringify(record.raw)
+      ];
+      values.push(`(${row.map((_, i) => `$${params.length + i + 1}`).join(', ')})`);
+      params.push(...row);
+    }
+    const updates = TRADE_COLUMNS
+      .filter(column => !['kind', 'ticket'].includes(column))
+      .map(column => `${column} = EXCLUDED.${column}`);
+
+    await client.query(
+      `INSERT INTO trades (${TRADE_COLUMNS.join(', ')})
+       VALUES ${values.join(', ')}
+       ON CONFLICT (kind, ticket) DO UPDATE SET ${updates.join(', ')}, synced_at = NOW()`,
+      params
+    );
+  }
+}
+
+// Closed trades of one page, without entries the bridge sent without a ticket
+function dealRecords(payload) {
+  return toList(payload).map(toTradeRecord).filter(record => record.ticket !== null);
+}
+
+/**
+ * Sync one account's closed trades and open positions
+ * @param {number|string} login - MT5 login
+ * @returns {Promise<Object>} { login, deals, openPositions, complete }
+ *   complete is false when the page limit stopped the run early
+ */
+export async function syncAccountTrades(login) {
+  const mt5Login = parseInt(login, 10);
+  if (Number.isNaN(mt5Login)) {
+    throw new Error(`Invalid MT5 login: ${login}`);
+  }
+
+  const stateResult = await pool.query('SELECT * FROM trade_sync_state WHERE login = $1', [mt5Login]);
+  const state = stateResult.rows[0] || null;
+
+  let from;
+  let page;
+  if (state?.cursor_page) {
+    from = state.cursor_from;
+    page = state.cursor_page;
+  } else {
+    from = state?.watermark ? new Date(new Date(state.watermark).getTime() - OVERLAP_MINUTES * 60 * 1000) : null;
+    page = 1;
+  }
+  const fromISO = from ? new Date(from).toISOString() : null;
+
+  try {
+    let deals = 0;
+    let complete = false;
+    for (let fetched = 0; fetched < MAX_PAGES_PER_RUN; fetched++, page++) {
+      const result = await mt5Service.getClosedTrades(mt5Login, fromISO, null, page, PAGE_SIZE);
+      const items = toList(result.data);
+      const records = dealRecords(items);
+      if (records.length > 0) {
+        await upsertTrades(pool, mt5Login, 'deal', records);
+        deals += records.length;
+      }
+      if (items.length < PAGE_SIZE) {
+        complete = true;
+        break;
+      }
+    }
+
+    // Open positions: entries of the trade list without a close time (the
+    // bridge lists them whatever the date filter)
+    const positions = [];
+    if (complete) {
+      for (let positionPage = 1; positionPage <= MAX_PAGES_PER_RUN; positionPage++) {
+        const result = await mt5Service.getAllTrades(mt5Login, fromISO, null, positionPage, PAGE_SIZE);
+        const items = toList(result.data);
+        positions.push(...items.map(toTradeRecord).filter(record => record.ticket !== null && !record.closeTime));
+        if (items.length < PAGE_SIZE) break;
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (complete) {
+        await client.query("DELETE FROM trades WHERE login = $1 AND kind = 'position'", [mt5Login]);
+        if (positions.length > 0) {
+          await upsertTrades(client, mt5Login, 'position', positions);
+        }
+      }
+      await client.query(
+        `INSERT INTO trade_sync_state (login, watermark, cursor_from, cursor_page, deals_synced, open_positions,
+                                       last_synced_at, last_full_sync_at, last_error, updated_at)
+         VALUES ($1,
+                 (SELECT MAX(close_time) FROM trades WHERE login = $1 AND kind = 'deal'),
+                 $2, $3, $4, $5, NOW(), CASE WHEN $7::boolean THEN NOW() END, NULL, NOW())
+         ON CONFLICT (login) DO UPDATE SET
+           watermark = EXCLUDED.watermark,
+           cursor_from = EXCLUDED.cursor_from,
+           cursor_page = EXCLUDED.cursor_page,
+           deals_synced = trade_sync_state.deals_synced + EXCLUDED.deals_synced,
+           open_positions = CASE WHEN $6::boolean THEN EXCLUDED.open_positions ELSE trade_sync_state.open_positions END,
+           last_synced_at = NOW(),
+           last_full_sync_at = COALESCE(EXCLUDED.last_full_sync_at, trade_sync_state.last_full_sync_at),
+           last_error = NULL,
+           updated_at = NOW()`,
+        // page is already the next one to fetch when the loop hit its limit
+        [mt5Login, complete ? null : from, complete ? null : page, deals, positions.length, complete, complete && !from]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { login: mt5Login, deals, openPositions: complete ? positions.length : null, complete };
+  } catch (error) {
+    await pool.query(
+      `INSERT INTO trade_sync_state (login, last_error, last_error_at, updated_at)
+       VALUES ($1, $2, NOW(), NOW())
+       ON CONFLICT (login) DO UPDATE SET last_error = $2, last_error_at = NOW(), updated_at = NOW()`,
+      [mt5Login, error.message]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Scheduled run: sync every real MT5 account
+ * Errors of single accounts are recorded on their sync state and counted.
+ * @returns {Promise<Object>} { accounts, deals, incomplete, failed }
+ */
+export async function syncAllTrades() {
+  const accounts = await pool.query(
+    `SELECT DISTINCT account_number
+     FROM trading_accounts
+     WHERE platform = 'MT5' AND is_demo = FALSE
+       AND (account_status IS NULL OR account_status = '' OR account_status = 'active')
+       AND account_number ~ '^[0-9]+$'
+     ORDER BY account_number`
+  );
+
+  const totals = { accounts: accounts.rows.length, deals: 0, incomplete: 0, failed: 0 };
+  for (const { account_number: accountNumber } of accounts.rows) {
+    try {
+      const result = await syncAccountTrades(accountNumber);
+      totals.deals += result.deals;
+      if (!result.complete) totals.incomplete++;
+    } catch (error) {
+      totals.failed++;
+      console.error(`Trade sync failed for MT5 account ${accountNumber}:`, error.message);
+    }
+  }
+
+  if (totals.deals > 0 || totals.failed > 0) {
+    console.log(`✅ Synced ${totals.deals} MT5 deal(s) for ${totals.accounts} account(s), ${totals.incomplete} still paging, ${totals.failed} failed`);
+  }
+  return totals;
+}
+
+/**
+ * Closed trades from the local store
+ * @param {Object} params
+ * @param {Array<number|string>} params.logins
+ * @param {Date|string} [params.from] - Close time from (inclusive)
+ * @param {Date|string} [params.to] - Close time to (inclusive)
+ * @param {Date|string} [params.syncedSince] - Also include deals stored since then, whatever their close time
+ * @returns {Promise<Array>} Formatted trades, oldest first
+ */
+export async function getStoredClosedTrades({ logins, from = null, to = null, syncedSince = null }, client = pool) {
+  const ids = logins.map(login => parseInt(login, 10)).filter(login => !Number.isNaN(login));
+  if (ids.length === 0) return [];
+
+  const result = await client.query(
+    `SELECT * FROM trades
+     WHERE kind = 'deal' AND login = ANY($1::bigint[])
+       AND (
+         (($2::timestamptz IS NULL OR close_time >= $2) AND ($3::timestamptz IS NULL OR close_time <= $3))
+         OR ($4::timestamptz IS NOT NULL AND synced_at >= $4)
+       )
+     ORDER BY close_time, ticket`,
+    [ids, from, to, syncedSince]
+  );
+  return result.rows.map(formatTrade);
+}
+
+/**
+ * Realized profit + commission + swap of an account's stored deals
+ * @returns {Promise<number>}
+ */
+export async function getStoredRealizedPnl(login, since = null, client = pool) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(profit + commission + swap), 0) AS total
+     FROM trades
+     WHERE kind = 'deal' AND login = $1 AND ($2::timestamptz IS NULL OR close_time >= $2)`,
+    [parseInt(login, 10), since]
+  );
+  return Number(result.rows[0].total);
+}
+
+/**
+ * When the given accounts were last synced (oldest of them), or null if one never was
+ * @returns {Promise<Date|null>}
+ */
+export async function getTradesSyncedAt(logins, client = pool) {
+  const ids = logins.map(login => parseInt(login, 10)).filter(login => !Number.isNaN(login));
+  if (ids.length === 0) return null;
+
+  const result = await client.query(
+    `SELECT COUNT(last_synced_at) = $2 AS all_synced, MIN(last_synced_at) AS synced_at
+     FROM trade_sync_state
+     WHERE login = ANY($1::bigint[])`,
+    [ids, ids.length]
+  );
+  return result.rows[0].all_synced ? result.rows[0].synced_at : null;
+}
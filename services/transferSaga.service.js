@@ -0,0 +1,412 @@
+import pool from '../config/database.js';
+import { adjustWalletBalance } from './wallet.service.js';
+import { addBalance, deductBalance } from './mt5.service.js';
+import { SYSTEM_ACCOUNTS, fxConversionAccount, mt5Account, recordEntry } from './ledger.service.js';
+import { quoteConversion, getMt5AccountCurrency, getWalletCurrency } from './fx.service.js';
+
+/**
+ * Transfer Saga Service
+ * Wallet <-> MT5 (and MT5 <-> MT5, wallet <-> wallet) transfers as a
+ * persisted state machine in internal_transfers:
+ *
+ *   initiated -> wallet_held -> mt5_applied -> completed
+ *                     \              \
+ *                      +--------------+--> compensated (source refunded)
+ *   initiated -> failed (nothing was moved)
+ *
+ * Database steps (wallet hold / wallet credit) commit together with the state
+ * change. MT5 steps are external, so each one is bracketed by
+ * mt5_call_started_at: a stale value after a crash means the outcome is unknown
+ * and the transfer is flagged for review instead of being guessed. A call that
+ * times out (Mt5Error.outcomeUnknown) is flagged the same way right away.
+ * All legs go through the transfer clearing account in the ledger, which nets
+ * to zero once a transfer is completed or compensated. When the two sides use
+ * different currencies the destination receives to_amount in to_currency
+ * (converted with the rate snapshot stored on the row) and the legs go through
+ * the per-currency FX conversion accounts instead.
+ */
+
+const IN_FLIGHT_STATUSES = ['initiated', 'wallet_held', 'mt5_applied'];
+const MAX_COMPENSATION_ATTEMPTS = 5;
+
+function transferError(message, transfer, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.transfer = transfer;
+  return error;
+}
+
+async function getTransfer(transferId, client = pool) {
+  const result = await client.query('SELECT * FROM internal_transfers WHERE id = $1', [transferId]);
+  if (result.rows.length === 0) {
+    throw new Error(`Internal transfer #${transferId} not found`);
+  }
+  return result.rows[0];
+}
+
+async function updateTransfer(transferId, fields, client = pool) {
+  const keys = Object.keys(fields);
+  const assignments = keys.map((key, i) => `${key} = $${i + 2}`);
+  const result = await client.query(
+    `UPDATE internal_transfers SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [transferId, ...keys.map(key => fields[key])]
+  );
+  return result.rows[0];
+}
+
+// Run fn(client) and a state change in one database transaction
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getWalletIdByNumber(walletNumber, client) {
+  const result = await client.query('SELECT id FROM wallets WHERE wallet_number = $1', [walletNumber]);
+  if (result.rows.length === 0) {
+    throw new Error(`Wallet ${walletNumber} not found`);
+  }
+  return result.rows[0].id;
+}
+
+// Amount and currency of the source side (debit / refund) or the destination side (credit)
+function legAmount(transfer, kind) {
+  const currency = transfer.currency || 'USD';
+  if (kind === 'credit' && transfer.to_currency && transfer.to_amount !== null) {
+    return { amount: Number(transfer.to_amount), currency: transfer.to_currency };
+  }
+  return { amount: Number(transfer.amount), currency };
+}
+
+function clearingAccount(transfer, currency) {
+  const converted = transfer.to_currency && transfer.to_currency !== (transfer.currency || 'USD');
+  return converted ? fxConversionAccount(currency) : SYSTEM_ACCOUNTS.TRANSFER_CLEARING;
+}
+
+function walletLegDetails(transfer, kind) {
+  const { amount, currency } = legAmount(transfer, kind);
+  const base = {
+    amount,
+    currency,
+    mt5AccountNumber: transfer.mt5_account_number,
+    counterAccount: clearingAccount(transfer, currency),
+    entryType: 'transfer',
+    referenceType: 'internal_transfer',
+    referenceId: transfer.id,
+    createdByAdmin: transfer.initiated_by_admin
+  };
+  if (kind === 'hold') {
+    return { ...base, type: 'transfer_out', source: 'wallet', target: transfer.to_type, reference: transfer.reference };
+  }
+  if (kind === 'credit') {
+    return { ...base, type: 'transfer_in', source: transfer.from_type, target: 'wallet', reference: transfer.reference };
+  }
+  // refund of the hold
+  return { ...base, type: 'transfer_in', source: 'wallet', target: 'wallet', reference: `Reversal of transfer #${transfer.id}` };
+}
+
+/**
+ * Call MT5 for one leg. The call is bracketed by mt5_call_started_at and the
+ * result is recorded (flag + ledger entry) in a single transaction.
+ * @param {'debit'|'credit'|'refund'} leg - debit the source, credit the destination, or re-credit the source
+ */
+async function applyMt5Leg(transfer, leg) {
+  const login = parseInt(leg === 'credit' ? transfer.to_account : transfer.from_account, 10);
+  const { amount, currency } = legAmount(transfer, leg);
+  const comment = leg === 'refund' ? `Reversal of transfer #${transfer.id}` : `${transfer.reference || 'Internal transfer'} #${transfer.id}`;
+
+  await updateTransfer(transfer.id, { mt5_call_started_at: new Date() });
+
+  try {
+    if (leg === 'debit') {
+      await deductBalance(login, amount, comment);
+    } else {
+      await addBalance(login, amount, comment);
+    }
+  } catch (error) {
+    if (error.outcomeUnknown) {
+      // No answer from MT5: the leg may have gone through, so neither retry nor unwind it
+      await updateTransfer(transfer.id, {
+        needs_review: true,
+        last_error: `${error.message}; verify the MT5 balance before resolving`
+      });
+      throw error;
+    }
+    // MT5 answered with an error: nothing was applied
+    await updateTransfer(transfer.id, { mt5_call_started_at: null, last_error: error.message });
+    throw error;
+  }
+
+  const flags = {
+    debit: { mt5_debit_done: true },
+    credit: { mt5_credit_done: true },
+    refund: { mt5_debit_done: false }
+  };
+
+  return inTransaction(async (client) => {
+    const account = mt5Account(login, { userId: transfer.user_id, currency });
+    const clearing = clearingAccount(transfer, currency);
+    await recordEntry({
+      entryType: 'transfer',
+      debit: leg === 'debit' ? account : clearing,
+      credit: leg === 'debit' ? clearing : account,
+      amount,
+      currency,
+      referenceType: 'internal_transfer',
+      referenceId: transfer.id,
+      description: comment,
+      createdByAdmin: transfer.initiated_by_admin
+    }, client);
+    return updateTransfer(transfer.id, { mt5_call_started_at: null, ...flags[leg] }, client);
+  });
+}
+
+/**
+ * Undo whatever the source leg did: refund the wallet hold or re-credit the
+ * source MT5 account. Leaves the transfer as compensated.
+ */
+async function compensate(transfer, reason) {
+  let current = transfer;
+  try {
+    if (current.from_type === 'mt5' && current.mt5_debit_done) {
+      current = await applyMt5Leg(current, 'refund');
+      return await updateTransfer(current.id, { status: 'compensated', last_error: reason, completed_at: new Date() });
+    }
+
+    if (current.from_type === 'wallet' && current.status !== 'initiated') {
+      return await inTransaction(async (client) => {
+        const walletId = await getWalletIdByNumber(current.from_account, client);
+        await adjustWalletBalance({ walletId, ...walletLegDetails(current, 'refund') }, client);
+        return updateTransfer(current.id, { status: 'compensated', last_error: reason, completed_at: new Date() }, client);
+      });
+    }
+
+    // Source was never touched
+    return await updateTransfer(current.id, { status: 'failed', last_error: reason, completed_at: new Date() });
+  } catch (error) {
+    const attempts = (current.attempts || 0) + 1;
+    console.error(`❌ Compensation failed for internal transfer #${current.id}:`, error.message);
+    await updateTransfer(current.id, {
+      attempts,
+      last_error: `Compensation failed: ${error.message}`,
+      needs_review: Boolean(error.outcomeUnknown) || attempts >= MAX_COMPENSATION_ATTEMPTS
+    });
+    throw error;
+  }
+}
+
+/**
+ * Drive a transfer from its current state to completed, compensating the
+ * source leg if a later leg fails.
+ * @returns {Promise<{transfer: Object, wallet: Object|null}>} Final row and the last wallet balance change
+ */
+export async function runTransferSaga(transferId) {
+  let transfer = await getTransfer(transferId);
+  let wallet = null;
+
+  // 1) Hold the source wallet
+  if (transfer.status === 'initiated' && transfer.from_type === 'wallet') {
+    try {
+      const held = await inTransaction(async (client) => {
+        const walletId = await getWalletIdByNumber(transfer.from_account, client);
+        const walletResult = await adjustWalletBalance({ walletId, ...walletLegDetails(transfer, 'hold') }, client);
+        const row = await updateTransfer(transfer.id, { status: 'wallet_held' }, client);
+        return { row, walletResult };
+      });
+      transfer = held.row;
+      wallet = held.walletResult;
+    } catch (error) {
+      transfer = await updateTransfer(transfer.id, { status: 'failed', last_error: error.message, completed_at: new Date() });
+      throw transferError(error.message, transfer);
+    }
+  }
+
+  // 2) MT5 legs
+  if (transfer.status === 'initiated' || transfer.status === 'wallet_held') {
+    if (transfer.from_type === 'mt5' && !transfer.mt5_debit_done) {
+      try {
+        transfer = await applyMt5Leg(transfer, 'debit');
+      } catch (error) {
+        if (error.outcomeUnknown) {
+          throw transferError(error.message, await getTransfer(transfer.id));
+        }
+        transfer = await compensate(transfer, error.message);
+        throw transferError(error.message, transfer);
+      }
+    }
+    if (transfer.to_type === 'mt5' && !transfer.mt5_credit_done) {
+      try {
+        transfer = await applyMt5Leg(transfer, 'credit');
+      } catch (error) {
+        if (error.outcomeUnknown) {
+          throw transferError(error.message, await getTransfer(transfer.id));
+        }
+        transfer = await compensate(await getTransfer(transfer.id), error.message);
+        throw transferError(error.message, transfer);
+      }
+    }
+    transfer = await updateTransfer(transfer.id, { status: 'mt5_applied' });
+  }
+
+  // 3) Credit the destination wallet (or just close out an MT5 destination)
+  if (transfer.status === 'mt5_applied') {
+    if (transfer.to_type === 'wallet') {
+      try {
+        const credited = await inTransaction(async (client) => {
+          const walletId = await getWalletIdByNumber(transfer.to_account, client);
+          const walletResult = await adjustWalletBalance({ walletId, ...walletLegDetails(transfer, 'credit') }, client);
+          const row = await updateTransfer(transfer.id, { status: 'completed', last_error: null, completed_at: new Date() }, client);
+          return { row, walletResult };
+        });
+        transfer = credited.row;
+        wallet = credited.walletResult;
+      } catch (error) {
+        transfer = await compensate(transfer, error.message);
+        throw transferError(error.message, transfer);
+      }
+    } else {
+      transfer = await updateTransfer(transfer.id, { status: 'completed', last_error: null, completed_at: new Date() });
+    }
+  }
+
+  return { transfer, wallet };
+}
+
+// Wallet currency or MT5 group currency of one side of a transfer
+function sideCurrency(side) {
+  return side.type === 'wallet' ? getWalletCurrency(String(side.account)) : getMt5AccountCurrency(side.account);
+}
+
+/**
+ * Quote a transfer between two accounts, converting when their currencies differ
+ * @returns {Promise<Object>} quoteConversion() result (fromCurrency, toCurrency, rate, convertedAmount, ...)
+ */
+export async function quoteTransfer({ from, to, amount }) {
+  const [fromCurrency, toCurrency] = await Promise.all([sideCurrency(from), sideCurrency(to)]);
+  return quoteConversion(amount, fromCurrency, toCurrency);
+}
+
+/**
+ * Create an internal transfer and run it to completion
+ * @param {Object} params
+ * @param {number} params.userId - Owner of the source account
+ * @param {{type: 'wallet'|'mt5', account: string}} params.from - wallet_number or MT5 login
+ * @param {{type: 'wallet'|'mt5', account: string}} params.to - wallet_number or MT5 login
+ * @param {number} params.amount - In the source account's currency
+ * @param {string} [params.reference]
+ * @param {number} [params.adminId] - Set for admin-initiated transfers
+ * @param {number} [params.toUserId] - Owner of the destination when it is another client's wallet
+ * @param {number} [params.clientTransferRequestId] - Client transfer request this transfer executes
+ * @throws {Error} With status 400 and the final transfer row attached when the transfer failed or was compensated
+ */
+export async function executeTransfer({
+  userId, from, to, amount, reference = null, adminId = null, toUserId = null, clientTransferRequestId = null
+}) {
+  const mt5AccountNumber = from.type === 'mt5' ? String(from.account) : to.type === 'mt5' ? String(to.account) : null;
+  const quote = await quoteTransfer({ from, to, amount });
+  const converted = quote.fromCurrency !== quote.toCurrency;
+
+  const result = await pool.query(
+    `INSERT INTO internal_transfers
+     (user_id, from_type, from_account, to_type, to_account, amount, currency, mt5_account_number, status, reference, initiated_by_admin,
+      to_amount, to_currency, fx_rate_id, fx_mid_rate, fx_markup_percent, fx_rate, fx_quoted_at, to_user_id,
+      client_transfer_request_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'initiated', $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+     RETURNING id`,
+    [
+      userId, from.type, String(from.account), to.type, String(to.account), amount, quote.fromCurrency, mt5AccountNumber, reference, adminId,
+      converted ? quote.convertedAmount : null,
+      converted ? quote.toCurrency : null,
+      quote.rateId,
+      converted ? quote.midRate : null,
+      converted ? quote.markupPercent : null,
+      converted ? quote.rate : null,
+      converted ? quote.quotedAt : null,
+      toUserId,
+      clientTransferRequestId
+    ]
+  );
+
+  return runTransferSaga(result.rows[0].id);
+}
+
+/**
+ * Recovery job: resume or unwind transfers left in a non-terminal state
+ * (e.g. the process crashed between two legs).
+ * - An MT5 call that never reported back -> flagged for review
+ * - mt5_applied, or every MT5 leg done -> resumed (wallet credit / completion)
+ * - initiated / wallet_held -> source leg compensated
+ * @param {number} staleMinutes - Only touch rows not updated for this long
+ * @returns {Promise<Object>} { resumed, unwound, flagged, failed }
+ */
+export async function recoverStuckTransfers(staleMinutes = 5) {
+  const counts = { resumed: 0, unwound: 0, flagged: 0, failed: 0 };
+  try {
+    const result = await pool.query(
+      `SELECT * FROM internal_transfers
+       WHERE status = ANY($1)
+         AND needs_review = FALSE
+         AND updated_at < NOW() - ($2 || ' minutes')::interval
+       ORDER BY id
+       LIMIT 50`,
+      [IN_FLIGHT_STATUSES, String(staleMinutes)]
+    );
+
+    for (const transfer of result.rows) {
+      try {
+        // Claim the row so a concurrent run skips it
+        const claimed = await pool.query(
+          `UPDATE internal_transfers SET updated_at = NOW()
+           WHERE id = $1 AND status = $2 AND needs_review = FALSE
+             AND updated_at < NOW() - ($3 || ' minutes')::interval
+           RETURNING *`,
+          [transfer.id, transfer.status, String(staleMinutes)]
+        );
+        if (claimed.rows.length === 0) continue;
+        const row = claimed.rows[0];
+
+        if (row.mt5_call_started_at) {
+          await updateTransfer(row.id, {
+            needs_review: true,
+            last_error: 'Interrupted during an MT5 call; verify the MT5 balance before resolving'
+          });
+          console.warn(`⚠️  Internal transfer #${row.id} flagged for review (MT5 call outcome unknown)`);
+          counts.flagged++;
+          continue;
+        }
+
+        // Every MT5 leg already went through: only the bookkeeping is left
+        const mt5LegsDone =
+          (row.from_type !== 'mt5' || row.mt5_debit_done) &&
+          (row.to_type !== 'mt5' || row.mt5_credit_done) &&
+          (row.from_type === 'mt5' || row.to_type === 'mt5');
+
+        if (row.status === 'mt5_applied' || mt5LegsDone) {
+          const { transfer: resumed } = await runTransferSaga(row.id);
+          console.log(`✅ Resumed internal transfer #${row.id}: ${resumed.status}`);
+          counts.resumed++;
+        } else {
+          const unwound = await compensate(row, 'Recovered after interruption');
+          console.log(`✅ Unwound internal transfer #${row.id}: ${unwound.status}`);
+          counts.unwound++;
+        }
+      } catch (error) {
+        console.error(`❌ Error recovering internal transfer #${transfer.id}:`, error.message);
+        counts.failed++;
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error recovering internal transfers:', error.message);
+    throw error;
+  }
+  return counts;
+}
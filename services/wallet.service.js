@@ -1,4 +1,10 @@
 import pool from '../config/database.js';
+import {
+  SYSTEM_ACCOUNTS,
+  walletAccount,
+  mt5Account,
+  postJournalEntry
+} from './ledger.service.js';
 
 // Helper: generate a wallet number like W-<userId>-<random>
 function generateWalletNumber(userId) {
@@ -6,35 +12,64 @@ function generateWalletNumber(userId) {
   return `W-${userId}-${random}`;
 }
 
-export async function createWalletForUser(userId, client = pool) {
-  // Check if wallet already exists
-  const existing = await client.query(
-    'SELECT id, wallet_number, currency, balance, status FROM wallets WHERE user_id = $1',
-    [userId]
-  );
-  if (existing.rows.length > 0) {
-    return existing.rows[0];
+const WALLET_COLUMNS = 'id, user_id, wallet_number, currency, balance, held_balance, status, is_primary, created_at, updated_at';
+
+// Get the user's wallet in a currency, creating it when missing. Without a
+// currency the primary wallet is returned (created in USD for new users).
+export async function createWalletForUser(userId, client = pool, currency = null) {
+  const existing = await getWalletByUserId(userId, client, currency);
+  if (existing) {
+    return existing;
   }
 
   const walletNumber = generateWalletNumber(userId);
   const result = await client.query(
-    `INSERT INTO wallets (user_id, wallet_number)
-     VALUES ($1, $2)
-     RETURNING id, wallet_number, currency, balance, status, created_at, updated_at`,
-    [userId, walletNumber]
+    `INSERT INTO wallets (user_id, wallet_number, currency, is_primary)
+     VALUES ($1, $2, $3, NOT EXISTS (SELECT 1 FROM wallets WHERE user_id = $1))
+     ON CONFLICT (user_id, currency) DO NOTHING
+     RETURNING ${WALLET_COLUMNS}`,
+    [userId, walletNumber, (currency || 'USD').toUpperCase()]
   );
-  return result.rows[0];
+  // Lost a race with a concurrent create
+  return result.rows[0] || getWalletByUserId(userId, client, currency || 'USD');
 }
 
-export async function getWalletByUserId(userId, client = pool) {
+// The user's wallet in a currency, or the primary wallet when no currency is given
+export async function getWalletByUserId(userId, client = pool, currency = null) {
+  const result = currency
+    ? await client.query(
+      `SELECT ${WALLET_COLUMNS} FROM wallets WHERE user_id = $1 AND currency = $2`,
+      [userId, currency.toUpperCase()]
+    )
+    : await client.query(
+      `SELECT ${WALLET_COLUMNS} FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, id LIMIT 1`,
+      [userId]
+    );
+  return result.rows[0] || null;
+}
+
+export async function getWalletsByUserId(userId, client = pool) {
   const result = await client.query(
-    'SELECT id, user_id, wallet_number, currency, balance, status, created_at, updated_at FROM wallets WHERE user_id = $1',
+    `SELECT ${WALLET_COLUMNS} FROM wallets WHERE user_id = $1 ORDER BY is_primary DESC, currency`,
     [userId]
   );
-  return result.rows[0] || null;
+  return result.rows;
+}
+
+// Ledger account on the other side of a wallet movement when the caller doesn't specify one
+function defaultCounterAccount(type, mt5AccountNumber, currency) {
+  if (type === 'deposit' || type === 'withdrawal') {
+    return SYSTEM_ACCOUNTS.CLIENT_FUNDS;
+  }
+  if (mt5AccountNumber) {
+    return mt5Account(mt5AccountNumber, { currency });
+  }
+  return SYSTEM_ACCOUNTS.TRANSFER_CLEARING;
 }
 
-// Adjust wallet balance and record a transaction atomically
+// Adjust wallet balance, record a transaction and post the ledger entry atomically.
+// Called with the pool it runs its own transaction; called with a checked-out
+// client it joins the caller's transaction.
 export async function adjustWalletBalance(
   {
     walletId,
@@ -42,9 +77,15 @@ export async function adjustWalletBalance(
     type,
     source,
     target,
-    currency = 'USD',
+    currency = null, // defaults to the wallet's currency
     mt5AccountNumber = null,
-    reference = null
+    reference = null,
+    // Ledger details (counterAccount defaults from type / mt5AccountNumber)
+    counterAccount = null,
+    entryType = null,
+    referenceType = null,
+    referenceId = null,
+    createdByAdmin = null
   },
   client = pool
 ) {
@@ -57,13 +98,16 @@ export async function adjustWalletBalance(
 
   const numericAmount = Number(amount);
 
-  const dbClient = await client.connect();
+  const ownsTransaction = client === pool;
+  const dbClient = ownsTransaction ? await pool.connect() : client;
   try {
-    await dbClient.query('BEGIN');
+    if (ownsTransaction) {
+      await dbClient.query('BEGIN');
+    }
 
     // Lock row
     const walletRes = await dbClient.query(
-      'SELECT id, balance, currency, status FROM wallets WHERE id = $1 FOR UPDATE',
+      'SELECT id, user_id, wallet_number, balance, currency, status FROM wallets WHERE id = $1 FOR UPDATE',
       [walletId]
     );
     if (walletRes.rows.length === 0) {
@@ -73,9 +117,11 @@ export async function adjustWalletBalance(
     if (wallet.status !== 'active') {
       throw new Error('Wallet is not active');
     }
+    const entryCurrency = currency || wallet.currency || 'USD';
 
     let newBalance = Number(wallet.balance);
-    if (type === 'deposit' || type === 'transfer_in') {
+    const isCredit = type === 'deposit' || type === 'transfer_in';
+    if (isCredit) {
       newBalance += numericAmount;
     } else if (type === 'withdrawal' || type === 'transfer_out') {
       if (numericAmount > newBalance) {
@@ -95,21 +141,156 @@ export async function adjustWalletBalance(
       `INSERT INTO wallet_transactions
          (wallet_id, type, source, target, amount, currency, mt5_account_number, reference)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [walletId, type, source, target, numericAmount, currency, mt5AccountNumber, reference]
+      [walletId, type, source, target, numericAmount, entryCurrency, mt5AccountNumber, reference]
     );
 
-    await dbClient.query('COMMIT');
+    // Crediting the wallet (a client liability) increases it; debiting decreases it
+    const ownAccount = walletAccount(walletId, {
+      userId: wallet.user_id,
+      currency: wallet.currency,
+      label: wallet.wallet_number
+    });
+    const otherAccount = counterAccount || defaultCounterAccount(type, mt5AccountNumber, entryCurrency);
+    await postJournalEntry(
+      {
+        entryType: entryType || (type.startsWith('transfer') ? 'transfer' : type),
+        currency: entryCurrency,
+        referenceType,
+        referenceId,
+        description: reference,
+        createdByAdmin,
+        lines: [
+          { account: isCredit ? otherAccount : ownAccount, side: 'debit', amount: numericAmount },
+          { account: isCredit ? ownAccount : otherAccount, side: 'credit', amount: numericAmount }
+        ]
+      },
+      dbClient
+    );
+
+    if (ownsTransaction) {
+      await dbClient.query('COMMIT');
+    }
 
     return {
       walletId,
       balance: newBalance
     };
   } catch (error) {
-    await dbClient.query('ROLLBACK');
+    if (ownsTransaction) {
+      await dbClient.query('ROLLBACK');
+    }
     throw error;
   } finally {
-    dbClient.release();
+    if (ownsTransaction) {
+      dbClient.release();
+    }
+  }
+}
+
+// Move funds reserved by a pending withdrawal out of the spendable balance into held_balance.
+// Runs inside the caller's transaction.
+export async function holdWalletFunds({ walletId, amount, withdrawalId, currency = null }, client) {
+  const numericAmount = Number(amount);
+  const walletRes = await client.query(
+    'SELECT id, user_id, wallet_number, balance, currency, status FROM wallets WHERE id = $1 FOR UPDATE',
+    [walletId]
+  );
+  if (walletRes.rows.length === 0) {
+    throw new Error('Wallet not found');
+  }
+  const wallet = walletRes.rows[0];
+  if (wallet.status !== 'active') {
+    throw new Error('Wallet is not active');
   }
+  if (numericAmount > Number(wallet.balance)) {
+    throw new Error('Insufficient wallet balance');
+  }
+  const entryCurrency = currency || wallet.currency || 'USD';
+
+  await client.query(
+    `UPDATE wallets
+     SET balance = balance - $1, held_balance = held_balance + $1, updated_at = NOW()
+     WHERE id = $2`,
+    [numericAmount, walletId]
+  );
+  await client.query(
+    `INSERT INTO wallet_transactions
+       (wallet_id, type, source, target, amount, currency, reference)
+     VALUES ($1, 'withdrawal', 'wallet', 'wallet', $2, $3, $4)`,
+    [walletId, numericAmount, entryCurrency, `Withdrawal #${withdrawalId} reserved`]
+  );
+  await postJournalEntry(
+    {
+      entryType: 'withdrawal',
+      currency: entryCurrency,
+      referenceType: 'withdrawal',
+      referenceId: withdrawalId,
+      description: `Withdrawal #${withdrawalId} reserved`,
+      lines: [
+        { account: walletAccount(walletId, { userId: wallet.user_id, currency: wallet.currency, label: wallet.wallet_number }), side: 'debit', amount: numericAmount },
+        { account: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLDS, side: 'credit', amount: numericAmount }
+      ]
+    },
+    client
+  );
+
+  return { walletId, balance: Number(wallet.balance) - numericAmount };
 }
 
+// Return held funds to the spendable balance (withdrawal rejected or cancelled).
+// Runs inside the caller's transaction.
+export async function releaseWalletHold({ walletId, amount, withdrawalId, currency = null, reason = 'released', createdByAdmin = null }, client) {
+  const numericAmount = Number(amount);
+  const walletRes = await client.query(
+    `UPDATE wallets
+     SET balance = balance + $1, held_balance = held_balance - $1, updated_at = NOW()
+     WHERE id = $2
+     RETURNING id, user_id, wallet_number, balance, currency`,
+    [numericAmount, walletId]
+  );
+  if (walletRes.rows.length === 0) {
+    throw new Error('Wallet not found');
+  }
+  const wallet = walletRes.rows[0];
+  const entryCurrency = currency || wallet.currency || 'USD';
+
+  await client.query(
+    `INSERT INTO wallet_transactions
+       (wallet_id, type, source, target, amount, currency, reference)
+     VALUES ($1, 'deposit', 'wallet', 'wallet', $2, $3, $4)`,
+    [walletId, numericAmount, entryCurrency, `Withdrawal #${withdrawalId} ${reason}`]
+  );
+  await postJournalEntry(
+    {
+      entryType: 'withdrawal',
+      currency: entryCurrency,
+      referenceType: 'withdrawal',
+      referenceId: withdrawalId,
+      description: `Withdrawal #${withdrawalId} ${reason}`,
+      createdByAdmin,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLDS, side: 'debit', amount: numericAmount },
+        { account: walletAccount(walletId, { userId: wallet.user_id, currency: wallet.currency, label: wallet.wallet_number }), side: 'credit', amount: numericAmount }
+      ]
+    },
+    client
+  );
+
+  return { walletId, balance: Number(wallet.balance) };
+}
 
+// Drop the held amount once the withdrawal has been paid out.
+// Runs inside the caller's transaction.
+export async function finalizeWalletHold({ walletId, amount }, client) {
+  const result = await client.query(
+    `UPDATE wallets
+     SET held_balance = held_balance - $1, updated_at = NOW()
+     WHERE id = $2
+     RETURNING id, held_balance`,
+    [Number(amount), walletId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Wallet not found');
+  }
+  return result.rows[0];
+}
@@ -0,0 +1,418 @@
+import pool from '../config/database.js';
+import { adjustWalletBalance, holdWalletFunds, releaseWalletHold, finalizeWalletHold } from './wallet.service.js';
+import { deductBalance, findDealByComment } from './mt5.service.js';
+import { dispatchMt5Operation, enqueueMt5Operation } from './mt5Outbox.service.js';
+import { SYSTEM_ACCOUNTS, mt5Account, recordEntry } from './ledger.service.js';
+
+/**
+ * Withdrawal Hold Service
+ * Funds are reserved when a withdrawal is requested, released when it is
+ * rejected/cancelled and finalized when it is approved.
+ *
+ * withdrawals.hold_status:
+ *   placing   -> MT5 deduction in flight, or its outcome is unknown (timeout,
+ *                5xx); settlePlacingWithdrawals looks the deal up in MT5
+ *   held      -> amount reserved (MT5 deducted / wallet held_balance)
+ *   releasing -> release in progress
+ *   released  -> returned to the client (the MT5 re-credit is queued in the
+ *                outbox with the release, see mt5Outbox.service.js)
+ *   finalized -> paid out
+ *   NULL      -> requested before holds existed; deducted at approval
+ */
+
+// Give an in-flight deduction (write timeout 30s) time to finish before checking MT5
+const SETTLE_AFTER_MINUTES = 2;
+// Reservations still unsettled after this are left to an admin (needs_review)
+const REVIEW_AFTER_MINUTES = 60;
+
+const holdComment = (withdrawalId) => `Withdrawal #${withdrawalId} reserved`;
+
+// Book the MT5 deduction of a placing withdrawal: ledger entry, cached balance, hold_status held
+async function recordMt5Hold(withdrawal) {
+  const login = parseInt(withdrawal.mt5_account_id, 10);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const heldResult = await client.query(
+      `UPDATE withdrawals SET hold_status = 'held', held_at = NOW(), hold_error = NULL, updated_at = NOW()
+       WHERE id = $1 AND hold_status = 'placing'
+       RETURNING *`,
+      [withdrawal.id]
+    );
+    if (heldResult.rows.length === 0) {
+      throw new Error(`Withdrawal #${withdrawal.id} is no longer placing its hold`);
+    }
+    await recordEntry({
+      entryType: 'withdrawal',
+      debit: mt5Account(login, { userId: withdrawal.user_id, currency: withdrawal.currency || 'USD' }),
+      credit: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLDS,
+      amount: parseFloat(withdrawal.amount),
+      currency: withdrawal.currency || 'USD',
+      referenceType: 'withdrawal',
+      referenceId: withdrawal.id,
+      description: holdComment(withdrawal.id)
+    }, client);
+    // Keep the cached balance honest until the next MT5 sync
+    await client.query(
+      'UPDATE trading_accounts SET balance = GREATEST(COALESCE(balance, 0) - $1, 0) WHERE account_number = $2',
+      [withdrawal.amount, withdrawal.mt5_account_id]
+    );
+    await client.query('COMMIT');
+    return heldResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a withdrawal row and reserve its amount
+ * @param {Object} values - Column values for the withdrawals insert
+ * @returns {Promise<Object>} The withdrawal row; hold_status is still 'placing'
+ *   when the MT5 outcome is unknown
+ * @throws {Error} When the hold was definitely not placed (the row is marked failed)
+ */
+export async function createHeldWithdrawal(values) {
+  const columns = Object.keys(values);
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+  const insertSql = `INSERT INTO withdrawals (${columns.join(', ')}, status, hold_status, created_at, updated_at)
+     VALUES (${placeholders.join(', ')}, 'pending', $${columns.length + 1}, NOW(), NOW())
+     RETURNING *`;
+  const params = columns.map(column => values[column]);
+
+  // Wallet source: the row and the hold commit together
+  if (values.wallet_id) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const insertResult = await client.query(insertSql, [...params, 'held']);
+      const withdrawal = insertResult.rows[0];
+      await holdWalletFunds(
+        { walletId: withdrawal.wallet_id, amount: withdrawal.amount, withdrawalId: withdrawal.id, currency: withdrawal.currency || 'USD' },
+        client
+      );
+      const heldResult = await client.query(
+        'UPDATE withdrawals SET held_at = NOW() WHERE id = $1 RETURNING *',
+        [withdrawal.id]
+      );
+      await client.query('COMMIT');
+      return heldResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // MT5 source: record the intent first, then deduct on MT5
+  const insertResult = await pool.query(insertSql, [...params, 'placing']);
+  const withdrawal = insertResult.rows[0];
+  const login = parseInt(withdrawal.mt5_account_id, 10);
+
+  try {
+    await deductBalance(login, withdrawal.amount, holdComment(withdrawal.id));
+  } catch (error) {
+    if (error.outcomeUnknown) {
+      // MT5 may have taken the money: the request stays pending (placing) until
+      // settlePlacingWithdrawals finds the deal or its absence
+      console.warn(`⚠️ Withdrawal #${withdrawal.id}: MT5 reservation outcome unknown:`, error.message);
+      const pending = await pool.query(
+        'UPDATE withdrawals SET hold_error = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [error.message, withdrawal.id]
+      );
+      return pending.rows[0];
+    }
+    await pool.query(
+      `UPDATE withdrawals
+       SET status = 'failed', hold_status = NULL, rejection_reason = $1, hold_error = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [`Could not reserve funds on MT5: ${error.message}`, error.message, withdrawal.id]
+    );
+    throw error;
+  }
+
+  try {
+    return await recordMt5Hold(withdrawal);
+  } catch (error) {
+    // MT5 was deducted; left placing, the settle job records the hold from the deal
+    console.error(`❌ Withdrawal #${withdrawal.id}: MT5 deducted but hold not recorded:`, error.message);
+    return withdrawal;
+  }
+}
+
+/**
+ * Scheduled run: settle MT5 withdrawal reservations left placing
+ * Looks each one up in the account's MT5 deal history by its comment. Found:
+ * the hold is recorded as if the call had answered. Not found: MT5 never
+ * applied it and the request fails. Lookups that keep failing for
+ * REVIEW_AFTER_MINUTES flag the withdrawal needs_review for an admin.
+ * @returns {Promise<Object>} { checked, held, failed, review }
+ */
+export async function settlePlacingWithdrawals() {
+  const result = await pool.query(
+    `SELECT * FROM withdrawals
+     WHERE hold_status = 'placing' AND status = 'pending' AND needs_review = FALSE
+       AND mt5_account_id IS NOT NULL
+       AND updated_at < NOW() - make_interval(mins => $1)
+     ORDER BY id
+     LIMIT 100`,
+    [SETTLE_AFTER_MINUTES]
+  );
+
+  const totals = { checked: result.rows.length, held: 0, failed: 0, review: 0 };
+  for (const withdrawal of result.rows) {
+    const login = parseInt(withdrawal.mt5_account_id, 10);
+    try {
+      // Deals are stamped by the MT5 server clock; allow some skew
+      const searchFrom = new Date(new Date(withdrawal.created_at).getTime() - 5 * 60 * 1000).toISOString();
+      const deal = await findDealByComment(login, holdComment(withdrawal.id), searchFrom);
+      if (deal) {
+        await recordMt5Hold(withdrawal);
+        totals.held++;
+        console.log(`✅ Withdrawal #${withdrawal.id}: MT5 reservation found, hold recorded`);
+      } else {
+        await pool.query(
+          `UPDATE withdrawals
+           SET status = 'failed', hold_status = NULL, hold_checked_at = NOW(), updated_at = NOW(),
+               rejection_reason = 'Could not reserve funds on MT5: the deduction was not applied'
+           WHERE id = $1 AND hold_status = 'placing'`,
+          [withdrawal.id]
+        );
+        totals.failed++;
+        console.log(`Withdrawal #${withdrawal.id}: no MT5 reservation found, marked failed`);
+      }
+    } catch (error) {
+      const review = await pool.query(
+        `UPDATE withdrawals
+         SET hold_error = $2, hold_checked_at = NOW(), updated_at = NOW(),
+             needs_review = created_at < NOW() - make_interval(mins => $3)
+         WHERE id = $1 AND hold_status = 'placing'
+         RETURNING needs_review`,
+        [withdrawal.id, `Settling the MT5 reservation failed: ${error.message}`, REVIEW_AFTER_MINUTES]
+      );
+      if (review.rows[0]?.needs_review) totals.review++;
+      console.error(`Settling withdrawal #${withdrawal.id} failed:`, error.message);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Return the reserved amount to the client and set the final status
+ * @param {number} withdrawalId
+ * @param {Object} options
+ * @param {'rejected'|'cancelled'} options.status
+ * @param {Object} options.fields - Extra columns to set (rejection_reason, rejected_by, ...)
+ * @returns {Promise<Object|null>} The updated row, or null if the withdrawal is no longer pending
+ */
+export async function releaseWithdrawalHold(withdrawalId, { status, fields = {}, adminId = null }) {
+  const reason = status === 'cancelled' ? 'cancelled' : 'rejected';
+  const extraKeys = Object.keys(fields);
+  const extraSql = extraKeys.map((key, i) => `, ${key} = $${i + 3}`).join('');
+  const extraParams = extraKeys.map(key => fields[key]);
+
+  // Claim the row so approve/reject/cancel can't race each other
+  const claimed = await pool.query(
+    `UPDATE withdrawals SET hold_status = 'releasing', updated_at = NOW()
+     WHERE id = $1 AND status = 'pending' AND hold_status = 'held'
+     RETURNING *`,
+    [withdrawalId]
+  );
+
+  if (claimed.rows.length === 0) {
+    // Legacy request without a hold: nothing to return
+    const legacy = await pool.query(
+      `UPDATE withdrawals SET status = $2, updated_at = NOW()${extraSql}
+       WHERE id = $1 AND status = 'pending' AND hold_status IS NULL
+       RETURNING *`,
+      [withdrawalId, status, ...extraParams]
+    );
+    return legacy.rows[0] || null;
+  }
+
+  const withdrawal = claimed.rows[0];
+  const amount = parseFloat(withdrawal.amount);
+  const currency = withdrawal.currency || 'USD';
+
+  let mt5Operation = null;
+  let released;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (withdrawal.wallet_id) {
+      await releaseWalletHold(
+        { walletId: withdrawal.wallet_id, amount, withdrawalId: withdrawal.id, currency, reason, createdByAdmin: adminId },
+        client
+      );
+    } else {
+      mt5Operation = await enqueueMt5Operation({
+        operation: 'add_balance',
+        login: withdrawal.mt5_account_id,
+        amount,
+        comment: `Withdrawal #${withdrawal.id} ${reason}`,
+        referenceType: 'withdrawal',
+        referenceId: withdrawal.id,
+        adminId
+      }, client);
+      await recordEntry({
+        entryType: 'withdrawal',
+        debit: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLDS,
+        credit: mt5Account(withdrawal.mt5_account_id, { userId: withdrawal.user_id, currency }),
+        amount,
+        currency,
+        referenceType: 'withdrawal',
+        referenceId: withdrawal.id,
+        description: `Withdrawal #${withdrawal.id} ${reason}`,
+        createdByAdmin: adminId
+      }, client);
+      await client.query(
+        'UPDATE trading_accounts SET balance = COALESCE(balance, 0) + $1 WHERE account_number = $2',
+        [amount, withdrawal.mt5_account_id]
+      );
+    }
+    const result = await client.query(
+      `UPDATE withdrawals
+       SET status = $2, hold_status = 'released', released_at = NOW(), updated_at = NOW()${extraSql}
+       WHERE id = $1
+       RETURNING *`,
+      [withdrawal.id, status, ...extraParams]
+    );
+    released = result.rows[0];
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await pool.query(
+      "UPDATE withdrawals SET hold_status = 'held', updated_at = NOW() WHERE id = $1",
+      [withdrawal.id]
+    );
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (mt5Operation) {
+    await dispatchMt5Operation(mt5Operation.id);
+  }
+  return released;
+}
+
+/**
+ * Mark a withdrawal as paid out. Held withdrawals only move the reserved
+ * amount out of the holds account; legacy withdrawals (no hold) are deducted
+ * from their MT5 account or wallet here.
+ * @param {number} withdrawalId
+ * @param {Object} fields - Extra columns to set (external_transaction_id, approved_by, ...)
+ * @returns {Promise<Object>} The updated row
+ * @throws {Error} With status 409 when the withdrawal can't be approved in its current state
+ */
+export async function finalizeWithdrawal(withdrawalId, { fields = {}, adminId = null, comment = null }) {
+  const extraKeys = Object.keys(fields);
+  const extraSql = extraKeys.map((key, i) => `, ${key} = $${i + 2}`).join('');
+  const extraParams = extraKeys.map(key => fields[key]);
+
+  const current = await pool.query('SELECT * FROM withdrawals WHERE id = $1', [withdrawalId]);
+  const withdrawal = current.rows[0];
+  if (!withdrawal || withdrawal.status !== 'pending') {
+    const error = new Error(`Withdrawal is already ${withdrawal?.status || 'gone'}`);
+    error.status = 409;
+    throw error;
+  }
+  if (withdrawal.hold_status && withdrawal.hold_status !== 'held') {
+    const error = new Error(`Withdrawal funds are ${withdrawal.hold_status}; check the account before approving`);
+    error.status = 409;
+    throw error;
+  }
+
+  const amount = parseFloat(withdrawal.amount);
+  const currency = withdrawal.currency || 'USD';
+  const isLegacyMt5 = !withdrawal.hold_status && !withdrawal.wallet_id;
+
+  // Legacy MT5 withdrawals are deducted now, as before holds existed
+  if (isLegacyMt5) {
+    await deductBalance(parseInt(withdrawal.mt5_account_id, 10), amount, comment || `Withdrawal #${withdrawal.id} approved`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(
+      'SELECT status, hold_status FROM withdrawals WHERE id = $1 FOR UPDATE',
+      [withdrawal.id]
+    );
+    if (locked.rows[0].status !== 'pending' || locked.rows[0].hold_status !== withdrawal.hold_status) {
+      const error = new Error('Withdrawal changed while it was being approved');
+      error.status = 409;
+      throw error;
+    }
+
+    const description = comment || `Withdrawal #${withdrawal.id} approved`;
+    if (withdrawal.hold_status === 'held') {
+      if (withdrawal.wallet_id) {
+        await finalizeWalletHold({ walletId: withdrawal.wallet_id, amount }, client);
+      }
+      await recordEntry({
+        entryType: 'withdrawal',
+        debit: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLDS,
+        credit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+        amount,
+        currency,
+        referenceType: 'withdrawal',
+        referenceId: withdrawal.id,
+        description,
+        createdByAdmin: adminId
+      }, client);
+    } else if (withdrawal.wallet_id) {
+      // Legacy wallet withdrawal: deduct the wallet now (fails on insufficient balance)
+      await adjustWalletBalance(
+        {
+          walletId: withdrawal.wallet_id,
+          amount,
+          type: 'withdrawal',
+          source: 'wallet',
+          target: 'wallet',
+          currency,
+          reference: description,
+          referenceType: 'withdrawal',
+          referenceId: withdrawal.id,
+          createdByAdmin: adminId
+        },
+        client
+      );
+    } else {
+      await recordEntry({
+        entryType: 'withdrawal',
+        debit: mt5Account(withdrawal.mt5_account_id, { userId: withdrawal.user_id, currency }),
+        credit: SYSTEM_ACCOUNTS.CLIENT_FUNDS,
+        amount,
+        currency,
+        referenceType: 'withdrawal',
+        referenceId: withdrawal.id,
+        description,
+        createdByAdmin: adminId
+      }, client);
+    }
+
+    const result = await client.query(
+      `UPDATE withdrawals
+       SET status = 'approved', hold_status = CASE WHEN hold_status IS NULL THEN NULL ELSE 'finalized' END,
+           approved_at = NOW(), updated_at = NOW()${extraSql}
+       WHERE id = $1
+       RETURNING *`,
+      [withdrawal.id, ...extraParams]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (isLegacyMt5) {
+      console.error(`❌ Withdrawal #${withdrawal.id}: MT5 deducted but approval not recorded:`, error.message);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
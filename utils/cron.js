@@ -0,0 +1,134 @@
+/**
+ * Minimal cron expression support for the job scheduler
+ * Five fields, evaluated in UTC: minute hour day-of-month month day-of-week
+ *   *        every value
+ *   5        a single value
+ *   1-5      a range
+ *   *\/15     every 15th value (also 0-30/10)
+ *   1,15,30  a list of any of the above
+ * Day-of-week is 0-6 with 0 (or 7) = Sunday. As in standard cron, when both
+ * day-of-month and day-of-week are restricted a day matching either runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    const [, range, start, end, stepText] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    // "5/10" means from 5 to the end of the range in steps of 10
+    const to = range === '*' ? max : end !== undefined ? parseInt(end, 10) : stepText ? max : from;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} field "${text}" (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, domRestricted, dowRestricted }
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in Vixie cron, a field starting with * (including */n) does not restrict the day
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*')
+  };
+}
+
+function dayMatches(schedule, date) {
+  const dom = schedule.daysOfMonth.has(date.getUTCDate());
+  const dow = schedule.daysOfWeek.has(date.getUTCDay());
+  if (schedule.domRestricted && schedule.dowRestricted) {
+    return dom || dow;
+  }
+  return dom && dow;
+}
+
+/**
+ * Next time (after `after`, to the minute) the expression fires
+ * @param {string|Object} expression - Cron text or parseCron() result
+ * @param {Date} [after=new Date()]
+ * @returns {Date}
+ */
+export function nextCronDate(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Five years covers every valid expression (Feb 29 on a given weekday included)
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+}
+
+/**
+ * @param {string} expression
+ * @returns {boolean}
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}